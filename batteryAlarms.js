@@ -0,0 +1,119 @@
+/**
+ * Battery alarm engine driving the Venus OS /Alarms/* paths
+ * Each alarm has a warning and an alarm threshold. Levels follow the Victron convention:
+ * 0 = ok, 1 = warning, 2 = alarm. Raising a level requires the condition to hold for the
+ * configured delay, clearing requires the value to recover past the threshold by the hysteresis.
+ */
+
+// Alarm definitions: which measurement feeds which path, and in which direction it alarms
+export const BATTERY_ALARMS = {
+  lowVoltage: { path: '/Alarms/LowVoltage', source: '/Dc/0/Voltage', direction: 'low', text: 'Low voltage alarm' },
+  highVoltage: { path: '/Alarms/HighVoltage', source: '/Dc/0/Voltage', direction: 'high', text: 'High voltage alarm' },
+  lowSoc: { path: '/Alarms/LowSoc', source: '/Soc', direction: 'low', text: 'Low SOC alarm' },
+  highCurrent: { path: '/Alarms/HighCurrent', source: '/Dc/0/Current', direction: 'high', absolute: true, text: 'High current alarm' },
+  highTemperature: { path: '/Alarms/HighTemperature', source: '/Dc/0/Temperature', direction: 'high', text: 'High temperature alarm' },
+  lowTemperature: { path: '/Alarms/LowTemperature', source: '/Dc/0/Temperature', direction: 'low', text: 'Low temperature alarm' }
+};
+
+export class BatteryAlarms {
+  constructor(options = {}, logger = null) {
+    this.logger = logger || { debug: () => {}, warn: () => {} };
+    this.delay = options.delay ?? 10; // Seconds a condition must hold before the level is raised
+    this.thresholds = {};
+
+    for (const name of Object.keys(BATTERY_ALARMS)) {
+      const config = options[name] || {};
+      this.thresholds[name] = {
+        warning: typeof config.warning === 'number' ? config.warning : null,
+        alarm: typeof config.alarm === 'number' ? config.alarm : null,
+        hysteresis: typeof config.hysteresis === 'number' ? config.hysteresis : 0
+      };
+    }
+  }
+
+  /**
+   * Create the alarm state for a battery
+   * @returns {Object} Per-alarm level and pending transition
+   */
+  createState() {
+    const state = {};
+    for (const name of Object.keys(BATTERY_ALARMS)) {
+      state[name] = { level: 0, pendingLevel: null, pendingSince: null };
+    }
+    return state;
+  }
+
+  /**
+   * Evaluate every alarm against the latest measurements
+   * @param {Object} state - State created by createState (mutated in place)
+   * @param {Object} values - Measurements keyed by D-Bus path (e.g. deviceData of the battery service)
+   * @param {number} now - Timestamp in ms
+   * @returns {Object} Alarm levels keyed by alarm name
+   */
+  evaluate(state, values, now = Date.now()) {
+    const levels = {};
+    for (const [name, definition] of Object.entries(BATTERY_ALARMS)) {
+      const value = values[definition.source];
+      levels[name] = this.evaluateAlarm(state, name, definition.absolute && typeof value === 'number' ? Math.abs(value) : value, now);
+    }
+    return levels;
+  }
+
+  /**
+   * Evaluate a single alarm
+   * @param {Object} state - State created by createState (mutated in place)
+   * @param {string} name - Alarm name from BATTERY_ALARMS
+   * @param {number|null} value - Measurement, missing values keep the current level
+   * @param {number} now - Timestamp in ms
+   * @returns {number} 0 = ok, 1 = warning, 2 = alarm
+   */
+  evaluateAlarm(state, name, value, now = Date.now()) {
+    const alarmState = state[name];
+    if (typeof value !== 'number' || isNaN(value)) {
+      return alarmState.level;
+    }
+
+    const { hysteresis } = this.thresholds[name];
+    const direction = BATTERY_ALARMS[name].direction;
+    let target = this._levelFor(name, value);
+
+    // Only step down once the value has recovered past the threshold by the hysteresis
+    if (target < alarmState.level) {
+      const shifted = direction === 'low' ? value - hysteresis : value + hysteresis;
+      target = Math.min(alarmState.level, this._levelFor(name, shifted));
+    }
+
+    if (target > alarmState.level) {
+      if (alarmState.pendingLevel !== target) {
+        alarmState.pendingLevel = target;
+        alarmState.pendingSince = now;
+      }
+      if ((now - alarmState.pendingSince) / 1000 < this.delay) {
+        return alarmState.level;
+      }
+    }
+
+    if (target !== alarmState.level) {
+      this.logger.debug(`Battery alarm ${name}: level ${alarmState.level} -> ${target} (value ${value})`);
+    }
+    alarmState.level = target;
+    alarmState.pendingLevel = null;
+    alarmState.pendingSince = null;
+    return target;
+  }
+
+  _levelFor(name, value) {
+    const { warning, alarm } = this.thresholds[name];
+    const beyond = BATTERY_ALARMS[name].direction === 'low'
+      ? threshold => value <= threshold
+      : threshold => value >= threshold;
+
+    if (alarm !== null && beyond(alarm)) {
+      return 2;
+    }
+    if (warning !== null && beyond(warning)) {
+      return 1;
+    }
+    return 0;
+  }
+}
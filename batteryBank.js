@@ -0,0 +1,178 @@
+import { matchBmsPath } from './batteryBms.js';
+
+/**
+ * Virtual battery bank combining several Signal K batteries into one Venus OS battery service
+ * Parallel batteries each reported on their own path (electrical.batteries.1, .2, ...) are published as a
+ * single battery: currents and capacities are summed, voltages averaged, the SOC is weighted by capacity
+ * and the lowest and highest cell voltage and temperature of all members are reported.
+ */
+
+// Member values by Signal K path relative to the member battery, with the unit the Signal K specification
+// defines for them and the unit they are recorded in. Capacities are kept in Joules, as a member can report
+// its capacity before its voltage, and are converted to Ah when the bank is aggregated.
+export const BANK_MEMBER_PATHS = [
+  { pattern: /^voltage$/, key: 'voltage' },
+  { pattern: /^current$/, key: 'current' },
+  { pattern: /^power$/, key: 'power' },
+  { pattern: /^(capacity\.)?stateOfCharge$/, key: 'soc', units: 'ratio', target: '%' },
+  { pattern: /^capacity\.nominal$/, key: 'capacity', units: 'J', target: 'J' },
+  { pattern: /^temperature$/, key: 'temperature', units: 'K', target: 'C' }
+];
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+const average = values => (values.length > 0 ? sum(values) / values.length : null);
+
+export class BatteryBank {
+  /**
+   * @param {Object} config - Bank configuration
+   * @param {string} config.path - Signal K base path of the virtual bank, e.g. electrical.batteries.houseBank
+   * @param {string} config.name - Name of the bank on Venus OS
+   * @param {string[]} config.batteries - Base paths of the member batteries
+   * @param {Object} options
+   * @param {number} options.maxAge - Milliseconds after which a member value is ignored, 0 keeps values forever
+   */
+  constructor({ path, name, batteries } = {}, { maxAge = 0 } = {}) {
+    if (typeof path !== 'string' || path.trim() === '') {
+      throw new Error('bank path is required');
+    }
+    const members = (Array.isArray(batteries) ? batteries : [])
+      .filter(battery => typeof battery === 'string' && battery.trim() !== '')
+      .map(battery => battery.trim());
+    if (members.length === 0) {
+      throw new Error('at least one member battery is required');
+    }
+    if (members.includes(path.trim())) {
+      throw new Error('a bank can\'t be its own member');
+    }
+
+    this.path = path.trim();
+    this.name = typeof name === 'string' && name.trim() !== '' ? name.trim() : null;
+    this.batteries = [...new Set(members)];
+    this.maxAge = maxAge;
+    this.members = new Map(this.batteries.map(battery => [battery, new Map()])); // Member -> Map(key -> { value, time })
+  }
+
+  /**
+   * Member battery and member value a Signal K path feeds
+   * @param {string} path - Signal K path
+   * @returns {Object|null} { battery, key, cell, units, target } or null if the path isn't a member value
+   */
+  match(path) {
+    const battery = this.batteries.find(member => path.startsWith(`${member}.`));
+    if (!battery) {
+      return null;
+    }
+    // Cell voltages use the BMS path names
+    const bms = matchBmsPath(path);
+    if (bms?.key === 'cellVoltage' && bms.basePath === battery) {
+      return { battery, key: 'cell', cell: String(bms.cell), units: null, target: null };
+    }
+    const property = path.slice(battery.length + 1);
+    for (const { pattern, key, units = null, target = null } of BANK_MEMBER_PATHS) {
+      if (pattern.test(property)) {
+        return { battery, key, cell: null, units, target };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record a member value, already converted to its recorded unit
+   * @param {string} battery - Member base path
+   * @param {string} key - Member value key from BANK_MEMBER_PATHS, cell voltages as 'cell.<id>'
+   * @param {number} value
+   * @param {number} now - Timestamp in ms
+   */
+  update(battery, key, value, now = Date.now()) {
+    const values = this.members.get(battery);
+    if (!values || typeof value !== 'number' || !isFinite(value)) {
+      return;
+    }
+    values.set(key, { value, time: now });
+  }
+
+  /**
+   * Latest value of a member
+   * @param {string} battery - Member base path
+   * @param {string} key - Member value key
+   * @param {number} now - Timestamp in ms
+   * @returns {number|null}
+   */
+  getMemberValue(battery, key, now = Date.now()) {
+    const entry = this.members.get(battery)?.get(key);
+    if (!entry || (this.maxAge > 0 && now - entry.time > this.maxAge)) {
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Capacity of a member in Ah - its Joules divided by the nominal voltage, or by its own voltage
+   * @param {string} battery - Member base path
+   * @param {number} now - Timestamp in ms
+   * @param {number} nominalVoltage - Configured nominal battery voltage, 0 to use the member voltage
+   * @returns {number|null} null without a capacity or a voltage to convert it with
+   */
+  getMemberCapacity(battery, now = Date.now(), nominalVoltage = 0) {
+    const joules = this.getMemberValue(battery, 'capacity', now);
+    const voltage = nominalVoltage || this.getMemberValue(battery, 'voltage', now);
+    return joules !== null && voltage > 0 ? joules / (voltage * 3600) : null;
+  }
+
+  /**
+   * Combined values of all members. Sums need every member, so a missing current or capacity leaves
+   * the bank value null instead of publishing a partial sum. Averages, SOC and extremes use the members
+   * that reported.
+   * @param {number} now - Timestamp in ms
+   * @param {Object} options
+   * @param {number} options.nominalVoltage - Voltage the member capacities are converted to Ah with,
+   *   0 uses the voltage of each member
+   * @returns {Object} voltage, current, power, capacity in Ah, soc, temperature, min/max temperature and
+   *   cell voltage, and the number of members with data
+   */
+  getAggregate(now = Date.now(), { nominalVoltage = 0 } = {}) {
+    const valuesOf = key => this.batteries.map(battery => this.getMemberValue(battery, key, now));
+    const capacities = this.batteries.map(battery => this.getMemberCapacity(battery, now, nominalVoltage));
+    const reported = values => values.filter(value => value !== null);
+    const total = values => (values.every(value => value !== null) ? sum(values) : null);
+
+    const voltage = average(reported(valuesOf('voltage')));
+    const current = total(valuesOf('current'));
+    const capacity = total(capacities);
+    const powers = valuesOf('power');
+    const power = powers.every(value => value !== null)
+      ? sum(powers)
+      : (voltage !== null && current !== null ? voltage * current : null);
+
+    // Capacity-weighted SOC - equal weights unless every member with a SOC also reported its capacity
+    const socs = this.batteries
+      .map((battery, index) => ({ soc: this.getMemberValue(battery, 'soc', now), capacity: capacities[index] }))
+      .filter(({ soc }) => soc !== null);
+    const weighted = socs.length > 0 && socs.every(({ capacity: weight }) => weight !== null && weight > 0);
+    const soc = socs.length === 0
+      ? null
+      : (weighted
+        ? sum(socs.map(({ soc: value, capacity: weight }) => value * weight)) / sum(socs.map(({ capacity: weight }) => weight))
+        : average(socs.map(({ soc: value }) => value)));
+
+    const temperatures = reported(valuesOf('temperature'));
+    const cells = this.batteries.flatMap(battery => [...this.members.get(battery).keys()]
+      .filter(key => key.startsWith('cell.'))
+      .map(key => this.getMemberValue(battery, key, now))
+      .filter(value => value !== null));
+
+    return {
+      voltage,
+      current,
+      power,
+      capacity,
+      soc,
+      minTemperature: temperatures.length > 0 ? Math.min(...temperatures) : null,
+      maxTemperature: temperatures.length > 0 ? Math.max(...temperatures) : null,
+      minCellVoltage: cells.length > 0 ? Math.min(...cells) : null,
+      maxCellVoltage: cells.length > 0 ? Math.max(...cells) : null,
+      batteries: this.batteries.filter(battery => [...this.members.get(battery).keys()]
+        .some(key => this.getMemberValue(battery, key, now) !== null)).length
+    };
+  }
+}
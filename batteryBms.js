@@ -0,0 +1,209 @@
+/**
+ * Lithium BMS detail for the Venus OS battery service
+ * Maps the paths BMS plugins publish below a Signal K battery (cell voltages, balancing, charge and
+ * discharge limits) to the battery paths DVCC reads. Signal K has no standard for these paths, so each
+ * value accepts the names used by common BMS plugins.
+ */
+
+// BMS values by Signal K path relative to the battery - cell paths capture the cell number
+export const BMS_PATHS = [
+  { key: 'cellVoltage', pattern: /^cells?\.(\d+)\.voltage$/ },
+  { key: 'cellVoltage', pattern: /^cell(\d+)Voltage$/ },
+  { key: 'cellBalancing', pattern: /^cells?\.(\d+)\.balancing$/ },
+  { key: 'minCellVoltage', pattern: /^(cells\.minVoltage|minCellVoltage)$/ },
+  { key: 'maxCellVoltage', pattern: /^(cells\.maxVoltage|maxCellVoltage)$/ },
+  { key: 'cellCount', pattern: /^(cells\.count|numberOfCells|cellCount)$/ },
+  { key: 'balancing', pattern: /^(balancing|balancerActive)$/ },
+  { key: 'chargingMode', pattern: /^chargingMode$/ },
+  { key: 'maxChargeCurrent', pattern: /^(maxChargeCurrent|chargeCurrentLimit)$/ },
+  { key: 'maxDischargeCurrent', pattern: /^(maxDischargeCurrent|dischargeCurrentLimit)$/ },
+  { key: 'maxChargeVoltage', pattern: /^(maxChargeVoltage|chargeVoltageLimit)$/ },
+  { key: 'allowToCharge', pattern: /^(allowToCharge|chargeEnabled)$/ },
+  { key: 'allowToDischarge', pattern: /^(allowToDischarge|dischargeEnabled)$/ }
+];
+
+// Charging modes in which the BMS doesn't accept charge - any other known mode allows charging
+const CHARGE_BLOCKING_MODES = ['off', 'disabled', 'fault', 'error'];
+const CHARGING_MODES = ['bulk', 'absorption', 'acceptance', 'overcharge', 'float', 'equalize', 'storage', 'balancing', 'charging', 'on'];
+
+const PATTERNS = BMS_PATHS.map(entry => ({ ...entry, regex: new RegExp(`^(.+?)\\.(?:${entry.pattern.source.slice(1, -1)})$`) }));
+
+/**
+ * BMS value a Signal K battery path carries
+ * @param {string} path - Signal K path, e.g. electrical.batteries.1.cells.3.voltage
+ * @returns {Object|null} { basePath, key, cell } or null for other battery paths
+ */
+export function matchBmsPath(path) {
+  for (const { key, regex } of PATTERNS) {
+    const captures = regex.exec(path);
+    if (captures) {
+      const cell = key === 'cellVoltage' || key === 'cellBalancing'
+        ? Number(captures.slice(2).find(capture => capture !== undefined))
+        : null;
+      return { basePath: captures[1], key, cell };
+    }
+  }
+  return null;
+}
+
+// Booleans, numbers and on/off strings as 1 or 0
+function toFlag(value) {
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (typeof value === 'number' && isFinite(value)) {
+    return value !== 0 ? 1 : 0;
+  }
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase();
+    if (['on', 'true', 'yes', 'enabled', '1'].includes(text)) {
+      return 1;
+    }
+    if (['off', 'false', 'no', 'disabled', '0'].includes(text)) {
+      return 0;
+    }
+  }
+  return null;
+}
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+export class BatteryBms {
+  /**
+   * Create the BMS state of a battery
+   * @returns {Object} Cell voltages and balancing flags, and which summary values the BMS reports itself
+   */
+  createState() {
+    return {
+      cells: new Map(), // Cell number -> voltage
+      balancing: new Map(), // Cell number -> 1 or 0
+      reports: new Set() // Keys the BMS reports directly instead of them being derived from the cells
+    };
+  }
+
+  /**
+   * Apply a BMS value
+   * @param {Object} state - State created by createState (mutated in place)
+   * @param {string} key - BMS value key from BMS_PATHS
+   * @param {*} value - Signal K value
+   * @param {number|null} cell - Cell number of cell values
+   * @returns {Object[]} D-Bus updates { path, value, type, text }
+   */
+  update(state, key, value, cell = null) {
+    switch (key) {
+      case 'cellVoltage':
+        if (!isNumber(value)) {
+          return [];
+        }
+        state.cells.set(cell, value);
+        return [{ path: `/Voltages/Cell${cell}`, value, type: 'd', text: `Cell ${cell} voltage` }, ...this._cellSummary(state)];
+
+      case 'cellBalancing': {
+        const flag = toFlag(value);
+        if (flag === null) {
+          return [];
+        }
+        state.balancing.set(cell, flag);
+        if (state.reports.has('balancing')) {
+          return [];
+        }
+        return [{ path: '/Balancer', value: [...state.balancing.values()].some(Boolean) ? 1 : 0, type: 'i', text: 'Balancer active' }];
+      }
+
+      case 'minCellVoltage':
+      case 'maxCellVoltage':
+        if (!isNumber(value)) {
+          return [];
+        }
+        state.reports.add(key);
+        return [{
+          path: key === 'minCellVoltage' ? '/System/MinCellVoltage' : '/System/MaxCellVoltage',
+          value,
+          type: 'd',
+          text: key === 'minCellVoltage' ? 'Minimum cell voltage' : 'Maximum cell voltage'
+        }];
+
+      case 'cellCount':
+        if (!isNumber(value) || value <= 0) {
+          return [];
+        }
+        state.reports.add(key);
+        return [{ path: '/System/NrOfCellsPerBattery', value: Math.round(value), type: 'i', text: 'Number of cells per battery' }];
+
+      case 'balancing': {
+        const flag = toFlag(value);
+        if (flag === null) {
+          return [];
+        }
+        state.reports.add(key);
+        return [{ path: '/Balancer', value: flag, type: 'i', text: 'Balancer active' }];
+      }
+
+      case 'chargingMode': {
+        // A BMS that reports allowToCharge itself knows better than its charging mode
+        const mode = typeof value === 'string' ? value.trim().toLowerCase() : null;
+        if (!mode || state.reports.has('allowToCharge')) {
+          return [];
+        }
+        if (CHARGE_BLOCKING_MODES.includes(mode)) {
+          return [{ path: '/Io/AllowToCharge', value: 0, type: 'i', text: 'Allow to charge' }];
+        }
+        return CHARGING_MODES.includes(mode) ? [{ path: '/Io/AllowToCharge', value: 1, type: 'i', text: 'Allow to charge' }] : [];
+      }
+
+      case 'maxChargeCurrent':
+      case 'maxDischargeCurrent':
+      case 'maxChargeVoltage': {
+        if (!isNumber(value) || value < 0) {
+          return [];
+        }
+        const paths = {
+          maxChargeCurrent: ['/Info/MaxChargeCurrent', 'Max charge current'],
+          maxDischargeCurrent: ['/Info/MaxDischargeCurrent', 'Max discharge current'],
+          maxChargeVoltage: ['/Info/MaxChargeVoltage', 'Max charge voltage']
+        };
+        const [path, text] = paths[key];
+        return [{ path, value, type: 'd', text }];
+      }
+
+      case 'allowToCharge':
+      case 'allowToDischarge': {
+        const flag = toFlag(value);
+        if (flag === null) {
+          return [];
+        }
+        state.reports.add(key);
+        return [{
+          path: key === 'allowToCharge' ? '/Io/AllowToCharge' : '/Io/AllowToDischarge',
+          value: flag,
+          type: 'i',
+          text: key === 'allowToCharge' ? 'Allow to charge' : 'Allow to discharge'
+        }];
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  // Lowest and highest cell, sum and spread of the known cells - summary values the BMS reports itself win
+  _cellSummary(state) {
+    const voltages = [...state.cells.values()];
+    const min = Math.min(...voltages);
+    const max = Math.max(...voltages);
+    const updates = [
+      { path: '/Voltages/Sum', value: voltages.reduce((sum, voltage) => sum + voltage, 0), type: 'd', text: 'Sum of cell voltages' },
+      { path: '/Voltages/Diff', value: max - min, type: 'd', text: 'Cell voltage difference' }
+    ];
+    if (!state.reports.has('minCellVoltage')) {
+      updates.push({ path: '/System/MinCellVoltage', value: min, type: 'd', text: 'Minimum cell voltage' });
+    }
+    if (!state.reports.has('maxCellVoltage')) {
+      updates.push({ path: '/System/MaxCellVoltage', value: max, type: 'd', text: 'Maximum cell voltage' });
+    }
+    if (!state.reports.has('cellCount')) {
+      updates.push({ path: '/System/NrOfCellsPerBattery', value: state.cells.size, type: 'i', text: 'Number of cells per battery' });
+    }
+    return updates;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * BMV-style battery history counters for the Venus OS /History/* paths
+ * Tracks discharge depths, charge cycles, full discharges, synchronisations and voltage alarms from the
+ * live SOC and consumed Ah. The counters are stored in the battery's history entry, so they are
+ * persisted together with the energy history.
+ */
+
+// Counter fields added to a history entry, with their initial values
+const COUNTER_DEFAULTS = {
+  deepestDischarge: 0, // Ah, largest consumed Ah ever seen
+  lastDischarge: 0, // Ah, largest consumed Ah since the last full charge
+  dischargeSum: 0, // Ah, sum of the discharge depths of completed cycles, for the average
+  completedDischarges: 0, // Number of discharges ended by a full charge
+  chargeCycles: 0,
+  fullDischarges: 0,
+  automaticSyncs: 0,
+  lowVoltageAlarms: 0,
+  highVoltageAlarms: 0,
+  lastFullCharge: null, // Timestamp in ms
+  isFull: false,
+  isEmpty: false,
+  cycleArmed: false // SOC dropped below the cycle discharge level, waiting for the recharge
+};
+
+// Counters that can be cleared individually, and the history fields each one resets
+export const CLEARABLE_COUNTERS = {
+  dischargedEnergy: { dischargedEnergy: 0 },
+  chargedEnergy: { chargedEnergy: 0 },
+  totalAhDrawn: { totalAhDrawn: 0 },
+  minimumVoltage: { minimumVoltage: null },
+  maximumVoltage: { maximumVoltage: null },
+  deepestDischarge: { deepestDischarge: 0 },
+  lastDischarge: { lastDischarge: 0 },
+  averageDischarge: { dischargeSum: 0, completedDischarges: 0 },
+  chargeCycles: { chargeCycles: 0, cycleArmed: false },
+  fullDischarges: { fullDischarges: 0 },
+  timeSinceLastFullCharge: { lastFullCharge: null },
+  automaticSyncs: { automaticSyncs: 0 },
+  lowVoltageAlarms: { lowVoltageAlarms: 0 },
+  highVoltageAlarms: { highVoltageAlarms: 0 }
+};
+
+export class BatteryHistory {
+  constructor(options = {}, logger = null) {
+    this.logger = logger || { debug: () => {} };
+    this.cycleDischargeSoc = options.cycleDischargeSoc ?? 65; // Percent - a cycle starts below this SOC
+    this.cycleChargeSoc = options.cycleChargeSoc ?? 90; // Percent - and is counted once recharged above this SOC
+    this.fullSoc = options.fullSoc ?? 100; // Percent considered a full charge (synchronisation)
+    this.emptySoc = options.emptySoc ?? 0; // Percent considered a full discharge
+  }
+
+  /**
+   * Add missing counter fields to a history entry - entries persisted by older versions have none
+   * @param {Object} history - History entry (mutated in place)
+   * @returns {Object} The history entry
+   */
+  ensureCounters(history) {
+    for (const [field, value] of Object.entries(COUNTER_DEFAULTS)) {
+      if (history[field] === undefined || (typeof value === 'number' && isNaN(history[field]))) {
+        history[field] = value;
+      }
+    }
+    return history;
+  }
+
+  /**
+   * Update the counters with the latest state of charge
+   * @param {Object} history - History entry (mutated in place)
+   * @param {Object} sample
+   * @param {number|null} sample.soc - State of charge in percent
+   * @param {number|null} sample.consumedAh - Consumed Ah since full, positive
+   * @param {number} now - Timestamp in ms
+   * @returns {boolean} Whether any counter changed
+   */
+  update(history, { soc = null, consumedAh = null }, now = Date.now()) {
+    this.ensureCounters(history);
+    const before = JSON.stringify(history);
+
+    if (typeof consumedAh === 'number' && !isNaN(consumedAh) && consumedAh > 0) {
+      history.lastDischarge = Math.max(history.lastDischarge, consumedAh);
+      history.deepestDischarge = Math.max(history.deepestDischarge, consumedAh);
+    }
+
+    if (typeof soc === 'number' && !isNaN(soc)) {
+      if (soc >= this.fullSoc) {
+        if (!history.isFull) {
+          this._recordFullCharge(history);
+        }
+        history.isFull = true;
+        history.lastFullCharge = now;
+      } else {
+        history.isFull = false;
+      }
+
+      if (soc <= this.emptySoc) {
+        if (!history.isEmpty) {
+          history.fullDischarges++;
+          this.logger.debug(`Battery history: full discharge #${history.fullDischarges}`);
+        }
+        history.isEmpty = true;
+      } else {
+        history.isEmpty = false;
+      }
+
+      if (soc < this.cycleDischargeSoc) {
+        history.cycleArmed = true;
+      } else if (history.cycleArmed && soc > this.cycleChargeSoc) {
+        history.cycleArmed = false;
+        history.chargeCycles++;
+        this.logger.debug(`Battery history: charge cycle #${history.chargeCycles}`);
+      }
+    }
+
+    return JSON.stringify(history) !== before;
+  }
+
+  /**
+   * Count a voltage alarm when the alarm is raised from ok
+   * @param {Object} history - History entry (mutated in place)
+   * @param {string} alarm - 'lowVoltage' or 'highVoltage'
+   */
+  recordVoltageAlarm(history, alarm) {
+    this.ensureCounters(history);
+    if (alarm === 'lowVoltage') {
+      history.lowVoltageAlarms++;
+    } else if (alarm === 'highVoltage') {
+      history.highVoltageAlarms++;
+    }
+  }
+
+  /**
+   * Reset counters of a history entry
+   * @param {Object} history - History entry (mutated in place)
+   * @param {string[]|null} counters - Names from CLEARABLE_COUNTERS, null clears everything
+   * @returns {string[]} Names of the cleared counters
+   */
+  clear(history, counters = null) {
+    const names = counters || Object.keys(CLEARABLE_COUNTERS);
+    const unknown = names.filter(name => !CLEARABLE_COUNTERS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown history counter: ${unknown.join(', ')}`);
+    }
+
+    this.ensureCounters(history);
+    for (const name of names) {
+      Object.assign(history, CLEARABLE_COUNTERS[name]);
+    }
+    if (!counters) {
+      // Start the next discharge from the current state
+      Object.assign(history, { isFull: false, isEmpty: false });
+    }
+    return names;
+  }
+
+  /**
+   * Counter values for the Venus OS D-Bus paths - discharges are negative Ah like on a BMV
+   * @param {Object} history - History entry
+   * @param {number} now - Timestamp in ms
+   * @returns {Object} Values keyed by D-Bus path, TimeSinceLastFullCharge is omitted until the first full charge
+   */
+  toDbus(history, now = Date.now()) {
+    this.ensureCounters(history);
+    const values = {
+      '/History/DeepestDischarge': -history.deepestDischarge,
+      '/History/LastDischarge': -history.lastDischarge,
+      '/History/AverageDischarge': history.completedDischarges > 0 ? -history.dischargeSum / history.completedDischarges : 0,
+      '/History/ChargeCycles': history.chargeCycles,
+      '/History/FullDischarges': history.fullDischarges,
+      '/History/AutomaticSyncs': history.automaticSyncs,
+      '/History/LowVoltageAlarms': history.lowVoltageAlarms,
+      '/History/HighVoltageAlarms': history.highVoltageAlarms
+    };
+    if (history.lastFullCharge !== null) {
+      values['/History/TimeSinceLastFullCharge'] = Math.max(0, Math.round((now - history.lastFullCharge) / 1000));
+    }
+    return values;
+  }
+
+  // A full charge ends the running discharge - it counts towards the average and the next one starts at 0
+  _recordFullCharge(history) {
+    history.automaticSyncs++;
+    if (history.lastDischarge > 0) {
+      history.dischargeSum += history.lastDischarge;
+      history.completedDischarges++;
+    }
+    history.lastDischarge = 0;
+    this.logger.debug(`Battery history: synchronised to full (#${history.automaticSyncs})`);
+  }
+}
@@ -0,0 +1,50 @@
+import { getPinnedInstance } from './instanceRegistry.js';
+
+// Configuration diffing for hot-applying plugin config changes
+// Only device selection (the per-type enable checkboxes), deviceOverrides, instancePins and the source selection
+// (which only filters incoming values) can be applied to running Venus OS services. Any other change (connection,
+// intervals, battery monitor, ...) recreates all services.
+
+const HOT_APPLIED_KEYS = ['deviceOverrides', 'instancePins', 'sourcePriorities', 'sourceTimeout'];
+
+// JSON with sorted object keys, so key order doesn't count as a change
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value instanceof RegExp) {
+    return value.toString();
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'undefined';
+}
+
+function isEqual(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+// Compare two plugin configs - deviceTypes are the per-type enable maps (batteries, tanks, ...)
+export function diffConfig(previousConfig, config, deviceTypes) {
+  const keys = new Set([...Object.keys(previousConfig || {}), ...Object.keys(config || {})]);
+  const changedKeys = [...keys].filter(key =>
+    !deviceTypes.includes(key) && !HOT_APPLIED_KEYS.includes(key) && !isEqual(previousConfig?.[key], config?.[key])
+  );
+  return {
+    requiresRestart: changedKeys.length > 0,
+    changedKeys
+  };
+}
+
+// Whether a running device has to be removed: disabled, or its overrides (name, fluid type, Venus OS target) or
+// pinned VRM instance changed.
+// Devices published by custom mapping rules have no checkbox - they are always enabled.
+export function deviceNeedsRemoval(previousConfig, config, deviceType, devicePath, { alwaysEnabled = false } = {}) {
+  const safePathKey = devicePath.replace(/[^a-zA-Z0-9]/g, '_');
+  if (!alwaysEnabled && config?.[deviceType]?.[safePathKey] !== true) {
+    return true;
+  }
+  return !isEqual(previousConfig?.deviceOverrides?.[devicePath], config?.deviceOverrides?.[devicePath]) ||
+    getPinnedInstance(previousConfig, devicePath) !== getPinnedInstance(config, devicePath);
+}
@@ -0,0 +1,131 @@
+/**
+ * User-defined mapping rules from arbitrary Signal K paths to Venus OS D-Bus paths
+ * A rule maps a Signal K path, or a glob with `*` for one path segment and `**` for several, to a D-Bus
+ * path of a virtual device. This publishes paths the built-in device detection doesn't know, like
+ * electrical.chargers.shore.current or non-standard NMEA 2000 paths, without changing the plugin.
+ */
+
+// Venus OS service types a rule can target, and the plugin device type that publishes them.
+// Switches are missing on purpose - their channels live in shared banks and need the switch detection.
+export const MAPPABLE_SERVICE_TYPES = {
+  battery: 'batteries',
+  tank: 'tanks',
+  temperature: 'environment',
+  solarcharger: 'solar',
+  alternator: 'alternators',
+  gps: 'gps',
+  meteo: 'meteo',
+  digitalinput: 'notifications'
+};
+
+const DBUS_TYPES = ['d', 'i', 's'];
+
+export class CustomMappings {
+  constructor(rules = [], logger = null) {
+    this.logger = logger || { debug: () => {}, error: () => {} };
+    this.rules = [];
+    this.errors = []; // Messages for rules that were skipped
+
+    (Array.isArray(rules) ? rules : []).forEach((rule, index) => {
+      try {
+        this.rules.push(this._compile(rule));
+      } catch (err) {
+        const message = `Custom mapping ${index + 1} ignored: ${err.message}`;
+        this.errors.push(message);
+        this.logger.error(message);
+      }
+    });
+  }
+
+  /**
+   * Rules matching a Signal K path
+   * @param {string} path - Signal K path
+   * @returns {Object[]} Matches with the rule, the plugin device type and the base path of the virtual device
+   */
+  match(path) {
+    const matches = [];
+    for (const rule of this.rules) {
+      const captures = rule.pattern.exec(path);
+      if (!captures) {
+        continue;
+      }
+      const basePath = rule.device
+        ? rule.device.replace(/\$(\d+)/g, (placeholder, group) => captures[Number(group)] ?? placeholder)
+        : path.split('.').slice(0, -1).join('.') || path;
+      matches.push({ rule, deviceType: MAPPABLE_SERVICE_TYPES[rule.service], basePath });
+    }
+    return matches;
+  }
+
+  /**
+   * Convert a Signal K value for the D-Bus path of a rule
+   * @param {Object} rule - Compiled rule
+   * @param {*} value - Signal K value
+   * @returns {number|string|null} Converted value, null if the value can't be published
+   */
+  convert(rule, value) {
+    if (rule.type === 's') {
+      return typeof value === 'string' || typeof value === 'number' ? String(value) : null;
+    }
+
+    const number = typeof value === 'boolean' ? Number(value) : value;
+    if (typeof number !== 'number' || !isFinite(number)) {
+      return null;
+    }
+    const converted = number * rule.scale + rule.offset;
+    return rule.type === 'i' ? Math.round(converted) : converted;
+  }
+
+  _compile(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('rule must be an object');
+    }
+    if (typeof rule.source !== 'string' || rule.source.trim() === '') {
+      throw new Error('source path is required');
+    }
+    if (!MAPPABLE_SERVICE_TYPES[rule.service]) {
+      throw new Error(`unsupported service type "${rule.service}" (use ${Object.keys(MAPPABLE_SERVICE_TYPES).join(', ')})`);
+    }
+    if (typeof rule.path !== 'string' || !rule.path.startsWith('/')) {
+      throw new Error('D-Bus path must start with /');
+    }
+    const type = rule.type || 'd';
+    if (!DBUS_TYPES.includes(type)) {
+      throw new Error(`unsupported D-Bus type "${type}" (use ${DBUS_TYPES.join(', ')})`);
+    }
+    for (const field of ['scale', 'offset']) {
+      if (rule[field] !== undefined && (typeof rule[field] !== 'number' || !isFinite(rule[field]))) {
+        throw new Error(`${field} must be a number`);
+      }
+    }
+
+    const source = rule.source.trim();
+    return {
+      source,
+      pattern: this._globToRegex(source),
+      service: rule.service,
+      path: rule.path,
+      device: typeof rule.device === 'string' && rule.device.trim() !== '' ? rule.device.trim() : null,
+      name: typeof rule.name === 'string' && rule.name.trim() !== '' ? rule.name.trim() : null,
+      type,
+      scale: rule.scale ?? 1,
+      offset: rule.offset ?? 0,
+      unit: typeof rule.unit === 'string' ? rule.unit : '',
+      text: rule.unit ? `${rule.path.slice(1)} (${rule.unit})` : rule.path.slice(1)
+    };
+  }
+
+  // `*` matches one path segment, `**` any number of segments - each wildcard is a capture for $1, $2, ...
+  _globToRegex(glob) {
+    const segments = glob.split('.').map(segment => {
+      if (segment === '**') {
+        return '(.+)';
+      }
+      return segment
+        .split('*')
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('([^.]+)');
+    });
+    return new RegExp(`^${segments.join('\\.')}$`);
+  }
+}
@@ -0,0 +1,73 @@
+import dbusNative from 'dbus-native';
+
+// Default D-Bus system bus socket on Venus OS (and most Linux systems)
+export const SYSTEM_BUS_SOCKET = '/var/run/dbus/system_bus_socket';
+
+// Connection modes:
+// - 'tcp': D-Bus over TCP to venusHost (requires "D-Bus over TCP" enabled on the GX)
+// - 'system': the local system bus, for Signal K running on Venus OS Large
+// - 'socket': a custom unix socket path from dbusSocketPath
+export function getConnectionMode(settings) {
+  const mode = settings.connectionMode || 'tcp';
+  return ['tcp', 'system', 'socket'].includes(mode) ? mode : 'tcp';
+}
+
+// dbus-native createClient options for the configured connection mode
+export function getDbusClientOptions(settings) {
+  switch (getConnectionMode(settings)) {
+    case 'system':
+      // Local connections authenticate with the process uid (EXTERNAL), not ANONYMOUS
+      return { socket: SYSTEM_BUS_SOCKET };
+    case 'socket':
+      return { socket: settings.dbusSocketPath || SYSTEM_BUS_SOCKET };
+    default:
+      return {
+        host: settings.venusHost,
+        port: settings.port || 78,
+        authMethods: ['ANONYMOUS'] // Venus OS D-Bus over TCP only allows anonymous auth
+      };
+  }
+}
+
+export function createDbusClient(settings, extraOptions = {}) {
+  return dbusNative.createClient({ ...getDbusClientOptions(settings), ...extraOptions });
+}
+
+// Human-readable connection target for status and error messages
+export function describeDbusTarget(settings) {
+  switch (getConnectionMode(settings)) {
+    case 'system':
+      return 'the local system bus';
+    case 'socket':
+      return `D-Bus socket ${settings.dbusSocketPath || SYSTEM_BUS_SOCKET}`;
+    default:
+      return `${settings.venusHost}:${settings.port || 78}`;
+  }
+}
+
+// Short explanation of a connection error, matching the connection mode
+export function describeDbusError(err, settings) {
+  const local = getConnectionMode(settings) !== 'tcp';
+  const code = err?.code;
+  const message = err?.message || '';
+
+  if (code === 'ENOTFOUND') {
+    return 'DNS resolution failed';
+  }
+  if (code === 'ECONNREFUSED') {
+    return local ? 'connection refused - is the D-Bus daemon running?' : 'connection refused - check D-Bus TCP setting';
+  }
+  if (code === 'ENOENT' && local) {
+    return 'socket not found - local connection modes only work when Signal K runs on Venus OS';
+  }
+  if (code === 'EACCES') {
+    return 'permission denied - the Signal K user needs access to the D-Bus socket';
+  }
+  if (message.includes('timeout')) {
+    return 'connection timeout';
+  }
+  if (message.includes('dbus-keyrings') || code === 'ENOENT') {
+    return 'D-Bus authentication failed - this is a known issue';
+  }
+  return null;
+}
@@ -79,6 +79,11 @@ export const DEVICE_CONFIGS = {
       "/System/NrOfBatteries": { type: "i", value: 1, text: "Number of batteries" },
       "/System/MinCellVoltage": { type: "d", text: "Minimum cell voltage" },
       "/System/MaxCellVoltage": { type: "d", text: "Maximum cell voltage" },
+      "/System/MinCellTemperature": { type: "d", text: "Lowest member battery temperature" },
+      "/System/MaxCellTemperature": { type: "d", text: "Highest member battery temperature" },
+      "/System/NrOfCellsPerBattery": { type: "i", text: "Number of cells per battery" },
+      "/Voltages/Sum": { type: "d", text: "Sum of cell voltages" },
+      "/Voltages/Diff": { type: "d", text: "Cell voltage difference" },
       "/Relay/0/State": { type: "i", value: 0, text: "Relay state" },
       "/State": { type: "i", value: 0, text: "Battery state" },
       "/ErrorCode": { type: "i", value: 0, text: "Error code" },
@@ -91,14 +96,15 @@ export const DEVICE_CONFIGS = {
       "/Alarms/HighTemperature": { type: "i", value: 0, text: "High temperature alarm" },
       "/Alarms/LowTemperature": { type: "i", value: 0, text: "Low temperature alarm" },
       "/Info/BatteryLowVoltage": { type: "i", value: 0, text: "Battery low voltage info" },
-      "/Info/MaxChargeCurrent": { type: "i", text: "Max charge current" },
-      "/Info/MaxDischargeCurrent": { type: "i", text: "Max discharge current" },
+      "/Info/MaxChargeCurrent": { type: "d", text: "Max charge current" },
+      "/Info/MaxDischargeCurrent": { type: "d", text: "Max discharge current" },
       "/Info/MaxChargeVoltage": { type: "d", text: "Max charge voltage" },
       "/History/DischargedEnergy": { type: "d", text: "Discharged energy" },
       "/History/ChargedEnergy": { type: "d", text: "Charged energy" },
       "/History/TotalAhDrawn": { type: "d", text: "Total Ah drawn" },
       "/History/MinimumVoltage": { type: "d", text: "Minimum voltage" },
       "/History/MaximumVoltage": { type: "d", text: "Maximum voltage" },
+      "/History/Clear": { type: "i", value: 0, text: "Clear history" },
       "/Balancer": { type: "i", value: 0, text: "Balancer active" },
       "/Io/AllowToCharge": { type: "i", value: 1, text: "Allow to charge" },
       "/Io/AllowToDischarge": { type: "i", value: 1, text: "Allow to discharge" },
@@ -120,6 +126,11 @@ export const DEVICE_CONFIGS = {
       '/System/NrOfBatteries': 'Number of batteries',
       '/System/MinCellVoltage': 'Minimum cell voltage',
       '/System/MaxCellVoltage': 'Maximum cell voltage',
+      '/System/MinCellTemperature': 'Lowest member battery temperature',
+      '/System/MaxCellTemperature': 'Highest member battery temperature',
+      '/System/NrOfCellsPerBattery': 'Number of cells per battery',
+      '/Voltages/Sum': 'Sum of cell voltages',
+      '/Voltages/Diff': 'Cell voltage difference',
       '/Relay/0/State': 'Relay state',
       '/State': 'Battery state',
       '/ErrorCode': 'Error code',
@@ -140,6 +151,7 @@ export const DEVICE_CONFIGS = {
       '/History/TotalAhDrawn': 'Total Ah drawn',
       '/History/MinimumVoltage': 'Minimum voltage',
       '/History/MaximumVoltage': 'Maximum voltage',
+      '/History/Clear': 'Clear history',
       '/Balancer': 'Balancer active',
       '/Io/AllowToCharge': 'Allow to charge',
       '/Io/AllowToDischarge': 'Allow to discharge',
@@ -161,6 +173,11 @@ export const DEVICE_CONFIGS = {
       '/System/NrOfBatteries': 'i',
       '/System/MinCellVoltage': 'd',
       '/System/MaxCellVoltage': 'd',
+      '/System/MinCellTemperature': 'd',
+      '/System/MaxCellTemperature': 'd',
+      '/System/NrOfCellsPerBattery': 'i',
+      '/Voltages/Sum': 'd',
+      '/Voltages/Diff': 'd',
       '/Relay/0/State': 'i',
       '/State': 'i',
       '/ErrorCode': 'i',
@@ -173,19 +190,22 @@ export const DEVICE_CONFIGS = {
       '/Alarms/HighTemperature': 'i',
       '/Alarms/LowTemperature': 'i',
       '/Info/BatteryLowVoltage': 'i',
-      '/Info/MaxChargeCurrent': 'i',
-      '/Info/MaxDischargeCurrent': 'i',
+      '/Info/MaxChargeCurrent': 'd',
+      '/Info/MaxDischargeCurrent': 'd',
       '/Info/MaxChargeVoltage': 'd',
       '/History/DischargedEnergy': 'd',
       '/History/ChargedEnergy': 'd',
       '/History/TotalAhDrawn': 'd',
       '/History/MinimumVoltage': 'd',
       '/History/MaximumVoltage': 'd',
+      '/History/Clear': 'i',
       '/Balancer': 'i',
       '/Io/AllowToCharge': 'i',
       '/Io/AllowToDischarge': 'i',
       '/Io/ExternalRelay': 'i'
-    }
+    },
+    // Writing 1 to /History/Clear (VictronConnect, GX Touch) resets the battery history
+    writablePaths: ['/History/Clear']
   },
 
   switch: {
@@ -194,26 +214,260 @@ export const DEVICE_CONFIGS = {
     productName: 'SignalK Virtual Switch',
     serviceDescription: 'SignalK Virtual Switch Service',
     additionalProperties: {
-      // Switch specific properties
-      "/Relay/0/State": { type: "i", value: 0, text: "Switch state" },
-      "/Switches/0/State": { type: "i", value: 0, text: "Switch state" },
-      "/Switches/0/Position": { type: "i", value: 0, text: "Switch position" },
-      "/Switches/0/Name": { type: "s", value: "", text: "Switch name" },
-      "/DimmingLevel": { type: "i", value: 0, text: "Dimming level" },
+      // Module state of the switch bank - 0x100 means connected (SwitchableOutput API)
+      "/State": { type: "i", value: 0x100, text: "Module state" },
     },
     pathMappings: {
-      '/Relay/0/State': 'Switch state',
-      '/Switches/0/State': 'Switch state',
-      '/Switches/0/Position': 'Switch position',
-      '/Switches/0/Name': 'Switch name',
-      '/DimmingLevel': 'Dimming level'
+      '/State': 'Module state'
     },
     pathTypes: {
-      '/Relay/0/State': 'i',
-      '/Switches/0/State': 'i',
-      '/Switches/0/Position': 'i',
-      '/Switches/0/Name': 's',
-      '/DimmingLevel': 'i'
+      '/State': 'i'
+    },
+    // Each Signal K switch is one channel of a bank: /SwitchableOutput/<channel>/...
+    channelPrefix: /^\/SwitchableOutput\/[A-Za-z0-9_]+/,
+    channelPathMappings: {
+      '/State': 'Switch state',
+      '/Status': 'Switch status',
+      '/Dimming': 'Dimming level',
+      '/Position': 'Switch position',
+      '/Name': 'Switch name',
+      '/Settings/Type': 'Switch type',
+      '/Settings/ValidTypes': 'Valid switch types',
+      '/Settings/Group': 'Switch group',
+      '/Settings/CustomName': 'Custom switch name',
+      '/Settings/ShowUIControl': 'Show UI control'
+    },
+    channelPathTypes: {
+      '/State': 'i',
+      '/Status': 'i',
+      '/Dimming': 'd',
+      '/Position': 'i',
+      '/Name': 's',
+      '/Settings/Type': 'i',
+      '/Settings/ValidTypes': 'i',
+      '/Settings/Group': 's',
+      '/Settings/CustomName': 's',
+      '/Settings/ShowUIControl': 'i'
+    },
+    // Paths Venus OS may write to (GX Touch, VRM) - SetValue on these is forwarded to Signal K
+    writablePaths: [/^\/SwitchableOutput\/[A-Za-z0-9_]+\/(State|Dimming|Position)$/]
+  },
+
+  solarcharger: {
+    serviceType: 'solarcharger',
+    processName: 'signalk-virtual-device',
+    productName: 'SignalK Virtual Solar Charger',
+    serviceDescription: 'SignalK Virtual Solar Charger Service',
+    additionalProperties: {
+      // Solar charger specific properties - no default values, only set when real data arrives
+      "/Pv/V": { type: "d", text: "PV voltage" },
+      "/Yield/Power": { type: "d", text: "PV power" },
+      "/Dc/0/Voltage": { type: "d", text: "Battery voltage" },
+      "/Dc/0/Current": { type: "d", text: "Battery current" },
+      "/State": { type: "i", value: 0, text: "Charge state" },
+      "/Mode": { type: "i", value: 1, text: "Mode" },
+      "/ErrorCode": { type: "i", value: 0, text: "Error code" },
+      "/NrOfTrackers": { type: "i", value: 1, text: "Number of trackers" },
+    },
+    pathMappings: {
+      '/Pv/V': 'PV voltage',
+      '/Pv/I': 'PV current',
+      '/Yield/Power': 'PV power',
+      '/Dc/0/Voltage': 'Battery voltage',
+      '/Dc/0/Current': 'Battery current',
+      '/State': 'Charge state',
+      '/Mode': 'Mode',
+      '/ErrorCode': 'Error code',
+      '/NrOfTrackers': 'Number of trackers',
+      '/History/Daily/0/Yield': 'Yield today',
+      '/History/Daily/0/MaxPower': 'Maximum power today',
+      '/History/Daily/0/MaxPvVoltage': 'Maximum PV voltage today',
+      '/History/Daily/0/MaxBatteryVoltage': 'Maximum battery voltage today',
+      '/History/Daily/0/MinBatteryVoltage': 'Minimum battery voltage today',
+      '/History/Daily/1/Yield': 'Yield yesterday',
+      '/History/Daily/1/MaxPower': 'Maximum power yesterday',
+      '/History/Daily/1/MaxPvVoltage': 'Maximum PV voltage yesterday',
+      '/History/Daily/1/MaxBatteryVoltage': 'Maximum battery voltage yesterday',
+      '/History/Daily/1/MinBatteryVoltage': 'Minimum battery voltage yesterday'
+    },
+    pathTypes: {
+      '/Pv/V': 'd',
+      '/Pv/I': 'd',
+      '/Yield/Power': 'd',
+      '/Dc/0/Voltage': 'd',
+      '/Dc/0/Current': 'd',
+      '/State': 'i',
+      '/Mode': 'i',
+      '/ErrorCode': 'i',
+      '/NrOfTrackers': 'i',
+      '/History/Daily/0/Yield': 'd',
+      '/History/Daily/0/MaxPower': 'd',
+      '/History/Daily/0/MaxPvVoltage': 'd',
+      '/History/Daily/0/MaxBatteryVoltage': 'd',
+      '/History/Daily/0/MinBatteryVoltage': 'd',
+      '/History/Daily/1/Yield': 'd',
+      '/History/Daily/1/MaxPower': 'd',
+      '/History/Daily/1/MaxPvVoltage': 'd',
+      '/History/Daily/1/MaxBatteryVoltage': 'd',
+      '/History/Daily/1/MinBatteryVoltage': 'd'
+    },
+    chargeStates: {
+      // Signal K chargingMode -> Venus OS charger state
+      'off': 0,
+      'fault': 2,
+      'bulk': 3,
+      'acceptance': 4,
+      'absorption': 4,
+      'overcharge': 4,
+      'float': 5,
+      'storage': 6,
+      'equalize': 7
+    }
+  },
+
+  alternator: {
+    serviceType: 'alternator',
+    processName: 'signalk-virtual-device',
+    productName: 'SignalK Virtual Alternator',
+    serviceDescription: 'SignalK Virtual Alternator Service',
+    additionalProperties: {
+      // Alternator specific properties - no default values, only set when real data arrives
+      "/Dc/0/Voltage": { type: "d", text: "Output voltage" },
+      "/Dc/0/Current": { type: "d", text: "Output current" },
+      "/Dc/0/Power": { type: "d", text: "Output power" },
+      "/State": { type: "i", value: 0, text: "State" },
+      "/ErrorCode": { type: "i", value: 0, text: "Error code" },
+    },
+    pathMappings: {
+      '/Dc/0/Voltage': 'Output voltage',
+      '/Dc/0/Current': 'Output current',
+      '/Dc/0/Power': 'Output power',
+      '/Dc/0/Temperature': 'Alternator temperature',
+      '/FieldDrive': 'Field drive',
+      '/Speed': 'Alternator speed',
+      '/Engine/Speed': 'Engine speed',
+      '/State': 'State',
+      '/ErrorCode': 'Error code'
+    },
+    pathTypes: {
+      '/Dc/0/Voltage': 'd',
+      '/Dc/0/Current': 'd',
+      '/Dc/0/Power': 'd',
+      '/Dc/0/Temperature': 'd',
+      '/FieldDrive': 'd',
+      '/Speed': 'd',
+      '/Engine/Speed': 'd',
+      '/State': 'i',
+      '/ErrorCode': 'i'
+    }
+  },
+
+  gps: {
+    serviceType: 'gps',
+    processName: 'signalk-virtual-device',
+    productName: 'SignalK Virtual GPS',
+    serviceDescription: 'SignalK Virtual GPS Service',
+    additionalProperties: {
+      // GPS specific properties - no default position, only set when real data arrives
+      "/Position/Latitude": { type: "d", text: "Latitude" },
+      "/Position/Longitude": { type: "d", text: "Longitude" },
+      "/Fix": { type: "i", value: 0, text: "Fix" },
+    },
+    pathMappings: {
+      '/Position/Latitude': 'Latitude',
+      '/Position/Longitude': 'Longitude',
+      '/Speed': 'Speed over ground',
+      '/Course': 'Course over ground',
+      '/Altitude': 'Altitude',
+      '/Fix': 'Fix',
+      '/NrOfSatellites': 'Number of satellites'
+    },
+    pathTypes: {
+      '/Position/Latitude': 'd',
+      '/Position/Longitude': 'd',
+      '/Speed': 'd',
+      '/Course': 'd',
+      '/Altitude': 'd',
+      '/Fix': 'i',
+      '/NrOfSatellites': 'i'
+    },
+    // Signal K navigation.gnss.methodQuality values that mean there is no usable fix
+    noFixQualities: ['no gps', 'error']
+  },
+
+  digitalinput: {
+    serviceType: 'digitalinput',
+    processName: 'signalk-virtual-device',
+    productName: 'SignalK Virtual Digital Input',
+    serviceDescription: 'SignalK Virtual Digital Input Service',
+    additionalProperties: {
+      // Digital input specific properties - /Type and /State are set from the notification
+      "/Count": { type: "i", value: 0, text: "Count" },
+      "/Alarm": { type: "i", value: 0, text: "Alarm" },
+    },
+    pathMappings: {
+      '/Type': 'Input type',
+      '/State': 'Input state',
+      '/Alarm': 'Alarm',
+      '/Count': 'Count'
+    },
+    pathTypes: {
+      '/Type': 'i',
+      '/State': 'i',
+      '/Alarm': 'i',
+      '/Count': 'i'
+    },
+    // Venus OS digital input /Type values
+    inputTypes: {
+      'door': 2,
+      'bilge': 4,
+      'burglar': 5,
+      'smoke': 6,
+      'fire': 7,
+      'co2': 8,
+      'generic': 10
+    },
+    // Venus OS /State values for [inactive, active] - alarm inputs report ok/alarm, generic inputs low/high
+    inputStates: {
+      'door': [7, 6],
+      'generic': [0, 1],
+      'default': [8, 9]
+    },
+    // Signal K notification states and the /Alarm level they raise (0 = ok, 1 = warning, 2 = alarm)
+    notificationAlarmLevels: {
+      'normal': 0,
+      'nominal': 0,
+      'alert': 1,
+      'warn': 1,
+      'alarm': 2,
+      'emergency': 2
+    }
+  },
+
+  meteo: {
+    serviceType: 'meteo',
+    processName: 'signalk-virtual-device',
+    productName: 'SignalK Virtual Meteo',
+    serviceDescription: 'SignalK Virtual Meteo Service',
+    additionalProperties: {
+      // Meteo specific properties - no default values, only set when real data arrives
+      "/Irradiance": { type: "d", text: "Solar irradiance" },
+      "/WindSpeed": { type: "d", text: "Wind speed" },
+      "/WindDirection": { type: "d", text: "Wind direction" },
+    },
+    pathMappings: {
+      '/Irradiance': 'Solar irradiance',
+      '/WindSpeed': 'Wind speed',
+      '/WindDirection': 'Wind direction',
+      '/ExternalTemperature': 'External temperature',
+      '/Pressure': 'Pressure'
+    },
+    pathTypes: {
+      '/Irradiance': 'd',
+      '/WindSpeed': 'd',
+      '/WindDirection': 'd',
+      '/ExternalTemperature': 'd',
+      '/Pressure': 'd'
     }
   },
 
@@ -0,0 +1,21 @@
+// Device names shared by the plugin (device selection in the web app) and the clients (names on Venus OS),
+// so a device shows up under the same name in both places.
+
+/**
+ * Name of a solar charger
+ * @param {string} solarId - Id below electrical.solar, e.g. '278', 'arch' or 'biminiTop'
+ * @param {number} totalChargers - Number of solar chargers, a numeric id is left out for a single charger
+ * @returns {string} e.g. 'Solar Charger', 'Solar Charger 278' or 'Solar Bimini Top'
+ */
+export function getSolarName(solarId, totalChargers) {
+  if (!solarId) {
+    return 'Solar Charger';
+  }
+  if (!/^\d+$/.test(solarId)) {
+    // Functional name - convert camelCase to Title Case with spaces
+    const name = solarId.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+    return `Solar ${name}`;
+  }
+  // Numeric IDs are usually N2K/VE.Direct instance numbers, omit them for a single charger
+  return totalChargers <= 1 ? 'Solar Charger' : `Solar Charger ${solarId}`;
+}
@@ -0,0 +1,16 @@
+// Devices wired directly to the battery bank (batteryMonitor.directDcDevices)
+// Their entries can name any base path and custom current/power paths, so the plugin (device discovery)
+// and the alternator client (path routing) both match Signal K paths against them here.
+
+/**
+ * Alternator entry of batteryMonitor.directDcDevices that owns a Signal K path
+ * @param {Object} config - Plugin configuration or client settings
+ * @param {string} path - Signal K path
+ * @returns {Object|null} The directDcDevices entry, null if no alternator entry owns the path
+ */
+export function findDirectAlternator(config, path) {
+  const devices = config?.batteryMonitor?.directDcDevices?.filter(device => device.type === 'alternator') || [];
+  return devices.find(device =>
+    device.basePath && (path === device.currentPath || path === device.powerPath || path.startsWith(`${device.basePath}.`))
+  ) || null;
+}
@@ -0,0 +1,222 @@
+/**
+ * DVCC control mode for Signal K BMS data
+ * Venus OS DVCC follows the charge limits of the battery service it uses as BMS, so limits from Signal K
+ * are only published for batteries explicitly opted in. Implausible values are rejected, increases are
+ * ramped, and a watchdog falls back to safe limits or stops charging when the BMS data stops. Every
+ * change of a published limit is kept in an audit log.
+ */
+
+// Limits and permissions DVCC acts on, keyed like the BMS values
+export const DVCC_PATHS = {
+  maxChargeVoltage: { path: '/Info/MaxChargeVoltage', type: 'd', text: 'Max charge voltage', unit: 'V' },
+  maxChargeCurrent: { path: '/Info/MaxChargeCurrent', type: 'd', text: 'Max charge current', unit: 'A' },
+  maxDischargeCurrent: { path: '/Info/MaxDischargeCurrent', type: 'd', text: 'Max discharge current', unit: 'A' },
+  allowToCharge: { path: '/Io/AllowToCharge', type: 'i', text: 'Allow to charge', unit: '' },
+  allowToDischarge: { path: '/Io/AllowToDischarge', type: 'i', text: 'Allow to discharge', unit: '' }
+};
+
+import settings from './settings.js';
+
+const LIMIT_KEYS = ['maxChargeVoltage', 'maxChargeCurrent', 'maxDischargeCurrent'];
+const MAX_AUDIT_ENTRIES = 200;
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+// The plugin config replaces batteryMonitor as a whole, so a saved dvcc block can lack any of these
+const DEFAULTS = settings.batteryMonitor.dvcc;
+
+export class DvccGuard {
+  constructor(options = {}, logger = null) {
+    this.logger = logger || { debug: () => {}, warn: () => {} };
+    this.enabled = options.enabled === true; // Explicit opt-in
+    this.batteries = Array.isArray(options.batteries) ? options.batteries : [];
+    this.ranges = {
+      maxChargeVoltage: {
+        min: options.maxChargeVoltage?.min ?? DEFAULTS.maxChargeVoltage.min,
+        max: options.maxChargeVoltage?.max ?? DEFAULTS.maxChargeVoltage.max
+      },
+      maxChargeCurrent: { min: 0, max: options.maxChargeCurrent?.max ?? DEFAULTS.maxChargeCurrent.max },
+      maxDischargeCurrent: { min: 0, max: options.maxDischargeCurrent?.max ?? DEFAULTS.maxDischargeCurrent.max }
+    };
+    // Increase per second - decreases are always applied at once
+    this.rampRates = {
+      maxChargeVoltage: options.rampRate?.voltage ?? DEFAULTS.rampRate.voltage,
+      maxChargeCurrent: options.rampRate?.current ?? DEFAULTS.rampRate.current,
+      maxDischargeCurrent: options.rampRate?.current ?? DEFAULTS.rampRate.current
+    };
+    this.watchdogTimeout = options.watchdogTimeout ?? DEFAULTS.watchdogTimeout;
+    this.safeLimits = options.safeLimits ?? DEFAULTS.safeLimits;
+    this.fallback = options.fallback === 'safeLimits' ? 'safeLimits' : 'stopCharging';
+    // Without a safe limit the last BMS limits would stay active - stop charging instead
+    if (this.fallback === 'safeLimits' && !LIMIT_KEYS.some(key => isNumber(this.safeLimits?.[key]))) {
+      this.logger.warn('DVCC: fallback safeLimits needs at least one safe limit - stopping charging instead');
+      this.fallback = 'stopCharging';
+    }
+    this.auditLog = [];
+  }
+
+  /**
+   * Whether the limits of a battery are published
+   * @param {string} devicePath - Signal K battery path
+   * @returns {boolean}
+   */
+  controls(devicePath) {
+    return this.enabled && (this.batteries.length === 0 || this.batteries.includes(devicePath));
+  }
+
+  /**
+   * Create the control state of a battery
+   * @returns {Object} Requested, published and rejected values, reasons of unsent changes, time of the
+   *   last BMS value and fallback flag
+   */
+  createState() {
+    return { requested: {}, published: {}, rejected: {}, pending: {}, rampTimes: {}, lastUpdate: null, fallback: false };
+  }
+
+  /**
+   * Apply a limit or permission from the BMS. The first DVCC value of any kind arms the watchdog, but only
+   * plausible limits count as fresh BMS data - a BMS that keeps sending its charging mode but no limits
+   * still ends in the fallback. The returned updates count as published once passed to commit().
+   * @param {Object} state - State created by createState (mutated in place)
+   * @param {string} devicePath - Signal K battery path, for the audit log
+   * @param {string} key - Key of DVCC_PATHS
+   * @param {number} value - Value in the Venus OS unit, permissions as 1 or 0
+   * @param {number} now - Timestamp in ms
+   * @returns {Object[]} D-Bus updates { path, value, type, text }
+   */
+  request(state, devicePath, key, value, now = Date.now()) {
+    if (!DVCC_PATHS[key]) {
+      return [];
+    }
+    if (state.lastUpdate === null) {
+      state.lastUpdate = now;
+    }
+    if (!LIMIT_KEYS.includes(key)) {
+      state.requested[key] = value;
+      // While the watchdog stopped charging only fresh limits can allow it again
+      if (state.fallback && this.fallback === 'stopCharging' && key === 'allowToCharge') {
+        return [];
+      }
+      return this._publish(state, key, value, 'bms');
+    }
+
+    const { min, max } = this.ranges[key];
+    if (!isNumber(value) || value < min || value > max) {
+      // Implausible values don't feed the watchdog - logged once until the value changes
+      if (state.rejected[key] !== value) {
+        state.rejected[key] = value;
+        this._audit(devicePath, key, state.published[key] ?? null, value, `rejected, outside ${min}-${max}${DVCC_PATHS[key].unit}`);
+      }
+      return [];
+    }
+    delete state.rejected[key];
+
+    const updates = [];
+    state.lastUpdate = now;
+    state.requested[key] = value;
+    if (state.fallback) {
+      state.fallback = false;
+      this.logger.warn(`DVCC: BMS limits for ${devicePath} resumed`);
+      // Limits ramp up from the fallback values starting now
+      for (const limit of LIMIT_KEYS) {
+        state.rampTimes[limit] = now;
+      }
+      // A permission dropped by the watchdog comes back unless the BMS still blocks it
+      if (this.fallback === 'stopCharging') {
+        updates.push(...this._publish(state, 'allowToCharge', state.requested.allowToCharge ?? 1, 'resumed'));
+      }
+    }
+    updates.push(...this._publish(state, key, this._ramp(state, key, value, now), 'bms'));
+    return updates;
+  }
+
+  /**
+   * Watchdog and ramp - call periodically. Fallback values are returned again until they are committed.
+   * @param {Object} state - State created by createState (mutated in place)
+   * @param {string} devicePath - Signal K battery path, for the audit log
+   * @param {number} now - Timestamp in ms
+   * @returns {Object[]} D-Bus updates { path, value, type, text }
+   */
+  check(state, devicePath, now = Date.now()) {
+    if (state.lastUpdate === null) {
+      return [];
+    }
+    if (!state.fallback && this.watchdogTimeout > 0 && now - state.lastUpdate > this.watchdogTimeout) {
+      state.fallback = true;
+      this.logger.warn(`DVCC: no plausible BMS limits for ${devicePath} for ${Math.round((now - state.lastUpdate) / 1000)}s - ${this.fallback === 'safeLimits' ? 'applying safe limits' : 'stopping charging'}`);
+    }
+    if (state.fallback) {
+      if (this.fallback === 'stopCharging') {
+        return this._publish(state, 'allowToCharge', 0, 'watchdog');
+      }
+      return LIMIT_KEYS
+        .filter(key => isNumber(this.safeLimits[key]))
+        .flatMap(key => this._publish(state, key, this.safeLimits[key], 'watchdog'));
+    }
+
+    // Continue ramping limits towards the requested values
+    return LIMIT_KEYS
+      .filter(key => isNumber(state.requested[key]) && state.published[key] !== state.requested[key])
+      .flatMap(key => this._publish(state, key, this._ramp(state, key, state.requested[key], now), 'ramp'));
+  }
+
+  /**
+   * Record updates as published once they have been sent to Venus OS - updates that were never sent are
+   * returned again by the next request or check
+   * @param {Object} state - State created by createState (mutated in place)
+   * @param {string} devicePath - Signal K battery path, for the audit log
+   * @param {Object[]} updates - Sent updates, paths other than DVCC_PATHS are ignored
+   */
+  commit(state, devicePath, updates) {
+    for (const { path, value } of updates) {
+      const key = Object.keys(DVCC_PATHS).find(candidate => DVCC_PATHS[candidate].path === path);
+      if (!key || state.published[key] === value) {
+        continue;
+      }
+      this._audit(devicePath, key, state.published[key] ?? null, value, state.pending[key] ?? 'bms');
+      state.published[key] = value;
+      delete state.pending[key];
+    }
+  }
+
+  /**
+   * Audit log of published limit changes, oldest first
+   * @returns {Object[]} time, battery, path, from, to and reason
+   */
+  getAuditLog() {
+    return [...this.auditLog];
+  }
+
+  // Increases are limited to the ramp rate since the last published change, decreases pass at once
+  _ramp(state, key, value, now) {
+    const previous = state.published[key];
+    const rate = this.rampRates[key];
+    if (!LIMIT_KEYS.includes(key) || !isNumber(previous) || value <= previous || !rate) {
+      state.rampTimes[key] = now;
+      return value;
+    }
+    const elapsed = Math.max(0, (now - (state.rampTimes[key] ?? now)) / 1000);
+    state.rampTimes[key] = now;
+    return Math.min(value, previous + rate * elapsed);
+  }
+
+  // Update for a changed value - audited and recorded as published by commit()
+  _publish(state, key, value, reason) {
+    if (state.published[key] === value) {
+      delete state.pending[key];
+      return [];
+    }
+    state.pending[key] = reason;
+    const { path, type, text } = DVCC_PATHS[key];
+    return [{ path, value, type, text }];
+  }
+
+  _audit(devicePath, key, from, to, reason) {
+    const entry = { time: new Date().toISOString(), battery: devicePath, path: DVCC_PATHS[key].path, from, to, reason };
+    this.auditLog.push(entry);
+    if (this.auditLog.length > MAX_AUDIT_ENTRIES) {
+      this.auditLog.shift();
+    }
+    this.logger.warn(`DVCC audit: ${devicePath} ${entry.path} ${from ?? '-'} -> ${to} (${reason})`);
+  }
+}
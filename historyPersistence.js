@@ -1,14 +1,29 @@
 import fs from 'fs/promises';
 import path from 'path';
 
+// Version 1: { historyData, energyAccumulators, lastUpdateTime } maps shared by all clients
+// Version 2: { version, devices: { <path>: { history, energyAccumulator, lastUpdateTime } } } one file per client
+export const HISTORY_FILE_VERSION = 2;
+
 /**
  * Handles persistence of battery history data for VRM consumption calculations
  * Provides atomic write operations and periodic saving to prevent data loss
  */
 export class HistoryPersistence {
-  constructor(filePath, logger) {
+  /**
+   * @param {string|null} filePath - History file, null keeps history in memory only
+   * @param {Object} logger - Logger with debug/error methods
+   * @param {Object} options
+   * @param {string|null} options.legacyFilePath - Version 1 file to migrate from when filePath does not exist yet
+   * @param {number} options.maxCorruptedBackups - Number of .corrupted.<ts> backups to keep
+   * @param {number} options.corruptedBackupMaxAgeDays - Remove .corrupted.<ts> backups older than this
+   */
+  constructor(filePath, logger, options = {}) {
     this.filePath = filePath;
     this.logger = logger || { debug: () => {}, error: () => {} };
+    this.legacyFilePath = options.legacyFilePath || null;
+    this.maxCorruptedBackups = options.maxCorruptedBackups ?? 3;
+    this.corruptedBackupMaxAgeDays = options.corruptedBackupMaxAgeDays ?? 30;
     this.periodicSaveInterval = null;
     this.saveIntervalMs = 60000; // Save every minute
     this.saveInProgress = false; // Prevent concurrent saves
@@ -22,6 +37,10 @@ export class HistoryPersistence {
    * @returns {Object} Object containing historyData, lastUpdateTime, and energyAccumulators Maps
    */
   async loadHistoryData() {
+    if (!this.filePath) {
+      return this._emptyHistory();
+    }
+    
     try {
       // Wait if a save operation is in progress to avoid reading partial data
       let attempts = 0;
@@ -30,7 +49,15 @@ export class HistoryPersistence {
         attempts++;
       }
       
-      const data = await fs.readFile(this.filePath, 'utf8');
+      let data;
+      try {
+        data = await fs.readFile(this.filePath, 'utf8');
+      } catch (readError) {
+        if (readError.code === 'ENOENT' && this.legacyFilePath) {
+          return await this._migrateLegacyFile();
+        }
+        throw readError;
+      }
       
       // Validate JSON before parsing to detect corruption
       const trimmedData = data.trim();
@@ -43,65 +70,14 @@ export class HistoryPersistence {
         throw new Error('History file appears to be truncated or corrupted');
       }
       
-      const parsed = JSON.parse(trimmedData);
-      
-      // Convert plain objects back to Maps
-      const historyData = new Map();
-      const lastUpdateTime = new Map();
-      const energyAccumulators = new Map();
-      
-      if (parsed.historyData) {
-        this.logger.debug(`Loading historyData with ${Object.keys(parsed.historyData).length} entries`);
-        for (const [key, value] of Object.entries(parsed.historyData)) {
-          this.logger.debug(`Loading history entry: ${key}`, value);
-          // Skip invalid keys
-          if (!key || key === 'undefined' || key === 'null') {
-            this.logger.debug(`Skipping invalid history key: ${key}`);
-            continue;
-          }
-          
-          // Validate data structure
-          if (value && typeof value === 'object') {
-            historyData.set(key, value);
-            this.logger.debug(`Added to historyData map: ${key}`);
-          } else {
-            this.logger.debug(`Skipping invalid history value for ${key}:`, value);
-          }
-        }
-      } else {
-        this.logger.debug(`No historyData found in parsed file`);
-      }
-      
-      if (parsed.lastUpdateTime) {
-        for (const [key, value] of Object.entries(parsed.lastUpdateTime)) {
-          if (!key || key === 'undefined' || key === 'null') {
-            continue;
-          }
-          lastUpdateTime.set(key, value);
-        }
-      }
-      
-      if (parsed.energyAccumulators) {
-        for (const [key, value] of Object.entries(parsed.energyAccumulators)) {
-          if (!key || key === 'undefined' || key === 'null') {
-            continue;
-          }
-          energyAccumulators.set(key, value);
-        }
-      }
-      
-      this.logger.debug(`Loaded history data for ${historyData.size} devices from ${this.filePath}`);
-      
-      return {
-        historyData,
-        lastUpdateTime,
-        energyAccumulators
-      };
+      const loaded = this._parseHistory(JSON.parse(trimmedData));
+      this.logger.debug(`Loaded history data for ${loaded.historyData.size} devices from ${this.filePath}`);
+      return loaded;
       
     } catch (error) {
       if (error.code === 'ENOENT') {
         this.logger.debug(`History file ${this.filePath} not found, starting with empty data`);
-      } else if (error.message.includes('JSON') || error.message.includes('position')) {
+      } else if (error.message.includes('JSON') || error.message.includes('position') || error.message.includes('corrupted')) {
         // JSON parsing error - likely corrupted file
         this.logger.error(`History file corrupted (${error.message}), backing up and starting fresh`);
         
@@ -113,16 +89,173 @@ export class HistoryPersistence {
         } catch (backupError) {
           this.logger.error(`Failed to backup corrupted file: ${backupError.message}`);
         }
+        await this.pruneCorruptedBackups();
       } else {
         this.logger.error(`Error loading history data: ${error.message}`);
       }
       
       // Return empty Maps
-      return {
-        historyData: new Map(),
-        lastUpdateTime: new Map(),
-        energyAccumulators: new Map()
-      };
+      return this._emptyHistory();
+    }
+  }
+
+  /**
+   * Convert a parsed history file of any supported version to Maps
+   * @param {Object} parsed - Parsed JSON content
+   * @returns {Object} Object containing historyData, lastUpdateTime, and energyAccumulators Maps
+   */
+  _parseHistory(parsed) {
+    const version = parsed.version ?? 1;
+    if (version > HISTORY_FILE_VERSION) {
+      throw new Error(`History file version ${version} is newer than supported version ${HISTORY_FILE_VERSION} (corrupted or downgraded)`);
+    }
+    if (version === 1) {
+      return this._parseVersion1(parsed);
+    }
+    
+    const historyData = new Map();
+    const lastUpdateTime = new Map();
+    const energyAccumulators = new Map();
+    
+    for (const [key, record] of Object.entries(parsed.devices || {})) {
+      // Skip invalid keys and records
+      if (!key || key === 'undefined' || key === 'null' || !record || typeof record !== 'object') {
+        this.logger.debug(`Skipping invalid history record: ${key}`);
+        continue;
+      }
+      if (record.history && typeof record.history === 'object') {
+        historyData.set(key, record.history);
+      }
+      if (record.energyAccumulator && typeof record.energyAccumulator === 'object') {
+        energyAccumulators.set(key, record.energyAccumulator);
+      }
+      if (typeof record.lastUpdateTime === 'number') {
+        lastUpdateTime.set(key, record.lastUpdateTime);
+      }
+    }
+    
+    return {
+      historyData,
+      lastUpdateTime,
+      energyAccumulators
+    };
+  }
+
+  // Version 1 files keep three separate maps keyed by device path
+  _parseVersion1(parsed) {
+    // Convert plain objects back to Maps
+    const historyData = new Map();
+    const lastUpdateTime = new Map();
+    const energyAccumulators = new Map();
+    
+    if (parsed.historyData) {
+      this.logger.debug(`Loading historyData with ${Object.keys(parsed.historyData).length} entries`);
+      for (const [key, value] of Object.entries(parsed.historyData)) {
+        this.logger.debug(`Loading history entry: ${key}`, value);
+        // Skip invalid keys
+        if (!key || key === 'undefined' || key === 'null') {
+          this.logger.debug(`Skipping invalid history key: ${key}`);
+          continue;
+        }
+        
+        // Validate data structure
+        if (value && typeof value === 'object') {
+          historyData.set(key, value);
+          this.logger.debug(`Added to historyData map: ${key}`);
+        } else {
+          this.logger.debug(`Skipping invalid history value for ${key}:`, value);
+        }
+      }
+    } else {
+      this.logger.debug(`No historyData found in parsed file`);
+    }
+    
+    if (parsed.lastUpdateTime) {
+      for (const [key, value] of Object.entries(parsed.lastUpdateTime)) {
+        if (!key || key === 'undefined' || key === 'null') {
+          continue;
+        }
+        lastUpdateTime.set(key, value);
+      }
+    }
+    
+    if (parsed.energyAccumulators) {
+      for (const [key, value] of Object.entries(parsed.energyAccumulators)) {
+        if (!key || key === 'undefined' || key === 'null') {
+          continue;
+        }
+        energyAccumulators.set(key, value);
+      }
+    }
+    
+    return {
+      historyData,
+      lastUpdateTime,
+      energyAccumulators
+    };
+  }
+
+  _emptyHistory() {
+    return {
+      historyData: new Map(),
+      lastUpdateTime: new Map(),
+      energyAccumulators: new Map()
+    };
+  }
+
+  /**
+   * Import the version 1 file from the old working-directory location and save it in the new format
+   * @returns {Object} Object containing historyData, lastUpdateTime, and energyAccumulators Maps
+   */
+  async _migrateLegacyFile() {
+    let data;
+    try {
+      data = await fs.readFile(this.legacyFilePath, 'utf8');
+    } catch (error) {
+      this.logger.debug(`History file ${this.filePath} not found, starting with empty data`);
+      return this._emptyHistory();
+    }
+    
+    try {
+      const loaded = this._parseHistory(JSON.parse(data));
+      await this._performSave(loaded.historyData, loaded.energyAccumulators, loaded.lastUpdateTime);
+      
+      // Keep the old file for reference, but make sure it is not migrated again
+      await fs.rename(this.legacyFilePath, `${this.legacyFilePath}.migrated`);
+      this.logger.debug(`Migrated history data for ${loaded.historyData.size} devices from ${this.legacyFilePath} to ${this.filePath}`);
+      return loaded;
+    } catch (error) {
+      this.logger.error(`Failed to migrate history file ${this.legacyFilePath}: ${error.message}`);
+      return this._emptyHistory();
+    }
+  }
+
+  /**
+   * Remove old .corrupted.<ts> backups - keep the newest maxCorruptedBackups younger than corruptedBackupMaxAgeDays
+   */
+  async pruneCorruptedBackups() {
+    if (!this.filePath) {
+      return;
+    }
+    
+    const dir = path.dirname(this.filePath);
+    const prefix = `${path.basename(this.filePath)}.corrupted.`;
+    const maxAgeMs = this.corruptedBackupMaxAgeDays * 24 * 3600 * 1000;
+    
+    try {
+      const backups = (await fs.readdir(dir))
+        .filter(name => name.startsWith(prefix))
+        .map(name => ({ name, timestamp: parseInt(name.slice(prefix.length), 10) || 0 }))
+        .sort((a, b) => b.timestamp - a.timestamp);
+      
+      for (const [index, backup] of backups.entries()) {
+        if (index >= this.maxCorruptedBackups || Date.now() - backup.timestamp > maxAgeMs) {
+          await fs.unlink(path.join(dir, backup.name));
+          this.logger.debug(`Removed old corrupted history backup ${backup.name}`);
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Failed to prune corrupted history backups: ${error.message}`);
     }
   }
 
@@ -133,6 +266,10 @@ export class HistoryPersistence {
    * @param {Map} lastUpdateTime - Last update timestamps
    */
   async saveHistoryData(historyData, energyAccumulators, lastUpdateTime) {
+    if (!this.filePath) {
+      return;
+    }
+    
     const now = Date.now();
     
     // Prevent too frequent saves (minimum 1 second apart)
@@ -173,6 +310,33 @@ export class HistoryPersistence {
     }
   }
 
+  /**
+   * Save immediately, bypassing the throttle - used after a history reset, which must not be lost
+   * @param {Map} historyData - Battery history data
+   * @param {Map} energyAccumulators - Energy accumulation data
+   * @param {Map} lastUpdateTime - Last update timestamps
+   */
+  async saveHistoryDataNow(historyData, energyAccumulators, lastUpdateTime) {
+    if (!this.filePath) {
+      return;
+    }
+    
+    // Wait for a running save so the two writes don't race on the temporary file
+    let attempts = 0;
+    while (this.saveInProgress && attempts < 50) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      attempts++;
+    }
+    
+    this.saveInProgress = true;
+    this.lastSaveAttempt = Date.now();
+    try {
+      await this._performSave(historyData, energyAccumulators, lastUpdateTime);
+    } finally {
+      this.saveInProgress = false;
+    }
+  }
+
   /**
    * Internal method to perform the actual save operation
    */
@@ -197,40 +361,38 @@ export class HistoryPersistence {
         // Directory might already exist, ignore
       }
       
-      // Convert Maps to plain objects for JSON serialization, with validation
-      const historyObj = {};
+      // Convert Maps to one record per device for JSON serialization, with validation
+      const isValidKey = key => key && key !== 'undefined' && key !== 'null';
+      const devices = {};
+      const recordFor = key => devices[key] || (devices[key] = {});
       for (const [key, value] of historyData) {
-        if (key && key !== 'undefined' && key !== 'null' && value && typeof value === 'object') {
-          historyObj[key] = value;
+        if (isValidKey(key) && value && typeof value === 'object') {
+          recordFor(key).history = value;
         }
       }
-      
-      const energyObj = {};
       for (const [key, value] of energyAccumulators) {
-        if (key && key !== 'undefined' && key !== 'null' && value && typeof value === 'object') {
-          energyObj[key] = value;
+        if (isValidKey(key) && value && typeof value === 'object') {
+          recordFor(key).energyAccumulator = value;
         }
       }
-      
-      const timeObj = {};
       for (const [key, value] of lastUpdateTime) {
-        if (key && key !== 'undefined' && key !== 'null' && typeof value === 'number') {
-          timeObj[key] = value;
+        if (isValidKey(key) && typeof value === 'number') {
+          recordFor(key).lastUpdateTime = value;
         }
       }
       
       // PROTECTION: Don't save empty history data - this can happen during shutdown/restart
       // and would overwrite existing good data
-      const hasValidHistoryData = Object.keys(historyObj).length > 0;
+      const hasValidHistoryData = Object.values(devices).some(record => record.history);
       
       if (!hasValidHistoryData) {
         // Check if we have existing data on disk before deciding to save empty data
         try {
           const existingData = await fs.readFile(this.filePath, 'utf8');
-          const existing = JSON.parse(existingData);
+          const existing = this._parseHistory(JSON.parse(existingData));
           
-          if (existing.historyData && Object.keys(existing.historyData).length > 0) {
-            this.logger.debug(`Skipping save of empty history data - preserving existing data with ${Object.keys(existing.historyData).length} devices`);
+          if (existing.historyData.size > 0) {
+            this.logger.debug(`Skipping save of empty history data - preserving existing data with ${existing.historyData.size} devices`);
             return; // Don't overwrite existing good data with empty data
           }
         } catch (existingError) {
@@ -240,9 +402,8 @@ export class HistoryPersistence {
       }
       
       const data = {
-        historyData: historyObj,
-        energyAccumulators: energyObj,
-        lastUpdateTime: timeObj,
+        version: HISTORY_FILE_VERSION,
+        devices,
         lastSaved: new Date().toISOString()
       };
       
@@ -253,7 +414,7 @@ export class HistoryPersistence {
       }
       
       // Validate that the JSON contains expected structure
-      if (!jsonString.includes('historyData') || !jsonString.includes('lastSaved')) {
+      if (!jsonString.includes('devices') || !jsonString.includes('lastSaved')) {
         throw new Error('Generated JSON missing required structure');
       }
       
@@ -266,7 +427,7 @@ export class HistoryPersistence {
       const parsed = JSON.parse(verification); // This will throw if JSON is invalid
       
       // Additional verification - check structure
-      if (!parsed.historyData || !parsed.lastSaved) {
+      if (parsed.version !== HISTORY_FILE_VERSION || !parsed.devices || !parsed.lastSaved) {
         throw new Error('Verification failed - saved data missing required fields');
       }
       
@@ -1,6 +1,14 @@
 import { VenusClientFactory } from './venusClientFactory.js';
 import settings from './settings.js';
-import dbusNative from 'dbus-native';
+import { createDbusClient, describeDbusTarget, describeDbusError } from './dbusConnection.js';
+import { DEVICE_CONFIGS } from './deviceConfigs.js';
+import { diffConfig, deviceNeedsRemoval } from './configDiff.js';
+import { CustomMappings, MAPPABLE_SERVICE_TYPES } from './customMappings.js';
+import { SourceSelector } from './sourceSelector.js';
+import { getVenusTargets, getDeviceTarget, getTargetSettings } from './venusTargets.js';
+import { findDirectAlternator } from './directDcDevices.js';
+import { getSolarName } from './deviceNames.js';
+import { getPinnedInstance } from './instanceRegistry.js';
 
 // Signal K plugin entry point
 export default function(app) {
@@ -9,9 +17,21 @@ export default function(app) {
     batteries: new Map(),
     tanks: new Map(), 
     environment: new Map(),
-    switches: new Map()
+    switches: new Map(),
+    solar: new Map(),
+    alternators: new Map(),
+    gps: new Map(),
+    meteo: new Map(),
+    notifications: new Map()
   };
   let lastSchemaUpdate = 0;
+  let activeConfig = settings; // Config of the running plugin, for the REST API
+  let activeOptions = {}; // Plugin options as saved by the server, updated by the web app
+  let sourceSelector = new SourceSelector(); // Active $source per path, rebuilt with the config on start
+  const connectivityHistory = []; // Latest connectivity test results, newest last
+  let targetStatus = {}; // Target name -> { name, target, reachable, error } of the running plugin
+  let retiredClients = null; // Clients of a stopped plugin, kept until the start() of a restart can reuse them
+  const maxConnectivityHistory = 50;
   
   const plugin = {
     id: 'signalk-to-venus',
@@ -24,14 +44,76 @@ export default function(app) {
     
     // Function to generate dynamic schema based on discovered paths
     schema: function() {
+      // Warning/alarm/hysteresis thresholds for one battery alarm
+      const alarmThresholdSchema = (title, unit, defaults) => ({
+        type: 'object',
+        title,
+        properties: {
+          warning: { type: 'number', title: `Warning (${unit})`, default: defaults.warning },
+          alarm: { type: 'number', title: `Alarm (${unit})`, default: defaults.alarm },
+          hysteresis: { type: 'number', title: `Hysteresis (${unit})`, default: defaults.hysteresis }
+        }
+      });
+      
       const baseSchema = {
         type: 'object',
         properties: {
+          connectionMode: {
+            type: 'string',
+            title: 'D-Bus Connection',
+            description: 'TCP connects to the Venus OS host below. Use "system" when Signal K runs on the GX itself (Venus OS Large) - no D-Bus over TCP needed.',
+            enum: ['tcp', 'system', 'socket'],
+            enumNames: ['TCP to Venus OS host (port 78)', 'Local system bus (Signal K on Venus OS)', 'Custom unix socket'],
+            default: 'tcp'
+          },
           venusHost: {
             type: 'string',
             title: 'Venus OS Host',
             default: 'venus.local'
           },
+          dbusSocketPath: {
+            type: 'string',
+            title: 'D-Bus Socket Path',
+            description: 'Only used for custom unix socket connections',
+            default: '/var/run/dbus/system_bus_socket'
+          },
+          venusTargets: {
+            type: 'array',
+            title: 'Venus OS Targets',
+            description: 'Several GX devices, e.g. a Cerbo GX and an Ekrano. Leave empty to use the connection above. Devices are published on the first target unless their device override names another one.',
+            default: [],
+            items: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  title: 'Name',
+                  description: 'Used to assign devices, defaults to the host'
+                },
+                connectionMode: {
+                  type: 'string',
+                  title: 'D-Bus Connection',
+                  enum: ['tcp', 'system', 'socket'],
+                  enumNames: ['TCP to Venus OS host (port 78)', 'Local system bus (Signal K on Venus OS)', 'Custom unix socket'],
+                  default: 'tcp'
+                },
+                venusHost: {
+                  type: 'string',
+                  title: 'Venus OS Host'
+                },
+                port: {
+                  type: 'number',
+                  title: 'Port',
+                  default: 78
+                },
+                dbusSocketPath: {
+                  type: 'string',
+                  title: 'D-Bus Socket Path',
+                  description: 'Only used for custom unix socket connections'
+                }
+              }
+            }
+          },
           interval: {
             type: 'number',
             title: 'Update Interval (ms)',
@@ -46,6 +128,359 @@ export default function(app) {
                 title: 'Battery Capacity (Ah)',
                 description: 'Total battery capacity in Amp-hours for TTG calculation and monitoring',
                 default: 800
+              },
+              batteryBanks: {
+                type: 'array',
+                title: 'Battery Banks',
+                description: 'Virtual batteries combining parallel Signal K batteries into one Venus OS battery monitor',
+                default: [],
+                items: {
+                  type: 'object',
+                  properties: {
+                    path: {
+                      type: 'string',
+                      title: 'Bank path',
+                      description: 'Signal K style path of the bank, e.g. electrical.batteries.houseBank'
+                    },
+                    name: {
+                      type: 'string',
+                      title: 'Name'
+                    },
+                    batteries: {
+                      type: 'array',
+                      title: 'Member batteries',
+                      items: { type: 'string', title: 'Battery path, e.g. electrical.batteries.1' }
+                    }
+                  }
+                }
+              },
+              socEstimator: {
+                type: 'object',
+                title: 'SOC Estimator',
+                description: 'Coulomb-counting state of charge for batteries without a native state of charge',
+                properties: {
+                  enabled: {
+                    type: 'boolean',
+                    title: 'Estimate SOC from battery current',
+                    default: false
+                  },
+                  batteries: {
+                    type: 'array',
+                    title: 'Batteries',
+                    description: 'Signal K battery paths, e.g. electrical.batteries.house. Leave empty for all batteries without a native SOC.',
+                    items: { type: 'string' },
+                    default: []
+                  },
+                  nativeSocTimeout: {
+                    type: 'number',
+                    title: 'Native SOC wait (s)',
+                    description: 'Seconds a battery that is not listed above must send current without its own state of charge before it is estimated',
+                    default: 60
+                  },
+                  capacity: {
+                    type: 'number',
+                    title: 'Capacity (Ah)',
+                    description: 'Leave empty to use the capacity reported by the battery, or the battery capacity above'
+                  },
+                  initialSoc: {
+                    type: 'number',
+                    title: 'Initial SOC (%)',
+                    description: 'State of charge a battery starts from when it has no estimate yet. Leave empty to start full.',
+                    minimum: 0,
+                    maximum: 100
+                  },
+                  chargeEfficiency: {
+                    type: 'number',
+                    title: 'Charge efficiency (%)',
+                    default: 95
+                  },
+                  peukertExponent: {
+                    type: 'number',
+                    title: 'Peukert exponent',
+                    default: 1.25
+                  },
+                  chargedVoltage: {
+                    type: 'number',
+                    title: 'Charged voltage (V)',
+                    default: 13.2
+                  },
+                  tailCurrent: {
+                    type: 'number',
+                    title: 'Tail current (% of capacity)',
+                    default: 4
+                  },
+                  chargedDetectionTime: {
+                    type: 'number',
+                    title: 'Charged detection time (s)',
+                    default: 180
+                  },
+                  selfDischargeRate: {
+                    type: 'number',
+                    title: 'Self-discharge (% per month)',
+                    default: 3
+                  }
+                }
+              },
+              dvcc: {
+                type: 'object',
+                title: 'DVCC Control Mode',
+                description: 'Let a BMS in Signal K steer the charge limits of Venus OS DVCC. Only enable this with a BMS you trust - voltage defaults are for 12V systems.',
+                properties: {
+                  enabled: {
+                    type: 'boolean',
+                    title: 'Publish BMS charge limits for DVCC',
+                    default: false
+                  },
+                  batteries: {
+                    type: 'array',
+                    title: 'Batteries',
+                    description: 'Signal K battery paths allowed to control DVCC. Leave empty for all batteries with BMS limits.',
+                    items: { type: 'string' },
+                    default: []
+                  },
+                  maxChargeVoltage: {
+                    type: 'object',
+                    title: 'Plausible charge voltage limit (V)',
+                    properties: {
+                      min: { type: 'number', title: 'Minimum', default: 12.0 },
+                      max: { type: 'number', title: 'Maximum', default: 14.6 }
+                    }
+                  },
+                  maxChargeCurrent: {
+                    type: 'object',
+                    title: 'Plausible charge current limit (A)',
+                    properties: {
+                      max: { type: 'number', title: 'Maximum', default: 300 }
+                    }
+                  },
+                  maxDischargeCurrent: {
+                    type: 'object',
+                    title: 'Plausible discharge current limit (A)',
+                    properties: {
+                      max: { type: 'number', title: 'Maximum', default: 400 }
+                    }
+                  },
+                  rampRate: {
+                    type: 'object',
+                    title: 'Ramp rate for limit increases (per second)',
+                    properties: {
+                      voltage: { type: 'number', title: 'Voltage (V/s)', default: 0.05 },
+                      current: { type: 'number', title: 'Current (A/s)', default: 10 }
+                    }
+                  },
+                  watchdogTimeout: {
+                    type: 'number',
+                    title: 'Watchdog timeout (ms)',
+                    description: 'Time without plausible BMS limits before the fallback',
+                    default: 30000
+                  },
+                  fallback: {
+                    type: 'string',
+                    title: 'Fallback when BMS data stops',
+                    enum: ['stopCharging', 'safeLimits'],
+                    enumNames: ['Stop charging (/Io/AllowToCharge = 0)', 'Publish safe limits'],
+                    default: 'stopCharging'
+                  },
+                  safeLimits: {
+                    type: 'object',
+                    title: 'Safe limits',
+                    properties: {
+                      maxChargeVoltage: { type: 'number', title: 'Charge voltage (V)', default: 13.5 },
+                      maxChargeCurrent: { type: 'number', title: 'Charge current (A)', default: 10 },
+                      maxDischargeCurrent: { type: 'number', title: 'Discharge current (A)', default: 100 }
+                    }
+                  }
+                }
+              },
+              alarms: {
+                type: 'object',
+                title: 'Battery Alarms',
+                description: 'Drive the Venus OS battery alarms (warning/alarm) from live values. Voltage defaults are for 12V systems.',
+                properties: {
+                  enabled: {
+                    type: 'boolean',
+                    title: 'Enable battery alarms',
+                    default: false
+                  },
+                  delay: {
+                    type: 'number',
+                    title: 'Delay before raising an alarm (s)',
+                    default: 10
+                  },
+                  lowVoltage: alarmThresholdSchema('Low voltage', 'V', { warning: 12.0, alarm: 11.6, hysteresis: 0.2 }),
+                  highVoltage: alarmThresholdSchema('High voltage', 'V', { warning: 14.8, alarm: 15.0, hysteresis: 0.2 }),
+                  lowSoc: alarmThresholdSchema('Low state of charge', '%', { warning: 30, alarm: 20, hysteresis: 5 }),
+                  highCurrent: alarmThresholdSchema('High current', 'A', { warning: 150, alarm: 200, hysteresis: 10 }),
+                  highTemperature: alarmThresholdSchema('High temperature', '°C', { warning: 45, alarm: 55, hysteresis: 3 }),
+                  lowTemperature: alarmThresholdSchema('Low temperature', '°C', { warning: 5, alarm: 0, hysteresis: 2 })
+                }
+              }
+            }
+          },
+          switchBanks: {
+            type: 'array',
+            title: 'Switch Banks',
+            description: 'Group switches into banks shown together on the GX switch pane. Switches not listed are shown in the bank "Switches".',
+            default: [],
+            items: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  title: 'Bank name'
+                },
+                switches: {
+                  type: 'array',
+                  title: 'Switches',
+                  description: 'Signal K switch paths, e.g. electrical.switches.nav',
+                  items: { type: 'string' }
+                }
+              }
+            }
+          },
+          notificationTypes: {
+            type: 'array',
+            title: 'Notification Input Types',
+            description: 'Venus OS digital input type per Signal K notification. Notifications not listed are guessed from their path.',
+            default: [],
+            items: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  title: 'Notification path',
+                  description: 'e.g. notifications.navigation.anchor'
+                },
+                type: {
+                  type: 'string',
+                  title: 'Input type',
+                  enum: ['generic', 'bilge', 'fire', 'smoke', 'co2', 'burglar', 'door'],
+                  default: 'generic'
+                }
+              }
+            }
+          },
+          deviceOverrides: {
+            type: 'object',
+            title: 'Device Overrides',
+            description: 'Custom name, fluid type and Venus OS target per device path - edit these in the Venus OS Bridge web app',
+            default: {},
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', title: 'Name' },
+                fluidType: { type: 'number', title: 'Fluid type' },
+                target: { type: 'string', title: 'Venus OS target name' }
+              }
+            }
+          },
+          sourcePriorities: {
+            type: 'array',
+            title: 'Source Priorities',
+            description: `Preferred Signal K sources of a device when several send the same path - the first live source is used, the next one takes over when it goes silent.${describeSeenSources()}`,
+            default: [],
+            items: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  title: 'Device path',
+                  description: 'e.g. electrical.batteries.house'
+                },
+                sources: {
+                  type: 'array',
+                  title: 'Sources in order of preference',
+                  items: {
+                    type: 'string',
+                    title: 'Source ($source, e.g. can0.115)'
+                  }
+                }
+              }
+            }
+          },
+          sourceTimeout: {
+            type: 'number',
+            title: 'Source timeout (ms)',
+            description: 'Time without values after which a source is considered stale',
+            default: 10000
+          },
+          customMappings: {
+            type: 'array',
+            title: 'Custom Mappings',
+            description: 'Publish any Signal K path on a Venus OS D-Bus path, e.g. electrical.chargers.shore.current as /Dc/0/Current of a battery service. Values are published as value * scale + offset.',
+            default: [],
+            items: {
+              type: 'object',
+              required: ['source', 'service', 'path'],
+              properties: {
+                source: {
+                  type: 'string',
+                  title: 'Signal K path',
+                  description: 'Path or glob - * matches one path segment, ** several (e.g. electrical.chargers.*.current)'
+                },
+                service: {
+                  type: 'string',
+                  title: 'Venus OS service type',
+                  enum: Object.keys(MAPPABLE_SERVICE_TYPES)
+                },
+                device: {
+                  type: 'string',
+                  title: 'Device path',
+                  description: 'Signal K base path of the virtual device, $1, $2 insert the wildcard matches. Default: source path without its last segment'
+                },
+                name: {
+                  type: 'string',
+                  title: 'Device name'
+                },
+                path: {
+                  type: 'string',
+                  title: 'D-Bus path',
+                  description: 'e.g. /Dc/0/Current'
+                },
+                type: {
+                  type: 'string',
+                  title: 'D-Bus type',
+                  enum: ['d', 'i', 's'],
+                  enumNames: ['Number', 'Integer', 'Text'],
+                  default: 'd'
+                },
+                scale: {
+                  type: 'number',
+                  title: 'Scale',
+                  default: 1
+                },
+                offset: {
+                  type: 'number',
+                  title: 'Offset',
+                  default: 0
+                },
+                unit: {
+                  type: 'string',
+                  title: 'Unit',
+                  description: 'Unit of the published value, shown in the D-Bus description (e.g. A)'
+                }
+              }
+            }
+          },
+          instancePins: {
+            type: 'array',
+            title: 'VRM Instance Pins',
+            description: 'Pin the VRM instance of a device (also set in the Venus OS Bridge web app). Pin a renamed Signal K path to its old instance to keep its VRM history.',
+            default: [],
+            items: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  title: 'Device path',
+                  description: 'e.g. electrical.batteries.house'
+                },
+                instance: {
+                  type: 'number',
+                  title: 'VRM instance (0-999)',
+                  minimum: 0,
+                  maximum: 999
+                }
               }
             }
           }
@@ -61,7 +496,12 @@ export default function(app) {
               'batteries': 'Batteries',
               'tanks': 'Tanks',
               'environment': 'Environment',
-              'switches': 'Switches & Dimmers'
+              'switches': 'Switches & Dimmers',
+              'solar': 'Solar Chargers',
+              'alternators': 'Alternators',
+              'gps': 'GPS',
+              'meteo': 'Weather Station',
+              'notifications': 'Notifications (Digital Inputs)'
             };
             
             baseSchema.properties[deviceType] = {
@@ -111,31 +551,44 @@ export default function(app) {
     start: function(options) {
       app.setPluginStatus('Starting Signal K to Venus OS bridge');
       app.debug('Starting Signal K to Venus OS bridge');
+      const previousConfig = activeConfig;
       const config = { ...settings, ...options };
-      plugin.clients = {};
-      plugin.venusConnected = false; // Track Venus connection status
+      activeConfig = config;
+      activeOptions = options || {};
+      plugin.clients = {}; // Target name -> device type -> client
+      adoptRetiredClients(previousConfig, config);
+      plugin.venusConnected = false; // Track Venus connection status - true while any target is reachable
       const activeClientTypes = new Set();
-      let venusReachable = false; // Track Venus OS reachability (assume unreachable until proven otherwise)
+      const venusTargets = getVenusTargets(config, app);
+      // Track Venus OS reachability per target (assume unreachable until proven otherwise)
+      targetStatus = Object.fromEntries(venusTargets.map(target =>
+        [target.name, { name: target.name, target: describeDbusTarget(target), reachable: false, error: null }]));
+      const customMappings = new CustomMappings(config.customMappings, app); // Invalid rules are logged and skipped
+      sourceSelector = new SourceSelector(config.sourcePriorities, { timeout: config.sourceTimeout }, app);
       
       const deviceTypeNames = {
         'batteries': 'Batteries',
         'tanks': 'Tanks', 
         'environment': 'Environment',
-        'switches': 'Switches'
+        'switches': 'Switches',
+        'solar': 'Solar Chargers',
+        'alternators': 'Alternators',
+        'gps': 'GPS',
+        'meteo': 'Weather Station',
+        'notifications': 'Notifications'
       };
 
-      // Test Venus OS connectivity before processing any data
-      async function testVenusConnectivity() {
+      const isReachable = target => targetStatus[target.name]?.reachable === true;
+      
+      // Test Venus OS connectivity of a target before processing any data for it
+      async function testVenusConnectivity(target) {
+        const targetConfig = getTargetSettings(config, target);
         let testBus = null;
         
         try {          
-          // Create D-Bus connection with anonymous authentication for Venus OS using dbus-native
+          // Create D-Bus connection the same way the device services will (TCP or local system bus)
           try {
-            testBus = dbusNative.createClient({
-              host: config.venusHost,
-              port: 78,
-              authMethods: ['ANONYMOUS'] // Try anonymous auth first for Venus OS
-            });
+            testBus = createDbusClient(targetConfig);
           } catch (createErr) {
             throw createErr;
           }
@@ -162,37 +615,37 @@ export default function(app) {
             }
           });
           
-          venusReachable = true;
+          Object.assign(targetStatus[target.name], { reachable: true, error: null });
           plugin.venusConnected = true;
-          app.setPluginStatus(`Venus OS reachable at ${config.venusHost}`);
+          recordConnectivityTest(targetConfig, true);
+          if (venusTargets.length === 1) {
+            app.setPluginStatus(`Venus OS reachable at ${describeDbusTarget(targetConfig)}`);
+          }
           return true;
         } catch (err) {
-          venusReachable = false;
-          plugin.venusConnected = false;
-          let errorMsg = `Venus OS not reachable at ${config.venusHost}`;
+          let errorMsg = `Venus OS not reachable at ${describeDbusTarget(targetConfig)}`;
           
-          if (err.code === 'ENOTFOUND') {
-            errorMsg += ' (DNS resolution failed)';
-          } else if (err.code === 'ECONNREFUSED') {
-            errorMsg += ' (connection refused - check D-Bus TCP setting)';
-          } else if (err.message.includes('timeout')) {
-            errorMsg += ' (connection timeout)';
-          } else if (err.message.includes('dbus-keyrings') || err.message.includes('ENOENT')) {
-            errorMsg += ' (D-Bus authentication failed - this is a known issue)';
+          const reason = describeDbusError(err, targetConfig);
+          if (reason) {
+            errorMsg += ` (${reason})`;
           }
           
-          app.setPluginError(errorMsg);
+          Object.assign(targetStatus[target.name], { reachable: false, error: errorMsg });
+          plugin.venusConnected = venusTargets.some(isReachable);
+          recordConnectivityTest(targetConfig, false, errorMsg);
+          if (venusTargets.length === 1) {
+            app.setPluginError(errorMsg);
+          }
           
-          // Clear all existing clients when Venus becomes unreachable
-          Object.keys(plugin.clients).forEach(key => {
-            if (plugin.clients[key] && typeof plugin.clients[key] === 'object') {
-              // Disconnect existing clients gracefully
-              if (plugin.clients[key].disconnect) {
-                plugin.clients[key].disconnect().catch(() => {});
-              }
+          // Clear the clients of this target when it becomes unreachable
+          const clients = plugin.clients[target.name] || {};
+          Object.keys(clients).forEach(key => {
+            // Disconnect existing clients gracefully
+            if (clients[key] && typeof clients[key] === 'object' && clients[key].disconnect) {
+              clients[key].disconnect().catch(() => {});
             }
-            delete plugin.clients[key];
           });
+          delete plugin.clients[target.name];
           
           return false;
         } finally {
@@ -224,7 +677,11 @@ export default function(app) {
         { path: 'electrical.batteries.*', period: config.interval },
         { path: 'tanks.*', period: config.interval },
         { path: 'environment.*', period: config.interval },
-        { path: 'electrical.switches.*', period: config.interval }
+        { path: 'electrical.switches.*', period: config.interval },
+        { path: 'electrical.solar.*', period: config.interval },
+        { path: 'electrical.alternators.*', period: config.interval },
+        { path: 'navigation.*', period: config.interval },
+        { path: 'notifications.*', period: config.interval }
       ];
 
       // Subscribe to Signal K delta stream using multiple approaches for compatibility
@@ -244,14 +701,15 @@ export default function(app) {
             }
             
             // Filter paths early - only process paths we care about
-            const deviceType = identifyDeviceType(data.path);
-            if (!deviceType) {
+            if (identifyDeviceTypes(data.path, config).length === 0 && customMappings.match(data.path).length === 0 &&
+                !isBatteryBankPath(data.path, config)) {
               // Path doesn't match any enabled device types, skip silently
               return;
             }
             
             // Skip null/undefined values at the source - don't process them at all
-            if (data.value === null || data.value === undefined) {
+            // (except cleared notifications, which must reset the Venus OS alarm)
+            if ((data.value === null || data.value === undefined) && !isClearedNotification(data.path, data.value)) {
               return;
             }
             
@@ -260,10 +718,11 @@ export default function(app) {
               context: data.context || 'vessels.self',
               updates: [{
                 source: data.source || { label: 'streambundle' },
+                $source: data.$source,
                 timestamp: data.timestamp || new Date().toISOString(),
                 values: [{
                   path: data.path,
-                  value: data.value
+                  value: isClearedNotification(data.path, data.value) ? clearedNotification : data.value
                 }]
               }]
             };
@@ -305,15 +764,47 @@ export default function(app) {
         return;
       }
       
-      // Test Venus OS connectivity initially and periodically
+      // Test Venus OS connectivity of every target initially and periodically
       async function runConnectivityTest() {
         try {
-          const isReachable = await testVenusConnectivity();
+          for (const target of venusTargets) {
+            await testVenusConnectivity(target);
+          }
+          if (venusTargets.length > 1) {
+            setTargetsStatus();
+          }
         } catch (err) {
           app.error('Connectivity test error:', err);
         }
       }
       
+      // Status with one part per target when bridging to several GX devices,
+      // e.g. "Venus OS cerbo: injecting 2 batteries; ekrano: not reachable"
+      function setTargetsStatus() {
+        const parts = venusTargets.map(target => {
+          if (!isReachable(target)) {
+            return `${target.name}: not reachable`;
+          }
+          const running = Object.values(plugin.clients[target.name] || {}).some(client => client && typeof client === 'object');
+          return `${target.name}: ${running ? `injecting ${generateEnabledDeviceCountText(config, target.name)}` : 'reachable'}`;
+        });
+        const status = `Venus OS ${parts.join('; ')}`;
+        if (venusTargets.some(isReachable)) {
+          app.setPluginStatus(status);
+        } else {
+          app.setPluginError(status);
+        }
+      }
+      
+      function setInjectingStatus() {
+        if (venusTargets.length > 1) {
+          setTargetsStatus();
+          return;
+        }
+        const enabledDeviceCountText = generateEnabledDeviceCountText(config);
+        app.setPluginStatus(`Connected to Venus OS, injecting ${enabledDeviceCountText}`);
+      }
+      
       runConnectivityTest(); // Run initial test
       plugin.connectivityInterval = setInterval(runConnectivityTest, 120000); // Check every 2 minutes when testing (reduced frequency)
       
@@ -335,6 +826,7 @@ export default function(app) {
               if (sourceLabel.includes('venus.com.victronenergy')) {
                 return;
               }
+              const sourceId = getSourceId(update);
               
               update.values.forEach(async pathValue => {
                 try {
@@ -347,76 +839,108 @@ export default function(app) {
                     return;
                   }
                   
+                  // A cleared notification is published as null - forward it as back to normal
+                  if (isClearedNotification(pathValue.path, pathValue.value)) {
+                    pathValue = { ...pathValue, value: clearedNotification };
+                  }
+                  
                   // Skip null/undefined values - this should be rare if streambundle filtering works
                   if (pathValue.value === undefined || pathValue.value === null) {
                     return;
                   }
                 
-                const deviceType = identifyDeviceType(pathValue.path);
-                if (deviceType) {
+                // A path can feed several device types (e.g. outside temperature for environment and meteo)
+                const deviceTypes = identifyDeviceTypes(pathValue.path, config);
+                const mappings = customMappings.match(pathValue.path);
+                const bankMember = isBatteryBankPath(pathValue.path, config);
+                if (deviceTypes.length === 0 && mappings.length === 0 && !bankMember) {
+                  return;
+                }
+                
+                // With several sources for a path only the active one is forwarded
+                if (!sourceSelector.accept(pathValue.path, sourceId)) {
+                  return;
+                }
+                
+                // User-defined mapping rules publish their paths independent of device discovery and selection
+                for (const mapping of mappings) {
+                  await applyCustomMapping(mapping, pathValue.value);
+                }
+                // Battery bank members feed their bank whether or not they are enabled themselves
+                if (bankMember) {
+                  await applyBatteryBank(pathValue.path, pathValue.value);
+                }
+                
+                for (const deviceType of deviceTypes) {
                   // Track this discovered path (always do discovery regardless of Venus OS connection)
                   addDiscoveredPath(deviceType, pathValue.path, pathValue.value, config);
                   
-                  // Only proceed with Venus OS operations if Venus is reachable and path is enabled
-                  if (venusReachable !== true) {
+                  // Only proceed with Venus OS operations if the device's target is reachable and path is enabled
+                  const target = getDeviceTarget(config, getDevicePath(deviceType, pathValue.path, config), venusTargets);
+                  if (!isReachable(target)) {
                     // Venus OS not reachable, skip Venus operations but continue discovery
-                    return;
+                    continue;
                   }
                   
                   // Check if this specific path is enabled
                   if (!isPathEnabled(deviceType, pathValue.path, config)) {
-                    return; // Skip disabled paths
+                    continue; // Skip disabled paths
                   }
                   
-                  if (!plugin.clients[deviceType]) {
-                    app.setPluginStatus(`Connecting to Venus OS at ${config.venusHost} for ${deviceTypeNames[deviceType]}`);
+                  const clients = plugin.clients[target.name] ??= {};
+                  if (!clients[deviceType]) {
+                    const targetConfig = getTargetSettings(config, target);
+                    app.setPluginStatus(`Connecting to Venus OS at ${describeDbusTarget(targetConfig)} for ${deviceTypeNames[deviceType]}`);
                     
                     try {
-                      plugin.clients[deviceType] = VenusClientFactory(config, deviceType, app);
+                      clients[deviceType] = VenusClientFactory(targetConfig, deviceType, app);
+                      attachWriteBackHandler(clients[deviceType]);
                       
-                      await plugin.clients[deviceType].handleSignalKUpdate(pathValue.path, pathValue.value);
+                      await clients[deviceType].handleSignalKUpdate(pathValue.path, pathValue.value);
                       
                       activeClientTypes.add(deviceTypeNames[deviceType]);
-                      const enabledDeviceCountText = generateEnabledDeviceCountText(config);
-                      app.setPluginStatus(`Connected to Venus OS, injecting ${enabledDeviceCountText}`);
+                      setInjectingStatus();
 
                     } catch (err) {
                       // Clean up connection error messages for better user experience
                       let cleanMessage = err.message || err.toString();
+                      const targetText = describeDbusTarget(targetConfig);
                       if (cleanMessage.includes('ENOTFOUND')) {
-                        cleanMessage = `Venus OS device not found at ${config.venusHost} (DNS resolution failed)`;
+                        cleanMessage = `Venus OS device not found at ${targetConfig.venusHost} (DNS resolution failed)`;
                       } else if (cleanMessage.includes('ECONNREFUSED')) {
-                        cleanMessage = `Venus OS device refused connection at ${config.venusHost}:78 (check D-Bus TCP setting)`;
+                        cleanMessage = `Venus OS device refused connection at ${targetText} (${describeDbusError({ code: 'ECONNREFUSED' }, targetConfig)})`;
+                      } else if (cleanMessage.includes('ENOENT') || cleanMessage.includes('EACCES')) {
+                        const code = cleanMessage.includes('ENOENT') ? 'ENOENT' : 'EACCES';
+                        cleanMessage = `Cannot open ${targetText} (${describeDbusError({ code }, targetConfig)})`;
                       } else if (cleanMessage.includes('timeout')) {
-                        cleanMessage = `Venus OS connection timeout (${config.venusHost}:78)`;
+                        cleanMessage = `Venus OS connection timeout (${targetText})`;
                       }
                       
                       app.setPluginError(`Venus OS not reachable: ${cleanMessage}`);
                       
                       // Mark this client as failed to prevent retries
-                      plugin.clients[deviceType] = null;
+                      clients[deviceType] = null;
                       
-                      // Only log the first connection error per device type to avoid spam
-                      if (!plugin.clients[`${deviceType}_error_logged`]) {
-                        app.error(`Cannot connect to Venus OS for ${deviceTypeNames[deviceType]}: ${cleanMessage}`);
-                        plugin.clients[`${deviceType}_error_logged`] = true;
+                      // Only log the first connection error per target and device type to avoid spam
+                      if (!clients[`${deviceType}_error_logged`]) {
+                        app.error(`Cannot connect to Venus OS ${target.name} for ${deviceTypeNames[deviceType]}: ${cleanMessage}`);
+                        clients[`${deviceType}_error_logged`] = true;
                       }
-                      return;
+                      continue;
                     }
                   } else {
                     // Client already exists - but check if it's null (failed connection)
-                    if (plugin.clients[deviceType] === null) {
-                      return;
+                    if (clients[deviceType] === null) {
+                      continue;
                     }
                     
                     try {
-                      await plugin.clients[deviceType].handleSignalKUpdate(pathValue.path, pathValue.value);
+                      await clients[deviceType].handleSignalKUpdate(pathValue.path, pathValue.value);
                       
                       // Periodically update status to reflect current enabled device count
                       // (in case configuration changed or new devices were enabled)
                       if (Math.random() < 0.01) { // Update status roughly 1% of the time to avoid spam
-                        const enabledDeviceCountText = generateEnabledDeviceCountText(config);
-                        app.setPluginStatus(`Connected to Venus OS, injecting ${enabledDeviceCountText}`);
+                        setInjectingStatus();
                       }
                     } catch (err) {
                       // Only log detailed errors if it's not a connection issue
@@ -425,7 +949,7 @@ export default function(app) {
                         // The main connection error is already logged during client creation
                         
                         // Mark client as failed
-                        plugin.clients[deviceType] = null;
+                        clients[deviceType] = null;
                       } else {
                         app.error(`Error updating ${deviceType} client for ${pathValue.path}: ${err.message}`);
                       }
@@ -452,26 +976,116 @@ export default function(app) {
         app.setPluginStatus(`No Signal K data received - check server configuration`);
       }
 
-      // Handle venus client value changes by setting values back to Signal K
-      Object.values(plugin.clients).forEach(client => {
-        client.on('valueChanged', async (venusPath, value) => {
+      // Client of a device type on a target, created on first use - null if it failed to connect
+      function getTargetClient(target, deviceType) {
+        const clients = plugin.clients[target.name] ??= {};
+        if (clients[deviceType] === undefined) {
+          clients[deviceType] = VenusClientFactory(getTargetSettings(config, target), deviceType, app);
+          attachWriteBackHandler(clients[deviceType]);
+          activeClientTypes.add(deviceTypeNames[deviceType]);
+        }
+        return clients[deviceType];
+      }
+      
+      // Publish a value matched by a custom mapping rule on the client of the rule's service type
+      async function applyCustomMapping({ rule, deviceType, basePath }, value) {
+        const target = getDeviceTarget(config, basePath, venusTargets);
+        const converted = customMappings.convert(rule, value);
+        if (converted === null || !isReachable(target) || plugin.clients[target.name]?.[deviceType] === null) {
+          return; // Unsupported value, the target is not reachable or the client failed to connect
+        }
+        
+        try {
+          await getTargetClient(target, deviceType).handleMappedUpdate(basePath, rule.path, converted, {
+            type: rule.type,
+            text: rule.text,
+            name: rule.name
+          });
+        } catch (err) {
+          app.error(`Custom mapping ${rule.source} -> ${rule.service} ${rule.path} failed: ${err.message}`);
+        }
+      }
+
+      // Feed a member battery value to the virtual battery banks on the batteries client
+      // Each bank is published on its own target, so a member can feed banks on several GX devices
+      async function applyBatteryBank(path, value) {
+        const bankTargets = new Map();
+        for (const bank of config.batteryMonitor?.batteryBanks || []) {
+          if (bank?.path && (bank.batteries || []).some(battery => path.startsWith(`${battery}.`))) {
+            const target = getDeviceTarget(config, bank.path, venusTargets);
+            bankTargets.set(target.name, target);
+          }
+        }
+        
+        for (const target of bankTargets.values()) {
+          if (!isReachable(target) || plugin.clients[target.name]?.batteries === null) {
+            continue; // The target is not reachable or the client failed to connect
+          }
           try {
-            const signalKPath = mapVenusToSignalKPath(venusPath);
-            if (signalKPath) {
-              // Use Signal K's internal API instead of external PUT
-              await app.putSelfPath(signalKPath, value, 'venus-bridge');
-              app.debug(`Updated Signal K path ${signalKPath} with value ${value}`);
-            }
+            await getTargetClient(target, 'batteries').handleBatteryBankUpdate(path, value);
           } catch (err) {
-            app.error(`Error updating Signal K path from venus ${venusPath}:`, err);
+            app.error(`Battery bank update for ${path} failed: ${err.message}`);
           }
+        }
+      }
+
+      // Forward values written on the Venus OS side (GX Touch, VRM) to Signal K via PUT
+      function attachWriteBackHandler(client) {
+        if (!client || typeof client.on !== 'function') {
+          return;
+        }
+        client.on('valueChanged', event => {
+          putSignalKValue(client, event);
         });
-      });
+      }
+
+      async function putSignalKValue(client, event) {
+        if (typeof app.putSelfPath !== 'function') {
+          app.error(`Cannot write ${event.path} back to Signal K: putSelfPath not supported by this server`);
+          return;
+        }
+
+        const timeoutMs = config.putTimeout || 5000;
+        let timeout = null;
+        try {
+          const reply = await Promise.race([
+            new Promise((resolve, reject) => {
+              // PENDING replies are followed by a final reply through the update callback
+              const onReply = reply => {
+                if (!reply || reply.state !== 'PENDING') {
+                  resolve(reply);
+                }
+              };
+              const result = app.putSelfPath(event.path, event.value, onReply);
+              if (result && typeof result.then === 'function') {
+                result.then(onReply, reject);
+              } else if (result) {
+                onReply(result);
+              }
+            }),
+            new Promise((resolve, reject) => {
+              timeout = setTimeout(() => reject(new Error(`no acknowledgement within ${timeoutMs}ms`)), timeoutMs);
+            })
+          ]);
+
+          if (reply && (reply.state === 'FAILED' || (reply.statusCode && reply.statusCode >= 300))) {
+            throw new Error(reply.message || `status ${reply.statusCode}`);
+          }
+          app.debug(`Venus OS write-back: ${event.path} = ${event.value} acknowledged by Signal K`);
+        } catch (err) {
+          app.error(`Venus OS write-back failed for ${event.path} = ${event.value}: ${err.message}`);
+          if (typeof client.revertVenusValue === 'function') {
+            await client.revertVenusValue(event);
+          }
+        } finally {
+          clearTimeout(timeout);
+        }
+      }
       
       // Set initial status immediately if no data comes in
       if (activeClientTypes.size === 0) {
         // Check if any devices are enabled
-        const hasEnabledDevices = ['batteries', 'tanks', 'environment', 'switches'].some(deviceType => {
+        const hasEnabledDevices = ['batteries', 'tanks', 'environment', 'switches', 'solar', 'alternators', 'gps', 'meteo', 'notifications'].some(deviceType => {
           if (config[deviceType]) {
             return Object.values(config[deviceType]).some(enabled => enabled === true);
           }
@@ -485,11 +1099,11 @@ export default function(app) {
           } else {
             app.setPluginStatus(`Device Discovery: Found ${deviceCountText} - configure in settings`);
           }
-        } else if (venusReachable === false) {
+        } else if (!venusTargets.some(isReachable)) {
           const deviceCountText = generateDeviceCountText();
-          app.setPluginStatus(`Discovery: ${deviceCountText} found - Venus OS not connected at ${config.venusHost}`);
+          app.setPluginStatus(`Discovery: ${deviceCountText} found - Venus OS not connected at ${venusTargets.map(describeDbusTarget).join(', ')}`);
         } else {
-          app.setPluginStatus(`Waiting for Signal K data (${config.venusHost})`);
+          app.setPluginStatus(`Waiting for Signal K data (${venusTargets.map(describeDbusTarget).join(', ')})`);
         }
       }
     },
@@ -507,50 +1121,236 @@ export default function(app) {
         plugin.unsubscribe();
         plugin.unsubscribe = null;
       }
-      if (plugin.clients) {
-        Object.values(plugin.clients).forEach(async client => {
-          if (client && client.disconnect) {
-            await client.disconnect();
+      app.setPluginStatus('Stopped');
+      // Resolves once the battery history is saved - the server may be shutting down
+      return plugin.clients ? retireClients(plugin.clients) : Promise.resolve();
+    },
+
+    // REST API under /plugins/signalk-to-venus
+    registerWithRouter: function(router) {
+      // Everything the bridge publishes: one entry per D-Bus service with its full deviceData
+      router.get('/services', (req, res) => {
+        const clients = getRunningClients()
+          .filter(({ client }) => typeof client.getDiagnostics === 'function')
+          .map(({ target, client }) => ({ target, ...client.getDiagnostics() }));
+        res.json({
+          venusConnected: plugin.venusConnected,
+          target: describeDefaultTarget(),
+          targets: Object.values(targetStatus),
+          clients,
+          sources: sourceSelector.getStatus()
+        });
+      });
+      
+      // Discovered Signal K devices per type, split into enabled and disabled
+      router.get('/discovered', (req, res) => {
+        const result = {};
+        for (const [deviceType, pathMap] of Object.entries(discoveredPaths)) {
+          const devices = [...pathMap.entries()].map(([devicePath, info]) => ({
+            path: devicePath,
+            displayName: info.displayName,
+            firstSeen: info.firstSeen,
+            lastValue: info.lastValue,
+            properties: [...info.properties]
+          }));
+          result[deviceType] = {
+            enabled: devices.filter(device => isDeviceEnabled(deviceType, device.path, activeConfig)),
+            disabled: devices.filter(device => !isDeviceEnabled(deviceType, device.path, activeConfig))
+          };
+        }
+        res.json(result);
+      });
+      
+      // DVCC control mode audit log of the battery clients of all targets
+      router.get('/dvcc', (req, res) => {
+        const dvcc = activeConfig.batteryMonitor?.dvcc;
+        const audit = getRunningClients('batteries')
+          .flatMap(({ target, client }) => (client.dvccGuard?.getAuditLog() || []).map(entry => ({ ...entry, target })))
+          .sort((a, b) => a.time.localeCompare(b.time));
+        res.json({
+          enabled: dvcc?.enabled === true,
+          batteries: dvcc?.batteries || [],
+          audit
+        });
+      });
+      
+      // Active and seen $sources per path
+      router.get('/sources', (req, res) => {
+        res.json({ timeout: sourceSelector.timeout, paths: sourceSelector.getStatus() });
+      });
+      
+      router.get('/connectivity', (req, res) => {
+        res.json({
+          venusConnected: plugin.venusConnected,
+          target: describeDefaultTarget(),
+          targets: Object.values(targetStatus),
+          history: connectivityHistory
+        });
+      });
+      
+      // Discovered devices with their live Signal K values next to the values published on D-Bus (web app)
+      router.get('/devices', (req, res) => {
+        const types = {};
+        for (const [deviceType, pathMap] of Object.entries(discoveredPaths)) {
+          types[deviceType] = [...pathMap.entries()].map(([devicePath, info]) => describeDevice(deviceType, devicePath, info));
+        }
+        res.json({
+          venusConnected: plugin.venusConnected,
+          target: describeDefaultTarget(),
+          targets: Object.values(targetStatus),
+          lastConnectivityTest: connectivityHistory[connectivityHistory.length - 1] || null,
+          fluidTypes: DEVICE_CONFIGS.tank.fluidTypes,
+          types
+        });
+      });
+      
+      // Enable/disable, rename, override fluid type, instance and Venus OS target of one device (web app)
+      // Body: { type: 'tanks', enabled: true, name: 'Day Tank', fluidType: 7, instance: 20, target: 'ekrano' },
+      // null removes an override
+      router.put('/devices/:device', async (req, res) => {
+        const devicePath = req.params.device;
+        const { type: deviceType, enabled, ...changes } = req.body || {};
+        if (!discoveredPaths[deviceType]) {
+          res.status(400).json({ error: `Unknown device type: ${deviceType}` });
+          return;
+        }
+        
+        const error = validateDeviceOverride(changes, enabled);
+        if (error) {
+          res.status(400).json({ error });
+          return;
+        }
+        
+        const options = buildDeviceOptions(deviceType, devicePath, enabled, changes);
+        try {
+          await savePluginOptions(options);
+        } catch (err) {
+          res.status(500).json({ error: `Failed to save configuration: ${err.message}` });
+          return;
+        }
+        
+        // Restart like the server does on a config save - unchanged services keep running
+        await plugin.stop();
+        plugin.start(options);
+        res.json(describeDevice(deviceType, devicePath, discoveredPaths[deviceType].get(devicePath)));
+      });
+      
+      // Reconnect or fully re-register the service of one device, e.g. POST /services/electrical.batteries.house/reconnect
+      for (const action of ['reconnect', 'reregister']) {
+        router.post(`/services/:device/${action}`, async (req, res) => {
+          const client = getRunningClients()
+            .map(({ client: candidate }) => candidate)
+            .find(candidate => candidate.deviceServices?.has?.(req.params.device));
+          if (!client) {
+            res.status(404).json({ error: `No service for ${req.params.device}` });
+            return;
+          }
+          
+          try {
+            const service = await client.reconnectService(req.params.device, { reregister: action === 'reregister' });
+            res.json(service);
+          } catch (err) {
+            res.status(500).json({ error: err.message });
           }
         });
       }
-      app.setPluginStatus('Stopped');
+      
+      // Reset the history of a battery, e.g. after replacing the bank
+      // POST /history/electrical.batteries.house/clear with optional body { "counters": ["chargeCycles"] }
+      router.post('/history/:battery/clear', async (req, res) => {
+        const batteryClients = getRunningClients('batteries').map(({ client: candidate }) => candidate)
+          .filter(candidate => typeof candidate.clearHistory === 'function');
+        if (batteryClients.length === 0) {
+          res.status(503).json({ error: 'Battery client not running' });
+          return;
+        }
+        
+        // Every Venus OS target keeps its own history file - only the client publishing the battery can clear it
+        await Promise.all(batteryClients.map(candidate => candidate.loadHistoryData?.()));
+        const battery = req.params.battery;
+        const client = batteryClients.find(candidate =>
+          candidate.deviceServices?.has?.(battery) || candidate.historyData?.has?.(battery));
+        if (!client) {
+          res.status(404).json({ error: `No history for ${battery}` });
+          return;
+        }
+        
+        const counters = req.body?.counters;
+        if (counters !== undefined && (!Array.isArray(counters) || counters.length === 0)) {
+          res.status(400).json({ error: 'counters must be a non-empty array of counter names' });
+          return;
+        }
+        
+        try {
+          const cleared = await client.clearHistory(battery, {
+            counters: counters || null,
+            source: `REST API (${req.ip || 'unknown'})`
+          });
+          res.json({ battery, ...cleared });
+        } catch (err) {
+          const status = err.message.startsWith('No history') ? 404 : 400;
+          res.status(status).json({ error: err.message });
+        }
+      });
     }
   };
 
-  // Helper function to identify device type from Signal K path
-  function identifyDeviceType(path) {
+  // Connection of the first Venus OS target, where unassigned devices are published
+  function describeDefaultTarget() {
+    return describeDbusTarget(getVenusTargets(activeConfig)[0]);
+  }
+
+  // Running clients of all Venus OS targets, optionally of one device type - failed clients (null)
+  // and the error flags next to them are left out
+  function getRunningClients(deviceType = null) {
+    return Object.entries(plugin.clients || {}).flatMap(([target, clients]) =>
+      Object.entries(clients || {})
+        .filter(([type, client]) => client && typeof client === 'object' && (!deviceType || type === deviceType))
+        .map(([, client]) => ({ target, client })));
+  }
+
+  // Helper function to identify the device types fed by a Signal K path
+  function identifyDeviceTypes(path, config = settings) {
     // Filter out Cerbo GX relays (venus-0, venus-1) to prevent feedback loops
     if (path.match(/electrical\.switches\.venus-[01]\./)) {
-      return null;
+      return [];
     }
     
-    if (settings.batteryRegex.test(path)) return 'batteries';
-    if (settings.tankRegex.test(path)) return 'tanks';
-    if (settings.temperatureRegex.test(path) || settings.humidityRegex.test(path)) return 'environment';
-    if (settings.switchRegex.test(path) || settings.dimmerRegex.test(path)) return 'switches';
-    return null;
+    const deviceTypes = [];
+    if (settings.batteryRegex.test(path)) deviceTypes.push('batteries');
+    if (settings.tankRegex.test(path)) deviceTypes.push('tanks');
+    if (settings.temperatureRegex.test(path) || settings.humidityRegex.test(path)) deviceTypes.push('environment');
+    if (settings.switchRegex.test(path) || settings.dimmerRegex.test(path)) deviceTypes.push('switches');
+    if (settings.solarRegex.test(path)) deviceTypes.push('solar');
+    if (settings.alternatorRegex.test(path) || findDirectAlternator(config, path)) deviceTypes.push('alternators');
+    if (settings.gpsRegex.test(path)) deviceTypes.push('gps');
+    if (settings.meteoRegex.test(path)) deviceTypes.push('meteo');
+    if (settings.notificationRegex.test(path)) deviceTypes.push('notifications');
+    return deviceTypes;
   }
 
-  // Helper function to map Venus D-Bus paths back to Signal K paths
-  function mapVenusToSignalKPath(venusPath) {
-    // This would need proper mapping logic based on your venus client implementations
-    // For switches/dimmers that support bidirectional updates
-    if (venusPath.includes('/Switches/')) {
-      const id = venusPath.match(/\/Switches\/([^\/]+)/)?.[1];
-      
-      // Filter out Cerbo GX relays to prevent feedback loops
-      if (id === 'venus-0' || id === 'venus-1') {
-        return null;
-      }
-      
-      if (venusPath.endsWith('/State')) {
-        return `electrical.switches.${id}.state`;
-      } else if (venusPath.endsWith('/DimLevel')) {
-        return `electrical.switches.${id}.dimmingLevel`;
-      }
+  // Helper function to check if a path belongs to a member battery of a virtual battery bank
+  function isBatteryBankPath(path, config = settings) {
+    const banks = config.batteryMonitor?.batteryBanks;
+    return Array.isArray(banks) && banks.some(bank =>
+      Array.isArray(bank?.batteries) && bank.batteries.some(battery => typeof battery === 'string' && path.startsWith(`${battery}.`))
+    );
+  }
+
+  // $source of a delta update, e.g. 'can0.115' - older servers only send the source object
+  function getSourceId(update) {
+    if (update.$source) {
+      return update.$source;
     }
-    return null;
+    const label = update.source?.label;
+    const src = update.source?.src ?? update.source?.talker;
+    return label ? [label, src].filter(part => part !== undefined && part !== null).join('.') : null;
+  }
+
+  // Signal K clears a notification by setting it to null
+  const clearedNotification = { state: 'normal', method: [], message: '' };
+  function isClearedNotification(path, value) {
+    return (value === null || value === undefined) && settings.notificationRegex.test(path);
   }
 
   // Helper function to generate device count text by type (all discovered devices)
@@ -559,7 +1359,12 @@ export default function(app) {
       batteries: discoveredPaths.batteries.size,
       tanks: discoveredPaths.tanks.size,
       environment: discoveredPaths.environment.size,
-      switches: discoveredPaths.switches.size
+      switches: discoveredPaths.switches.size,
+      solar: discoveredPaths.solar.size,
+      alternators: discoveredPaths.alternators.size,
+      gps: discoveredPaths.gps.size,
+      meteo: discoveredPaths.meteo.size,
+      notifications: discoveredPaths.notifications.size
     };
     
     const deviceCountParts = [];
@@ -575,6 +1380,21 @@ export default function(app) {
     if (deviceCounts.switches > 0) {
       deviceCountParts.push(`${deviceCounts.switches} ${deviceCounts.switches === 1 ? 'switch' : 'switches'}`);
     }
+    if (deviceCounts.solar > 0) {
+      deviceCountParts.push(`${deviceCounts.solar} solar ${deviceCounts.solar === 1 ? 'charger' : 'chargers'}`);
+    }
+    if (deviceCounts.alternators > 0) {
+      deviceCountParts.push(`${deviceCounts.alternators} ${deviceCounts.alternators === 1 ? 'alternator' : 'alternators'}`);
+    }
+    if (deviceCounts.gps > 0) {
+      deviceCountParts.push('GPS');
+    }
+    if (deviceCounts.meteo > 0) {
+      deviceCountParts.push('weather station');
+    }
+    if (deviceCounts.notifications > 0) {
+      deviceCountParts.push(`${deviceCounts.notifications} ${deviceCounts.notifications === 1 ? 'notification' : 'notifications'}`);
+    }
     
     if (deviceCountParts.length > 0) {
       return deviceCountParts.join(', ');
@@ -584,20 +1404,32 @@ export default function(app) {
     }
   }
 
-  // Helper function to generate device count text for enabled devices only
-  function generateEnabledDeviceCountText(config) {
+  // Helper function to generate device count text for enabled devices only, optionally of one Venus OS target
+  function generateEnabledDeviceCountText(config, targetName = null) {
     const enabledCounts = {
       batteries: 0,
       tanks: 0,
       environment: 0,
-      switches: 0
+      switches: 0,
+      solar: 0,
+      alternators: 0,
+      gps: 0,
+      meteo: 0,
+      notifications: 0
     };
     
+    // The enable maps are keyed by safe path keys - find the target of a key through the overrides
+    const targets = getVenusTargets(config);
+    const assignedTargets = new Map(Object.keys(config.deviceOverrides || {}).map(devicePath =>
+      [devicePath.replace(/[^a-zA-Z0-9]/g, '_'), getDeviceTarget(config, devicePath, targets).name]));
+    const isOnTarget = safePathKey => !targetName || (assignedTargets.get(safePathKey) ?? targets[0].name) === targetName;
+    
     // Count enabled devices for each type
     Object.keys(enabledCounts).forEach(deviceType => {
       if (config[deviceType]) {
         // Count how many devices of this type are enabled
-        enabledCounts[deviceType] = Object.values(config[deviceType]).filter(enabled => enabled === true).length;
+        enabledCounts[deviceType] = Object.entries(config[deviceType])
+          .filter(([safePathKey, enabled]) => enabled === true && isOnTarget(safePathKey)).length;
       }
     });
     
@@ -614,6 +1446,21 @@ export default function(app) {
     if (enabledCounts.switches > 0) {
       deviceCountParts.push(`${enabledCounts.switches} ${enabledCounts.switches === 1 ? 'switch' : 'switches'}`);
     }
+    if (enabledCounts.solar > 0) {
+      deviceCountParts.push(`${enabledCounts.solar} solar ${enabledCounts.solar === 1 ? 'charger' : 'chargers'}`);
+    }
+    if (enabledCounts.alternators > 0) {
+      deviceCountParts.push(`${enabledCounts.alternators} ${enabledCounts.alternators === 1 ? 'alternator' : 'alternators'}`);
+    }
+    if (enabledCounts.gps > 0) {
+      deviceCountParts.push('GPS');
+    }
+    if (enabledCounts.meteo > 0) {
+      deviceCountParts.push('weather station');
+    }
+    if (enabledCounts.notifications > 0) {
+      deviceCountParts.push(`${enabledCounts.notifications} ${enabledCounts.notifications === 1 ? 'notification' : 'notifications'}`);
+    }
     
     if (deviceCountParts.length > 0) {
       return deviceCountParts.join(', ');
@@ -622,6 +1469,14 @@ export default function(app) {
     }
   }
 
+  // Helper function to list paths with several seen sources for the configuration, the active one marked
+  function describeSeenSources() {
+    const lines = sourceSelector.getStatus()
+      .filter(status => status.sources.length > 1)
+      .map(status => `${status.path}: ${status.sources.map(({ source }) => (source === status.active ? `${source} (active)` : source)).join(', ')}`);
+    return lines.length > 0 ? `\n\nPaths with several sources:\n${lines.join('\n')}` : '';
+  }
+
   // Helper function to check if any paths have been discovered
   function hasDiscoveredPaths() {
     return Object.values(discoveredPaths).some(pathMap => pathMap.size > 0);
@@ -634,7 +1489,7 @@ export default function(app) {
       if (!pathMap) return;
 
       // Extract the device/sensor path (one level up from the property)
-      const devicePath = getDevicePath(deviceType, path);
+      const devicePath = getDevicePath(deviceType, path, config);
       if (!devicePath) return;
 
       if (!pathMap.has(devicePath)) {
@@ -680,7 +1535,7 @@ export default function(app) {
   }
 
   // Function to extract device path from full property path
-  function getDevicePath(deviceType, fullPath) {
+  function getDevicePath(deviceType, fullPath, config = settings) {
     switch (deviceType) {
       case 'batteries':
         // electrical.batteries.0.voltage -> electrical.batteries.0
@@ -703,6 +1558,33 @@ export default function(app) {
         // electrical.switches.nav.state -> electrical.switches.nav
         const switchMatch = fullPath.match(/^(electrical\.switches\.[^.]+)/);
         return switchMatch ? switchMatch[1] : null;
+
+      case 'solar':
+        // electrical.solar.278.panelPower -> electrical.solar.278
+        const solarMatch = fullPath.match(/^(electrical\.solar\.[^.]+)/);
+        return solarMatch ? solarMatch[1] : null;
+
+      case 'alternators':
+        // electrical.alternators.port.current -> electrical.alternators.port
+        // directDcDevices entries use their configured basePath
+        const directAlternator = findDirectAlternator(config, fullPath);
+        if (directAlternator) {
+          return directAlternator.basePath;
+        }
+        const alternatorMatch = fullPath.match(/^(electrical\.alternators\.[^.]+)/);
+        return alternatorMatch ? alternatorMatch[1] : null;
+
+      case 'gps':
+        // navigation.position, navigation.gnss.satellites, ... -> navigation (one GPS per vessel)
+        return fullPath.startsWith('navigation.') ? 'navigation' : null;
+
+      case 'meteo':
+        // environment.wind.speedTrue, environment.outside.pressure, ... -> environment (one weather station per vessel)
+        return fullPath.startsWith('environment.') ? 'environment' : null;
+
+      case 'notifications':
+        // notifications.navigation.anchor -> notifications.navigation.anchor (one input per notification)
+        return fullPath.startsWith('notifications.') ? fullPath : null;
     }
     
     return null;
@@ -801,6 +1683,39 @@ export default function(app) {
           }
         }
         break;
+
+      case 'solar':
+        // electrical.solar.278 -> Solar Charger (if only one) or Solar Charger 278
+        // electrical.solar.arch -> Solar Arch
+        const solarMatch = devicePath.match(/electrical\.solar\.([^.]+)/);
+        if (solarMatch) {
+          return getSolarName(solarMatch[1], discoveredPaths.solar?.size || 0);
+        }
+        break;
+
+      case 'alternators':
+        // electrical.alternators.port -> Alternator Port
+        // electrical.alternator.277 -> Alternator (if only one) or Alternator 277
+        const alternatorId = devicePath.split('.').pop();
+        if (!/^\d+$/.test(alternatorId)) {
+          const name = alternatorId.replace(/([A-Z])/g, ' $1').trim();
+          return `Alternator ${name.charAt(0).toUpperCase() + name.slice(1).toLowerCase()}`;
+        }
+        const totalAlternators = discoveredPaths.alternators?.size || 0;
+        return totalAlternators <= 1 ? 'Alternator' : `Alternator ${alternatorId}`;
+
+      case 'gps':
+        return 'GPS';
+
+      case 'meteo':
+        return 'Weather station';
+
+      case 'notifications': {
+        // notifications.navigation.anchor -> Anchor
+        const notificationId = devicePath.split('.').pop();
+        const name = notificationId.replace(/([A-Z])/g, ' $1').trim();
+        return name.charAt(0).toUpperCase() + name.slice(1);
+      }
     }
     
     // Fallback to path-based name with camel case removed
@@ -809,12 +1724,209 @@ export default function(app) {
       .charAt(0).toUpperCase() + fallback.slice(1).toLowerCase();
   }
 
+  // Device as shown in the web app - Signal K values come from the data model, D-Bus values from the service
+  function describeDevice(deviceType, devicePath, info = null) {
+    const signalK = {};
+    for (const property of info?.properties || []) {
+      const node = app.getSelfPath ? app.getSelfPath(property) : undefined;
+      signalK[property] = node && typeof node === 'object' && node.value !== undefined ? node.value : node ?? null;
+    }
+    
+    const target = getDeviceTarget(activeConfig, devicePath, getVenusTargets(activeConfig)).name;
+    const deviceService = plugin.clients?.[target]?.[deviceType]?.deviceServices?.get?.(devicePath);
+    const override = activeConfig.deviceOverrides?.[devicePath] || {};
+    const instancePin = activeConfig.instancePins?.find?.(entry => entry?.path === devicePath)?.instance;
+    return {
+      path: devicePath,
+      displayName: info?.displayName || generateDisplayName(deviceType, devicePath),
+      enabled: isDeviceEnabled(deviceType, devicePath, activeConfig),
+      target,
+      override,
+      instance: getPinnedInstance(activeConfig, devicePath),
+      // An instance saved in the override by older versions of the web app that instancePins overrules
+      instanceConflict: typeof instancePin === 'number' && typeof override.instance === 'number' && instancePin !== override.instance
+        ? { instancePin, override: override.instance }
+        : null,
+      signalK,
+      dbus: deviceService ? {
+        serviceName: deviceService.dbusServiceName,
+        vrmInstance: deviceService.vrmInstanceId,
+        isConnected: deviceService.isConnected,
+        deviceData: { ...deviceService.deviceData }
+      } : null
+    };
+  }
+
+  // Returns an error message for invalid web app changes, null if they are valid
+  function validateDeviceOverride({ name, fluidType, instance, target }, enabled) {
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return 'enabled must be true or false';
+    }
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+      return 'name must be a string';
+    }
+    const fluidTypeValues = Object.values(DEVICE_CONFIGS.tank.fluidTypes).map(fluid => fluid.value);
+    if (fluidType !== undefined && fluidType !== null && !fluidTypeValues.includes(fluidType)) {
+      return `fluidType must be one of ${fluidTypeValues.join(', ')}`;
+    }
+    if (instance !== undefined && instance !== null && !(Number.isInteger(instance) && instance >= 0 && instance <= 999)) {
+      return 'instance must be an integer from 0 to 999';
+    }
+    const targetNames = getVenusTargets(activeConfig).map(venusTarget => venusTarget.name);
+    if (target !== undefined && target !== null && !targetNames.includes(target)) {
+      return `target must be one of ${targetNames.join(', ')}`;
+    }
+    return null;
+  }
+
+  // New plugin options with one device enabled/disabled and its overrides changed
+  function buildDeviceOptions(deviceType, devicePath, enabled, changes) {
+    const options = { ...activeOptions };
+    if (enabled !== undefined) {
+      const safePathKey = devicePath.replace(/[^a-zA-Z0-9]/g, '_');
+      options[deviceType] = { ...(activeOptions[deviceType] || {}), [safePathKey]: enabled };
+    }
+    
+    const override = { ...(activeOptions.deviceOverrides?.[devicePath] || {}) };
+    for (const key of ['name', 'fluidType', 'target']) {
+      if (changes[key] === null || changes[key] === '') {
+        delete override[key];
+      } else if (changes[key] !== undefined) {
+        override[key] = changes[key];
+      }
+    }
+    
+    // The instance is pinned in instancePins - an instance older versions saved in the override moves there
+    const instance = changes.instance !== undefined ? changes.instance : getPinnedInstance(activeOptions, devicePath);
+    delete override.instance;
+    const instancePins = (activeOptions.instancePins || []).filter(entry => entry?.path !== devicePath);
+    if (typeof instance === 'number') {
+      instancePins.push({ path: devicePath, instance });
+    }
+    options.instancePins = instancePins;
+    
+    const deviceOverrides = { ...(activeOptions.deviceOverrides || {}) };
+    if (Object.keys(override).length > 0) {
+      deviceOverrides[devicePath] = override;
+    } else {
+      delete deviceOverrides[devicePath];
+    }
+    options.deviceOverrides = deviceOverrides;
+    return options;
+  }
+
+  function savePluginOptions(options) {
+    return new Promise((resolve, reject) => {
+      if (typeof app.savePluginOptions !== 'function') {
+        reject(new Error('Signal K server does not support saving plugin options'));
+        return;
+      }
+      app.savePluginOptions(options, err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // Signal K restarts a plugin (stop + start) when its configuration is saved, and PUT /devices does the
+  // same. A restart calls start() right after stop() has resolved, so the D-Bus services are kept until then
+  // and a start with a compatible config takes them over - Venus OS doesn't lose every virtual device for a
+  // single checkbox. Without a restart (plugin disabled, server shutdown) they are removed right away.
+  function retireClients(clients) {
+    const running = {}; // Target name -> device type -> client
+    for (const [target, targetClients] of Object.entries(clients)) {
+      running[target] = Object.fromEntries(Object.entries(targetClients || {})
+        .filter(([, client]) => client && typeof client === 'object' && typeof client.disconnect === 'function'));
+    }
+    
+    if (retiredClients) {
+      // Stopped twice without a start in between - the older clients can't be reused anymore
+      disconnectClients(retiredClients.clients);
+    }
+    const retired = { clients: running };
+    retiredClients = retired;
+    
+    // History is saved now in case the server is shutting down rather than restarting the plugin
+    const saves = Object.values(running).flatMap(Object.values)
+      .filter(client => typeof client.saveHistoryData === 'function')
+      .map(client => Promise.resolve(client.saveHistoryData()).catch(err => app.error(`Failed to save history: ${err.message}`)));
+    
+    return Promise.all(saves).then(() => {
+      // Runs after the start() of a restart, which has taken the clients over by then
+      setImmediate(() => {
+        if (retiredClients === retired) {
+          retiredClients = null;
+          disconnectClients(retired.clients);
+        }
+      });
+    });
+  }
+
+  // Reuse the clients of the previous run when only device selection or overrides changed
+  function adoptRetiredClients(previousConfig, config) {
+    if (!retiredClients) {
+      return;
+    }
+    const { clients } = retiredClients;
+    retiredClients = null;
+    
+    const diff = diffConfig(previousConfig, config, Object.keys(discoveredPaths));
+    if (diff.requiresRestart) {
+      app.debug(`Configuration changed (${diff.changedKeys.join(', ')}) - recreating all Venus OS services`);
+      disconnectClients(clients);
+      return;
+    }
+    
+    // Target changes recreate everything, so every retired target still exists. A device moved to another
+    // target by its override is removed here and published by the other target's client.
+    const targets = getVenusTargets(config);
+    const adopted = [];
+    for (const [targetName, targetClients] of Object.entries(clients)) {
+      const target = targets.find(candidate => candidate.name === targetName);
+      for (const [deviceType, client] of Object.entries(targetClients)) {
+        client.updateSettings(getTargetSettings(config, target));
+        const devicePaths = [...(client.deviceServices?.keys?.() || [])];
+        for (const devicePath of devicePaths) {
+          const alwaysEnabled = client.mappedDevices?.has(devicePath) ?? false;
+          if (deviceNeedsRemoval(previousConfig, config, deviceType, devicePath, { alwaysEnabled })) {
+            Promise.resolve(client.removeDevice(devicePath)).catch(err => app.error(`Failed to remove ${devicePath}: ${err.message}`));
+          }
+        }
+        (plugin.clients[targetName] ??= {})[deviceType] = client;
+        adopted.push(targets.length > 1 ? `${targetName} ${deviceType}` : deviceType);
+      }
+    }
+    app.debug(`Configuration applied to running Venus OS services (${adopted.join(', ') || 'none'})`);
+  }
+
+  function disconnectClients(clients) {
+    for (const client of Object.values(clients || {}).flatMap(Object.values)) {
+      Promise.resolve(client.disconnect()).catch(err => app.error(`Failed to disconnect client: ${err.message}`));
+    }
+  }
+
+  // Keep the latest connectivity test results for the REST API
+  function recordConnectivityTest(config, reachable, error = null) {
+    connectivityHistory.push({
+      time: new Date().toISOString(),
+      name: config.venusTarget,
+      target: describeDbusTarget(config),
+      reachable,
+      error
+    });
+    if (connectivityHistory.length > maxConnectivityHistory) {
+      connectivityHistory.shift();
+    }
+  }
+
   // Function to check if a path is enabled in configuration
   function isPathEnabled(deviceType, fullPath, config) {
     // Get the device path for checking individual configuration
-    const devicePath = getDevicePath(deviceType, fullPath);
+    const devicePath = getDevicePath(deviceType, fullPath, config);
     if (!devicePath) return false; // Default to disabled if we can't parse the path
 
+    return isDeviceEnabled(deviceType, devicePath, config);
+  }
+
+  // Function to check if a device (as returned by getDevicePath) is enabled in configuration
+  function isDeviceEnabled(deviceType, devicePath, config) {
     // Check if this specific device is enabled in the new configuration structure
     if (config[deviceType]) {
       const safePathKey = devicePath.replace(/[^a-zA-Z0-9]/g, '_');
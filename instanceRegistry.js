@@ -0,0 +1,248 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const REGISTRY_VERSION = 1;
+const MAX_INSTANCES = 1000; // Instances 0-999, matching the SignalK<n> service names
+const registries = new Map(); // Shared registries by file path - all clients must see the same allocations
+
+/**
+ * Persistent allocation of D-Bus service names and VRM instances for Signal K devices
+ * Keeps the SignalK<n> service name (and with it the VRM instance Venus OS stores for that name)
+ * stable across restarts, reinstalls and path renames, and resolves hash collisions
+ */
+export class InstanceRegistry {
+  /**
+   * @param {string|null} filePath - JSON file in the plugin data directory, null keeps the registry in memory
+   * @param {Object} logger - Logger with debug/warn/error methods
+   */
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger || { debug: () => {}, warn: () => {}, error: () => {} };
+    this.devices = {}; // serviceType -> basePath -> { instance, serviceName, classAndVrmInstance, pinned, lastSeen }
+    this.activeKeys = new Set(); // serviceType:basePath allocated during this session
+    this._loadPromise = null;
+    this._savePromise = Promise.resolve();
+  }
+
+  /**
+   * Get the registry shared by all clients for a file
+   * @param {string} filePath - Registry file path
+   * @param {Object} logger - Logger
+   * @returns {InstanceRegistry} Shared registry instance
+   */
+  static forFile(filePath, logger) {
+    if (!registries.has(filePath)) {
+      registries.set(filePath, new InstanceRegistry(filePath, logger));
+    }
+    return registries.get(filePath);
+  }
+
+  /**
+   * Load the registry once, subsequent calls wait for the first load
+   */
+  async load() {
+    if (!this._loadPromise) {
+      this._loadPromise = this._load();
+    }
+    return this._loadPromise;
+  }
+
+  async _load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      if (!parsed || typeof parsed.devices !== 'object') {
+        throw new Error('Instance registry has an invalid structure (JSON)');
+      }
+      this.devices = parsed.devices;
+
+      // A hand-edited file can contain duplicates - keep pinned entries and move the others
+      for (const serviceType of Object.keys(this.devices)) {
+        this._resolveDuplicates(serviceType);
+      }
+      this.logger.debug(`Loaded instance registry from ${this.filePath}`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.debug(`Instance registry ${this.filePath} not found, starting empty`);
+      } else {
+        this.logger.error(`Instance registry corrupted (${error.message}), backing up and starting fresh`);
+        try {
+          await fs.rename(this.filePath, `${this.filePath}.corrupted.${Date.now()}`);
+        } catch (backupError) {
+          this.logger.error(`Failed to backup corrupted instance registry: ${backupError.message}`);
+        }
+      }
+      this.devices = {};
+    }
+  }
+
+  /**
+   * Allocate (or look up) the instance of a device
+   * @param {string} serviceType - Venus OS service type, e.g. 'battery'
+   * @param {string} basePath - Signal K base path identifying the device
+   * @param {Object} options
+   * @param {number} options.preferredInstance - Instance to use for a new device if it is free
+   * @param {number|null} options.pinnedInstance - Instance pinned in the plugin config
+   * @returns {Object} Registry entry with instance, serviceName and classAndVrmInstance
+   */
+  async allocate(serviceType, basePath, { preferredInstance = 0, pinnedInstance = null } = {}) {
+    await this.load();
+
+    const devices = this.devices[serviceType] || (this.devices[serviceType] = {});
+    let entry = devices[basePath];
+
+    if (typeof pinnedInstance === 'number' && (!entry || entry.instance !== pinnedInstance)) {
+      const holder = this._findHolder(serviceType, pinnedInstance, basePath);
+      if (holder && this.activeKeys.has(`${serviceType}:${holder}`)) {
+        // The instance is in use by a running service - moving it now would clash on D-Bus
+        this.logger.warn(`Cannot pin ${basePath} to ${serviceType}:${pinnedInstance} - in use by ${holder}, restart the plugin to apply`);
+      } else {
+        if (holder) {
+          devices[holder] = this._entry(serviceType, this._nextFree(serviceType, pinnedInstance), devices[holder].pinned);
+          this.logger.warn(`Pinned instance ${serviceType}:${pinnedInstance} moved ${holder} to ${devices[holder].classAndVrmInstance}`);
+        }
+        entry = this._entry(serviceType, pinnedInstance, true);
+      }
+    }
+
+    if (!entry) {
+      const instance = this._nextFree(serviceType, preferredInstance);
+      if (instance !== preferredInstance) {
+        this.logger.warn(`Instance collision for ${basePath}: ${serviceType}:${preferredInstance} is taken, using ${instance}`);
+      }
+      entry = this._entry(serviceType, instance, false);
+    }
+
+    entry.lastSeen = new Date().toISOString();
+    devices[basePath] = entry;
+    this.activeKeys.add(`${serviceType}:${basePath}`);
+    this._scheduleSave();
+    return entry;
+  }
+
+  /**
+   * Record the VRM instance Venus OS actually assigned, if it differs from the proposed one
+   * @param {string} serviceType - Venus OS service type
+   * @param {string} basePath - Signal K base path
+   * @param {number} vrmInstance - Instance assigned through the Venus OS Settings API
+   */
+  recordVrmInstance(serviceType, basePath, vrmInstance) {
+    const entry = this.devices[serviceType]?.[basePath];
+    if (!entry || typeof vrmInstance !== 'number') {
+      return;
+    }
+    const classAndVrmInstance = `${serviceType}:${vrmInstance}`;
+    if (entry.classAndVrmInstance !== classAndVrmInstance) {
+      entry.classAndVrmInstance = classAndVrmInstance;
+      this._scheduleSave();
+    }
+  }
+
+  /**
+   * Mark a device as no longer running, so a pin may take over its instance
+   * @param {string} serviceType - Venus OS service type
+   * @param {string} basePath - Signal K base path
+   */
+  release(serviceType, basePath) {
+    this.activeKeys.delete(`${serviceType}:${basePath}`);
+  }
+
+  _entry(serviceType, instance, pinned) {
+    return {
+      instance,
+      serviceName: `SignalK${instance}`,
+      classAndVrmInstance: `${serviceType}:${instance}`,
+      pinned
+    };
+  }
+
+  _findHolder(serviceType, instance, exceptBasePath = null) {
+    const devices = this.devices[serviceType] || {};
+    return Object.keys(devices).find(basePath => basePath !== exceptBasePath && devices[basePath].instance === instance) || null;
+  }
+
+  // First free instance at or after the preferred one
+  _nextFree(serviceType, preferredInstance) {
+    const used = new Set(Object.values(this.devices[serviceType] || {}).map(entry => entry.instance));
+    for (let offset = 0; offset < MAX_INSTANCES; offset++) {
+      const instance = (preferredInstance + offset) % MAX_INSTANCES;
+      if (!used.has(instance)) {
+        return instance;
+      }
+    }
+    throw new Error(`No free ${serviceType} instance left`);
+  }
+
+  _resolveDuplicates(serviceType) {
+    const devices = this.devices[serviceType];
+    const owners = new Map();
+    // Pinned entries claim their instance first
+    const basePaths = Object.keys(devices).sort((a, b) => Number(!!devices[b].pinned) - Number(!!devices[a].pinned));
+
+    for (const basePath of basePaths) {
+      const entry = devices[basePath];
+      if (!owners.has(entry.instance)) {
+        owners.set(entry.instance, basePath);
+        continue;
+      }
+      let instance = entry.instance;
+      while (owners.has(instance)) {
+        instance = (instance + 1) % MAX_INSTANCES;
+      }
+      devices[basePath] = { ...this._entry(serviceType, instance, false), lastSeen: entry.lastSeen };
+      owners.set(instance, basePath);
+      this.logger.warn(`Instance collision in registry: moved ${basePath} from ${serviceType}:${entry.instance} to ${serviceType}:${instance}`);
+    }
+  }
+
+  // Saves are chained so concurrent allocations never write the file at the same time
+  _scheduleSave() {
+    if (!this.filePath) {
+      return;
+    }
+    this._savePromise = this._savePromise
+      .then(() => this._save())
+      .catch(error => this.logger.error(`Failed to save instance registry: ${error.message}`));
+  }
+
+  async _save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const data = {
+      version: REGISTRY_VERSION,
+      devices: this.devices,
+      lastSaved: new Date().toISOString()
+    };
+
+    // Atomic write: write to temporary file first, then rename
+    const tempFilePath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempFilePath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(tempFilePath, this.filePath);
+  }
+
+  /**
+   * Wait until pending saves are written
+   */
+  async flush() {
+    await this._savePromise;
+  }
+}
+
+/**
+ * VRM instance pinned for a device in the plugin config
+ * instancePins (edited in the plugin settings and the web app) wins over an instance older versions of
+ * the web app saved in deviceOverrides
+ * @param {Object} config - Plugin config or client settings
+ * @param {string} devicePath - Signal K device path
+ * @returns {number|null} Pinned instance, null if the device isn't pinned
+ */
+export function getPinnedInstance(config, devicePath) {
+  const pin = config?.instancePins?.find?.(entry => entry?.path === devicePath)?.instance;
+  if (typeof pin === 'number') {
+    return pin;
+  }
+  const legacy = config?.deviceOverrides?.[devicePath]?.instance;
+  return typeof legacy === 'number' ? legacy : null;
+}
@@ -0,0 +1,217 @@
+// Web app for the Signal K to Venus OS bridge: device mapping and live values
+// Served by the Signal K server from public/, talks to the plugin REST API
+
+const API = '/plugins/signalk-to-venus';
+const REFRESH_INTERVAL = 2000;
+
+const typeTitles = {
+  batteries: 'Batteries',
+  tanks: 'Tanks',
+  environment: 'Environment',
+  switches: 'Switches & Dimmers',
+  solar: 'Solar Chargers',
+  alternators: 'Alternators',
+  gps: 'GPS',
+  meteo: 'Weather Station',
+  notifications: 'Notifications (Digital Inputs)'
+};
+
+let editing = null; // Path of a row with unsaved changes - refreshes pause so they aren't overwritten
+
+function formatValues(values) {
+  return Object.entries(values || {})
+    .map(([key, value]) => `${key} = ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+    .join('\n');
+}
+
+function showError(message) {
+  document.getElementById('error').textContent = message || '';
+}
+
+function renderStatus(data) {
+  const status = document.getElementById('status');
+  status.className = `status ${data.venusConnected ? 'connected' : 'disconnected'}`;
+  const lastTest = data.lastConnectivityTest;
+  if (data.targets?.length > 1) {
+    // One part per GX device, e.g. "cerbo connected, ekrano not connected"
+    status.textContent = `Venus OS ${data.targets
+      .map(target => `${target.name} ${target.reachable ? 'connected' : 'not connected'}`)
+      .join(', ')}`;
+    status.title = data.targets.map(target => target.error || `${target.name}: ${target.target}`).join('\n');
+    return;
+  }
+  status.textContent = data.venusConnected
+    ? `Venus OS connected (${data.target})`
+    : `Venus OS not connected (${data.target})${lastTest?.error ? ` - ${lastTest.error}` : ''}`;
+}
+
+function targetSelect(targets, selected) {
+  const select = document.createElement('select');
+  select.name = 'target';
+  for (const [index, target] of targets.entries()) {
+    select.add(new Option(index === 0 ? `${target.name} (default)` : target.name, target.name, false, target.name === selected));
+  }
+  return select;
+}
+
+function fluidTypeSelect(fluidTypes, selected) {
+  const select = document.createElement('select');
+  select.name = 'fluidType';
+  select.add(new Option('From path', ''));
+  for (const fluid of Object.values(fluidTypes)) {
+    select.add(new Option(fluid.name, fluid.value, false, fluid.value === selected));
+  }
+  return select;
+}
+
+function renderDevice(type, device, fluidTypes, targets) {
+  const row = document.createElement('tr');
+  row.dataset.path = device.path;
+
+  const enabledCell = row.insertCell();
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.name = 'enabled';
+  enabled.checked = device.enabled;
+  enabledCell.append(enabled);
+
+  const nameCell = row.insertCell();
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.name = 'name';
+  name.placeholder = device.displayName;
+  name.value = device.override.name || '';
+  const path = document.createElement('div');
+  path.className = 'path';
+  path.textContent = device.path;
+  nameCell.append(name, path);
+
+  const fluidCell = row.insertCell();
+  if (type === 'tanks') {
+    fluidCell.append(fluidTypeSelect(fluidTypes, device.override.fluidType));
+  }
+
+  const instanceCell = row.insertCell();
+  const instance = document.createElement('input');
+  instance.type = 'number';
+  instance.name = 'instance';
+  instance.min = 0;
+  instance.max = 999;
+  instance.placeholder = device.dbus?.vrmInstance ?? '';
+  instance.value = device.instance ?? '';
+  instanceCell.append(instance);
+  if (device.instanceConflict) {
+    const conflict = document.createElement('div');
+    conflict.className = 'error';
+    conflict.textContent = `Pinned to ${device.instanceConflict.instancePin}, not ${device.instanceConflict.override} from an older override - save to clear`;
+    instanceCell.append(conflict);
+  }
+
+  if (targets.length > 1) {
+    row.insertCell().append(targetSelect(targets, device.target));
+  }
+
+  const signalKCell = row.insertCell();
+  signalKCell.className = 'values';
+  signalKCell.textContent = formatValues(device.signalK);
+
+  const dbusCell = row.insertCell();
+  dbusCell.className = 'values';
+  dbusCell.textContent = device.dbus
+    ? `${device.dbus.serviceName}${device.dbus.isConnected ? '' : ' (disconnected)'}\n${formatValues(device.dbus.deviceData)}`
+    : 'Not published';
+
+  const actionCell = row.insertCell();
+  const save = document.createElement('button');
+  save.textContent = 'Save';
+  save.addEventListener('click', () => saveDevice(type, row));
+  actionCell.append(save);
+
+  row.addEventListener('input', () => { editing = device.path; });
+  row.addEventListener('change', () => { editing = device.path; });
+  return row;
+}
+
+function renderDevices(data) {
+  const container = document.getElementById('devices');
+  container.replaceChildren();
+
+  const types = Object.entries(data.types).filter(([, devices]) => devices.length > 0);
+  if (types.length === 0) {
+    container.textContent = 'No Signal K devices discovered yet.';
+    return;
+  }
+
+  // The target column only shows when bridging to several GX devices
+  const targets = data.targets || [];
+  const titles = ['Enabled', 'Name', 'Fluid type', 'VRM instance', ...(targets.length > 1 ? ['GX device'] : []), 'Signal K', 'Venus OS D-Bus', ''];
+  for (const [type, devices] of types) {
+    const heading = document.createElement('h2');
+    heading.textContent = typeTitles[type] || type;
+    const table = document.createElement('table');
+    table.createTHead().insertRow().append(...titles
+      .map(title => Object.assign(document.createElement('th'), { textContent: title })));
+    const body = table.createTBody();
+    for (const device of devices) {
+      body.append(renderDevice(type, device, data.fluidTypes, targets));
+    }
+    container.append(heading, table);
+  }
+}
+
+async function saveDevice(type, row) {
+  const field = name => row.querySelector(`[name=${name}]`);
+  const numberOrNull = value => (value === '' ? null : Number(value));
+  const body = {
+    type,
+    enabled: field('enabled').checked,
+    name: field('name').value.trim() || null,
+    instance: numberOrNull(field('instance').value)
+  };
+  if (field('fluidType')) {
+    body.fluidType = numberOrNull(field('fluidType').value);
+  }
+  if (field('target')) {
+    // Devices on the default target don't need an override
+    body.target = field('target').selectedIndex === 0 ? null : field('target').value;
+  }
+
+  try {
+    const response = await fetch(`${API}/devices/${encodeURIComponent(row.dataset.path)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      credentials: 'include'
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || response.statusText);
+    }
+    editing = null;
+    showError('');
+    await refresh();
+  } catch (err) {
+    showError(`Saving ${row.dataset.path} failed: ${err.message}`);
+  }
+}
+
+async function refresh() {
+  if (editing) {
+    return; // Don't replace the form while the user is typing
+  }
+  try {
+    const response = await fetch(`${API}/devices`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(response.status === 401 ? 'Log in to the Signal K server' : response.statusText);
+    }
+    const data = await response.json();
+    renderStatus(data);
+    renderDevices(data);
+    showError('');
+  } catch (err) {
+    showError(`Loading devices failed: ${err.message}`);
+  }
+}
+
+refresh();
+setInterval(refresh, REFRESH_INTERVAL);
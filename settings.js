@@ -1,16 +1,90 @@
 export default {
   venusHost: 'venus.local',
+  // D-Bus connection: 'tcp' (venusHost:78, needs "D-Bus over TCP" on the GX), 'system' (local system bus
+  // when Signal K runs on Venus OS Large) or 'socket' (custom unix socket in dbusSocketPath)
+  connectionMode: 'tcp',
+  dbusSocketPath: '/var/run/dbus/system_bus_socket',
+  // Several GX devices - empty uses the connection above as the only target. Devices are assigned to a
+  // target by name with deviceOverrides[path].target and go to the first target otherwise.
+  venusTargets: [
+    // { name: 'cerbo', venusHost: 'cerbo.local' },
+    // { name: 'ekrano', venusHost: 'ekrano.local', port: 78 }
+  ],
   interval: 1000,
   enabledDevices: {
     batteries: true,
     tanks: true,
     environment: true,
-    switches: true
+    switches: true,
+    solar: true,
+    alternators: true,
+    gps: true,
+    meteo: true,
+    notifications: true
   },
   
   // Battery Monitor Configuration
   batteryMonitor: {
     batteryCapacity: 800, // Battery capacity in Ah for TTG calculations and monitoring
+    nominalVoltage: null, // V, converts Signal K capacity (Joules) to Ah - null uses the measured battery voltage
+    
+    // Virtual battery banks - parallel batteries reported separately in Signal K, published as one battery
+    // service with summed current and capacity, average voltage and capacity-weighted SOC
+    batteryBanks: [
+      // { path: 'electrical.batteries.houseBank', name: 'House Bank', batteries: ['electrical.batteries.1', 'electrical.batteries.2'] }
+    ],
+    
+    // Coulomb-counting SOC for batteries without a native stateOfCharge (e.g. lead-acid bank with only a shunt)
+    socEstimator: {
+      enabled: false, // Estimate /Soc, /ConsumedAmphours and /TimeToGo from the battery current
+      batteries: [], // Battery paths to estimate (e.g. 'electrical.batteries.house'), empty = all batteries without native SOC
+      nativeSocTimeout: 60, // Seconds an unlisted battery must send current without a native SOC before it is estimated
+      capacity: null, // Ah, defaults to the battery's capacity.nominal or batteryCapacity
+      initialSoc: null, // Percent the estimate starts from for a battery without estimator state, null = full
+      chargeEfficiency: 95, // Percent of charge current stored in the battery
+      peukertExponent: 1.25, // Peukert exponent, 1.0 disables the correction
+      chargedVoltage: 13.2, // Battery voltage (V) above which the battery may be considered charged
+      tailCurrent: 4, // Charge current (percent of capacity) below which the battery may be considered charged
+      chargedDetectionTime: 180, // Seconds both charged conditions must hold before synchronising to 100%
+      selfDischargeRate: 3 // Percent of capacity per month
+    },
+    
+    // BMV-style history: /History/ChargeCycles counts a discharge below cycleDischargeSoc followed by a
+    // recharge above cycleChargeSoc, a full charge (synchronisation) is fullSoc, a full discharge emptySoc
+    historyCounters: {
+      cycleDischargeSoc: 65,
+      cycleChargeSoc: 90,
+      fullSoc: 100,
+      emptySoc: 0
+    },
+    
+    // Battery alarms driving /Alarms/* (0 = ok, 1 = warning, 2 = alarm) - voltages are for a 12V system
+    alarms: {
+      enabled: false, // Compute alarms from live voltage, SOC, current and temperature
+      delay: 10, // Seconds a condition must hold before an alarm is raised
+      lowVoltage: { warning: 12.0, alarm: 11.6, hysteresis: 0.2 }, // V
+      highVoltage: { warning: 14.8, alarm: 15.0, hysteresis: 0.2 }, // V
+      lowSoc: { warning: 30, alarm: 20, hysteresis: 5 }, // %
+      highCurrent: { warning: 150, alarm: 200, hysteresis: 10 }, // A, charge or discharge
+      highTemperature: { warning: 45, alarm: 55, hysteresis: 3 }, // °C
+      lowTemperature: { warning: 5, alarm: 0, hysteresis: 2 } // °C
+    },
+    
+    // DVCC control mode - Venus OS DVCC follows /Info/MaxChargeVoltage, /Info/MaxChargeCurrent and /Io/AllowToCharge
+    // of the battery selected as BMS, so these are only published for opted-in batteries with a BMS in Signal K.
+    // Limits are for a 12V system.
+    dvcc: {
+      enabled: false, // Publish charge limits and permissions from Signal K
+      batteries: [], // Battery paths allowed to control DVCC, empty = all batteries with BMS limits
+      maxChargeVoltage: { min: 12.0, max: 14.6 }, // V, values outside are rejected as implausible
+      maxChargeCurrent: { max: 300 }, // A
+      maxDischargeCurrent: { max: 400 }, // A
+      rampRate: { voltage: 0.05, current: 10 }, // Increase per second, decreases apply at once
+      watchdogTimeout: 30000, // ms without plausible BMS limits before the fallback
+      fallback: 'stopCharging', // 'stopCharging' drops /Io/AllowToCharge, 'safeLimits' publishes safeLimits
+      safeLimits: { maxChargeVoltage: 13.5, maxChargeCurrent: 10, maxDischargeCurrent: 100 }
+    },
+    
     directDcDevices: [
       // Solar devices - add your solar panel device paths
       {
@@ -25,6 +99,8 @@ export default {
         basePath: 'electrical.alternator.277',
         currentPath: 'electrical.alternator.277.current',
         powerPath: 'electrical.alternator.277.power'
+        // voltagePath: 'electrical.alternator.277.voltage', // optional, defaults to <basePath>.voltage
+        // pulleyRatio: 2.5 // optional, alternator to engine pulley ratio for engine speed on the GX
       }
       // Add more devices as needed:
       // {
@@ -40,8 +116,48 @@ export default {
   tankRegex: /^tanks\.[^.\/]+\.[^.\/]+\./, 
   temperatureRegex: /^environment\..*\.temperature$|^propulsion\..*\.temperature$/, 
   humidityRegex: /^environment\..*\.(humidity|relativeHumidity)$/, 
+  // Switch banks for the Venus OS SwitchableOutput API - each bank is one switch service on the GX,
+  // switches not listed here are grouped into a default bank named 'Switches'
+  switchBanks: [
+    // {
+    //   name: 'Navigation',
+    //   switches: ['electrical.switches.nav', 'electrical.switches.anchor']
+    // }
+  ],
+  
+  // Venus OS digital input type for Signal K notifications - notifications not listed here are
+  // guessed from their path (bilge, smoke, fire, co2) and fall back to 'generic'
+  // Types: 'door', 'bilge', 'burglar', 'smoke', 'fire', 'co2', 'generic'
+  notificationTypes: [
+    // { path: 'notifications.navigation.anchor', type: 'generic' }
+  ],
+  
+  // Per-device overrides keyed by Signal K device path, normally edited in the plugin web app:
+  // name (custom name on Venus OS), fluidType (tanks, Venus OS fluid type number), instance (VRM instance 0-999)
+  deviceOverrides: {
+    // 'tanks.fuel.0': { name: 'Day Tank', fluidType: 7, instance: 20 }
+  },
+  
+  // Pin the VRM instance of a device (0-999). Instances are otherwise allocated once and kept in
+  // instance-registry.json in the plugin data directory. Pin a renamed path to its old instance to keep its VRM history.
+  instancePins: [
+    // { path: 'electrical.batteries.house', instance: 12 }
+  ],
+  
+  // Battery history is kept in history-<type>.json in the plugin data directory. Corrupted files
+  // are moved aside as .corrupted.<timestamp> - keep only the newest few and none older than the max age
+  historyRetention: {
+    maxCorruptedBackups: 3,
+    corruptedBackupMaxAgeDays: 30
+  },
+  
   switchRegex: /^electrical\.switches\.[^.]+\.state$/, 
   dimmerRegex: /^electrical\.switches\.[^.]+\.dimmingLevel$/,
+  alternatorRegex: /^electrical\.alternators\.[^.]+\.(voltage|current|power|fieldDrive|temperature|revolutions|pulleyRatio)$/,
+  gpsRegex: /^navigation\.(position|speedOverGround|courseOverGroundTrue|gnss\.(satellites|methodQuality|antennaAltitude))$/,
+  notificationRegex: /^notifications\./,
+  meteoRegex: /^environment\.(wind\.(speedTrue|directionTrue)|outside\.(temperature|pressure|solarRadiation))$/,
+  solarRegex: /^electrical\.solar\.[^.]+\.(panelPower|panelVoltage|panelCurrent|voltage|current|chargingMode|yieldToday)$/,
   
   // Connection resilience settings
   connectionTimeout: 5000, // Connection timeout in milliseconds (default: 5 seconds)
@@ -49,6 +165,29 @@ export default {
   reconnectBaseDelay: 1000, // Base delay for exponential backoff (default: 1 second)
   maxReconnectDelay: 60000, // Maximum delay between reconnection attempts (default: 60 seconds)
   
+  // Stale data detection per device type - a device without Signal K updates for `timeout` ms is shown as
+  // disconnected on Venus OS with invalid values, and removed after `removeAfter` ms. 0 disables a stage.
+  // Switches and notifications are often only sent on change, so they are never considered stale by default.
+  staleData: {
+    checkInterval: 10000, // How often devices are checked in milliseconds (default: 10 seconds)
+    batteries: { timeout: 60000, removeAfter: 900000 },
+    tanks: { timeout: 300000, removeAfter: 3600000 },
+    environment: { timeout: 300000, removeAfter: 3600000 },
+    switches: { timeout: 0, removeAfter: 0 },
+    solar: { timeout: 120000, removeAfter: 3600000 },
+    alternators: { timeout: 120000, removeAfter: 3600000 },
+    gps: { timeout: 30000, removeAfter: 900000 },
+    meteo: { timeout: 120000, removeAfter: 3600000 },
+    notifications: { timeout: 0, removeAfter: 0 }
+  },
+  
+  // Source selection for paths with several Signal K sources ($source)
+  sourcePriorities: [], // [{ path: 'electrical.batteries.house', sources: ['can0.115', 'venus.ve.direct'] }], first = preferred
+  sourceTimeout: 10000, // Time without values after which a source is stale and the next one takes over (default: 10 seconds)
+  
+  // Venus OS -> Signal K write-back settings
+  putTimeout: 5000, // Time to wait for a Signal K PUT acknowledgement in milliseconds (default: 5 seconds)
+  
   // Data validation settings
   socValidationEnabled: true, // Enable SOC 0% validation to prevent spurious values
   minDischargeCurrent: 0.5 // Minimum discharge current (A) to accept SOC 0% values
@@ -0,0 +1,128 @@
+/**
+ * Coulomb-counting state of charge estimator for batteries without a native state of charge
+ * Works like a BMV battery monitor: integrates the shunt current with charge efficiency and
+ * Peukert correction, and synchronises to 100% when the charged voltage and tail current are reached
+ */
+export class SocEstimator {
+  constructor(options = {}, logger = null) {
+    this.logger = logger || { debug: () => {}, error: () => {} };
+    this.capacity = options.capacity || null; // Ah, null means the caller provides it per update
+    this.chargeEfficiency = (options.chargeEfficiency ?? 95) / 100; // Percent of charge current stored in the battery
+    this.peukertExponent = options.peukertExponent ?? 1.25; // 1.0 disables Peukert correction
+    this.ratedDischargeTime = options.ratedDischargeTime || 20; // Hours the rated capacity refers to (C20)
+    this.chargedVoltage = options.chargedVoltage ?? null; // V, null disables synchronisation
+    this.tailCurrent = options.tailCurrent ?? 4; // Percent of capacity
+    this.chargedDetectionTime = options.chargedDetectionTime ?? 180; // Seconds both conditions must hold
+    this.selfDischargeRate = options.selfDischargeRate ?? 0; // Percent of capacity per month
+    this.maxInterval = options.maxInterval || 60; // Seconds - longer gaps are not integrated
+  }
+
+  /**
+   * Create the persisted estimator state for a battery
+   * @param {number|null} initialSoc - Starting SOC in percent, defaults to full
+   * @param {number} capacity - Battery capacity in Ah
+   * @returns {Object} Plain object state, safe to store in the history file
+   */
+  createState(initialSoc = null, capacity = this.capacity) {
+    const soc = typeof initialSoc === 'number' && !isNaN(initialSoc) ? initialSoc : 100;
+    return {
+      consumedAh: capacity ? capacity * (100 - soc) / 100 : 0,
+      lastTimestamp: null,
+      chargedSince: null,
+      lastSynchronized: null
+    };
+  }
+
+  /**
+   * Integrate a new current reading into the estimator state
+   * @param {Object} state - State created by createState (mutated in place)
+   * @param {number} current - Battery current in A, positive while charging
+   * @param {number|null} voltage - Battery voltage in V, used for synchronisation
+   * @param {number} capacity - Battery capacity in Ah
+   * @param {number} now - Timestamp in ms
+   * @returns {Object} { soc, consumedAh, timeToGo, synchronized }
+   */
+  update(state, current, voltage, capacity = this.capacity, now = Date.now()) {
+    if (!capacity || capacity <= 0) {
+      throw new Error('SOC estimator needs a battery capacity');
+    }
+
+    let synchronized = false;
+
+    if (state.lastTimestamp !== null && now > state.lastTimestamp) {
+      const seconds = (now - state.lastTimestamp) / 1000;
+
+      if (seconds <= this.maxInterval) {
+        const hours = seconds / 3600;
+
+        // Charge is stored with losses, discharge is corrected for Peukert's law
+        const effectiveCurrent = current > 0
+          ? current * this.chargeEfficiency
+          : -this._peukertCurrent(-current, capacity);
+        state.consumedAh -= effectiveCurrent * hours;
+      } else {
+        this.logger.debug(`SOC estimator: skipping ${seconds.toFixed(0)}s data gap`);
+      }
+
+      // Self-discharge happens regardless of data gaps
+      if (this.selfDischargeRate > 0) {
+        const monthHours = 30 * 24;
+        state.consumedAh += capacity * (this.selfDischargeRate / 100) * (seconds / 3600) / monthHours;
+      }
+    }
+    state.lastTimestamp = now;
+
+    // Synchronise to 100% once charged voltage and tail current are reached for long enough
+    if (this._isCharged(current, voltage, capacity)) {
+      if (state.chargedSince === null) {
+        state.chargedSince = now;
+      } else if ((now - state.chargedSince) / 1000 >= this.chargedDetectionTime) {
+        if (state.consumedAh !== 0) {
+          this.logger.debug('SOC estimator: battery charged, synchronising to 100%');
+        }
+        state.consumedAh = 0;
+        state.lastSynchronized = now;
+        synchronized = true;
+      }
+    } else {
+      state.chargedSince = null;
+    }
+
+    // A battery can't hold more than full or give more than its capacity
+    state.consumedAh = Math.min(Math.max(state.consumedAh, 0), capacity);
+
+    const soc = 100 * (capacity - state.consumedAh) / capacity;
+    return {
+      soc,
+      consumedAh: state.consumedAh,
+      timeToGo: this._timeToGo(current, capacity - state.consumedAh, capacity),
+      synchronized
+    };
+  }
+
+  _isCharged(current, voltage, capacity) {
+    if (this.chargedVoltage === null || typeof voltage !== 'number' || isNaN(voltage)) {
+      return false;
+    }
+    const tailCurrentAmps = capacity * this.tailCurrent / 100;
+    return voltage >= this.chargedVoltage && current >= 0 && current <= tailCurrentAmps;
+  }
+
+  // Discharge current scaled by Peukert's law relative to the rated discharge current
+  _peukertCurrent(current, capacity) {
+    const ratedCurrent = capacity / this.ratedDischargeTime;
+    if (current <= 0 || this.peukertExponent === 1) {
+      return current;
+    }
+    return ratedCurrent * Math.pow(current / ratedCurrent, this.peukertExponent);
+  }
+
+  // Seconds until empty while discharging, null otherwise (shown as unavailable on the GX)
+  _timeToGo(current, remainingAh, capacity) {
+    if (current >= -0.1) {
+      return null;
+    }
+    const hours = remainingAh / this._peukertCurrent(-current, capacity);
+    return Math.round(hours * 3600);
+  }
+}
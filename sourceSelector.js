@@ -0,0 +1,97 @@
+/**
+ * Source selection for Signal K paths with several $sources
+ * A device can have an ordered list of preferred sources. For each of its paths only the value of the
+ * active source is forwarded: the first listed source that sent the path within the timeout. When it goes
+ * stale the next one takes over, and it takes back over as soon as it sends again. Sources that are not
+ * listed are only used while no listed source is alive. Paths of devices without a list pass unfiltered.
+ */
+
+export class SourceSelector {
+  /**
+   * @param {Object[]} priorities - Entries { path, sources } with a device base path and its ordered source ids
+   * @param {Object} options
+   * @param {number} options.timeout - Milliseconds after which a silent source is stale
+   * @param {Object} logger
+   */
+  constructor(priorities = [], { timeout = 10000 } = {}, logger = null) {
+    this.logger = logger || { debug: () => {} };
+    this.timeout = timeout;
+    this.priorities = (Array.isArray(priorities) ? priorities : [])
+      .filter(entry => entry && typeof entry.path === 'string' && entry.path.trim() !== '' && Array.isArray(entry.sources))
+      .map(entry => ({
+        path: entry.path.trim(),
+        sources: entry.sources.filter(source => typeof source === 'string' && source.trim() !== '').map(source => source.trim())
+      }))
+      .filter(entry => entry.sources.length > 0)
+      .sort((a, b) => b.path.length - a.path.length); // Most specific device path first
+    this.paths = new Map(); // Map of Signal K path -> { sources: Map(source -> last seen), active }
+  }
+
+  /**
+   * Record a value and decide whether it is forwarded
+   * @param {string} path - Signal K path
+   * @param {string|null} source - $source of the value
+   * @param {number} now - Timestamp in ms
+   * @returns {boolean} Whether the value comes from the active source of the path
+   */
+  accept(path, source, now = Date.now()) {
+    const sourceId = source || 'unknown';
+    let state = this.paths.get(path);
+    if (!state) {
+      state = { sources: new Map(), active: null };
+      this.paths.set(path, state);
+    }
+    state.sources.set(sourceId, now);
+
+    const priority = this._getPriority(path);
+    if (!priority) {
+      state.active = sourceId;
+      return true;
+    }
+
+    const active = this._selectSource(state, priority.sources, sourceId, now);
+    if (active !== state.active) {
+      if (state.active !== null) {
+        this.logger.debug(`Source of ${path} switched from ${state.active} to ${active}`);
+      }
+      state.active = active;
+    }
+    return active === sourceId;
+  }
+
+  /**
+   * Sources seen per path, for diagnostics and the plugin configuration
+   * @param {number} now - Timestamp in ms
+   * @returns {Object[]} Path, device path of its priority list, active source and all seen sources
+   */
+  getStatus(now = Date.now()) {
+    return [...this.paths.entries()].map(([path, state]) => ({
+      path,
+      device: this._getPriority(path)?.path || null,
+      active: state.active,
+      sources: [...state.sources.entries()].map(([source, lastSeen]) => ({
+        source,
+        lastSeen: new Date(lastSeen).toISOString(),
+        stale: now - lastSeen >= this.timeout
+      }))
+    }));
+  }
+
+  _getPriority(path) {
+    return this.priorities.find(entry => path === entry.path || path.startsWith(`${entry.path}.`)) || null;
+  }
+
+  _selectSource(state, preferred, current, now) {
+    const isFresh = source => state.sources.has(source) && now - state.sources.get(source) < this.timeout;
+
+    const listed = preferred.find(isFresh);
+    if (listed) {
+      return listed;
+    }
+    // No listed source alive - stay with the active unlisted source while it sends, else take this one
+    if (state.active && !preferred.includes(state.active) && isFresh(state.active)) {
+      return state.active;
+    }
+    return current;
+  }
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { BatteryAlarms } from '../batteryAlarms.js';
+
+describe('BatteryAlarms', () => {
+  const start = 1_700_000_000_000;
+  let alarms;
+  let state;
+
+  beforeEach(() => {
+    alarms = new BatteryAlarms({
+      delay: 10,
+      lowVoltage: { warning: 12.0, alarm: 11.6, hysteresis: 0.2 },
+      highVoltage: { warning: 14.8, alarm: 15.0, hysteresis: 0.2 },
+      lowSoc: { warning: 30, alarm: 20, hysteresis: 5 },
+      highCurrent: { warning: 150, alarm: 200, hysteresis: 10 },
+      highTemperature: { warning: 45, alarm: 55, hysteresis: 3 }
+    });
+    state = alarms.createState();
+  });
+
+  it('should start with all alarms ok', () => {
+    expect(alarms.evaluate(state, { '/Dc/0/Voltage': 12.8, '/Soc': 80 }, start)).toEqual({
+      lowVoltage: 0,
+      highVoltage: 0,
+      lowSoc: 0,
+      highCurrent: 0,
+      highTemperature: 0,
+      lowTemperature: 0
+    });
+  });
+
+  it('should only raise a level after the delay', () => {
+    expect(alarms.evaluateAlarm(state, 'lowSoc', 25, start)).toBe(0);
+    expect(alarms.evaluateAlarm(state, 'lowSoc', 25, start + 5000)).toBe(0);
+    expect(alarms.evaluateAlarm(state, 'lowSoc', 25, start + 10000)).toBe(1);
+  });
+
+  it('should not raise an alarm for a short dip', () => {
+    alarms.evaluateAlarm(state, 'lowVoltage', 11.5, start);
+    alarms.evaluateAlarm(state, 'lowVoltage', 12.6, start + 5000);
+
+    expect(alarms.evaluateAlarm(state, 'lowVoltage', 11.5, start + 12000)).toBe(0);
+    expect(state.lowVoltage.pendingSince).toBe(start + 12000);
+  });
+
+  it('should escalate from warning to alarm', () => {
+    alarms.evaluateAlarm(state, 'lowSoc', 25, start);
+    alarms.evaluateAlarm(state, 'lowSoc', 25, start + 10000);
+    alarms.evaluateAlarm(state, 'lowSoc', 15, start + 11000);
+
+    expect(alarms.evaluateAlarm(state, 'lowSoc', 15, start + 21000)).toBe(2);
+  });
+
+  it('should apply hysteresis before clearing', () => {
+    alarms.evaluateAlarm(state, 'lowSoc', 15, start);
+    alarms.evaluateAlarm(state, 'lowSoc', 15, start + 10000);
+    expect(state.lowSoc.level).toBe(2);
+
+    // Above the alarm threshold but within hysteresis - stays in alarm
+    expect(alarms.evaluateAlarm(state, 'lowSoc', 22, start + 11000)).toBe(2);
+    // Past the alarm hysteresis but within the warning hysteresis - drops to warning
+    expect(alarms.evaluateAlarm(state, 'lowSoc', 32, start + 12000)).toBe(1);
+    // Past the warning hysteresis - clears immediately
+    expect(alarms.evaluateAlarm(state, 'lowSoc', 36, start + 13000)).toBe(0);
+  });
+
+  it('should alarm on high values for high direction alarms', () => {
+    alarms.evaluateAlarm(state, 'highTemperature', 56, start);
+    expect(alarms.evaluateAlarm(state, 'highTemperature', 56, start + 10000)).toBe(2);
+  });
+
+  it('should use the absolute current for the high current alarm', () => {
+    alarms.evaluate(state, { '/Dc/0/Current': -210 }, start);
+    const levels = alarms.evaluate(state, { '/Dc/0/Current': -210 }, start + 10000);
+
+    expect(levels.highCurrent).toBe(2);
+  });
+
+  it('should keep the level when the measurement is missing', () => {
+    alarms.evaluateAlarm(state, 'lowSoc', 15, start);
+    alarms.evaluateAlarm(state, 'lowSoc', 15, start + 10000);
+
+    expect(alarms.evaluateAlarm(state, 'lowSoc', undefined, start + 20000)).toBe(2);
+    expect(alarms.evaluateAlarm(state, 'lowSoc', NaN, start + 30000)).toBe(2);
+  });
+
+  it('should never trigger alarms without thresholds', () => {
+    alarms.evaluateAlarm(state, 'lowTemperature', -30, start);
+    expect(alarms.evaluateAlarm(state, 'lowTemperature', -30, start + 60000)).toBe(0);
+  });
+});
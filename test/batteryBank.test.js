@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { BatteryBank } from '../batteryBank.js';
+
+describe('BatteryBank', () => {
+  const config = { path: 'electrical.batteries.bank', name: 'House Bank', batteries: ['electrical.batteries.1', 'electrical.batteries.2'] };
+
+  it('should reject banks without a path or members', () => {
+    expect(() => new BatteryBank({ batteries: ['electrical.batteries.1'] })).toThrow('bank path is required');
+    expect(() => new BatteryBank({ path: 'electrical.batteries.bank', batteries: [] })).toThrow('at least one member battery is required');
+    expect(() => new BatteryBank({ path: 'electrical.batteries.1', batteries: ['electrical.batteries.1'] })).toThrow('own member');
+  });
+
+  it('should match member values only', () => {
+    const bank = new BatteryBank(config);
+
+    expect(bank.match('electrical.batteries.1.voltage')).toMatchObject({ battery: 'electrical.batteries.1', key: 'voltage' });
+    expect(bank.match('electrical.batteries.2.stateOfCharge')).toMatchObject({ key: 'soc', units: 'ratio', target: '%' });
+    expect(bank.match('electrical.batteries.2.capacity.stateOfCharge')).toMatchObject({ key: 'soc' });
+    expect(bank.match('electrical.batteries.1.cells.7.voltage')).toMatchObject({ key: 'cell', cell: '7' });
+    expect(bank.match('electrical.batteries.1.name')).toBeNull();
+    expect(bank.match('electrical.batteries.10.voltage')).toBeNull();
+  });
+
+  it('should sum currents and capacities, average voltages and weight the SOC by capacity', () => {
+    const bank = new BatteryBank(config);
+    bank.update('electrical.batteries.1', 'voltage', 13.0, 0);
+    bank.update('electrical.batteries.2', 'voltage', 13.2, 0);
+    bank.update('electrical.batteries.1', 'current', 5, 0);
+    bank.update('electrical.batteries.2', 'current', 15, 0);
+    bank.update('electrical.batteries.1', 'capacity', 100 * 13.0 * 3600, 0);
+    bank.update('electrical.batteries.2', 'capacity', 200 * 13.2 * 3600, 0);
+    bank.update('electrical.batteries.1', 'soc', 50, 0);
+    bank.update('electrical.batteries.2', 'soc', 80, 0);
+
+    const aggregate = bank.getAggregate(0);
+    expect(aggregate.voltage).toBeCloseTo(13.1);
+    expect(aggregate.current).toBe(20);
+    expect(aggregate.power).toBeCloseTo(13.1 * 20);
+    expect(aggregate.capacity).toBeCloseTo(300);
+    expect(aggregate.soc).toBeCloseTo(70);
+    expect(aggregate.batteries).toBe(2);
+  });
+
+  it('should average the SOC without capacities and leave partial sums out', () => {
+    const bank = new BatteryBank(config);
+    bank.update('electrical.batteries.1', 'soc', 50, 0);
+    bank.update('electrical.batteries.2', 'soc', 90, 0);
+    bank.update('electrical.batteries.1', 'current', 5, 0);
+    bank.update('electrical.batteries.1', 'voltage', 12, 0);
+    bank.update('electrical.batteries.1', 'capacity', 100 * 12 * 3600, 0);
+
+    const aggregate = bank.getAggregate(0);
+    expect(aggregate.soc).toBe(70);
+    expect(aggregate.current).toBeNull();
+    expect(aggregate.capacity).toBeNull();
+    expect(aggregate.power).toBeNull();
+  });
+
+  it('should convert capacities reported before the voltage once the voltage is known', () => {
+    const bank = new BatteryBank(config);
+    bank.update('electrical.batteries.1', 'capacity', 100 * 12 * 3600, 0);
+    bank.update('electrical.batteries.2', 'capacity', 200 * 12 * 3600, 0);
+    bank.update('electrical.batteries.1', 'voltage', 12, 0);
+
+    expect(bank.getAggregate(0).capacity).toBeNull();
+    expect(bank.getAggregate(0, { nominalVoltage: 24 }).capacity).toBeCloseTo(150);
+
+    bank.update('electrical.batteries.2', 'voltage', 12, 0);
+    expect(bank.getAggregate(0).capacity).toBeCloseTo(300);
+  });
+
+  it('should report the lowest and highest cell voltage and temperature', () => {
+    const bank = new BatteryBank(config);
+    bank.update('electrical.batteries.1', 'cell.1', 3.31, 0);
+    bank.update('electrical.batteries.1', 'cell.2', 3.35, 0);
+    bank.update('electrical.batteries.2', 'cell.1', 3.28, 0);
+    bank.update('electrical.batteries.1', 'temperature', 21, 0);
+    bank.update('electrical.batteries.2', 'temperature', 27, 0);
+
+    expect(bank.getAggregate(0)).toMatchObject({ minCellVoltage: 3.28, maxCellVoltage: 3.35, minTemperature: 21, maxTemperature: 27 });
+  });
+
+  it('should leave out member values older than the maximum age', () => {
+    const bank = new BatteryBank(config, { maxAge: 1000 });
+    bank.update('electrical.batteries.1', 'voltage', 13.0, 0);
+    bank.update('electrical.batteries.2', 'voltage', 13.4, 900);
+
+    expect(bank.getAggregate(1500)).toMatchObject({ voltage: 13.4, batteries: 1 });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { BatteryBms, matchBmsPath } from '../batteryBms.js';
+
+describe('BatteryBms', () => {
+  it('should match the BMS path names of common plugins', () => {
+    expect(matchBmsPath('electrical.batteries.1.cells.3.voltage')).toEqual({ basePath: 'electrical.batteries.1', key: 'cellVoltage', cell: 3 });
+    expect(matchBmsPath('electrical.batteries.1.cell12Voltage')).toEqual({ basePath: 'electrical.batteries.1', key: 'cellVoltage', cell: 12 });
+    expect(matchBmsPath('electrical.batteries.lfp.chargeCurrentLimit')).toMatchObject({ basePath: 'electrical.batteries.lfp', key: 'maxChargeCurrent' });
+    expect(matchBmsPath('electrical.batteries.lfp.cells.minVoltage')).toMatchObject({ key: 'minCellVoltage' });
+    expect(matchBmsPath('electrical.batteries.1.voltage')).toBeNull();
+    expect(matchBmsPath('electrical.batteries.1.capacity.stateOfCharge')).toBeNull();
+  });
+
+  it('should derive the cell summary until the BMS reports it itself', () => {
+    const bms = new BatteryBms();
+    const state = bms.createState();
+
+    bms.update(state, 'cellVoltage', 3.30, 1);
+    const updates = bms.update(state, 'cellVoltage', 3.34, 2);
+    const byPath = Object.fromEntries(updates.map(update => [update.path, update.value]));
+    expect(byPath['/Voltages/Cell2']).toBe(3.34);
+    expect(byPath['/Voltages/Sum']).toBeCloseTo(6.64);
+    expect(byPath['/Voltages/Diff']).toBeCloseTo(0.04);
+    expect(byPath['/System/MinCellVoltage']).toBe(3.30);
+    expect(byPath['/System/MaxCellVoltage']).toBe(3.34);
+    expect(byPath['/System/NrOfCellsPerBattery']).toBe(2);
+
+    bms.update(state, 'minCellVoltage', 3.29);
+    bms.update(state, 'cellCount', 4);
+    const paths = bms.update(state, 'cellVoltage', 3.31, 3).map(update => update.path);
+    expect(paths).not.toContain('/System/MinCellVoltage');
+    expect(paths).not.toContain('/System/NrOfCellsPerBattery');
+    expect(paths).toContain('/System/MaxCellVoltage');
+  });
+
+  it('should combine per-cell balancing into the balancer flag', () => {
+    const bms = new BatteryBms();
+    const state = bms.createState();
+
+    expect(bms.update(state, 'cellBalancing', true, 1)).toEqual([{ path: '/Balancer', value: 1, type: 'i', text: 'Balancer active' }]);
+    expect(bms.update(state, 'cellBalancing', false, 2)[0].value).toBe(1);
+    expect(bms.update(state, 'cellBalancing', 'off', 1)[0].value).toBe(0);
+  });
+
+  it('should derive the charge permission from the charging mode unless the BMS reports it', () => {
+    const bms = new BatteryBms();
+    const state = bms.createState();
+
+    expect(bms.update(state, 'chargingMode', 'float')[0]).toMatchObject({ path: '/Io/AllowToCharge', value: 1 });
+    expect(bms.update(state, 'chargingMode', 'fault')[0]).toMatchObject({ path: '/Io/AllowToCharge', value: 0 });
+    expect(bms.update(state, 'chargingMode', 'unknown')).toEqual([]);
+
+    bms.update(state, 'allowToCharge', 1);
+    expect(bms.update(state, 'chargingMode', 'off')).toEqual([]);
+  });
+
+  it('should ignore invalid limits and flags', () => {
+    const bms = new BatteryBms();
+    const state = bms.createState();
+
+    expect(bms.update(state, 'maxChargeCurrent', -5)).toEqual([]);
+    expect(bms.update(state, 'maxChargeVoltage', 'high')).toEqual([]);
+    expect(bms.update(state, 'allowToDischarge', 'maybe')).toEqual([]);
+    expect(bms.update(state, 'maxDischargeCurrent', 100)).toEqual([{ path: '/Info/MaxDischargeCurrent', value: 100, type: 'd', text: 'Max discharge current' }]);
+  });
+});
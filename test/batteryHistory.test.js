@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { BatteryHistory } from '../batteryHistory.js';
+
+describe('BatteryHistory', () => {
+  const start = 1_700_000_000_000;
+  let counters;
+  let history;
+
+  beforeEach(() => {
+    counters = new BatteryHistory({ cycleDischargeSoc: 65, cycleChargeSoc: 90, fullSoc: 100, emptySoc: 0 });
+    history = { minimumVoltage: 12.1, maximumVoltage: 14.2, dischargedEnergy: 1, chargedEnergy: 1, totalAhDrawn: 10 };
+  });
+
+  it('should add counters to history entries persisted without them', () => {
+    counters.ensureCounters(history);
+
+    expect(history.chargeCycles).toBe(0);
+    expect(history.lastFullCharge).toBeNull();
+    expect(history.totalAhDrawn).toBe(10);
+  });
+
+  it('should track the deepest and last discharge', () => {
+    counters.update(history, { soc: 70, consumedAh: 60 }, start);
+    counters.update(history, { soc: 80, consumedAh: 40 }, start + 1000);
+
+    expect(history.deepestDischarge).toBe(60);
+    expect(history.lastDischarge).toBe(60);
+  });
+
+  it('should end the last discharge on a full charge and average completed discharges', () => {
+    counters.update(history, { soc: 70, consumedAh: 60 }, start);
+    counters.update(history, { soc: 100, consumedAh: 0 }, start + 1000);
+    counters.update(history, { soc: 80, consumedAh: 20 }, start + 2000);
+    counters.update(history, { soc: 100, consumedAh: 0 }, start + 3000);
+
+    expect(history.lastDischarge).toBe(0);
+    expect(history.deepestDischarge).toBe(60);
+    expect(history.automaticSyncs).toBe(2);
+    expect(counters.toDbus(history, start + 3000)['/History/AverageDischarge']).toBe(-40);
+  });
+
+  it('should count a charge cycle after a deep discharge and recharge', () => {
+    counters.update(history, { soc: 60 }, start);
+    counters.update(history, { soc: 85 }, start + 1000);
+    expect(history.chargeCycles).toBe(0);
+
+    counters.update(history, { soc: 92 }, start + 2000);
+    counters.update(history, { soc: 95 }, start + 3000);
+    expect(history.chargeCycles).toBe(1);
+  });
+
+  it('should count a full discharge once per visit to empty', () => {
+    counters.update(history, { soc: 0 }, start);
+    counters.update(history, { soc: 0 }, start + 1000);
+    counters.update(history, { soc: 10 }, start + 2000);
+    counters.update(history, { soc: 0 }, start + 3000);
+
+    expect(history.fullDischarges).toBe(2);
+  });
+
+  it('should report the time since the last full charge in seconds', () => {
+    expect(counters.toDbus(history, start)['/History/TimeSinceLastFullCharge']).toBeUndefined();
+
+    counters.update(history, { soc: 100 }, start);
+    counters.update(history, { soc: 98 }, start + 5000);
+
+    expect(counters.toDbus(history, start + 3600000)['/History/TimeSinceLastFullCharge']).toBe(3600);
+  });
+
+  it('should clear all counters or only the selected ones', () => {
+    counters.update(history, { soc: 60, consumedAh: 50 }, start);
+    counters.update(history, { soc: 100 }, start + 1000);
+
+    counters.clear(history, ['chargeCycles']);
+    expect(history.chargeCycles).toBe(0);
+    expect(history.deepestDischarge).toBe(50);
+    expect(history.totalAhDrawn).toBe(10);
+
+    counters.clear(history);
+    expect(history.deepestDischarge).toBe(0);
+    expect(history.totalAhDrawn).toBe(0);
+    expect(history.minimumVoltage).toBeNull();
+    expect(history.lastFullCharge).toBeNull();
+  });
+
+  it('should reject unknown counters', () => {
+    expect(() => counters.clear(history, ['chargeCycles', 'bogus'])).toThrow('Unknown history counter: bogus');
+  });
+
+  it('should count voltage alarms and export negative discharges', () => {
+    counters.recordVoltageAlarm(history, 'lowVoltage');
+    counters.recordVoltageAlarm(history, 'highVoltage');
+    counters.recordVoltageAlarm(history, 'lowSoc');
+    counters.update(history, { consumedAh: 25 }, start);
+
+    expect(counters.toDbus(history, start)).toMatchObject({
+      '/History/DeepestDischarge': -25,
+      '/History/LastDischarge': -25,
+      '/History/LowVoltageAlarms': 1,
+      '/History/HighVoltageAlarms': 1
+    });
+  });
+});
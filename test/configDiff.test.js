@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { diffConfig, deviceNeedsRemoval } from '../configDiff.js';
+
+const DEVICE_TYPES = ['batteries', 'tanks', 'switches'];
+
+describe('configDiff', () => {
+  describe('diffConfig', () => {
+    it('should hot-apply device selection and override changes', () => {
+      const previous = { venusHost: 'venus.local', tanks: { tanks_fuel_main: true }, deviceOverrides: {} };
+      const config = { venusHost: 'venus.local', tanks: { tanks_fuel_main: false }, batteries: { electrical_batteries_house: true }, deviceOverrides: { 'tanks.fuel.main': { name: 'Day Tank' } } };
+
+      expect(diffConfig(previous, config, DEVICE_TYPES)).toEqual({ requiresRestart: false, changedKeys: [] });
+    });
+
+    it('should require a restart when any other setting changes', () => {
+      const previous = { venusHost: 'venus.local', interval: 1000, batteryMonitor: { capacity: 100, directDcDevices: [] } };
+      const config = { venusHost: 'venus.remote', interval: 1000, batteryMonitor: { capacity: 200, directDcDevices: [] } };
+
+      const diff = diffConfig(previous, config, DEVICE_TYPES);
+      expect(diff.requiresRestart).toBe(true);
+      expect(diff.changedKeys).toEqual(['venusHost', 'batteryMonitor']);
+    });
+
+    it('should ignore key order and compare regular expressions by source', () => {
+      const previous = { batteryMonitor: { capacity: 100, voltage: 12 }, batteryRegex: /^electrical\.batteries\./ };
+      const config = { batteryMonitor: { voltage: 12, capacity: 100 }, batteryRegex: /^electrical\.batteries\./ };
+
+      expect(diffConfig(previous, config, DEVICE_TYPES).requiresRestart).toBe(false);
+    });
+  });
+
+  describe('deviceNeedsRemoval', () => {
+    const previous = { tanks: { tanks_fuel_main: true, tanks_freshWater_0: true }, deviceOverrides: { 'tanks.fuel.main': { name: 'Day Tank' } } };
+
+    it('should keep enabled devices with unchanged overrides', () => {
+      expect(deviceNeedsRemoval(previous, previous, 'tanks', 'tanks.fuel.main')).toBe(false);
+      expect(deviceNeedsRemoval(previous, previous, 'tanks', 'tanks.freshWater.0')).toBe(false);
+    });
+
+    it('should remove disabled devices and devices with changed overrides', () => {
+      const config = { tanks: { tanks_fuel_main: true, tanks_freshWater_0: false }, deviceOverrides: { 'tanks.fuel.main': { name: 'Main Tank' } } };
+
+      expect(deviceNeedsRemoval(previous, config, 'tanks', 'tanks.fuel.main')).toBe(true);
+      expect(deviceNeedsRemoval(previous, config, 'tanks', 'tanks.freshWater.0')).toBe(true);
+      expect(deviceNeedsRemoval(previous, {}, 'tanks', 'tanks.fuel.main')).toBe(true);
+    });
+
+    it('should remove devices whose pinned instance changed', () => {
+      const pinned = { ...previous, instancePins: [{ path: 'tanks.fuel.main', instance: 12 }] };
+
+      expect(diffConfig(previous, pinned, DEVICE_TYPES).requiresRestart).toBe(false);
+      expect(deviceNeedsRemoval(previous, pinned, 'tanks', 'tanks.fuel.main')).toBe(true);
+      expect(deviceNeedsRemoval(previous, pinned, 'tanks', 'tanks.freshWater.0')).toBe(false);
+    });
+
+    it('should keep devices of custom mapping rules without a checkbox', () => {
+      const config = { deviceOverrides: {} };
+
+      expect(deviceNeedsRemoval(config, config, 'batteries', 'electrical.chargers.shore', { alwaysEnabled: true })).toBe(false);
+    });
+  });
+});
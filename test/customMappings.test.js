@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+import { CustomMappings } from '../customMappings.js';
+
+describe('CustomMappings', () => {
+  it('should match an exact source path and default the device to its parent path', () => {
+    const mappings = new CustomMappings([
+      { source: 'electrical.chargers.shore.current', service: 'battery', path: '/Dc/0/Current', unit: 'A' }
+    ]);
+
+    const [match] = mappings.match('electrical.chargers.shore.current');
+    expect(match.deviceType).toBe('batteries');
+    expect(match.basePath).toBe('electrical.chargers.shore');
+    expect(match.rule).toMatchObject({ path: '/Dc/0/Current', type: 'd', scale: 1, offset: 0, text: 'Dc/0/Current (A)' });
+    expect(mappings.match('electrical.chargers.shore.voltage')).toEqual([]);
+  });
+
+  it('should match globs and insert the wildcard matches into the device path', () => {
+    const mappings = new CustomMappings([
+      { source: 'electrical.chargers.*.current', service: 'solarcharger', path: '/Dc/0/Current', device: 'chargers.$1' },
+      { source: 'propulsion.**.coolantTemperature', service: 'temperature', path: '/Temperature', device: 'engines.$1' }
+    ]);
+
+    expect(mappings.match('electrical.chargers.shore.current')[0].basePath).toBe('chargers.shore');
+    expect(mappings.match('electrical.chargers.shore.ac.current')).toEqual([]);
+    expect(mappings.match('propulsion.port.engine.coolantTemperature')[0]).toMatchObject({
+      deviceType: 'environment',
+      basePath: 'engines.port.engine'
+    });
+  });
+
+  it('should scale, offset and round values for the D-Bus type', () => {
+    const mappings = new CustomMappings([
+      { source: 'a.temperature', service: 'temperature', path: '/Temperature', scale: 1, offset: -273.15 },
+      { source: 'a.level', service: 'tank', path: '/Level', type: 'i', scale: 100 },
+      { source: 'a.mode', service: 'solarcharger', path: '/Mode', type: 's' }
+    ]);
+    const [temperature, level, mode] = mappings.rules;
+
+    expect(mappings.convert(temperature, 293.15)).toBeCloseTo(20);
+    expect(mappings.convert(level, 0.756)).toBe(76);
+    expect(mappings.convert(level, true)).toBe(100);
+    expect(mappings.convert(level, { value: 1 })).toBeNull();
+    expect(mappings.convert(level, NaN)).toBeNull();
+    expect(mappings.convert(mode, 'bulk')).toBe('bulk');
+  });
+
+  it('should skip invalid rules and report them', () => {
+    const logger = { debug: vi.fn(), error: vi.fn() };
+    const mappings = new CustomMappings([
+      { source: 'a.b', service: 'switch', path: '/State' },
+      { source: 'a.b', service: 'battery', path: 'Dc/0/Current' },
+      { source: 'a.b', service: 'battery', path: '/Dc/0/Current', type: 'x' },
+      { source: 'a.b', service: 'battery', path: '/Dc/0/Current', scale: '10' },
+      { service: 'battery', path: '/Dc/0/Current' },
+      { source: 'a.b', service: 'battery', path: '/Dc/0/Current' }
+    ], logger);
+
+    expect(mappings.rules).toHaveLength(1);
+    expect(mappings.errors).toHaveLength(5);
+    expect(mappings.errors[0]).toContain('Custom mapping 1 ignored: unsupported service type "switch"');
+    expect(logger.error).toHaveBeenCalledTimes(5);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockDbusNative = vi.hoisted(() => ({
+  createClient: vi.fn(() => ({}))
+}));
+
+vi.mock('dbus-native', () => ({
+  default: mockDbusNative
+}));
+
+import {
+  SYSTEM_BUS_SOCKET,
+  getConnectionMode,
+  getDbusClientOptions,
+  createDbusClient,
+  describeDbusTarget,
+  describeDbusError
+} from '../dbusConnection.js';
+
+describe('dbusConnection', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should default to TCP', () => {
+    expect(getConnectionMode({})).toBe('tcp');
+    expect(getConnectionMode({ connectionMode: 'bogus' })).toBe('tcp');
+    expect(getConnectionMode({ connectionMode: 'system' })).toBe('system');
+  });
+
+  it('should connect to venusHost port 78 with anonymous auth over TCP', () => {
+    expect(getDbusClientOptions({ venusHost: 'venus.local' })).toEqual({
+      host: 'venus.local',
+      port: 78,
+      authMethods: ['ANONYMOUS']
+    });
+    expect(getDbusClientOptions({ venusHost: 'venus.local', port: 7800 }).port).toBe(7800);
+  });
+
+  it('should use the local system bus socket in system mode', () => {
+    expect(getDbusClientOptions({ connectionMode: 'system', venusHost: 'venus.local' })).toEqual({
+      socket: SYSTEM_BUS_SOCKET
+    });
+  });
+
+  it('should use the configured socket path in socket mode', () => {
+    expect(getDbusClientOptions({ connectionMode: 'socket', dbusSocketPath: '/run/dbus/test' })).toEqual({
+      socket: '/run/dbus/test'
+    });
+  });
+
+  it('should pass extra options to dbus-native', () => {
+    createDbusClient({ connectionMode: 'system' }, { timeout: 3000 });
+
+    expect(mockDbusNative.createClient).toHaveBeenCalledWith({ socket: SYSTEM_BUS_SOCKET, timeout: 3000 });
+  });
+
+  it('should describe the connection target', () => {
+    expect(describeDbusTarget({ venusHost: 'venus.local' })).toBe('venus.local:78');
+    expect(describeDbusTarget({ connectionMode: 'system' })).toBe('the local system bus');
+    expect(describeDbusTarget({ connectionMode: 'socket', dbusSocketPath: '/run/dbus/test' })).toBe('D-Bus socket /run/dbus/test');
+  });
+
+  it('should explain errors for the connection mode', () => {
+    const tcp = { venusHost: 'venus.local' };
+    const system = { connectionMode: 'system' };
+
+    expect(describeDbusError({ code: 'ECONNREFUSED' }, tcp)).toContain('check D-Bus TCP setting');
+    expect(describeDbusError({ code: 'ECONNREFUSED' }, system)).not.toContain('TCP');
+    expect(describeDbusError({ code: 'ENOENT' }, system)).toContain('only work when Signal K runs on Venus OS');
+    expect(describeDbusError({ code: 'EACCES' }, system)).toContain('permission denied');
+    expect(describeDbusError(new Error('Connection timeout'), tcp)).toBe('connection timeout');
+    expect(describeDbusError(new Error('something else'), tcp)).toBeNull();
+  });
+});
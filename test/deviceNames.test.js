@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { getSolarName } from '../deviceNames.js';
+
+describe('deviceNames', () => {
+  it('should name solar chargers with functional ids in title case', () => {
+    expect(getSolarName('arch', 1)).toBe('Solar Arch');
+    expect(getSolarName('biminiTop', 3)).toBe('Solar Bimini Top');
+  });
+
+  it('should leave the numeric id out for a single solar charger', () => {
+    expect(getSolarName('278', 1)).toBe('Solar Charger');
+    expect(getSolarName('278', 2)).toBe('Solar Charger 278');
+    expect(getSolarName(undefined, 0)).toBe('Solar Charger');
+  });
+});
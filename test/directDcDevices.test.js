@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { findDirectAlternator } from '../directDcDevices.js';
+
+describe('directDcDevices', () => {
+  const config = {
+    batteryMonitor: {
+      directDcDevices: [
+        { type: 'solar', basePath: 'electrical.solar.roof', currentPath: 'electrical.solar.roof.current' },
+        { type: 'alternator', basePath: 'electrical.chargers.alternator', currentPath: 'electrical.custom.altCurrent', powerPath: 'electrical.custom.altPower' }
+      ]
+    }
+  };
+
+  it('should find the alternator entry by base path and custom current and power paths', () => {
+    expect(findDirectAlternator(config, 'electrical.chargers.alternator.voltage')?.basePath).toBe('electrical.chargers.alternator');
+    expect(findDirectAlternator(config, 'electrical.custom.altCurrent')?.basePath).toBe('electrical.chargers.alternator');
+    expect(findDirectAlternator(config, 'electrical.custom.altPower')?.basePath).toBe('electrical.chargers.alternator');
+  });
+
+  it('should ignore other device types, unrelated paths and configs without direct devices', () => {
+    expect(findDirectAlternator(config, 'electrical.solar.roof.current')).toBeNull();
+    expect(findDirectAlternator(config, 'electrical.chargers.alternatorPort.voltage')).toBeNull();
+    expect(findDirectAlternator({}, 'electrical.chargers.alternator.voltage')).toBeNull();
+  });
+});
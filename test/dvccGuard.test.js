@@ -0,0 +1,139 @@
+import { describe, it, expect, vi } from 'vitest';
+import { DvccGuard } from '../dvccGuard.js';
+
+describe('DvccGuard', () => {
+  const options = {
+    enabled: true,
+    maxChargeVoltage: { min: 12.0, max: 14.6 },
+    maxChargeCurrent: { max: 200 },
+    rampRate: { voltage: 0.1, current: 10 },
+    watchdogTimeout: 30000,
+    fallback: 'safeLimits',
+    safeLimits: { maxChargeVoltage: 13.5, maxChargeCurrent: 10 }
+  };
+  const battery = 'electrical.batteries.1';
+
+  // Send the updates to Venus OS and commit them like the client does
+  const sent = (guard, state, updates) => {
+    guard.commit(state, battery, updates);
+    return updates;
+  };
+
+  it('should only control opted-in batteries', () => {
+    expect(new DvccGuard({}).controls(battery)).toBe(false);
+    expect(new DvccGuard({ enabled: true }).controls(battery)).toBe(true);
+    expect(new DvccGuard({ enabled: true, batteries: ['electrical.batteries.2'] }).controls(battery)).toBe(false);
+  });
+
+  it('should use the default ranges, ramp rates and safe limits for missing options', () => {
+    const guard = new DvccGuard({ enabled: true });
+    const state = guard.createState();
+
+    expect(guard.ranges.maxChargeVoltage).toEqual({ min: 12.0, max: 14.6 });
+    expect(guard.request(state, battery, 'maxChargeVoltage', 30, 0)).toEqual([]);
+    expect(guard.rampRates.maxChargeCurrent).toBe(10);
+    expect(new DvccGuard({ enabled: true, fallback: 'safeLimits' }).safeLimits).toMatchObject({ maxChargeVoltage: 13.5 });
+  });
+
+  it('should stop charging instead of falling back to safe limits without any', () => {
+    const logger = { debug: vi.fn(), warn: vi.fn() };
+    const guard = new DvccGuard({ enabled: true, fallback: 'safeLimits', safeLimits: {} }, logger);
+
+    expect(guard.fallback).toBe('stopCharging');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('needs at least one safe limit'));
+  });
+
+  it('should reject implausible limits and audit them once', () => {
+    const logger = { debug: vi.fn(), warn: vi.fn() };
+    const guard = new DvccGuard(options, logger);
+    const state = guard.createState();
+
+    expect(guard.request(state, battery, 'maxChargeVoltage', 15.5, 0)).toEqual([]);
+    expect(guard.request(state, battery, 'maxChargeVoltage', 15.5, 1000)).toEqual([]);
+    expect(guard.request(state, battery, 'maxChargeCurrent', NaN, 1000)).toEqual([]);
+    expect(state.lastUpdate).toBe(0); // Armed by the first value, refreshed by plausible limits only
+    expect(guard.getAuditLog()).toHaveLength(2);
+    expect(guard.getAuditLog()[0]).toMatchObject({ battery, path: '/Info/MaxChargeVoltage', to: 15.5, reason: 'rejected, outside 12-14.6V' });
+  });
+
+  it('should ramp increases and apply decreases at once', () => {
+    const guard = new DvccGuard(options);
+    const state = guard.createState();
+
+    expect(sent(guard, state, guard.request(state, battery, 'maxChargeCurrent', 50, 0))).toEqual([{ path: '/Info/MaxChargeCurrent', value: 50, type: 'd', text: 'Max charge current' }]);
+    expect(sent(guard, state, guard.request(state, battery, 'maxChargeCurrent', 100, 1000))[0].value).toBe(60);
+    expect(sent(guard, state, guard.check(state, battery, 3000))[0].value).toBe(80);
+    expect(sent(guard, state, guard.check(state, battery, 10000))[0].value).toBe(100);
+    expect(sent(guard, state, guard.check(state, battery, 11000))).toEqual([]);
+    expect(sent(guard, state, guard.request(state, battery, 'maxChargeCurrent', 20, 12000))[0].value).toBe(20);
+  });
+
+  it('should fall back to safe limits when the BMS data stops and ramp up after it resumes', () => {
+    const guard = new DvccGuard(options);
+    const state = guard.createState();
+    sent(guard, state, guard.request(state, battery, 'maxChargeVoltage', 14.2, 0));
+    sent(guard, state, guard.request(state, battery, 'maxChargeCurrent', 100, 0));
+
+    const updates = sent(guard, state, guard.check(state, battery, 31000));
+    expect(updates.map(update => [update.path, update.value])).toEqual([
+      ['/Info/MaxChargeVoltage', 13.5],
+      ['/Info/MaxChargeCurrent', 10]
+    ]);
+    expect(sent(guard, state, guard.check(state, battery, 40000))).toEqual([]);
+
+    expect(sent(guard, state, guard.request(state, battery, 'maxChargeCurrent', 100, 41000))).toEqual([]); // Stays at the safe limit
+    expect(sent(guard, state, guard.check(state, battery, 42000)).find(update => update.path === '/Info/MaxChargeCurrent').value).toBe(20);
+    expect(guard.getAuditLog().filter(entry => entry.reason === 'watchdog')).toHaveLength(2);
+  });
+
+  it('should drop and restore the charge permission in stop charging mode', () => {
+    const guard = new DvccGuard({ ...options, fallback: 'stopCharging' });
+    const state = guard.createState();
+    sent(guard, state, guard.request(state, battery, 'maxChargeCurrent', 100, 0));
+
+    expect(sent(guard, state, guard.check(state, battery, 31000))).toEqual([{ path: '/Io/AllowToCharge', value: 0, type: 'i', text: 'Allow to charge' }]);
+    expect(sent(guard, state, guard.request(state, battery, 'maxChargeCurrent', 100, 32000))).toEqual([{ path: '/Io/AllowToCharge', value: 1, type: 'i', text: 'Allow to charge' }]);
+  });
+
+  it('should fall back when only permissions keep arriving and resume with the next plausible limit', () => {
+    const guard = new DvccGuard({ ...options, fallback: 'stopCharging' });
+    const state = guard.createState();
+    sent(guard, state, guard.request(state, battery, 'maxChargeVoltage', 14.2, 0));
+
+    // The charging mode keeps arriving as allowToCharge while the voltage limit stopped
+    for (let now = 5000; now <= 30000; now += 5000) {
+      sent(guard, state, guard.request(state, battery, 'allowToCharge', 1, now));
+    }
+    expect(sent(guard, state, guard.check(state, battery, 31000))).toEqual([{ path: '/Io/AllowToCharge', value: 0, type: 'i', text: 'Allow to charge' }]);
+    expect(sent(guard, state, guard.request(state, battery, 'allowToCharge', 1, 32000))).toEqual([]);
+    guard.request(state, battery, 'maxChargeVoltage', 15.5, 33000); // Implausible
+    expect(state.fallback).toBe(true);
+
+    const updates = sent(guard, state, guard.request(state, battery, 'maxChargeVoltage', 14.2, 34000));
+    expect(updates).toEqual([{ path: '/Io/AllowToCharge', value: 1, type: 'i', text: 'Allow to charge' }]);
+    expect(state.fallback).toBe(false);
+  });
+
+  it('should watch a BMS that sends permissions but never a limit', () => {
+    const guard = new DvccGuard({ ...options, fallback: 'stopCharging' });
+    const state = guard.createState();
+
+    expect(sent(guard, state, guard.request(state, battery, 'allowToCharge', 1, 0))).toHaveLength(1);
+    expect(guard.check(state, battery, 31000)).toEqual([{ path: '/Io/AllowToCharge', value: 0, type: 'i', text: 'Allow to charge' }]);
+  });
+
+  it('should return fallback updates again until they are sent', () => {
+    const guard = new DvccGuard({ ...options, fallback: 'stopCharging' });
+    const state = guard.createState();
+    sent(guard, state, guard.request(state, battery, 'maxChargeCurrent', 100, 0));
+
+    // The service was disconnected - nothing was committed
+    expect(guard.check(state, battery, 31000)).toHaveLength(1);
+    expect(state.published.allowToCharge).toBeUndefined();
+
+    const updates = sent(guard, state, guard.check(state, battery, 32000));
+    expect(updates).toEqual([{ path: '/Io/AllowToCharge', value: 0, type: 'i', text: 'Allow to charge' }]);
+    expect(guard.check(state, battery, 33000)).toEqual([]);
+    expect(guard.getAuditLog().filter(entry => entry.reason === 'watchdog')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { HistoryPersistence, HISTORY_FILE_VERSION } from '../historyPersistence.js';
+
+describe('HistoryPersistence', () => {
+  let tempDir;
+  let filePath;
+
+  const history = () => ({
+    historyData: new Map([['electrical.batteries.house', { totalAhDrawn: 12.5, deepestDischarge: 40 }]]),
+    energyAccumulators: new Map([['electrical.batteries.house', { charged: 1.2, discharged: 3.4 }]]),
+    lastUpdateTime: new Map([['electrical.batteries.house', 1700000000000]])
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'signalk-history-'));
+    filePath = path.join(tempDir, 'history-batteries.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should keep history in memory without a file path', async () => {
+    const persistence = new HistoryPersistence(null);
+    const { historyData, energyAccumulators, lastUpdateTime } = history();
+    await persistence.saveHistoryData(historyData, energyAccumulators, lastUpdateTime);
+
+    const loaded = await persistence.loadHistoryData();
+    expect(loaded.historyData.size).toBe(0);
+  });
+
+  it('should save a versioned file with one record per battery', async () => {
+    const persistence = new HistoryPersistence(filePath);
+    const { historyData, energyAccumulators, lastUpdateTime } = history();
+    await persistence.saveHistoryData(historyData, energyAccumulators, lastUpdateTime);
+
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(saved.version).toBe(HISTORY_FILE_VERSION);
+    expect(saved.devices['electrical.batteries.house']).toEqual({
+      history: { totalAhDrawn: 12.5, deepestDischarge: 40 },
+      energyAccumulator: { charged: 1.2, discharged: 3.4 },
+      lastUpdateTime: 1700000000000
+    });
+
+    const loaded = await new HistoryPersistence(filePath).loadHistoryData();
+    expect(loaded.historyData.get('electrical.batteries.house').totalAhDrawn).toBe(12.5);
+    expect(loaded.energyAccumulators.get('electrical.batteries.house').discharged).toBe(3.4);
+    expect(loaded.lastUpdateTime.get('electrical.batteries.house')).toBe(1700000000000);
+  });
+
+  it('should migrate the legacy working-directory file once', async () => {
+    const legacyFilePath = path.join(tempDir, 'signalk-battery-history.json');
+    await fs.writeFile(legacyFilePath, JSON.stringify({
+      historyData: { 'electrical.batteries.house': { totalAhDrawn: 7 } },
+      energyAccumulators: { 'electrical.batteries.house': { charged: 1 } },
+      lastUpdateTime: { 'electrical.batteries.house': 1700000000000 },
+      lastSaved: new Date().toISOString()
+    }));
+
+    const loaded = await new HistoryPersistence(filePath, null, { legacyFilePath }).loadHistoryData();
+    expect(loaded.historyData.get('electrical.batteries.house').totalAhDrawn).toBe(7);
+
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(saved.version).toBe(HISTORY_FILE_VERSION);
+    expect(saved.devices['electrical.batteries.house'].energyAccumulator).toEqual({ charged: 1 });
+    await expect(fs.access(legacyFilePath)).rejects.toThrow();
+    await expect(fs.access(`${legacyFilePath}.migrated`)).resolves.toBeUndefined();
+  });
+
+  it('should back up a corrupted file and start fresh', async () => {
+    await fs.writeFile(filePath, '{"version": 2, "devices": {');
+
+    const loaded = await new HistoryPersistence(filePath).loadHistoryData();
+    expect(loaded.historyData.size).toBe(0);
+
+    const files = await fs.readdir(tempDir);
+    expect(files.some(name => name.startsWith('history-batteries.json.corrupted.'))).toBe(true);
+    expect(files).not.toContain('history-batteries.json');
+  });
+
+  it('should keep only the newest corrupted backups within the max age', async () => {
+    const now = Date.now();
+    const day = 24 * 3600 * 1000;
+    for (const timestamp of [now - 1000, now - 2000, now - 3000, now - 4000, now - 40 * day]) {
+      await fs.writeFile(`${filePath}.corrupted.${timestamp}`, '{');
+    }
+
+    const persistence = new HistoryPersistence(filePath, null, { maxCorruptedBackups: 2, corruptedBackupMaxAgeDays: 30 });
+    await persistence.pruneCorruptedBackups();
+
+    const backups = (await fs.readdir(tempDir)).sort();
+    expect(backups).toEqual([
+      `history-batteries.json.corrupted.${now - 2000}`,
+      `history-batteries.json.corrupted.${now - 1000}`
+    ]);
+  });
+
+  it('should not overwrite existing history with empty data', async () => {
+    const { historyData, energyAccumulators, lastUpdateTime } = history();
+    await new HistoryPersistence(filePath).saveHistoryData(historyData, energyAccumulators, lastUpdateTime);
+
+    await new HistoryPersistence(filePath).saveHistoryData(new Map(), new Map(), new Map());
+
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(Object.keys(saved.devices)).toEqual(['electrical.batteries.house']);
+  });
+});
@@ -13,6 +13,7 @@ const mockApp = {
   },
   getSelfPath: vi.fn(),
   putSelfPath: vi.fn(),
+  savePluginOptions: vi.fn((options, callback) => callback()),
   handleMessage: vi.fn(),
   subscriptionmanager: {
     subscribe: vi.fn()
@@ -33,7 +34,12 @@ const mockSettings = {
   temperatureRegex: /temperature$/,
   humidityRegex: /(humidity|relativeHumidity)$/,
   switchRegex: /^electrical\.switches\..*\.state$/,
-  dimmerRegex: /^electrical\.switches\..*\.dimmingLevel$/
+  dimmerRegex: /^electrical\.switches\..*\.dimmingLevel$/,
+  solarRegex: /^electrical\.solar\./,
+  alternatorRegex: /^electrical\.alternators\./,
+  gpsRegex: /^navigation\.(position|speedOverGround|courseOverGroundTrue)$/,
+  meteoRegex: /^environment\.(wind\.(speedTrue|directionTrue)|outside\.(temperature|pressure|solarRadiation))$/,
+  notificationRegex: /^notifications\./
 };
 
 const mockDbusNative = {
@@ -114,18 +120,19 @@ describe('Signal K Plugin - Main Index', () => {
         title: 'Update Interval (ms)',
         default: 1000
       });
-      expect(schema.properties.batteryMonitor).toEqual({
+      expect(schema.properties.batteryMonitor).toMatchObject({
         type: 'object',
-        title: 'Battery Monitor Configuration',
-        properties: {
-          batteryCapacity: {
-            type: 'number',
-            title: 'Battery Capacity (Ah)',
-            description: 'Total battery capacity in Amp-hours for TTG calculation and monitoring',
-            default: 800
-          }
-        }
+        title: 'Battery Monitor Configuration'
+      });
+      expect(schema.properties.batteryMonitor.properties.batteryCapacity).toEqual({
+        type: 'number',
+        title: 'Battery Capacity (Ah)',
+        description: 'Total battery capacity in Amp-hours for TTG calculation and monitoring',
+        default: 800
       });
+      expect(schema.properties.batteryMonitor.properties.socEstimator.properties.enabled.default).toBe(false);
+      expect(schema.properties.batteryMonitor.properties.socEstimator.properties).toHaveProperty('capacity');
+      expect(schema.properties.batteryMonitor.properties.socEstimator.properties).toHaveProperty('initialSoc');
     });
 
     it('should generate UI schema without discovered devices', () => {
@@ -200,8 +207,10 @@ describe('Signal K Plugin - Main Index', () => {
     it('should stop plugin and cleanup resources', async () => {
       const mockDisconnectFn = vi.fn();
       plugin.clients = {
-        batteries: { disconnect: mockDisconnectFn },
-        tanks: { disconnect: mockDisconnectFn }
+        'venus.local': {
+          batteries: { disconnect: mockDisconnectFn },
+          tanks: { disconnect: mockDisconnectFn }
+        }
       };
       plugin.connectivityInterval = setInterval(() => {}, 1000);
       const unsubscribeSpy = vi.fn();
@@ -219,6 +228,80 @@ describe('Signal K Plugin - Main Index', () => {
     it('should handle missing options gracefully', () => {
       expect(() => plugin.start()).not.toThrow();
     });
+
+    it('should keep unchanged services when only the device selection changes', async () => {
+      const options = { venusHost: 'test.local', tanks: { tanks_fuel_main: true, tanks_freshWater_0: true } };
+      plugin.start(options);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const tankClient = {
+        deviceServices: new Map([['tanks.fuel.main', {}], ['tanks.freshWater.0', {}]]),
+        updateSettings: vi.fn(function (settings) { this.settings = settings; }),
+        removeDevice: vi.fn().mockResolvedValue(true),
+        saveHistoryData: vi.fn().mockResolvedValue(),
+        disconnect: vi.fn().mockResolvedValue()
+      };
+      plugin.clients['test.local'] = { tanks: tankClient };
+
+      plugin.stop();
+      expect(tankClient.saveHistoryData).toHaveBeenCalled();
+      plugin.start({ ...options, tanks: { tanks_fuel_main: true, tanks_freshWater_0: false } });
+
+      expect(plugin.clients['test.local'].tanks).toBe(tankClient);
+      expect(tankClient.removeDevice).toHaveBeenCalledTimes(1);
+      expect(tankClient.removeDevice).toHaveBeenCalledWith('tanks.freshWater.0');
+      expect(tankClient.disconnect).not.toHaveBeenCalled();
+      expect(tankClient.settings.tanks.tanks_freshWater_0).toBe(false);
+      plugin.stop();
+    });
+
+    it('should recreate all services when other settings change', async () => {
+      plugin.start({ venusHost: 'test.local' });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const tankClient = { deviceServices: new Map(), removeDevice: vi.fn(), disconnect: vi.fn().mockResolvedValue() };
+      plugin.clients['test.local'] = { tanks: tankClient };
+
+      plugin.stop();
+      plugin.start({ venusHost: 'other.local' });
+
+      expect(tankClient.disconnect).toHaveBeenCalled();
+      expect(plugin.clients['test.local']).toBeUndefined();
+      plugin.stop();
+    });
+
+    it('should save the history and disconnect the services when the plugin is not restarted', async () => {
+      let saved = false;
+      const tankClient = {
+        saveHistoryData: vi.fn(() => new Promise(resolve => setTimeout(() => { saved = true; resolve(); }, 10))),
+        disconnect: vi.fn().mockResolvedValue()
+      };
+      plugin.clients = { 'venus.local': { tanks: tankClient } };
+
+      await plugin.stop();
+      expect(saved).toBe(true);
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(tankClient.disconnect).toHaveBeenCalled();
+    });
+
+    it('should hand the services to a start that follows the stop like a server restart', async () => {
+      const options = { venusHost: 'test.local', tanks: { tanks_fuel_main: true } };
+      plugin.start(options);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const tankClient = {
+        deviceServices: new Map(),
+        updateSettings: vi.fn(function (settings) { this.settings = settings; }),
+        saveHistoryData: vi.fn().mockResolvedValue(),
+        disconnect: vi.fn().mockResolvedValue()
+      };
+      plugin.clients['test.local'] = { tanks: tankClient };
+
+      await plugin.stop().then(() => plugin.start(options));
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(tankClient.disconnect).not.toHaveBeenCalled();
+      expect(plugin.clients['test.local'].tanks).toBe(tankClient);
+      plugin.stop();
+    });
   });
 
   describe('Error Handling', () => {
@@ -249,6 +332,29 @@ describe('Signal K Plugin - Main Index', () => {
       expect(mockApp.setPluginStatus).toHaveBeenCalled();
     });
 
+    it('should connect to the local system bus in system mode', async () => {
+      plugin.start({ connectionMode: 'system', venusHost: 'venus.local' });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(mockDbusNative.createClient).toHaveBeenCalledWith({ socket: '/var/run/dbus/system_bus_socket' });
+      expect(mockApp.setPluginStatus).toHaveBeenCalledWith('Venus OS reachable at the local system bus');
+      plugin.stop();
+    });
+
+    it('should explain a missing system bus socket', async () => {
+      const missingSocketError = Object.assign(new Error('connect ENOENT /var/run/dbus/system_bus_socket'), { code: 'ENOENT' });
+      mockDbusNative.createClient.mockReturnValue({
+        listNames: vi.fn((callback) => callback(missingSocketError, null)),
+        end: vi.fn()
+      });
+
+      plugin.start({ connectionMode: 'system' });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(mockApp.setPluginError).toHaveBeenCalledWith(expect.stringContaining('only work when Signal K runs on Venus OS'));
+      plugin.stop();
+    });
+
     it('should queue paths when Venus OS is not reachable', () => {
       // This tests the pending paths functionality
       const mockUnreachableBus = {
@@ -264,6 +370,463 @@ describe('Signal K Plugin - Main Index', () => {
     });
   });
 
+  describe('Venus Write-Back', () => {
+    async function startWithSwitchClient(mockClient) {
+      let onValue;
+      mockApp.streambundle.getSelfBus.mockReturnValue({
+        onValue: vi.fn(callback => { onValue = callback; return () => {}; })
+      });
+      mockVenusClientFactory.mockReturnValue(mockClient);
+
+      plugin.start({ venusHost: 'test.local', switches: { electrical_switches_nav: true } });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      onValue({ path: 'electrical.switches.nav.state', value: true });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const registration = mockClient.on.mock.calls.find(call => call[0] === 'valueChanged');
+      return registration[1];
+    }
+
+    it('should PUT Venus OS switch changes back to Signal K', async () => {
+      const mockClient = { handleSignalKUpdate: vi.fn(), disconnect: vi.fn(), on: vi.fn(), revertVenusValue: vi.fn() };
+      const handler = await startWithSwitchClient(mockClient);
+      mockApp.putSelfPath.mockResolvedValue({ state: 'COMPLETED', statusCode: 200 });
+
+      handler({ path: 'electrical.switches.nav.state', value: false, basePath: 'electrical.switches.nav', venusPath: '/State' });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(mockApp.putSelfPath).toHaveBeenCalledWith('electrical.switches.nav.state', false, expect.any(Function));
+      expect(mockClient.revertVenusValue).not.toHaveBeenCalled();
+      plugin.stop();
+    });
+
+    it('should report failed PUTs and revert the Venus OS value', async () => {
+      const mockClient = { handleSignalKUpdate: vi.fn(), disconnect: vi.fn(), on: vi.fn(), revertVenusValue: vi.fn() };
+      const handler = await startWithSwitchClient(mockClient);
+      mockApp.putSelfPath.mockResolvedValue({ state: 'COMPLETED', statusCode: 405, message: 'No handler' });
+
+      const event = { path: 'electrical.switches.nav.state', value: false, basePath: 'electrical.switches.nav', venusPath: '/State' };
+      handler(event);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(mockApp.error).toHaveBeenCalledWith(expect.stringContaining('No handler'));
+      expect(mockClient.revertVenusValue).toHaveBeenCalledWith(event);
+      plugin.stop();
+    });
+  });
+
+  describe('Custom Mappings', () => {
+    it('should publish mapped paths on the client of the rule service type without enabling devices', async () => {
+      let onValue;
+      mockApp.streambundle.getSelfBus.mockReturnValue({
+        onValue: vi.fn(callback => { onValue = callback; return () => {}; })
+      });
+      const mockClient = { handleSignalKUpdate: vi.fn(), handleMappedUpdate: vi.fn(), disconnect: vi.fn(), on: vi.fn() };
+      mockVenusClientFactory.mockReturnValue(mockClient);
+
+      plugin.start({
+        venusHost: 'test.local',
+        customMappings: [
+          { source: 'electrical.chargers.*.current', service: 'battery', path: '/Dc/0/Current', device: 'chargers.$1', name: 'Charger', unit: 'A', scale: -1 }
+        ]
+      });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      onValue({ path: 'electrical.chargers.shore.current', value: 12 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(mockVenusClientFactory).toHaveBeenCalledWith(expect.any(Object), 'batteries', mockApp);
+      expect(mockClient.handleMappedUpdate).toHaveBeenCalledWith('chargers.shore', '/Dc/0/Current', -12, {
+        type: 'd',
+        text: 'Dc/0/Current (A)',
+        name: 'Charger'
+      });
+      expect(mockClient.handleSignalKUpdate).not.toHaveBeenCalled();
+      plugin.stop();
+    });
+  });
+
+  describe('Battery Banks', () => {
+    it('should feed member batteries to their bank even when they are not enabled', async () => {
+      let onValue;
+      mockApp.streambundle.getSelfBus.mockReturnValue({
+        onValue: vi.fn(callback => { onValue = callback; return () => {}; })
+      });
+      const batteryClient = { handleSignalKUpdate: vi.fn(), handleBatteryBankUpdate: vi.fn(), disconnect: vi.fn(), on: vi.fn() };
+      mockVenusClientFactory.mockReturnValue(batteryClient);
+
+      plugin.start({
+        venusHost: 'test.local',
+        batteryMonitor: {
+          batteryBanks: [{ path: 'electrical.batteries.houseBank', batteries: ['electrical.batteries.1', 'electrical.batteries.2'] }]
+        }
+      });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      onValue({ path: 'electrical.batteries.1.current', value: -12 });
+      onValue({ path: 'electrical.batteries.3.current', value: -4 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(mockVenusClientFactory).toHaveBeenCalledWith(expect.any(Object), 'batteries', mockApp);
+      expect(batteryClient.handleBatteryBankUpdate).toHaveBeenCalledTimes(1);
+      expect(batteryClient.handleBatteryBankUpdate).toHaveBeenCalledWith('electrical.batteries.1.current', -12);
+      expect(batteryClient.handleSignalKUpdate).not.toHaveBeenCalled();
+      plugin.stop();
+    });
+  });
+
+  describe('Source Selection', () => {
+    it('should forward only the preferred source and fail over when it goes silent', async () => {
+      let onValue;
+      mockApp.streambundle.getSelfBus.mockReturnValue({
+        onValue: vi.fn(callback => { onValue = callback; return () => {}; })
+      });
+      const batteryClient = { handleSignalKUpdate: vi.fn(), disconnect: vi.fn(), on: vi.fn() };
+      mockVenusClientFactory.mockReturnValue(batteryClient);
+
+      plugin.start({
+        venusHost: 'test.local',
+        batteries: { electrical_batteries_house: true },
+        sourcePriorities: [{ path: 'electrical.batteries.house', sources: ['can0.115', 'venus.ve.direct'] }],
+        sourceTimeout: 20
+      });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      onValue({ path: 'electrical.batteries.house.voltage', value: 12.8, $source: 'can0.115' });
+      onValue({ path: 'electrical.batteries.house.voltage', value: 12.6, $source: 'venus.ve.direct' });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(batteryClient.handleSignalKUpdate).toHaveBeenCalledTimes(1);
+      expect(batteryClient.handleSignalKUpdate).toHaveBeenCalledWith('electrical.batteries.house.voltage', 12.8);
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+      onValue({ path: 'electrical.batteries.house.voltage', value: 12.5, $source: 'venus.ve.direct' });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(batteryClient.handleSignalKUpdate).toHaveBeenLastCalledWith('electrical.batteries.house.voltage', 12.5);
+
+      const routes = {};
+      plugin.registerWithRouter({ get: vi.fn((path, handler) => { routes[path] = handler; }), put: vi.fn(), post: vi.fn() });
+      const res = { json: vi.fn() };
+      routes['/sources']({}, res);
+      expect(res.json.mock.calls[0][0].paths).toEqual([
+        expect.objectContaining({ path: 'electrical.batteries.house.voltage', device: 'electrical.batteries.house', active: 'venus.ve.direct' })
+      ]);
+      expect(plugin.schema().properties.sourcePriorities.description).toContain('can0.115, venus.ve.direct (active)');
+      plugin.stop();
+    });
+  });
+
+  describe('Venus OS Targets', () => {
+    it('should publish devices on their assigned GX and test each one separately', async () => {
+      let onValue;
+      mockApp.streambundle.getSelfBus.mockReturnValue({
+        onValue: vi.fn(callback => { onValue = callback; return () => {}; })
+      });
+      const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+      mockDbusNative.createClient.mockImplementation(options => ({
+        listNames: vi.fn(callback => (options.host === 'helm.local' ? callback(refused) : callback(null, []))),
+        end: vi.fn()
+      }));
+      const clients = [];
+      mockVenusClientFactory.mockImplementation(() => {
+        const client = { handleSignalKUpdate: vi.fn(), disconnect: vi.fn(), on: vi.fn() };
+        clients.push(client);
+        return client;
+      });
+
+      plugin.start({
+        venusTargets: [{ name: 'cerbo', venusHost: 'cerbo.local' }, { name: 'ekrano', venusHost: 'ekrano.local' }, { name: 'helm', venusHost: 'helm.local' }],
+        tanks: { tanks_fuel_main: true, tanks_freshWater_bow: true, tanks_blackWater_aft: true },
+        deviceOverrides: { 'tanks.freshWater.bow': { target: 'ekrano' }, 'tanks.blackWater.aft': { target: 'helm' } }
+      });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      onValue({ path: 'tanks.fuel.main.currentLevel', value: 0.5 });
+      onValue({ path: 'tanks.freshWater.bow.currentLevel', value: 0.8 });
+      onValue({ path: 'tanks.blackWater.aft.currentLevel', value: 0.2 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(mockVenusClientFactory).toHaveBeenCalledTimes(2);
+      expect(mockVenusClientFactory).toHaveBeenCalledWith(expect.objectContaining({ venusHost: 'cerbo.local', venusTarget: 'cerbo' }), 'tanks', mockApp);
+      expect(mockVenusClientFactory).toHaveBeenCalledWith(expect.objectContaining({ venusHost: 'ekrano.local', venusTarget: 'ekrano', historyFileSuffix: '-ekrano' }), 'tanks', mockApp);
+      expect(plugin.clients.cerbo.tanks.handleSignalKUpdate).toHaveBeenCalledWith('tanks.fuel.main.currentLevel', 0.5);
+      expect(plugin.clients.ekrano.tanks.handleSignalKUpdate).toHaveBeenCalledWith('tanks.freshWater.bow.currentLevel', 0.8);
+      expect(plugin.clients.helm).toBeUndefined();
+      expect(plugin.venusConnected).toBe(true);
+      expect(mockApp.setPluginStatus).toHaveBeenLastCalledWith('Venus OS cerbo: injecting 1 tank; ekrano: injecting 1 tank; helm: not reachable');
+
+      const routes = {};
+      plugin.registerWithRouter({ get: vi.fn((path, handler) => { routes[path] = handler; }), put: vi.fn(), post: vi.fn() });
+      const res = { json: vi.fn() };
+      routes['/connectivity']({}, res);
+      const { targets, history } = res.json.mock.calls[0][0];
+      expect(targets).toEqual([
+        { name: 'cerbo', target: 'cerbo.local:78', reachable: true, error: null },
+        { name: 'ekrano', target: 'ekrano.local:78', reachable: true, error: null },
+        { name: 'helm', target: 'helm.local:78', reachable: false, error: expect.stringContaining('connection refused') }
+      ]);
+      expect(history.slice(-3).map(entry => entry.name)).toEqual(['cerbo', 'ekrano', 'helm']);
+      plugin.stop();
+    });
+
+    it('should move a device to another GX when its target override changes', async () => {
+      const options = { venusTargets: [{ name: 'cerbo', venusHost: 'cerbo.local' }, { name: 'ekrano', venusHost: 'ekrano.local' }], tanks: { tanks_fuel_main: true } };
+      plugin.start(options);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const tankClient = {
+        deviceServices: new Map([['tanks.fuel.main', {}]]),
+        updateSettings: vi.fn(function (settings) { this.settings = settings; }),
+        removeDevice: vi.fn().mockResolvedValue(true),
+        disconnect: vi.fn().mockResolvedValue()
+      };
+      plugin.clients.cerbo = { tanks: tankClient };
+
+      plugin.stop();
+      plugin.start({ ...options, deviceOverrides: { 'tanks.fuel.main': { target: 'ekrano' } } });
+
+      expect(plugin.clients.cerbo.tanks).toBe(tankClient);
+      expect(tankClient.settings).toMatchObject({ venusHost: 'cerbo.local', venusTarget: 'cerbo' });
+      expect(tankClient.removeDevice).toHaveBeenCalledWith('tanks.fuel.main');
+      plugin.stop();
+    });
+  });
+
+  describe('History REST API', () => {
+    function registerRoutes() {
+      const routes = {};
+      plugin.registerWithRouter({ get: vi.fn(), put: vi.fn(), post: vi.fn((path, handler) => { routes[path] = handler; }) });
+      return routes['/history/:battery/clear'];
+    }
+
+    function mockResponse() {
+      const res = { status: vi.fn(() => res), json: vi.fn(() => res) };
+      return res;
+    }
+
+    it('should clear the history of a battery', async () => {
+      const clearHistory = vi.fn().mockResolvedValue({ time: '2026-01-01T00:00:00.000Z', source: 'REST API (::1)', counters: 'all' });
+      plugin.clients['venus.local'] = { batteries: { clearHistory, historyData: new Map([['electrical.batteries.house', {}]]) } };
+      const res = mockResponse();
+
+      await registerRoutes()({ params: { battery: 'electrical.batteries.house' }, body: {}, ip: '::1' }, res);
+
+      expect(clearHistory).toHaveBeenCalledWith('electrical.batteries.house', { counters: null, source: 'REST API (::1)' });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ battery: 'electrical.batteries.house', counters: 'all' }));
+    });
+
+    it('should reject invalid counter lists and unknown batteries', async () => {
+      const clearHistory = vi.fn();
+      plugin.clients['venus.local'] = { batteries: { clearHistory, historyData: new Map([['electrical.batteries.house', {}]]) } };
+      const handler = registerRoutes();
+
+      const invalid = mockResponse();
+      await handler({ params: { battery: 'electrical.batteries.house' }, body: { counters: 'chargeCycles' } }, invalid);
+      expect(invalid.status).toHaveBeenCalledWith(400);
+
+      const unknown = mockResponse();
+      await handler({ params: { battery: 'electrical.batteries.spare' }, body: {} }, unknown);
+      expect(unknown.status).toHaveBeenCalledWith(404);
+      expect(clearHistory).not.toHaveBeenCalled();
+    });
+
+    it('should clear the history on the target publishing the battery', async () => {
+      const cerbo = { clearHistory: vi.fn().mockResolvedValue({ counters: 'all' }), loadHistoryData: vi.fn(), historyData: new Map() };
+      const ekrano = { clearHistory: vi.fn().mockResolvedValue({ counters: 'all' }), deviceServices: new Map([['electrical.batteries.helm', {}]]) };
+      plugin.clients.cerbo = { batteries: cerbo };
+      plugin.clients.ekrano = { batteries: ekrano };
+      const res = mockResponse();
+
+      await registerRoutes()({ params: { battery: 'electrical.batteries.helm' }, body: {} }, res);
+
+      expect(cerbo.loadHistoryData).toHaveBeenCalled();
+      expect(cerbo.clearHistory).not.toHaveBeenCalled();
+      expect(ekrano.clearHistory).toHaveBeenCalledWith('electrical.batteries.helm', expect.any(Object));
+    });
+
+    it('should report when the battery client is not running', async () => {
+      const res = mockResponse();
+      await registerRoutes()({ params: { battery: 'electrical.batteries.house' }, body: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+
+  describe('Diagnostics REST API', () => {
+    function registerRoutes() {
+      const routes = {};
+      const register = method => vi.fn((path, handler) => { routes[`${method} ${path}`] = handler; });
+      plugin.registerWithRouter({ get: register('GET'), put: register('PUT'), post: register('POST') });
+      return routes;
+    }
+
+    function mockResponse() {
+      const res = { status: vi.fn(() => res), json: vi.fn(() => res) };
+      return res;
+    }
+
+    it('should list the services of every running client', () => {
+      const diagnostics = { deviceType: 'tanks', services: [{ serviceName: 'com.victronenergy.tank.SignalK1', deviceData: { '/Level': 50 } }] };
+      plugin.clients['venus.local'] = { tanks: { getDiagnostics: vi.fn(() => diagnostics) }, tanks_error_logged: true };
+      const res = mockResponse();
+
+      registerRoutes()['GET /services']({}, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ clients: [{ target: 'venus.local', ...diagnostics }] }));
+    });
+
+    it('should list discovered devices split into enabled and disabled', async () => {
+      let onValue;
+      mockApp.streambundle.getSelfBus.mockReturnValue({
+        onValue: vi.fn(callback => { onValue = callback; return () => {}; })
+      });
+      plugin.start({ venusHost: 'test.local', tanks: { tanks_fuel_main: true } });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      onValue({ path: 'tanks.fuel.main.currentLevel', value: 0.5 });
+      onValue({ path: 'tanks.freshWater.bow.currentLevel', value: 0.8 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const res = mockResponse();
+      registerRoutes()['GET /discovered']({}, res);
+      const { tanks } = res.json.mock.calls[0][0];
+      expect(tanks.enabled.map(device => device.path)).toEqual(['tanks.fuel.main']);
+      expect(tanks.disabled.map(device => device.path)).toEqual(['tanks.freshWater.bow']);
+      plugin.stop();
+    });
+
+    it('should keep the connectivity test history', async () => {
+      plugin.start({ venusHost: 'test.local' });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const res = mockResponse();
+      registerRoutes()['GET /connectivity']({}, res);
+      const { history } = res.json.mock.calls[0][0];
+      expect(history[history.length - 1]).toMatchObject({ reachable: true, target: 'test.local:78', error: null });
+      plugin.stop();
+    });
+
+    it('should list devices with Signal K and D-Bus values for the web app', async () => {
+      let onValue;
+      mockApp.streambundle.getSelfBus.mockReturnValue({
+        onValue: vi.fn(callback => { onValue = callback; return () => {}; })
+      });
+      mockApp.getSelfPath.mockReturnValue({ value: 0.5 });
+      plugin.start({ venusHost: 'test.local', tanks: { tanks_fuel_main: true }, deviceOverrides: { 'tanks.fuel.main': { name: 'Day Tank' } } });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      onValue({ path: 'tanks.fuel.main.currentLevel', value: 0.5 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      plugin.clients['test.local'] = {
+        tanks: {
+          deviceServices: new Map([['tanks.fuel.main', { dbusServiceName: 'com.victronenergy.tank.SignalK7', vrmInstanceId: 7, isConnected: true, deviceData: { '/Level': 50 } }]])
+        }
+      };
+
+      const res = mockResponse();
+      registerRoutes()['GET /devices']({}, res);
+      const [device] = res.json.mock.calls[0][0].types.tanks;
+
+      expect(device).toMatchObject({
+        path: 'tanks.fuel.main',
+        enabled: true,
+        target: 'test.local',
+        override: { name: 'Day Tank' },
+        signalK: { 'tanks.fuel.main.currentLevel': 0.5 },
+        dbus: { serviceName: 'com.victronenergy.tank.SignalK7', vrmInstance: 7, deviceData: { '/Level': 50 } }
+      });
+      mockApp.getSelfPath.mockReset();
+      plugin.stop();
+    });
+
+    it('should save device changes from the web app and restart the bridge', async () => {
+      plugin.start({ venusHost: 'test.local', tanks: { tanks_fuel_main: false } });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const startSpy = vi.spyOn(plugin, 'start');
+
+      const res = mockResponse();
+      await registerRoutes()['PUT /devices/:device']({
+        params: { device: 'tanks.fuel.main' },
+        body: { type: 'tanks', enabled: true, name: 'Day Tank', fluidType: 7, instance: 20 }
+      }, res);
+
+      const saved = mockApp.savePluginOptions.mock.calls[0][0];
+      expect(saved.venusHost).toBe('test.local');
+      expect(saved.tanks.tanks_fuel_main).toBe(true);
+      expect(saved.deviceOverrides['tanks.fuel.main']).toEqual({ name: 'Day Tank', fluidType: 7 });
+      expect(saved.instancePins).toEqual([{ path: 'tanks.fuel.main', instance: 20 }]);
+      expect(startSpy).toHaveBeenCalledWith(saved);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ path: 'tanks.fuel.main', enabled: true, instance: 20 }));
+      plugin.stop();
+    });
+
+    it('should report an old instance override that disagrees with the pin', async () => {
+      let onValue;
+      mockApp.streambundle.getSelfBus.mockReturnValue({
+        onValue: vi.fn(callback => { onValue = callback; return () => {}; })
+      });
+      plugin.start({
+        venusHost: 'test.local',
+        tanks: { tanks_fuel_main: true },
+        deviceOverrides: { 'tanks.fuel.main': { name: 'Day Tank', instance: 20 } },
+        instancePins: [{ path: 'tanks.fuel.main', instance: 12 }]
+      });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      onValue({ path: 'tanks.fuel.main.currentLevel', value: 0.5 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const res = mockResponse();
+      registerRoutes()['GET /devices']({}, res);
+      const [device] = res.json.mock.calls[0][0].types.tanks;
+
+      expect(device.instance).toBe(12);
+      expect(device.instanceConflict).toEqual({ instancePin: 12, override: 20 });
+      plugin.stop();
+    });
+
+    it('should move an instance saved in an old override to the pins', async () => {
+      plugin.start({
+        venusHost: 'test.local',
+        tanks: { tanks_fuel_main: true },
+        deviceOverrides: { 'tanks.fuel.main': { name: 'Day Tank', instance: 20 } },
+        instancePins: [{ path: 'tanks.fuel.main', instance: 12 }, { path: 'tanks.freshWater.0', instance: 40 }]
+      });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      await registerRoutes()['PUT /devices/:device']({ params: { device: 'tanks.fuel.main' }, body: { type: 'tanks', name: 'Main Tank' } }, mockResponse());
+
+      const saved = mockApp.savePluginOptions.mock.calls[0][0];
+      expect(saved.deviceOverrides['tanks.fuel.main']).toEqual({ name: 'Main Tank' });
+      expect(saved.instancePins).toEqual([{ path: 'tanks.freshWater.0', instance: 40 }, { path: 'tanks.fuel.main', instance: 12 }]);
+      plugin.stop();
+    });
+
+    it('should reject invalid device changes', async () => {
+      const routes = registerRoutes();
+
+      const badInstance = mockResponse();
+      await routes['PUT /devices/:device']({ params: { device: 'tanks.fuel.main' }, body: { type: 'tanks', instance: 1000 } }, badInstance);
+      expect(badInstance.status).toHaveBeenCalledWith(400);
+
+      const badType = mockResponse();
+      await routes['PUT /devices/:device']({ params: { device: 'tanks.fuel.main' }, body: { type: 'boats' } }, badType);
+      expect(badType.status).toHaveBeenCalledWith(400);
+      expect(mockApp.savePluginOptions).not.toHaveBeenCalled();
+    });
+
+    it('should reconnect or re-register a single service', async () => {
+      const reconnectService = vi.fn().mockResolvedValue({ serviceName: 'com.victronenergy.tank.SignalK1' });
+      plugin.clients['venus.local'] = { tanks: { deviceServices: new Map([['tanks.fuel.main', {}]]), reconnectService } };
+      const routes = registerRoutes();
+
+      await routes['POST /services/:device/reregister']({ params: { device: 'tanks.fuel.main' } }, mockResponse());
+      expect(reconnectService).toHaveBeenCalledWith('tanks.fuel.main', { reregister: true });
+
+      const missing = mockResponse();
+      await routes['POST /services/:device/reconnect']({ params: { device: 'tanks.fuel.spare' } }, missing);
+      expect(missing.status).toHaveBeenCalledWith(404);
+    });
+  });
+
   describe('Device Discovery', () => {
     it('should generate dynamic schema with discovered devices', () => {
       // Simulate discovered devices by calling the plugin's discovery logic
@@ -276,6 +839,62 @@ describe('Signal K Plugin - Main Index', () => {
       expect(schema.properties.batteryMonitor).toBeDefined();
     });
 
+    it('should feed outside temperature to both environment and meteo clients', async () => {
+      let onValue;
+      mockApp.streambundle.getSelfBus.mockReturnValue({
+        onValue: vi.fn(callback => { onValue = callback; return () => {}; })
+      });
+      const environmentClient = { handleSignalKUpdate: vi.fn(), disconnect: vi.fn(), on: vi.fn() };
+      const meteoClient = { handleSignalKUpdate: vi.fn(), disconnect: vi.fn(), on: vi.fn() };
+      mockVenusClientFactory.mockImplementation((config, deviceType) =>
+        deviceType === 'meteo' ? meteoClient : environmentClient
+      );
+
+      plugin.start({
+        venusHost: 'test.local',
+        environment: { environment_outside: true },
+        meteo: { environment: true }
+      });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      onValue({ path: 'environment.outside.temperature', value: 290.15 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(environmentClient.handleSignalKUpdate).toHaveBeenCalledWith('environment.outside.temperature', 290.15);
+      expect(meteoClient.handleSignalKUpdate).toHaveBeenCalledWith('environment.outside.temperature', 290.15);
+
+      const schema = plugin.schema();
+      expect(schema.properties.environment.properties.environment_outside).toBeDefined();
+      expect(schema.properties.meteo.properties.environment).toBeDefined();
+      plugin.stop();
+    });
+
+    it('should forward a cleared notification as back to normal', async () => {
+      let onValue;
+      mockApp.streambundle.getSelfBus.mockReturnValue({
+        onValue: vi.fn(callback => { onValue = callback; return () => {}; })
+      });
+      const notificationClient = { handleSignalKUpdate: vi.fn(), disconnect: vi.fn(), on: vi.fn() };
+      mockVenusClientFactory.mockReturnValue(notificationClient);
+
+      plugin.start({
+        venusHost: 'test.local',
+        notifications: { notifications_bilge: true }
+      });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      onValue({ path: 'notifications.bilge', value: { state: 'alarm', method: ['sound'], message: 'Bilge high' } });
+      onValue({ path: 'notifications.bilge', value: null });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(notificationClient.handleSignalKUpdate).toHaveBeenCalledWith('notifications.bilge', expect.objectContaining({ state: 'alarm' }));
+      expect(notificationClient.handleSignalKUpdate).toHaveBeenLastCalledWith('notifications.bilge', expect.objectContaining({ state: 'normal' }));
+
+      const schema = plugin.schema();
+      expect(schema.properties.notifications.properties.notifications_bilge).toBeDefined();
+      plugin.stop();
+    });
+
     it('should track discovered paths correctly', () => {
       // The plugin should maintain discovery state
       expect(plugin.venusConnected).toBe(false);
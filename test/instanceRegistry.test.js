@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { InstanceRegistry, getPinnedInstance } from '../instanceRegistry.js';
+
+describe('InstanceRegistry', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'signalk-instances-'));
+    filePath = path.join(tempDir, 'instance-registry.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should allocate the preferred instance for a new device', async () => {
+    const registry = new InstanceRegistry(null);
+    const entry = await registry.allocate('battery', 'electrical.batteries.house', { preferredInstance: 42 });
+
+    expect(entry.instance).toBe(42);
+    expect(entry.serviceName).toBe('SignalK42');
+    expect(entry.classAndVrmInstance).toBe('battery:42');
+  });
+
+  it('should resolve collisions to the next free instance', async () => {
+    const registry = new InstanceRegistry(null);
+    await registry.allocate('battery', 'electrical.batteries.house', { preferredInstance: 42 });
+    const second = await registry.allocate('battery', 'electrical.batteries.start', { preferredInstance: 42 });
+
+    expect(second.instance).toBe(43);
+  });
+
+  it('should keep instances separate per service type', async () => {
+    const registry = new InstanceRegistry(null);
+    await registry.allocate('battery', 'electrical.batteries.house', { preferredInstance: 42 });
+    const tank = await registry.allocate('tank', 'tanks.fuel.0', { preferredInstance: 42 });
+
+    expect(tank.instance).toBe(42);
+  });
+
+  it('should persist allocations across restarts', async () => {
+    const registry = new InstanceRegistry(filePath);
+    await registry.allocate('battery', 'electrical.batteries.house', { preferredInstance: 42 });
+    await registry.allocate('battery', 'electrical.batteries.start', { preferredInstance: 42 });
+    await registry.flush();
+
+    const reloaded = new InstanceRegistry(filePath);
+    // Allocation order no longer matters once the registry exists
+    const start = await reloaded.allocate('battery', 'electrical.batteries.start', { preferredInstance: 42 });
+    const house = await reloaded.allocate('battery', 'electrical.batteries.house', { preferredInstance: 42 });
+    await reloaded.flush();
+
+    expect(start.instance).toBe(43);
+    expect(house.instance).toBe(42);
+
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(saved.version).toBe(1);
+    expect(saved.devices.battery['electrical.batteries.house'].serviceName).toBe('SignalK42');
+  });
+
+  it('should let a pinned device take over an instance from an inactive device', async () => {
+    const registry = new InstanceRegistry(filePath);
+    await registry.allocate('battery', 'electrical.batteries.0', { preferredInstance: 42 });
+    await registry.flush();
+
+    // After a restart the battery was renamed - pin the new path to the old instance
+    const reloaded = new InstanceRegistry(filePath);
+    const renamed = await reloaded.allocate('battery', 'electrical.batteries.house', { preferredInstance: 7, pinnedInstance: 42 });
+    await reloaded.flush();
+
+    expect(renamed.instance).toBe(42);
+    expect(renamed.pinned).toBe(true);
+    expect(reloaded.devices.battery['electrical.batteries.0'].instance).not.toBe(42);
+  });
+
+  it('should not take a pinned instance from a running device', async () => {
+    const registry = new InstanceRegistry(null);
+    await registry.allocate('battery', 'electrical.batteries.0', { preferredInstance: 42 });
+    const pinned = await registry.allocate('battery', 'electrical.batteries.house', { preferredInstance: 42, pinnedInstance: 42 });
+
+    expect(pinned.instance).toBe(43);
+    expect(registry.devices.battery['electrical.batteries.0'].instance).toBe(42);
+  });
+
+  it('should allow the pin once the running device is released', async () => {
+    const registry = new InstanceRegistry(null);
+    await registry.allocate('battery', 'electrical.batteries.0', { preferredInstance: 42 });
+    registry.release('battery', 'electrical.batteries.0');
+    const pinned = await registry.allocate('battery', 'electrical.batteries.house', { preferredInstance: 42, pinnedInstance: 42 });
+
+    expect(pinned.instance).toBe(42);
+  });
+
+  it('should resolve duplicate instances in a hand-edited file', async () => {
+    await fs.writeFile(filePath, JSON.stringify({
+      version: 1,
+      devices: {
+        battery: {
+          'electrical.batteries.a': { instance: 5, serviceName: 'SignalK5', pinned: false },
+          'electrical.batteries.b': { instance: 5, serviceName: 'SignalK5', pinned: true }
+        }
+      }
+    }));
+
+    const registry = new InstanceRegistry(filePath);
+    await registry.load();
+
+    expect(registry.devices.battery['electrical.batteries.b'].instance).toBe(5);
+    expect(registry.devices.battery['electrical.batteries.a'].instance).toBe(6);
+  });
+
+  it('should back up a corrupted registry and start empty', async () => {
+    await fs.writeFile(filePath, '{ not json');
+
+    const registry = new InstanceRegistry(filePath);
+    const entry = await registry.allocate('tank', 'tanks.fuel.0', { preferredInstance: 3 });
+    await registry.flush();
+
+    expect(entry.instance).toBe(3);
+    const files = await fs.readdir(tempDir);
+    expect(files.some(file => file.startsWith('instance-registry.json.corrupted.'))).toBe(true);
+  });
+
+  it('should record the VRM instance assigned by Venus OS', async () => {
+    const registry = new InstanceRegistry(null);
+    await registry.allocate('battery', 'electrical.batteries.house', { preferredInstance: 42 });
+    registry.recordVrmInstance('battery', 'electrical.batteries.house', 279);
+
+    expect(registry.devices.battery['electrical.batteries.house'].classAndVrmInstance).toBe('battery:279');
+  });
+
+  it('should share one registry per file', () => {
+    expect(InstanceRegistry.forFile(filePath)).toBe(InstanceRegistry.forFile(filePath));
+  });
+
+  it('should prefer instancePins over an instance saved in an old device override', () => {
+    const config = {
+      instancePins: [{ path: 'electrical.batteries.house', instance: 12 }],
+      deviceOverrides: { 'electrical.batteries.house': { instance: 20 }, 'electrical.batteries.start': { instance: 21 } }
+    };
+
+    expect(getPinnedInstance(config, 'electrical.batteries.house')).toBe(12);
+    expect(getPinnedInstance(config, 'electrical.batteries.start')).toBe(21);
+    expect(getPinnedInstance(config, 'electrical.batteries.bow')).toBeNull();
+  });
+});
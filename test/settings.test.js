@@ -13,7 +13,12 @@ describe('Settings Configuration', () => {
       batteries: true,
       tanks: true,
       environment: true,
-      switches: true
+      switches: true,
+      solar: true,
+      alternators: true,
+      gps: true,
+      meteo: true,
+      notifications: true
     });
   });
 
@@ -49,6 +54,34 @@ describe('Settings Configuration', () => {
     expect(dimmerRegex.test('electrical.switches.nav.dimmingLevel')).toBe(true);
     expect(dimmerRegex.test('electrical.switches.cabin.dimmingLevel')).toBe(true);
     expect(dimmerRegex.test('electrical.switches.nav.state')).toBe(false);
+    
+    // Test solar regex
+    expect(settings.solarRegex.test('electrical.solar.278.panelPower')).toBe(true);
+    expect(settings.solarRegex.test('electrical.solar.arch.chargingMode')).toBe(true);
+    expect(settings.solarRegex.test('electrical.solar.278.panelTemperature')).toBe(false);
+    expect(settings.solarRegex.test('electrical.batteries.0.voltage')).toBe(false);
+    
+    // Test alternator regex
+    expect(settings.alternatorRegex.test('electrical.alternators.port.current')).toBe(true);
+    expect(settings.alternatorRegex.test('electrical.alternators.0.fieldDrive')).toBe(true);
+    expect(settings.alternatorRegex.test('electrical.alternators.0.chargingMode')).toBe(false);
+    
+    // Test GPS regex
+    expect(settings.gpsRegex.test('navigation.position')).toBe(true);
+    expect(settings.gpsRegex.test('navigation.gnss.satellites')).toBe(true);
+    expect(settings.gpsRegex.test('navigation.headingMagnetic')).toBe(false);
+    
+    // Test meteo regex
+    expect(settings.meteoRegex.test('environment.wind.speedTrue')).toBe(true);
+    expect(settings.meteoRegex.test('environment.outside.solarRadiation')).toBe(true);
+    expect(settings.meteoRegex.test('environment.outside.temperature')).toBe(true);
+    expect(settings.meteoRegex.test('environment.inside.temperature')).toBe(false);
+    expect(settings.meteoRegex.test('environment.wind.speedApparent')).toBe(false);
+
+    // Test notification regex
+    expect(settings.notificationRegex.test('notifications.bilge')).toBe(true);
+    expect(settings.notificationRegex.test('notifications.navigation.anchor')).toBe(true);
+    expect(settings.notificationRegex.test('navigation.anchor.position')).toBe(false);
   });
 
   it('should have all required properties', () => {
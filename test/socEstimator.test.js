@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SocEstimator } from '../socEstimator.js';
+
+describe('SocEstimator', () => {
+  const capacity = 200; // Ah
+  let estimator;
+  let state;
+  const start = 1_700_000_000_000;
+
+  beforeEach(() => {
+    estimator = new SocEstimator({
+      chargeEfficiency: 100,
+      peukertExponent: 1.0,
+      chargedVoltage: 13.2,
+      tailCurrent: 4,
+      chargedDetectionTime: 180,
+      selfDischargeRate: 0
+    });
+    state = estimator.createState(100, capacity);
+  });
+
+  // Feed a constant current for the given number of seconds in 10 s steps
+  function run(current, seconds, voltage = 12.6, from = start) {
+    let result;
+    for (let t = 0; t <= seconds; t += 10) {
+      result = estimator.update(state, current, voltage, capacity, from + t * 1000);
+    }
+    return result;
+  }
+
+  it('should start full by default', () => {
+    expect(state.consumedAh).toBe(0);
+    expect(estimator.createState(75, capacity).consumedAh).toBe(50);
+  });
+
+  it('should integrate discharge current into consumed Ah', () => {
+    const result = run(-20, 3600);
+
+    expect(result.consumedAh).toBeCloseTo(20, 5);
+    expect(result.soc).toBeCloseTo(90, 5);
+    // 180 Ah left at 20 A
+    expect(result.timeToGo).toBe(9 * 3600);
+  });
+
+  it('should apply charge efficiency to charge current', () => {
+    estimator.chargeEfficiency = 0.9;
+    state = estimator.createState(50, capacity);
+
+    const result = run(10, 3600);
+
+    expect(result.consumedAh).toBeCloseTo(100 - 9, 5);
+    expect(result.timeToGo).toBeNull();
+  });
+
+  it('should apply Peukert correction above the rated discharge current', () => {
+    estimator.peukertExponent = 1.25;
+
+    // Rated current is C20 = 10 A - discharging at 40 A drains faster than 40 Ah/h
+    const result = run(-40, 3600);
+
+    const expectedAh = 10 * Math.pow(4, 1.25);
+    expect(result.consumedAh).toBeCloseTo(expectedAh, 3);
+    expect(result.consumedAh).toBeGreaterThan(40);
+  });
+
+  it('should synchronise to 100% after charged voltage and tail current hold long enough', () => {
+    state = estimator.createState(90, capacity);
+
+    const early = run(5, 120, 13.5);
+    expect(early.synchronized).toBe(false);
+    expect(early.soc).toBeLessThan(100);
+
+    const result = run(5, 60, 13.5, start + 130 * 1000);
+    expect(result.synchronized).toBe(true);
+    expect(result.soc).toBe(100);
+    expect(state.lastSynchronized).not.toBeNull();
+  });
+
+  it('should restart charged detection when the tail current is exceeded', () => {
+    state = estimator.createState(90, capacity);
+
+    run(5, 120, 13.5);
+    // 20 A is above the 4% tail current of 8 A
+    estimator.update(state, 20, 13.5, capacity, start + 130 * 1000);
+    expect(state.chargedSince).toBeNull();
+  });
+
+  it('should apply self-discharge over time', () => {
+    estimator.selfDischargeRate = 3;
+    estimator.update(state, 0, 12.6, capacity, start);
+    // Ten days without data - only self-discharge applies
+    const result = estimator.update(state, 0, 12.6, capacity, start + 10 * 24 * 3600 * 1000);
+
+    expect(result.consumedAh).toBeCloseTo(capacity * 0.03 / 3, 5);
+  });
+
+  it('should not integrate across data gaps', () => {
+    estimator.update(state, -20, 12.6, capacity, start);
+    const result = estimator.update(state, -20, 12.6, capacity, start + 3600 * 1000);
+
+    expect(result.consumedAh).toBe(0);
+  });
+
+  it('should clamp SOC between 0 and 100%', () => {
+    state = estimator.createState(1, capacity);
+    expect(run(-100, 600).soc).toBe(0);
+
+    state = estimator.createState(100, capacity);
+    expect(run(50, 600).soc).toBe(100);
+  });
+
+  it('should require a capacity', () => {
+    expect(() => estimator.update(state, -5, 12.6, null)).toThrow('capacity');
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SourceSelector } from '../sourceSelector.js';
+
+describe('SourceSelector', () => {
+  const priorities = [{ path: 'electrical.batteries.house', sources: ['can0.115', 'venus.ve.direct'] }];
+  const path = 'electrical.batteries.house.voltage';
+
+  it('should pass every source of paths without a priority list', () => {
+    const selector = new SourceSelector(priorities);
+
+    expect(selector.accept('electrical.batteries.start.voltage', 'can0.115', 0)).toBe(true);
+    expect(selector.accept('electrical.batteries.start.voltage', 'venus.ve.direct', 1)).toBe(true);
+  });
+
+  it('should forward only the first listed source that is alive', () => {
+    const selector = new SourceSelector(priorities, { timeout: 1000 });
+
+    expect(selector.accept(path, 'venus.ve.direct', 0)).toBe(true); // Only source so far
+    expect(selector.accept(path, 'can0.115', 100)).toBe(true);
+    expect(selector.accept(path, 'venus.ve.direct', 200)).toBe(false);
+    expect(selector.accept(path, 'can0.115', 300)).toBe(true);
+  });
+
+  it('should fail over when the preferred source goes stale and switch back when it returns', () => {
+    const logger = { debug: vi.fn() };
+    const selector = new SourceSelector(priorities, { timeout: 1000 }, logger);
+
+    selector.accept(path, 'can0.115', 0);
+    expect(selector.accept(path, 'venus.ve.direct', 500)).toBe(false);
+    expect(selector.accept(path, 'venus.ve.direct', 1500)).toBe(true);
+    expect(logger.debug).toHaveBeenCalledWith(`Source of ${path} switched from can0.115 to venus.ve.direct`);
+
+    expect(selector.accept(path, 'can0.115', 1600)).toBe(true);
+    expect(selector.accept(path, 'venus.ve.direct', 1700)).toBe(false);
+  });
+
+  it('should use unlisted sources only while no listed source is alive', () => {
+    const selector = new SourceSelector(priorities, { timeout: 1000 });
+
+    expect(selector.accept(path, 'nmea0183.GP', 0)).toBe(true);
+    expect(selector.accept(path, 'other.1', 100)).toBe(false); // The active unlisted source stays
+    expect(selector.accept(path, 'venus.ve.direct', 200)).toBe(true);
+    expect(selector.accept(path, 'nmea0183.GP', 300)).toBe(false);
+  });
+
+  it('should prefer the most specific device path and ignore invalid entries', () => {
+    const selector = new SourceSelector([
+      { path: 'electrical.batteries', sources: ['venus.ve.direct'] },
+      { path: 'electrical.batteries.house', sources: ['can0.115'] },
+      { path: '', sources: ['x'] },
+      { path: 'tanks.fuel', sources: [] },
+      null
+    ]);
+
+    expect(selector.priorities.map(entry => entry.path)).toEqual(['electrical.batteries.house', 'electrical.batteries']);
+    selector.accept(path, 'venus.ve.direct', 0);
+    selector.accept(path, 'can0.115', 1);
+    expect(selector.getStatus(2)[0]).toMatchObject({ device: 'electrical.batteries.house', active: 'can0.115' });
+  });
+
+  it('should report the active and all seen sources with their staleness', () => {
+    const selector = new SourceSelector(priorities, { timeout: 1000 });
+    selector.accept(path, 'can0.115', 0);
+    selector.accept(path, 'venus.ve.direct', 900);
+
+    expect(selector.getStatus(1500)).toEqual([{
+      path,
+      device: 'electrical.batteries.house',
+      active: 'can0.115',
+      sources: [
+        { source: 'can0.115', lastSeen: new Date(0).toISOString(), stale: true },
+        { source: 'venus.ve.direct', lastSeen: new Date(900).toISOString(), stale: false }
+      ]
+    }]);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from 'vitest';
+import { UnitConverter } from '../unitConversion.js';
+
+describe('UnitConverter', () => {
+  function createConverter(units = {}) {
+    const logger = { debug: vi.fn(), warn: vi.fn() };
+    const unitsGetter = vi.fn(path => units[path] ?? null);
+    return { converter: new UnitConverter(unitsGetter, logger), logger, unitsGetter };
+  }
+
+  it('should convert by the unit in the metadata', () => {
+    const { converter } = createConverter({ 'a.temperature': 'K', 'a.soc': 'ratio', 'a.yield': 'J', 'a.rpm': 'Hz' });
+
+    expect(converter.convert('a.temperature', 150, 'K', 'C')).toBeCloseTo(-123.15);
+    expect(converter.convert('a.soc', 1, 'ratio', '%')).toBe(100);
+    expect(converter.convert('a.yield', 7200000, 'J', 'kWh')).toBe(2);
+    expect(converter.convert('a.rpm', 30, 'Hz', 'RPM')).toBe(1800);
+    expect(converter.getIssues()).toEqual([]);
+  });
+
+  it('should pass values through that already use the Venus OS unit', () => {
+    const { converter } = createConverter({ 'a.soc': '%' });
+
+    expect(converter.convert('a.soc', 1, 'ratio', '%')).toBe(1);
+  });
+
+  it('should assume the specification unit without metadata and report it once', () => {
+    const { converter, logger } = createConverter();
+
+    expect(converter.convert('a.soc', 0.01, 'ratio', '%')).toBe(1);
+    expect(converter.convert('a.soc', 0.02, 'ratio', '%')).toBe(2);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(converter.getIssues()).toEqual([{ path: 'a.soc', kind: 'missing', message: 'No unit metadata for a.soc - assuming ratio' }]);
+  });
+
+  it('should drop values with units that cannot be converted', () => {
+    const { converter, logger } = createConverter({ 'a.temperature': 'F' });
+
+    expect(converter.convert('a.temperature', 77, 'K', 'C')).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Unit F of a.temperature can\'t be converted to C'));
+  });
+
+  it('should convert energy capacity to Ah only with a voltage', () => {
+    const { converter } = createConverter({ 'a.capacity.nominal': 'J', 'b.capacity.nominal': 'C' });
+
+    expect(converter.convert('a.capacity.nominal', 4320000, 'J', 'Ah', { voltage: 12 })).toBe(100);
+    expect(converter.convert('a.capacity.nominal', 4320000, 'J', 'Ah', { voltage: undefined })).toBeNull();
+    expect(converter.getIssues()[0].kind).toBe('input');
+    expect(converter.convert('b.capacity.nominal', 360000, 'J', 'Ah')).toBe(100);
+  });
+
+  it('should cache units found in the metadata', () => {
+    const { converter, unitsGetter } = createConverter({ 'a.temperature': 'K' });
+
+    converter.convert('a.temperature', 300, 'K', 'C');
+    converter.convert('a.temperature', 301, 'K', 'C');
+    expect(unitsGetter).toHaveBeenCalledTimes(1);
+    expect(converter.convert('a.temperature', 'warm', 'K', 'C')).toBeNull();
+  });
+});
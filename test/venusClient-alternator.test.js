@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VenusClient } from '../venusClient.js';
+import { EventEmitter } from 'events';
+
+describe('VenusClient - Alternator', () => {
+  let client;
+  let mockSettings;
+
+  beforeEach(() => {
+    mockSettings = {
+      venusHost: 'test.local',
+      productName: 'Test Alternator',
+      batteryMonitor: {
+        directDcDevices: [
+          {
+            type: 'alternator',
+            basePath: 'electrical.alternator.277',
+            currentPath: 'electrical.alternator.277.current',
+            powerPath: 'electrical.alternator.277.power',
+            pulleyRatio: 2.5
+          },
+          {
+            type: 'solar',
+            basePath: 'electrical.solar.278',
+            currentPath: 'electrical.solar.278.current'
+          }
+        ]
+      }
+    };
+    client = new VenusClient(mockSettings, 'alternators');
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  describe('Construction', () => {
+    it('should create an alternator client with correct configuration', () => {
+      expect(client).toBeDefined();
+      expect(client.deviceType).toBe('alternators');
+      expect(client._internalDeviceType).toBe('alternator');
+      expect(client.deviceConfig.serviceType).toBe('alternator');
+    });
+
+    it('should extend EventEmitter', () => {
+      expect(client).toBeInstanceOf(EventEmitter);
+    });
+  });
+
+  describe('Path Processing', () => {
+    it('should identify relevant alternator paths', () => {
+      expect(client._isRelevantPath('electrical.alternators.port.current')).toBe(true);
+      expect(client._isRelevantPath('electrical.alternator.277.current')).toBe(true);
+      expect(client._isRelevantPath('electrical.solar.278.current')).toBe(false);
+      expect(client._isRelevantPath('electrical.batteries.0.current')).toBe(false);
+    });
+
+    it('should extract base path correctly', () => {
+      expect(client._extractBasePath('electrical.alternators.port.current')).toBe('electrical.alternators.port');
+      expect(client._extractBasePath('electrical.alternators.port.fieldDrive')).toBe('electrical.alternators.port');
+      expect(client._extractBasePath('electrical.alternator.277.power')).toBe('electrical.alternator.277');
+      expect(client._extractBasePath('electrical.alternator.277.voltage')).toBe('electrical.alternator.277');
+    });
+
+    it('should only create devices from electrical output data', () => {
+      expect(client._shouldCreateDeviceForPath('electrical.alternators.port.current', 40)).toBe(true);
+      expect(client._shouldCreateDeviceForPath('electrical.alternators.port.temperature', 340)).toBe(false);
+      expect(client._shouldCreateDeviceForPath('electrical.alternators.port.revolutions', 100)).toBe(false);
+    });
+  });
+
+  describe('Device Naming', () => {
+    it('should generate alternator names', () => {
+      expect(client._getAlternatorName('electrical.alternators.port.current')).toBe('Alternator Port');
+      expect(client._getAlternatorName('electrical.alternators.mainEngine.current')).toBe('Alternator Main Engine');
+      expect(client._getAlternatorName('electrical.alternator.277.current')).toBe('Alternator');
+    });
+  });
+
+  describe('Signal K Updates', () => {
+    it('should publish output voltage, current and power', async () => {
+      await client.handleSignalKUpdate('electrical.alternators.port.current', 62.5);
+      await client.handleSignalKUpdate('electrical.alternators.port.voltage', 14.2);
+      await client.handleSignalKUpdate('electrical.alternators.port.power', 887);
+
+      const deviceService = client.deviceServices.get('electrical.alternators.port');
+      expect(deviceService.deviceData['/Dc/0/Current']).toBe(62.5);
+      expect(deviceService.deviceData['/Dc/0/Voltage']).toBe(14.2);
+      expect(deviceService.deviceData['/Dc/0/Power']).toBe(887);
+    });
+
+    it('should convert field drive, temperature and engine speed', async () => {
+      await client.handleSignalKUpdate('electrical.alternators.port.current', 40);
+      await client.handleSignalKUpdate('electrical.alternators.port.fieldDrive', 0.65);
+      await client.handleSignalKUpdate('electrical.alternators.port.temperature', 358.15);
+      await client.handleSignalKUpdate('electrical.alternators.port.pulleyRatio', 3);
+      await client.handleSignalKUpdate('electrical.alternators.port.revolutions', 90);
+
+      const deviceService = client.deviceServices.get('electrical.alternators.port');
+      expect(deviceService.deviceData['/FieldDrive']).toBeCloseTo(65);
+      expect(deviceService.deviceData['/Dc/0/Temperature']).toBeCloseTo(85);
+      expect(deviceService.deviceData['/Speed']).toBe(5400);
+      expect(deviceService.deviceData['/Engine/Speed']).toBe(1800);
+    });
+
+    it('should not publish engine speed without a pulley ratio', async () => {
+      await client.handleSignalKUpdate('electrical.alternators.port.current', 40);
+      await client.handleSignalKUpdate('electrical.alternators.port.revolutions', 90);
+
+      const deviceService = client.deviceServices.get('electrical.alternators.port');
+      expect(deviceService.deviceData['/Speed']).toBe(5400);
+      expect(deviceService.deviceData['/Engine/Speed']).toBeUndefined();
+    });
+
+    it('should publish directDcDevices alternators using their configured paths', async () => {
+      const emitSpy = vi.spyOn(client, 'emit');
+
+      await client.handleSignalKUpdate('electrical.alternator.277.current', 35);
+      await client.handleSignalKUpdate('electrical.alternator.277.power', 490);
+      await client.handleSignalKUpdate('electrical.alternator.277.revolutions', 75);
+
+      const deviceService = client.deviceServices.get('electrical.alternator.277');
+      expect(deviceService.deviceData['/Dc/0/Current']).toBe(35);
+      expect(deviceService.deviceData['/Dc/0/Power']).toBe(490);
+      expect(deviceService.deviceData['/Engine/Speed']).toBe(1800);
+      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Alternator Current', 'Alternator: 35.0A');
+    });
+  });
+
+  describe('Cleanup', () => {
+    it('should disconnect cleanly', async () => {
+      await client.handleSignalKUpdate('electrical.alternators.port.current', 40);
+      expect(client.deviceInstances.size).toBe(1);
+
+      await client.disconnect();
+
+      expect(client.deviceInstances.size).toBe(0);
+      expect(client.deviceServices.size).toBe(0);
+    });
+  });
+});
@@ -7,10 +7,12 @@ vi.mock('../vedbus.js', () => ({
   VEDBusService: vi.fn().mockImplementation(() => {
     const mockService = {
       init: vi.fn().mockResolvedValue(true),
-      updateProperty: vi.fn().mockResolvedValue(true),
+      // Keeps the published values like the real service
+      updateProperty: vi.fn(async (path, value) => { mockService.deviceData[path] = value; return true; }),
       disconnect: vi.fn().mockResolvedValue(true),
       isConnected: true,
-      deviceData: {}
+      deviceData: {},
+      customPaths: {}
     };
     // Make sure init resolves immediately in tests
     mockService.init.mockImplementation(() => Promise.resolve(true));
@@ -268,18 +270,62 @@ describe('VenusClient - Battery', () => {
       expect(emitSpy).not.toHaveBeenCalled();
     });
 
-    it('should handle SoC values as percentages (0-1 and 0-100)', async () => {
+    it('should convert SoC values by their unit metadata', async () => {
       const emitSpy = vi.spyOn(client, 'emit');
+      client.setSignalKApp({
+        getSelfPath: vi.fn(path => path === 'electrical.batteries.house.stateOfCharge' ? { meta: { units: '%' } } : undefined)
+      });
       
-      // Test fractional value (0-1)
-      await client.handleSignalKUpdate('electrical.batteries.main.stateOfCharge', 0.50);
-      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Battery SoC', 'Battery: 50.0%');
+      // Ratio from the Signal K specification when there is no metadata - 1% stays 1%
+      await client.handleSignalKUpdate('electrical.batteries.main.stateOfCharge', 0.01);
+      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Battery SoC', 'Battery: 1.0%');
       
-      // Test percentage value (0-100)
+      // Percent according to the metadata
       await client.handleSignalKUpdate('electrical.batteries.house.stateOfCharge', 75);
       expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Battery SoC', 'Battery House: 75.0%');
     });
 
+    it('should convert capacity from Joules with the nominal voltage or wait for the measured voltage', async () => {
+      await client.handleSignalKUpdate('electrical.batteries.main.stateOfCharge', 0.8);
+      const deviceService = client.deviceServices.get('electrical.batteries.main');
+      
+      // No 12 V guess without a voltage
+      await client.handleSignalKUpdate('electrical.batteries.main.capacity.nominal', 4320000);
+      expect(deviceService.updateProperty).not.toHaveBeenCalledWith('/Capacity', expect.anything(), 'd', expect.anything());
+      
+      client.settings.batteryMonitor.nominalVoltage = 24;
+      await client.handleSignalKUpdate('electrical.batteries.main.capacity.nominal', 4320000);
+      expect(deviceService.updateProperty).toHaveBeenCalledWith('/Capacity', 50, 'd', 'Battery capacity');
+    });
+
+    it('should convert a capacity sent before the first voltage once the voltage arrives', async () => {
+      await client.handleSignalKUpdate('electrical.batteries.main.stateOfCharge', 0.8);
+      const deviceService = client.deviceServices.get('electrical.batteries.main');
+      
+      // Sent only once, before any voltage
+      await client.handleSignalKUpdate('electrical.batteries.main.capacity.nominal', 4320000);
+      expect(deviceService.updateProperty).not.toHaveBeenCalledWith('/Capacity', expect.anything(), 'd', expect.anything());
+      
+      await client.handleSignalKUpdate('electrical.batteries.main.voltage', 12);
+      expect(deviceService.updateProperty).toHaveBeenCalledWith('/Capacity', 100, 'd', 'Battery capacity');
+      expect(client.pendingCapacities.size).toBe(0);
+    });
+
+    it('should start a new battery service with the current values converted by their metadata', async () => {
+      const { VEDBusService } = await import('../vedbus.js');
+      client.setSignalKApp({
+        getSelfPath: vi.fn(path => ({
+          'electrical.batteries.main.capacity.stateOfCharge': { value: 0.01, meta: { units: 'ratio' } },
+          'electrical.batteries.main.voltage': { value: 12.6, meta: { units: 'V' } }
+        })[path])
+      });
+      
+      await client.handleSignalKUpdate('electrical.batteries.main.voltage', 12.6);
+      
+      const service = VEDBusService.mock.results[VEDBusService.mock.results.length - 1].value;
+      expect(service.init).toHaveBeenCalledWith({ '/Soc': 1, '/Dc/0/Voltage': 12.6 });
+    });
+
     it('should handle timeRemaining correctly - ignore null values', async () => {
       // timeRemaining is NOT critical data, so we test with an existing service
       // First create a device with critical data 
@@ -408,6 +454,25 @@ describe('VenusClient - Battery', () => {
       // Should handle concurrent updates without errors
       expect(client.deviceInstances.size).toBeGreaterThanOrEqual(0);
     });
+
+    it('should use the instance pinned in the settings', async () => {
+      client.settings.instancePins = [{ path: 'electrical.batteries.main', instance: 7 }];
+
+      await client.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+
+      expect(client.deviceInstances.get('electrical.batteries.main').index).toBe(7);
+    });
+
+    it('should give colliding devices different instances', async () => {
+      client.instanceRegistry.devices.battery = {
+        'electrical.batteries.other': { instance: client._generateStableIndex('electrical.batteries.main') }
+      };
+
+      await client.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+
+      const index = client.deviceInstances.get('electrical.batteries.main').index;
+      expect(index).not.toBe(client._generateStableIndex('electrical.batteries.main'));
+    });
   });
 
   describe('Cleanup', () => {
@@ -428,6 +493,440 @@ describe('VenusClient - Battery', () => {
     });
   });
 
+  describe('SOC Estimator', () => {
+    let estimatorClient;
+
+    beforeEach(async () => {
+      estimatorClient = new VenusClient({
+        ...mockSettings,
+        batteryMonitor: {
+          ...mockSettings.batteryMonitor,
+          socEstimator: { enabled: true, batteries: [], capacity: 200, chargedVoltage: 13.2 }
+        }
+      }, 'batteries');
+      await estimatorClient.loadHistoryData();
+      estimatorClient.historyData.clear();
+    });
+
+    afterEach(async () => {
+      vi.useRealTimers();
+      await estimatorClient.disconnect();
+    });
+
+    it('should not create an estimator unless enabled', () => {
+      expect(client.socEstimator).toBeNull();
+      expect(estimatorClient.socEstimator).not.toBeNull();
+    });
+
+    it('should publish estimated SOC, consumed Ah and time to go from the current', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      await estimatorClient.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+      await estimatorClient.handleSignalKUpdate('electrical.batteries.main.current', -10.0);
+      vi.advanceTimersByTime(60000);
+      await estimatorClient.handleSignalKUpdate('electrical.batteries.main.current', -10.0);
+
+      const service = estimatorClient.deviceServices.get('electrical.batteries.main');
+      const paths = service.updateProperty.mock.calls.map(call => call[0]);
+      expect(paths).toContain('/Soc');
+      expect(paths).toContain('/ConsumedAmphours');
+      expect(paths).toContain('/TimeToGo');
+
+      // State is kept with the battery history so it survives restarts
+      const history = estimatorClient.historyData.get('electrical.batteries.main');
+      expect(history.socEstimator).toBeDefined();
+      expect(history.socEstimator.consumedAh).toBe(0);
+    });
+
+    it('should not estimate a battery whose current arrives before its native SOC', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      await estimatorClient.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+      await estimatorClient.handleSignalKUpdate('electrical.batteries.main.current', -10.0);
+      vi.advanceTimersByTime(5000);
+      await estimatorClient.handleSignalKUpdate('electrical.batteries.main.current', -10.0);
+      await estimatorClient.handleSignalKUpdate('electrical.batteries.main.stateOfCharge', 0.8);
+      vi.advanceTimersByTime(60000);
+      await estimatorClient.handleSignalKUpdate('electrical.batteries.main.current', -10.0);
+
+      const service = estimatorClient.deviceServices.get('electrical.batteries.main');
+      const socs = service.updateProperty.mock.calls.filter(call => call[0] === '/Soc').map(call => call[1]);
+      expect(socs.length).toBeGreaterThan(0);
+      expect(socs.every(soc => soc === 80)).toBe(true);
+      expect(estimatorClient.historyData.get('electrical.batteries.main')?.socEstimator).toBeUndefined();
+    });
+
+    it('should step aside for batteries that report a native SOC', async () => {
+      await estimatorClient.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+      await estimatorClient.handleSignalKUpdate('electrical.batteries.main.stateOfCharge', 0.8);
+
+      expect(estimatorClient._usesSocEstimator('electrical.batteries.main')).toBe(false);
+    });
+
+    it('should only estimate listed batteries when a list is configured', async () => {
+      estimatorClient.settings.batteryMonitor.socEstimator.batteries = ['electrical.batteries.house'];
+
+      expect(estimatorClient._usesSocEstimator('electrical.batteries.house')).toBe(true);
+      expect(estimatorClient._usesSocEstimator('electrical.batteries.main')).toBe(false);
+    });
+  });
+
+  describe('Battery Alarms', () => {
+    let alarmClient;
+
+    beforeEach(() => {
+      alarmClient = new VenusClient({
+        ...mockSettings,
+        batteryMonitor: {
+          ...mockSettings.batteryMonitor,
+          alarms: {
+            enabled: true,
+            delay: 0,
+            lowVoltage: { warning: 12.0, alarm: 11.6, hysteresis: 0.2 },
+            lowSoc: { warning: 30, alarm: 20, hysteresis: 5 }
+          }
+        }
+      }, 'batteries');
+    });
+
+    afterEach(async () => {
+      await alarmClient.disconnect();
+    });
+
+    it('should not evaluate alarms unless enabled', () => {
+      expect(client.batteryAlarms).toBeNull();
+      expect(alarmClient.batteryAlarms).not.toBeNull();
+    });
+
+    it('should publish alarm levels from live values', async () => {
+      await alarmClient.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+      const service = alarmClient.deviceServices.get('electrical.batteries.main');
+
+      service.deviceData['/Dc/0/Voltage'] = 11.8;
+      service.deviceData['/Soc'] = 15;
+      service.updateProperty.mockClear();
+      await alarmClient._updateBatteryAlarms('electrical.batteries.main', service, 'Main Battery');
+
+      expect(service.updateProperty).toHaveBeenCalledWith('/Alarms/LowVoltage', 1, 'i', 'Low voltage alarm');
+      expect(service.updateProperty).toHaveBeenCalledWith('/Alarms/LowSoc', 2, 'i', 'Low SOC alarm');
+    });
+
+    it('should only send alarm paths when the level changes', async () => {
+      await alarmClient.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+      const service = alarmClient.deviceServices.get('electrical.batteries.main');
+
+      service.deviceData['/Soc'] = 15;
+      await alarmClient._updateBatteryAlarms('electrical.batteries.main', service, 'Main Battery');
+      service.updateProperty.mockClear();
+      await alarmClient._updateBatteryAlarms('electrical.batteries.main', service, 'Main Battery');
+
+      const alarmCalls = service.updateProperty.mock.calls.filter(call => call[0].startsWith('/Alarms/'));
+      expect(alarmCalls).toHaveLength(0);
+    });
+  });
+
+  describe('Battery Banks', () => {
+    let bankClient;
+
+    beforeEach(async () => {
+      bankClient = new VenusClient({
+        ...mockSettings,
+        batteryMonitor: {
+          ...mockSettings.batteryMonitor,
+          batteryBanks: [
+            { path: 'electrical.batteries.houseBank', name: 'House Bank', batteries: ['electrical.batteries.1', 'electrical.batteries.2'] },
+            { path: 'electrical.batteries.invalid', batteries: [] }
+          ]
+        }
+      }, 'batteries');
+      await bankClient.loadHistoryData();
+      bankClient.historyData.clear();
+    });
+
+    afterEach(async () => {
+      await bankClient.disconnect();
+    });
+
+    it('should skip invalid bank configurations', () => {
+      expect(bankClient.batteryBanks.map(bank => bank.path)).toEqual(['electrical.batteries.houseBank']);
+      expect(client.batteryBanks).toEqual([]);
+    });
+
+    it('should publish the combined members on one battery service', async () => {
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.voltage', 13.2);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.2.voltage', 13.4);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.current', -10);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.2.current', -20);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.capacity.nominal', 100 * 13.2 * 3600);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.2.capacity.nominal', 300 * 13.4 * 3600);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.capacity.stateOfCharge', 0.4);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.2.capacity.stateOfCharge', 0.8);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.temperature', 298.15);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.2.temperature', 303.15);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.cells.1.voltage', 3.30);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.2.cells.4.voltage', 3.36);
+
+      expect(bankClient.deviceServices.size).toBe(1);
+      expect(bankClient.deviceInstances.get('electrical.batteries.houseBank').name).toBe('House Bank');
+      const service = bankClient.deviceServices.get('electrical.batteries.houseBank');
+      const lastValue = dbusPath => service.updateProperty.mock.calls.filter(call => call[0] === dbusPath).pop()?.[1];
+
+      expect(lastValue('/Dc/0/Voltage')).toBeCloseTo(13.3);
+      expect(lastValue('/Dc/0/Current')).toBe(-30);
+      expect(lastValue('/Capacity')).toBeCloseTo(400);
+      expect(lastValue('/Soc')).toBeCloseTo(70); // (40% * 100Ah + 80% * 300Ah) / 400Ah
+      expect(lastValue('/Dc/0/Temperature')).toBeCloseTo(30);
+      expect(lastValue('/System/MinCellTemperature')).toBeCloseTo(25);
+      expect(lastValue('/System/MaxCellTemperature')).toBeCloseTo(30);
+      expect(lastValue('/System/MinCellVoltage')).toBeCloseTo(3.30);
+      expect(lastValue('/System/MaxCellVoltage')).toBeCloseTo(3.36);
+      expect(lastValue('/System/NrOfBatteries')).toBe(2);
+
+      // Own history entry, persisted with the other batteries
+      expect(bankClient.historyData.has('electrical.batteries.houseBank')).toBe(true);
+      expect(bankClient.mappedDevices.has('electrical.batteries.houseBank')).toBe(true);
+    });
+
+    it('should publish the capacity of members that reported it before their voltage', async () => {
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.capacity.nominal', 100 * 12 * 3600);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.2.capacity.nominal', 200 * 12 * 3600);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.voltage', 12);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.2.voltage', 12);
+
+      const service = bankClient.deviceServices.get('electrical.batteries.houseBank');
+      const capacities = service.updateProperty.mock.calls.filter(call => call[0] === '/Capacity');
+      expect(capacities).toHaveLength(1);
+      expect(capacities[0][1]).toBeCloseTo(300);
+    });
+
+    it('should not publish a current until every member reported one', async () => {
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.voltage', 13.2);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.current', -10);
+
+      const service = bankClient.deviceServices.get('electrical.batteries.houseBank');
+      const paths = service.updateProperty.mock.calls.map(call => call[0]);
+      expect(paths).toContain('/Dc/0/Voltage');
+      expect(paths).not.toContain('/Dc/0/Current');
+    });
+
+    it('should ignore paths of batteries outside the bank', async () => {
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.3.voltage', 13.2);
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.name', 'Battery 1');
+
+      expect(bankClient.deviceServices.size).toBe(0);
+    });
+
+    it('should leave banks assigned to another Venus OS target to that target', async () => {
+      const settings = {
+        ...bankClient.settings,
+        venusTargets: [{ name: 'cerbo', venusHost: 'cerbo.local' }, { name: 'ekrano', venusHost: 'ekrano.local' }],
+        deviceOverrides: { 'electrical.batteries.houseBank': { target: 'ekrano' } }
+      };
+      bankClient.updateSettings({ ...settings, venusTarget: 'cerbo' });
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.voltage', 13.2);
+      expect(bankClient.deviceServices.size).toBe(0);
+
+      bankClient.updateSettings({ ...settings, venusTarget: 'ekrano' });
+      await bankClient.handleBatteryBankUpdate('electrical.batteries.1.voltage', 13.2);
+      expect(bankClient.deviceServices.has('electrical.batteries.houseBank')).toBe(true);
+    });
+  });
+
+  describe('BMS Detail', () => {
+    async function createBattery() {
+      await client.handleSignalKUpdate('electrical.batteries.1.voltage', 13.3);
+      const service = client.deviceServices.get('electrical.batteries.1');
+      service.updateProperty.mockClear();
+      return service;
+    }
+
+    it('should publish cell voltages with their summary instead of the battery voltage', async () => {
+      const service = await createBattery();
+
+      await client.handleSignalKUpdate('electrical.batteries.1.cells.1.voltage', 3.32);
+      await client.handleSignalKUpdate('electrical.batteries.1.cells.2.voltage', 3.36);
+
+      expect(client.deviceServices.size).toBe(1);
+      const paths = service.updateProperty.mock.calls.map(call => call[0]);
+      expect(paths).not.toContain('/Dc/0/Voltage');
+      expect(service.updateProperty).toHaveBeenCalledWith('/Voltages/Cell2', 3.36, 'd', expect.any(String));
+      expect(service.updateProperty).toHaveBeenCalledWith('/System/MinCellVoltage', 3.32, 'd', expect.any(String));
+      expect(service.updateProperty).toHaveBeenCalledWith('/System/MaxCellVoltage', 3.36, 'd', expect.any(String));
+      expect(service.updateProperty).toHaveBeenCalledWith('/System/NrOfCellsPerBattery', 2, 'i', expect.any(String));
+      expect(service.customPaths['/Voltages/Cell1']).toEqual({ type: 'd', text: 'Cell 1 voltage' });
+    });
+
+    it('should publish balancing but keep DVCC limits back without the opt-in', async () => {
+      const service = await createBattery();
+
+      await client.handleSignalKUpdate('electrical.batteries.1.chargeCurrentLimit', 80);
+      await client.handleSignalKUpdate('electrical.batteries.1.chargingMode', 'off');
+      await client.handleSignalKUpdate('electrical.batteries.1.balancing', true);
+
+      const paths = service.updateProperty.mock.calls.map(call => call[0]);
+      expect(paths).not.toContain('/Info/MaxChargeCurrent');
+      expect(paths).not.toContain('/Io/AllowToCharge');
+      expect(service.updateProperty).toHaveBeenCalledWith('/Balancer', 1, 'i', expect.any(String));
+    });
+
+    it('should keep BMS paths on the battery device', () => {
+      expect(client._extractBasePath('electrical.batteries.1.cells.12.voltage')).toBe('electrical.batteries.1');
+      expect(client._extractBasePath('electrical.batteries.1.maxChargeVoltage')).toBe('electrical.batteries.1');
+    });
+  });
+
+  describe('DVCC Control Mode', () => {
+    let dvccClient;
+    let service;
+
+    beforeEach(async () => {
+      dvccClient = new VenusClient({
+        ...mockSettings,
+        batteryMonitor: {
+          ...mockSettings.batteryMonitor,
+          dvcc: {
+            enabled: true,
+            batteries: ['electrical.batteries.1'],
+            maxChargeVoltage: { min: 12.0, max: 14.6 },
+            maxChargeCurrent: { max: 200 },
+            watchdogTimeout: 30000,
+            fallback: 'stopCharging'
+          }
+        }
+      }, 'batteries');
+      await dvccClient.handleSignalKUpdate('electrical.batteries.1.voltage', 13.3);
+      await dvccClient.handleSignalKUpdate('electrical.batteries.2.voltage', 13.3);
+      service = dvccClient.deviceServices.get('electrical.batteries.1');
+      service.updateProperty.mockClear();
+    });
+
+    afterEach(async () => {
+      await dvccClient.disconnect();
+    });
+
+    it('should publish plausible limits of opted-in batteries only', async () => {
+      await dvccClient.handleSignalKUpdate('electrical.batteries.1.chargeCurrentLimit', 80);
+      await dvccClient.handleSignalKUpdate('electrical.batteries.1.maxChargeVoltage', 14.2);
+      await dvccClient.handleSignalKUpdate('electrical.batteries.1.maxChargeVoltage', 16.0);
+      await dvccClient.handleSignalKUpdate('electrical.batteries.1.chargingMode', 'off');
+      await dvccClient.handleSignalKUpdate('electrical.batteries.2.chargeCurrentLimit', 80);
+
+      expect(service.updateProperty).toHaveBeenCalledWith('/Info/MaxChargeCurrent', 80, 'd', expect.any(String));
+      expect(service.updateProperty).toHaveBeenCalledWith('/Info/MaxChargeVoltage', 14.2, 'd', expect.any(String));
+      expect(service.updateProperty).not.toHaveBeenCalledWith('/Info/MaxChargeVoltage', 16.0, 'd', expect.any(String));
+      expect(service.updateProperty).toHaveBeenCalledWith('/Io/AllowToCharge', 0, 'i', expect.any(String));
+
+      const otherService = dvccClient.deviceServices.get('electrical.batteries.2');
+      expect(otherService.updateProperty).not.toHaveBeenCalledWith('/Info/MaxChargeCurrent', expect.anything(), expect.anything(), expect.anything());
+      expect(dvccClient.getDiagnostics().dvccAudit.map(entry => entry.reason)).toContain('rejected, outside 12-14.6V');
+    });
+
+    it('should stop charging when the BMS limits stop', async () => {
+      await dvccClient.handleSignalKUpdate('electrical.batteries.1.chargeCurrentLimit', 80);
+      const lastUpdate = dvccClient.dvccStates.get('electrical.batteries.1').lastUpdate;
+      service.updateProperty.mockClear();
+
+      await dvccClient._checkDvcc(lastUpdate + 10000);
+      expect(service.updateProperty).not.toHaveBeenCalled();
+
+      await dvccClient._checkDvcc(lastUpdate + 31000);
+      expect(service.updateProperty).toHaveBeenCalledWith('/Io/AllowToCharge', 0, 'i', expect.any(String));
+
+      await dvccClient.handleSignalKUpdate('electrical.batteries.1.chargeCurrentLimit', 80);
+      expect(service.updateProperty).toHaveBeenLastCalledWith('/Io/AllowToCharge', 1, 'i', expect.any(String));
+    });
+
+    it('should send a fallback computed while the service was disconnected once it reconnects', async () => {
+      await dvccClient.handleSignalKUpdate('electrical.batteries.1.chargeCurrentLimit', 80);
+      const lastUpdate = dvccClient.dvccStates.get('electrical.batteries.1').lastUpdate;
+      service.updateProperty.mockClear();
+
+      service.isConnected = false;
+      await dvccClient._checkDvcc(lastUpdate + 31000);
+      expect(service.updateProperty).not.toHaveBeenCalled();
+
+      service.isConnected = true;
+      await dvccClient._checkDvcc(lastUpdate + 32000);
+      expect(service.updateProperty).toHaveBeenCalledWith('/Io/AllowToCharge', 0, 'i', expect.any(String));
+    });
+  });
+
+  describe('History Counters', () => {
+    it('should publish BMV history counters from the live SOC', async () => {
+      await client.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+      const service = client.deviceServices.get('electrical.batteries.main');
+
+      service.deviceData['/Soc'] = 60;
+      service.deviceData['/ConsumedAmphours'] = 320;
+      service.updateProperty.mockClear();
+      await client._updateHistoryCounters('electrical.batteries.main', service);
+
+      expect(service.updateProperty).toHaveBeenCalledWith('/History/DeepestDischarge', -320, 'd', 'DeepestDischarge');
+      expect(service.updateProperty).toHaveBeenCalledWith('/History/ChargeCycles', 0, 'i', 'ChargeCycles');
+
+      service.deviceData['/Soc'] = 100;
+      service.deviceData['/ConsumedAmphours'] = 0;
+      await client._updateHistoryCounters('electrical.batteries.main', service);
+
+      expect(service.updateProperty).toHaveBeenCalledWith('/History/ChargeCycles', 1, 'i', 'ChargeCycles');
+      expect(service.updateProperty).toHaveBeenCalledWith('/History/AutomaticSyncs', 1, 'i', 'AutomaticSyncs');
+      expect(service.updateProperty).toHaveBeenCalledWith('/History/TimeSinceLastFullCharge', 0, 'i', 'TimeSinceLastFullCharge');
+    });
+
+    it('should count raised voltage alarms in the history', async () => {
+      const alarmClient = new VenusClient({
+        ...mockSettings,
+        batteryMonitor: {
+          ...mockSettings.batteryMonitor,
+          alarms: { enabled: true, delay: 0, lowVoltage: { warning: 12.0, alarm: 11.6, hysteresis: 0.2 } }
+        }
+      }, 'batteries');
+      await alarmClient.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+      const service = alarmClient.deviceServices.get('electrical.batteries.main');
+
+      service.deviceData['/Dc/0/Voltage'] = 11.8;
+      await alarmClient._updateBatteryAlarms('electrical.batteries.main', service, 'Main Battery');
+      service.deviceData['/Dc/0/Voltage'] = 11.5;
+      await alarmClient._updateBatteryAlarms('electrical.batteries.main', service, 'Main Battery');
+
+      expect(alarmClient.historyData.get('electrical.batteries.main').lowVoltageAlarms).toBe(1);
+      await alarmClient.disconnect();
+    });
+  });
+
+  describe('History Reset', () => {
+    it('should clear the history when Venus OS writes /History/Clear', async () => {
+      await client.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+      const history = client.historyData.get('electrical.batteries.main');
+      history.totalAhDrawn = 120;
+      history.chargeCycles = 4;
+      const service = client.deviceServices.get('electrical.batteries.main');
+      service.updateProperty.mockClear();
+
+      client._handleVenusValueChange('electrical.batteries.main', { service: 'com.victronenergy.battery.SignalK1', path: '/History/Clear', value: 1 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(history.totalAhDrawn).toBe(0);
+      expect(history.chargeCycles).toBe(0);
+      expect(history.lastCleared).toMatchObject({ source: 'Venus OS (com.victronenergy.battery.SignalK1)', counters: 'all' });
+      expect(service.updateProperty).toHaveBeenCalledWith('/History/Clear', 0, 'i', 'Clear history');
+    });
+
+    it('should clear selected counters and keep the reset record through cleanup', async () => {
+      await client.handleSignalKUpdate('electrical.batteries.main.voltage', 12.5);
+      const history = client.historyData.get('electrical.batteries.main');
+      Object.assign(history, { minimumVoltage: null, maximumVoltage: null, totalAhDrawn: 0, chargeCycles: 3 });
+
+      const record = await client.clearHistory('electrical.batteries.main', { counters: ['chargeCycles'], source: 'test' });
+      client.cleanupHistoryData();
+
+      expect(record.counters).toEqual(['chargeCycles']);
+      expect(client.historyData.has('electrical.batteries.main')).toBe(true);
+    });
+
+    it('should reject batteries without history', async () => {
+      await expect(client.clearHistory('electrical.batteries.spare', { source: 'test' })).rejects.toThrow('No history');
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle errors gracefully during updates', async () => {
       // Test error handling - should not throw unhandled errors
@@ -622,7 +1121,7 @@ describe('VenusClient - Battery', () => {
       const history = await client.updateHistoryData('electrical.batteries.main', 12.0, 8.0, null);
       
       expect(history).toBeDefined();
-      expect(history.totalAhDrawn).toBeCloseTo(13.5, 2); // Previous test added 10Ah, this test adds 3.5Ah = 13.5Ah total
+      expect(history.totalAhDrawn).toBeCloseTo(3.5, 2); // History is no longer shared between clients through a common file
       
       dateNowSpy.mockRestore();
     });
@@ -92,7 +92,7 @@ describe('VenusClient - Environment', () => {
     it('should handle temperature updates correctly', async () => {
       const emitSpy = vi.spyOn(client, 'emit');
       
-      await client.handleSignalKUpdate('environment.inside.temperature', 25.5);
+      await client.handleSignalKUpdate('environment.inside.temperature', 298.65);
       
       expect(client.deviceInstances.size).toBe(1);
       expect(client.deviceServices.size).toBe(1);
@@ -115,26 +115,44 @@ describe('VenusClient - Environment', () => {
       expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Environment Humidity', 'Inside: 72.0%');
     });
 
-    it('should handle temperature conversion from Kelvin', async () => {
+    it('should convert temperatures by their unit metadata', async () => {
       const emitSpy = vi.spyOn(client, 'emit');
+      const units = {
+        'environment.inside.temperature': 'K',
+        'environment.freezer.temperature': 'C',
+        'environment.outside.temperature': 'F'
+      };
+      client.setSignalKApp({ getSelfPath: vi.fn(path => units[path] ? { meta: { units: units[path] } } : undefined) });
+      
+      // Cold sensors stay Kelvin - no magnitude guessing
+      await client.handleSignalKUpdate('environment.inside.temperature', 193.15);
+      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Environment Temperature', 'Inside: -80.0°C');
       
-      // Test Celsius temperature (below 200, should not convert)
-      await client.handleSignalKUpdate('environment.inside.temperature', 25);
-      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Environment Temperature', 'Inside: 25.0°C');
+      await client.handleSignalKUpdate('environment.freezer.temperature', -18);
+      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Environment Temperature', 'Freezer: -18.0°C');
       
-      // Test Kelvin temperature (above 200, should convert)
-      await client.handleSignalKUpdate('environment.outside.temperature', 298.15);
-      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Environment Temperature', 'Outside: 25.0°C');
+      // Units that can't be converted are reported and the value is dropped
+      await client.handleSignalKUpdate('environment.outside.temperature', 77);
+      expect(client.deviceServices.get('environment.outside').deviceData['/Temperature']).toBeUndefined();
+      expect(client.getDiagnostics().unitIssues).toEqual([
+        expect.objectContaining({ path: 'environment.outside.temperature', kind: 'mismatch' })
+      ]);
     });
 
-    it('should handle humidity values as percentages (0-1 and 0-100)', async () => {
+    it('should convert humidity by its unit metadata', async () => {
       const emitSpy = vi.spyOn(client, 'emit');
+      client.setSignalKApp({
+        getSelfPath: vi.fn(path => path === 'environment.outside.humidity' ? { meta: { units: '%' } } : undefined)
+      });
       
-      // Test fractional value (0-1)
+      // Ratio from the Signal K specification when there is no metadata
       await client.handleSignalKUpdate('environment.inside.humidity', 0.50);
       expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Environment Humidity', 'Inside: 50.0%');
+      expect(client.getDiagnostics().unitIssues).toEqual([
+        expect.objectContaining({ path: 'environment.inside.humidity', kind: 'missing' })
+      ]);
       
-      // Test percentage value (0-100)
+      // Percent according to the metadata
       await client.handleSignalKUpdate('environment.outside.humidity', 75);
       expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Environment Humidity', 'Outside: 75.0%');
     });
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VenusClient } from '../venusClient.js';
+import { EventEmitter } from 'events';
+import settings from '../settings.js';
+
+describe('VenusClient - GPS', () => {
+  let client;
+  let mockSettings;
+
+  beforeEach(() => {
+    mockSettings = {
+      venusHost: 'test.local',
+      productName: 'Test GPS',
+      gpsRegex: settings.gpsRegex
+    };
+    client = new VenusClient(mockSettings, 'gps');
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  describe('Construction', () => {
+    it('should create a GPS client with correct configuration', () => {
+      expect(client).toBeDefined();
+      expect(client.deviceType).toBe('gps');
+      expect(client._internalDeviceType).toBe('gps');
+      expect(client.deviceConfig.serviceType).toBe('gps');
+    });
+
+    it('should extend EventEmitter', () => {
+      expect(client).toBeInstanceOf(EventEmitter);
+    });
+  });
+
+  describe('Path Processing', () => {
+    it('should identify relevant navigation paths', () => {
+      expect(client._isRelevantPath('navigation.position')).toBe(true);
+      expect(client._isRelevantPath('navigation.speedOverGround')).toBe(true);
+      expect(client._isRelevantPath('navigation.courseOverGroundTrue')).toBe(true);
+      expect(client._isRelevantPath('navigation.gnss.satellites')).toBe(true);
+      expect(client._isRelevantPath('navigation.headingMagnetic')).toBe(false);
+      expect(client._isRelevantPath('electrical.batteries.0.voltage')).toBe(false);
+    });
+
+    it('should map all navigation paths to a single device', () => {
+      expect(client._extractBasePath('navigation.position')).toBe('navigation');
+      expect(client._extractBasePath('navigation.gnss.methodQuality')).toBe('navigation');
+    });
+
+    it('should only create the device from a valid position', () => {
+      expect(client._shouldCreateDeviceForPath('navigation.position', { latitude: 54.3, longitude: 10.1 })).toBe(true);
+      expect(client._shouldCreateDeviceForPath('navigation.position', { latitude: null, longitude: 10.1 })).toBe(false);
+      expect(client._shouldCreateDeviceForPath('navigation.speedOverGround', 2.5)).toBe(false);
+    });
+  });
+
+  describe('Signal K Updates', () => {
+    it('should publish position and assume a fix', async () => {
+      const emitSpy = vi.spyOn(client, 'emit');
+
+      await client.handleSignalKUpdate('navigation.position', { latitude: 54.32, longitude: 10.14, altitude: 3 });
+
+      const deviceService = client.deviceServices.get('navigation');
+      expect(deviceService.deviceData['/Position/Latitude']).toBe(54.32);
+      expect(deviceService.deviceData['/Position/Longitude']).toBe(10.14);
+      expect(deviceService.deviceData['/Altitude']).toBe(3);
+      expect(deviceService.deviceData['/Fix']).toBe(1);
+      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'GPS Position', 'GPS: 54.32000, 10.14000');
+    });
+
+    it('should convert speed and course', async () => {
+      await client.handleSignalKUpdate('navigation.position', { latitude: 54.32, longitude: 10.14 });
+      await client.handleSignalKUpdate('navigation.speedOverGround', 3.2);
+      await client.handleSignalKUpdate('navigation.courseOverGroundTrue', Math.PI / 2);
+
+      const deviceService = client.deviceServices.get('navigation');
+      expect(deviceService.deviceData['/Speed']).toBe(3.2);
+      expect(deviceService.deviceData['/Course']).toBeCloseTo(90);
+    });
+
+    it('should publish satellites, fix quality and antenna altitude', async () => {
+      await client.handleSignalKUpdate('navigation.position', { latitude: 54.32, longitude: 10.14 });
+      await client.handleSignalKUpdate('navigation.gnss.satellites', 9);
+      await client.handleSignalKUpdate('navigation.gnss.antennaAltitude', 12.5);
+      await client.handleSignalKUpdate('navigation.gnss.methodQuality', 'no GPS');
+
+      const deviceService = client.deviceServices.get('navigation');
+      expect(deviceService.deviceData['/NrOfSatellites']).toBe(9);
+      expect(deviceService.deviceData['/Altitude']).toBe(12.5);
+      expect(deviceService.deviceData['/Fix']).toBe(0);
+
+      // A reported quality takes precedence over the position-based fix
+      await client.handleSignalKUpdate('navigation.position', { latitude: 54.33, longitude: 10.15 });
+      expect(deviceService.deviceData['/Fix']).toBe(0);
+
+      await client.handleSignalKUpdate('navigation.gnss.methodQuality', 'DGNSS fix');
+      expect(deviceService.deviceData['/Fix']).toBe(1);
+    });
+
+    it('should defer device creation until a position arrives', async () => {
+      await client.handleSignalKUpdate('navigation.speedOverGround', 3.2);
+      expect(client.deviceInstances.size).toBe(0);
+
+      await client.handleSignalKUpdate('navigation.position', { latitude: 54.32, longitude: 10.14 });
+      expect(client.deviceInstances.size).toBe(1);
+    });
+  });
+
+  describe('Cleanup', () => {
+    it('should disconnect cleanly', async () => {
+      await client.handleSignalKUpdate('navigation.position', { latitude: 54.32, longitude: 10.14 });
+      expect(client.deviceInstances.size).toBe(1);
+
+      await client.disconnect();
+
+      expect(client.deviceInstances.size).toBe(0);
+      expect(client.deviceServices.size).toBe(0);
+    });
+  });
+});
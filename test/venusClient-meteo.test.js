@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VenusClient } from '../venusClient.js';
+import { EventEmitter } from 'events';
+import settings from '../settings.js';
+
+describe('VenusClient - Meteo', () => {
+  let client;
+  let mockSettings;
+
+  beforeEach(() => {
+    mockSettings = {
+      venusHost: 'test.local',
+      productName: 'Test Meteo',
+      meteoRegex: settings.meteoRegex
+    };
+    client = new VenusClient(mockSettings, 'meteo');
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  describe('Construction', () => {
+    it('should create a meteo client with correct configuration', () => {
+      expect(client).toBeDefined();
+      expect(client.deviceType).toBe('meteo');
+      expect(client._internalDeviceType).toBe('meteo');
+      expect(client.deviceConfig.serviceType).toBe('meteo');
+    });
+
+    it('should extend EventEmitter', () => {
+      expect(client).toBeInstanceOf(EventEmitter);
+    });
+  });
+
+  describe('Path Processing', () => {
+    it('should identify relevant meteo paths', () => {
+      expect(client._isRelevantPath('environment.wind.speedTrue')).toBe(true);
+      expect(client._isRelevantPath('environment.wind.directionTrue')).toBe(true);
+      expect(client._isRelevantPath('environment.outside.solarRadiation')).toBe(true);
+      expect(client._isRelevantPath('environment.outside.temperature')).toBe(true);
+      expect(client._isRelevantPath('environment.outside.pressure')).toBe(true);
+      expect(client._isRelevantPath('environment.inside.temperature')).toBe(false);
+      expect(client._isRelevantPath('environment.wind.angleApparent')).toBe(false);
+    });
+
+    it('should map all meteo paths to a single device', () => {
+      expect(client._extractBasePath('environment.wind.speedTrue')).toBe('environment');
+      expect(client._extractBasePath('environment.outside.pressure')).toBe('environment');
+    });
+
+    it('should not create a weather station from outside temperature alone', () => {
+      expect(client._shouldCreateDeviceForPath('environment.outside.temperature', 290)).toBe(false);
+      expect(client._shouldCreateDeviceForPath('environment.outside.pressure', 101300)).toBe(false);
+      expect(client._shouldCreateDeviceForPath('environment.wind.speedTrue', 5)).toBe(true);
+      expect(client._shouldCreateDeviceForPath('environment.outside.solarRadiation', 650)).toBe(true);
+    });
+  });
+
+  describe('Signal K Updates', () => {
+    it('should publish wind speed and direction', async () => {
+      const emitSpy = vi.spyOn(client, 'emit');
+
+      await client.handleSignalKUpdate('environment.wind.speedTrue', 7.5);
+      await client.handleSignalKUpdate('environment.wind.directionTrue', Math.PI);
+
+      const deviceService = client.deviceServices.get('environment');
+      expect(deviceService.deviceData['/WindSpeed']).toBe(7.5);
+      expect(deviceService.deviceData['/WindDirection']).toBeCloseTo(180);
+      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Meteo Wind Speed', 'Weather station: 7.5m/s');
+    });
+
+    it('should publish irradiance, external temperature and pressure', async () => {
+      await client.handleSignalKUpdate('environment.outside.solarRadiation', 640);
+      await client.handleSignalKUpdate('environment.outside.temperature', 295.15);
+      await client.handleSignalKUpdate('environment.outside.pressure', 101325);
+
+      const deviceService = client.deviceServices.get('environment');
+      expect(deviceService.deviceData['/Irradiance']).toBe(640);
+      expect(deviceService.deviceData['/ExternalTemperature']).toBeCloseTo(22);
+      expect(deviceService.deviceData['/Pressure']).toBeCloseTo(1013.25);
+    });
+
+    it('should defer device creation until wind or irradiance arrives', async () => {
+      await client.handleSignalKUpdate('environment.outside.temperature', 295.15);
+      expect(client.deviceInstances.size).toBe(0);
+
+      await client.handleSignalKUpdate('environment.wind.speedTrue', 4);
+      expect(client.deviceInstances.size).toBe(1);
+    });
+  });
+
+  describe('Cleanup', () => {
+    it('should disconnect cleanly', async () => {
+      await client.handleSignalKUpdate('environment.wind.speedTrue', 4);
+      expect(client.deviceInstances.size).toBe(1);
+
+      await client.disconnect();
+
+      expect(client.deviceInstances.size).toBe(0);
+      expect(client.deviceServices.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VenusClient } from '../venusClient.js';
+import { EventEmitter } from 'events';
+
+describe('VenusClient - Notifications', () => {
+  let client;
+  let mockSettings;
+
+  const alarm = { state: 'alarm', method: ['visual', 'sound'], message: 'Bilge water high' };
+  const normal = { state: 'normal', method: [], message: '' };
+
+  beforeEach(() => {
+    mockSettings = {
+      venusHost: 'test.local',
+      productName: 'Test Notifications',
+      notificationTypes: [
+        { path: 'notifications.navigation.anchor', type: 'generic' },
+        { path: 'notifications.engine.room', type: 'fire' }
+      ]
+    };
+    client = new VenusClient(mockSettings, 'notifications');
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  describe('Construction', () => {
+    it('should create a digital input client with correct configuration', () => {
+      expect(client).toBeDefined();
+      expect(client.deviceType).toBe('notifications');
+      expect(client._internalDeviceType).toBe('digitalinput');
+      expect(client.deviceConfig.serviceType).toBe('digitalinput');
+    });
+
+    it('should extend EventEmitter', () => {
+      expect(client).toBeInstanceOf(EventEmitter);
+    });
+  });
+
+  describe('Path Processing', () => {
+    it('should identify notification paths', () => {
+      expect(client._isRelevantPath('notifications.bilge')).toBe(true);
+      expect(client._isRelevantPath('notifications.navigation.anchor')).toBe(true);
+      expect(client._isRelevantPath('navigation.anchor.position')).toBe(false);
+    });
+
+    it('should create one input per notification', () => {
+      expect(client._extractBasePath('notifications.bilge')).toBe('notifications.bilge');
+      expect(client._extractBasePath('notifications.navigation.anchor')).toBe('notifications.navigation.anchor');
+    });
+
+    it('should only create inputs for notification objects', () => {
+      expect(client._shouldCreateDeviceForPath('notifications.bilge', alarm)).toBe(true);
+      expect(client._shouldCreateDeviceForPath('notifications.bilge', 'alarm')).toBe(false);
+      expect(client._shouldCreateDeviceForPath('notifications.bilge', {})).toBe(false);
+    });
+  });
+
+  describe('Device Naming', () => {
+    it('should name inputs after the notification', () => {
+      expect(client._getDeviceName('notifications.bilge')).toBe('Bilge');
+      expect(client._getDeviceName('notifications.environment.inside.smokeDetector')).toBe('Smoke Detector');
+    });
+  });
+
+  describe('Input Types', () => {
+    it('should use configured input types', () => {
+      expect(client._getNotificationInputType('notifications.navigation.anchor')).toBe('generic');
+      expect(client._getNotificationInputType('notifications.engine.room')).toBe('fire');
+    });
+
+    it('should guess input types from the path', () => {
+      expect(client._getNotificationInputType('notifications.bilge')).toBe('bilge');
+      expect(client._getNotificationInputType('notifications.environment.inside.smoke')).toBe('smoke');
+      expect(client._getNotificationInputType('notifications.galley.fire')).toBe('fire');
+      expect(client._getNotificationInputType('notifications.cabin.co2')).toBe('co2');
+      expect(client._getNotificationInputType('notifications.mob')).toBe('generic');
+    });
+
+    it('should fall back to generic for unknown configured types', () => {
+      mockSettings.notificationTypes.push({ path: 'notifications.hatch', type: 'unicorn' });
+      expect(client._getNotificationInputType('notifications.hatch')).toBe('generic');
+    });
+  });
+
+  describe('Signal K Updates', () => {
+    it('should raise a bilge alarm', async () => {
+      const emitSpy = vi.spyOn(client, 'emit');
+
+      await client.handleSignalKUpdate('notifications.bilge', alarm);
+
+      const deviceService = client.deviceServices.get('notifications.bilge');
+      expect(deviceService.deviceData['/Type']).toBe(4);
+      expect(deviceService.deviceData['/State']).toBe(9);
+      expect(deviceService.deviceData['/Alarm']).toBe(2);
+      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Notification', 'Bilge: alarm - Bilge water high');
+    });
+
+    it('should clear the alarm when the notification returns to normal', async () => {
+      await client.handleSignalKUpdate('notifications.bilge', alarm);
+      await client.handleSignalKUpdate('notifications.bilge', normal);
+
+      const deviceService = client.deviceServices.get('notifications.bilge');
+      expect(deviceService.deviceData['/State']).toBe(8);
+      expect(deviceService.deviceData['/Alarm']).toBe(0);
+    });
+
+    it('should map warnings to a warning level', async () => {
+      await client.handleSignalKUpdate('notifications.engine.room', { state: 'warn', method: [], message: '' });
+
+      const deviceService = client.deviceServices.get('notifications.engine.room');
+      expect(deviceService.deviceData['/Type']).toBe(7);
+      expect(deviceService.deviceData['/Alarm']).toBe(1);
+    });
+
+    it('should use low/high states for generic inputs', async () => {
+      await client.handleSignalKUpdate('notifications.navigation.anchor', { state: 'emergency', method: ['sound'], message: 'Anchor dragging' });
+
+      const deviceService = client.deviceServices.get('notifications.navigation.anchor');
+      expect(deviceService.deviceData['/Type']).toBe(10);
+      expect(deviceService.deviceData['/State']).toBe(1);
+      expect(deviceService.deviceData['/Alarm']).toBe(2);
+    });
+  });
+
+  describe('Cleanup', () => {
+    it('should disconnect cleanly', async () => {
+      await client.handleSignalKUpdate('notifications.bilge', alarm);
+      expect(client.deviceInstances.size).toBe(1);
+
+      await client.disconnect();
+
+      expect(client.deviceInstances.size).toBe(0);
+      expect(client.deviceServices.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VenusClient } from '../venusClient.js';
+import { EventEmitter } from 'events';
+
+describe('VenusClient - Solar', () => {
+  let client;
+  let mockSettings;
+
+  beforeEach(() => {
+    mockSettings = {
+      venusHost: 'test.local',
+      productName: 'Test Solar Charger'
+    };
+    client = new VenusClient(mockSettings, 'solar');
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  describe('Construction', () => {
+    it('should create a solar charger client with correct configuration', () => {
+      expect(client).toBeDefined();
+      expect(client.deviceType).toBe('solar');
+      expect(client._internalDeviceType).toBe('solarcharger');
+      expect(client.deviceConfig).toBeDefined();
+      expect(client.deviceConfig.serviceType).toBe('solarcharger');
+    });
+
+    it('should extend EventEmitter', () => {
+      expect(client).toBeInstanceOf(EventEmitter);
+    });
+  });
+
+  describe('Path Processing', () => {
+    it('should identify relevant solar paths', () => {
+      expect(client._isRelevantPath('electrical.solar.278.panelPower')).toBe(true);
+      expect(client._isRelevantPath('electrical.solar.arch.voltage')).toBe(true);
+      expect(client._isRelevantPath('electrical.batteries.0.voltage')).toBe(false);
+      expect(client._isRelevantPath('tanks.fuel.main.currentLevel')).toBe(false);
+    });
+
+    it('should extract base path correctly', () => {
+      expect(client._extractBasePath('electrical.solar.278.panelPower')).toBe('electrical.solar.278');
+      expect(client._extractBasePath('electrical.solar.278.panelVoltage')).toBe('electrical.solar.278');
+      expect(client._extractBasePath('electrical.solar.278.current')).toBe('electrical.solar.278');
+      expect(client._extractBasePath('electrical.solar.arch.chargingMode')).toBe('electrical.solar.arch');
+      expect(client._extractBasePath('electrical.solar.arch.yieldToday')).toBe('electrical.solar.arch');
+    });
+
+    it('should not create a device from charging mode alone', () => {
+      expect(client._shouldCreateDeviceForPath('electrical.solar.278.chargingMode', 'bulk')).toBe(false);
+      expect(client._shouldCreateDeviceForPath('electrical.solar.278.panelPower', 120)).toBe(true);
+    });
+  });
+
+  describe('Device Naming', () => {
+    it('should generate solar charger names', () => {
+      expect(client._getSolarName('electrical.solar.278.panelPower')).toBe('Solar Charger');
+      expect(client._getSolarName('electrical.solar.arch.panelPower')).toBe('Solar Arch');
+      expect(client._getSolarName('electrical.solar.biminiTop.panelPower')).toBe('Solar Bimini Top');
+    });
+  });
+
+  describe('Signal K Updates', () => {
+    it('should publish PV and battery side values', async () => {
+      await client.handleSignalKUpdate('electrical.solar.278.panelPower', 240);
+      await client.handleSignalKUpdate('electrical.solar.278.panelVoltage', 38.5);
+      await client.handleSignalKUpdate('electrical.solar.278.voltage', 13.4);
+      await client.handleSignalKUpdate('electrical.solar.278.current', 17.2);
+
+      const deviceService = client.deviceServices.get('electrical.solar.278');
+      expect(deviceService.deviceData['/Yield/Power']).toBe(240);
+      expect(deviceService.deviceData['/Pv/V']).toBe(38.5);
+      expect(deviceService.deviceData['/Dc/0/Voltage']).toBe(13.4);
+      expect(deviceService.deviceData['/Dc/0/Current']).toBe(17.2);
+      expect(deviceService.deviceData['/History/Daily/0/MaxPower']).toBe(240);
+      expect(deviceService.deviceData['/History/Daily/0/MaxPvVoltage']).toBe(38.5);
+    });
+
+    it('should map Signal K charging mode to Venus OS charger state', async () => {
+      await client.handleSignalKUpdate('electrical.solar.278.panelPower', 100);
+      const deviceService = client.deviceServices.get('electrical.solar.278');
+
+      await client.handleSignalKUpdate('electrical.solar.278.chargingMode', 'bulk');
+      expect(deviceService.deviceData['/State']).toBe(3);
+
+      await client.handleSignalKUpdate('electrical.solar.278.chargingMode', 'float');
+      expect(deviceService.deviceData['/State']).toBe(5);
+
+      await client.handleSignalKUpdate('electrical.solar.278.chargingMode', 'somethingElse');
+      expect(deviceService.deviceData['/State']).toBe(5);
+    });
+
+    it('should convert reported yield from Joules to kWh', async () => {
+      await client.handleSignalKUpdate('electrical.solar.278.panelPower', 100);
+      await client.handleSignalKUpdate('electrical.solar.278.yieldToday', 7200000);
+
+      const deviceService = client.deviceServices.get('electrical.solar.278');
+      expect(deviceService.deviceData['/History/Daily/0/Yield']).toBeCloseTo(2);
+    });
+
+    it('should integrate PV power into daily yield when no yield is reported', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(2024, 5, 1, 12, 0, 0));
+
+      await client.handleSignalKUpdate('electrical.solar.278.panelPower', 360);
+      vi.setSystemTime(new Date(2024, 5, 1, 12, 0, 10));
+      await client.handleSignalKUpdate('electrical.solar.278.panelPower', 360);
+
+      const deviceService = client.deviceServices.get('electrical.solar.278');
+      // 360 W for 10 s = 1 Wh
+      expect(deviceService.deviceData['/History/Daily/0/Yield']).toBeCloseTo(0.001);
+    });
+
+    it('should move daily statistics to yesterday at midnight', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(2024, 5, 1, 23, 59, 0));
+
+      await client.handleSignalKUpdate('electrical.solar.278.panelPower', 50);
+      await client.handleSignalKUpdate('electrical.solar.278.yieldToday', 3600000);
+
+      vi.setSystemTime(new Date(2024, 5, 2, 0, 1, 0));
+      await client.handleSignalKUpdate('electrical.solar.278.panelPower', 0);
+
+      const deviceService = client.deviceServices.get('electrical.solar.278');
+      expect(deviceService.deviceData['/History/Daily/1/Yield']).toBeCloseTo(1);
+      expect(deviceService.deviceData['/History/Daily/1/MaxPower']).toBe(50);
+      expect(deviceService.deviceData['/History/Daily/0/Yield']).toBe(0);
+      expect(deviceService.deviceData['/History/Daily/0/MaxPower']).toBe(0);
+    });
+
+    it('should emit data updated events', async () => {
+      const emitSpy = vi.spyOn(client, 'emit');
+
+      await client.handleSignalKUpdate('electrical.solar.278.panelPower', 240);
+
+      expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Solar Power', 'Solar Charger: 240W');
+    });
+  });
+
+  describe('Custom Mappings', () => {
+    it('should create a device for mapped values and publish them with the rule type', async () => {
+      await client.handleMappedUpdate('electrical.chargers.shore', '/Dc/0/Current', 12.5, { type: 'd', text: 'Dc/0/Current (A)', name: 'Shore Charger' });
+      await client.handleMappedUpdate('electrical.chargers.shore', '/Mode', 'float', { type: 's', text: 'Mode' });
+
+      const deviceService = client.deviceServices.get('electrical.chargers.shore');
+      expect(deviceService.deviceData['/CustomName']).toBe('Shore Charger');
+      expect(deviceService.deviceData['/Dc/0/Current']).toBe(12.5);
+      expect(deviceService.deviceData['/Mode']).toBe('float');
+      expect(deviceService._getPathType('/Mode')).toBe('s');
+      expect(deviceService._getPathText('/Dc/0/Current')).toBe('Dc/0/Current (A)');
+      expect(client.mappedDevices.has('electrical.chargers.shore')).toBe(true);
+    });
+
+    it('should prefer a device override name over the rule name', async () => {
+      client.settings.deviceOverrides = { 'electrical.chargers.shore': { name: 'Dock Charger' } };
+      await client.handleMappedUpdate('electrical.chargers.shore', '/Dc/0/Current', 12.5, { name: 'Shore Charger' });
+
+      expect(client.deviceServices.get('electrical.chargers.shore').deviceData['/CustomName']).toBe('Dock Charger');
+    });
+  });
+
+  describe('Cleanup', () => {
+    it('should disconnect cleanly', async () => {
+      await client.handleSignalKUpdate('electrical.solar.278.panelPower', 240);
+      expect(client.deviceInstances.size).toBe(1);
+
+      await client.disconnect();
+
+      expect(client.deviceInstances.size).toBe(0);
+      expect(client.deviceServices.size).toBe(0);
+      expect(client.solarDailyStats.size).toBe(0);
+    });
+  });
+});
@@ -130,14 +130,17 @@ describe('VenusClient - Switch', () => {
       expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Switch Position', 'Nav: 2');
     });
 
-    it('should handle dimming level values as percentages (0-1 and 0-100)', async () => {
+    it('should convert dimming levels by their unit metadata', async () => {
       const emitSpy = vi.spyOn(client, 'emit');
+      client.setSignalKApp({
+        getSelfPath: vi.fn(path => path === 'electrical.switches.deckLights.dimmingLevel' ? { meta: { units: '%' } } : undefined)
+      });
       
-      // Test fractional value (0-1)
+      // Ratio from the Signal K specification when there is no metadata
       await client.handleSignalKUpdate('electrical.switches.cabinLights.dimmingLevel', 0.50);
       expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Switch Dimming', 'Cabin Lights: 50%');
       
-      // Test percentage value (0-100)
+      // Percent according to the metadata
       await client.handleSignalKUpdate('electrical.switches.deckLights.dimmingLevel', 75);
       expect(emitSpy).toHaveBeenCalledWith('dataUpdated', 'Switch Dimming', 'Deck Lights: 75%');
     });
@@ -217,6 +220,181 @@ describe('VenusClient - Switch', () => {
     });
   });
 
+  describe('Switch Banks', () => {
+    it('should publish switches as channels of a shared SwitchableOutput bank', async () => {
+      await client.handleSignalKUpdate('electrical.switches.nav.state', true);
+      await client.handleSignalKUpdate('electrical.switches.anchor.state', false);
+
+      const navService = client.deviceServices.get('electrical.switches.nav');
+      expect(client.deviceServices.get('electrical.switches.anchor')).toBe(navService);
+      expect(client.switchBanks.size).toBe(1);
+
+      expect(navService.deviceData['/State']).toBe(0x100);
+      expect(navService.deviceData['/SwitchableOutput/nav/State']).toBe(1);
+      expect(navService.deviceData['/SwitchableOutput/nav/Status']).toBe(0x09);
+      expect(navService.deviceData['/SwitchableOutput/nav/Name']).toBe('Nav');
+      expect(navService.deviceData['/SwitchableOutput/nav/Settings/Group']).toBe('Switches');
+      expect(navService.deviceData['/SwitchableOutput/nav/Settings/Type']).toBe(1);
+      expect(navService.deviceData['/SwitchableOutput/anchor/State']).toBe(0);
+      expect(navService.deviceData['/SwitchableOutput/anchor/Status']).toBe(0x00);
+    });
+
+    it('should mark channels with a dimming level as dimmable', async () => {
+      await client.handleSignalKUpdate('electrical.switches.cabinLights.dimmingLevel', 0.4);
+      const deviceService = client.deviceServices.get('electrical.switches.cabinLights');
+
+      expect(deviceService.deviceData['/SwitchableOutput/cabinLights/Settings/Type']).toBe(2);
+      expect(deviceService.deviceData['/SwitchableOutput/cabinLights/Dimming']).toBeCloseTo(40);
+    });
+
+    it('should group switches into the banks configured in settings', async () => {
+      client.settings.switchBanks = [
+        { name: 'Navigation', switches: ['electrical.switches.nav', 'electrical.switches.anchor'] }
+      ];
+
+      await client.handleSignalKUpdate('electrical.switches.nav.state', true);
+      await client.handleSignalKUpdate('electrical.switches.anchor.state', true);
+      await client.handleSignalKUpdate('electrical.switches.cabinLights.state', true);
+
+      const navService = client.deviceServices.get('electrical.switches.nav');
+      const cabinService = client.deviceServices.get('electrical.switches.cabinLights');
+      expect(client.deviceServices.get('electrical.switches.anchor')).toBe(navService);
+      expect(cabinService).not.toBe(navService);
+      expect(navService.deviceData['/CustomName']).toBe('Navigation');
+      expect(navService.deviceData['/SwitchableOutput/anchor/Settings/Group']).toBe('Navigation');
+      expect(cabinService.deviceData['/SwitchableOutput/cabinLights/Settings/Group']).toBe('Switches');
+      expect(client.deviceInstances.get('electrical.switches.nav').bank).toBe('Navigation');
+    });
+
+    it('should remove a single channel and keep its siblings connected', async () => {
+      await client.handleSignalKUpdate('electrical.switches.nav.state', true);
+      await client.handleSignalKUpdate('electrical.switches.anchor.state', false);
+      const bankService = client.deviceServices.get('electrical.switches.nav');
+      const disconnect = vi.spyOn(bankService, 'disconnect');
+
+      expect(await client.removeDevice('electrical.switches.anchor')).toBe(true);
+
+      expect(disconnect).not.toHaveBeenCalled();
+      expect(client.deviceServices.get('electrical.switches.nav')).toBe(bankService);
+      expect(client.deviceServices.has('electrical.switches.anchor')).toBe(false);
+      expect(Object.keys(bankService.deviceData).some(path => path.startsWith('/SwitchableOutput/anchor/'))).toBe(false);
+      expect(bankService.deviceData['/SwitchableOutput/nav/State']).toBe(1);
+      expect(await client.removeDevice('electrical.switches.anchor')).toBe(false);
+
+      // A re-enabled channel comes back on the same bank service
+      await client.handleSignalKUpdate('electrical.switches.anchor.state', true);
+      expect(client.deviceServices.get('electrical.switches.anchor')).toBe(bankService);
+      expect(bankService.deviceData['/SwitchableOutput/anchor/State']).toBe(1);
+    });
+
+    it('should remove the bank service with its last channel', async () => {
+      await client.handleSignalKUpdate('electrical.switches.nav.state', true);
+      const bankService = client.deviceServices.get('electrical.switches.nav');
+      const disconnect = vi.spyOn(bankService, 'disconnect');
+
+      expect(await client.removeDevice('electrical.switches.nav')).toBe(true);
+
+      expect(disconnect).toHaveBeenCalled();
+      expect(client.deviceServices.size).toBe(0);
+      expect(client.switchBanks.size).toBe(0);
+
+      await client.handleSignalKUpdate('electrical.switches.nav.state', true);
+      expect(client.deviceServices.get('electrical.switches.nav')).not.toBe(bankService);
+    });
+  });
+
+  describe('Diagnostics', () => {
+    it('should list each bank service once with all its switch paths and published values', async () => {
+      await client.handleSignalKUpdate('electrical.switches.nav.state', true);
+      await client.handleSignalKUpdate('electrical.switches.anchor.state', false);
+
+      const diagnostics = client.getDiagnostics();
+      expect(diagnostics.deviceType).toBe('switches');
+      expect(diagnostics.services).toHaveLength(1);
+
+      const [service] = diagnostics.services;
+      expect(service.serviceName).toMatch(/^com\.victronenergy\.switch\.SignalK\d+$/);
+      expect(service.basePaths).toEqual(['electrical.switches.nav', 'electrical.switches.anchor']);
+      expect(service.isConnected).toBe(true);
+      expect(service.reconnectAttempts).toBe(0);
+      expect(service.lastUpdate).not.toBeNull();
+      expect(service.deviceData['/SwitchableOutput/nav/State']).toBe(1);
+    });
+
+    it('should reconnect the service of a device on request', async () => {
+      await client.handleSignalKUpdate('electrical.switches.nav.state', true);
+      const deviceService = client.deviceServices.get('electrical.switches.nav');
+      deviceService.reconnectAttempts = 15;
+      const reconnect = vi.spyOn(deviceService, '_attemptReconnect').mockResolvedValue();
+
+      const result = await client.reconnectService('electrical.switches.nav');
+
+      expect(reconnect).toHaveBeenCalled();
+      expect(result.reconnectAttempts).toBe(0);
+      await expect(client.reconnectService('electrical.switches.unknown')).rejects.toThrow('No service');
+    });
+  });
+
+  describe('Venus Write-Back', () => {
+    it('should emit a Signal K write request when Venus OS sets the switch state', async () => {
+      await client.handleSignalKUpdate('electrical.switches.nav.state', true);
+      const deviceService = client.deviceServices.get('electrical.switches.nav');
+      const listener = vi.fn();
+      client.on('valueChanged', listener);
+
+      const result = deviceService.exportedInterfaces['/SwitchableOutput/nav/State'].SetValue(['i', 0]);
+
+      expect(result).toBe(0);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'electrical.switches.nav.state',
+        value: false,
+        basePath: 'electrical.switches.nav',
+        venusPath: '/SwitchableOutput/nav/State',
+        previousValue: 1
+      }));
+    });
+
+    it('should convert dimming level writes from percent to ratio', async () => {
+      await client.handleSignalKUpdate('electrical.switches.cabinLights.dimmingLevel', 0.5);
+      const deviceService = client.deviceServices.get('electrical.switches.cabinLights');
+      const listener = vi.fn();
+      client.on('valueChanged', listener);
+
+      // dbus-native variant format: [signature, [value]]
+      deviceService.exportedInterfaces['/SwitchableOutput/cabinLights/Dimming'].SetValue([[{ type: 'd' }], [80]]);
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'electrical.switches.cabinLights.dimmingLevel',
+        value: 0.8
+      }));
+    });
+
+    it('should not emit for unchanged values or read-only paths', async () => {
+      await client.handleSignalKUpdate('electrical.switches.nav.state', true);
+      const deviceService = client.deviceServices.get('electrical.switches.nav');
+      const listener = vi.fn();
+      client.on('valueChanged', listener);
+
+      deviceService.exportedInterfaces['/SwitchableOutput/nav/State'].SetValue(['i', 1]);
+      deviceService.exportedInterfaces['/CustomName'].SetValue(['s', 'Navigation']);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should revert the D-Bus value when Signal K rejects the write', async () => {
+      await client.handleSignalKUpdate('electrical.switches.nav.state', true);
+      const deviceService = client.deviceServices.get('electrical.switches.nav');
+      let event;
+      client.on('valueChanged', e => { event = e; });
+
+      deviceService.exportedInterfaces['/SwitchableOutput/nav/State'].SetValue(['i', 0]);
+      expect(deviceService.deviceData['/SwitchableOutput/nav/State']).toBe(0);
+
+      await client.revertVenusValue(event);
+      expect(deviceService.deviceData['/SwitchableOutput/nav/State']).toBe(1);
+    });
+  });
+
   describe('Cleanup', () => {
     it('should disconnect cleanly', async () => {
       await client.handleSignalKUpdate('electrical.switches.nav.state', true);
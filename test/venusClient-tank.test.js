@@ -268,6 +268,55 @@ describe('VenusClient - Tank', () => {
     });
   });
 
+  describe('Stale Data', () => {
+    beforeEach(() => {
+      client.settings.staleData = { tanks: { timeout: 60000, removeAfter: 600000 } };
+    });
+
+    it('should mark a tank without updates disconnected and restore it when data resumes', async () => {
+      await client.handleSignalKUpdate('tanks.fuel.main.currentLevel', 0.75);
+      const deviceService = client.deviceServices.get('tanks.fuel.main');
+      const lastSeen = client.lastSeen.get('tanks.fuel.main');
+
+      await client._checkStaleDevices(lastSeen + 30000);
+      expect(deviceService.deviceData['/Connected']).toBe(1);
+
+      await client._checkStaleDevices(lastSeen + 60000);
+      expect(deviceService.deviceData['/Connected']).toBe(0);
+      expect(deviceService.deviceData['/Mgmt/Connection']).toBe(0);
+      expect(deviceService.deviceData['/Level']).toBeNull();
+      expect(deviceService.deviceData['/CustomName']).toBe('Fuel');
+      expect(client.getDiagnostics().services[0].stale).toBe(true);
+
+      await client.handleSignalKUpdate('tanks.fuel.main.currentLevel', 0.7);
+      expect(client.deviceServices.get('tanks.fuel.main')).toBe(deviceService);
+      expect(deviceService.deviceData['/Connected']).toBe(1);
+      expect(deviceService.deviceData['/Mgmt/Connection']).toBe(1);
+      expect(deviceService.deviceData['/Level']).toBeCloseTo(70);
+    });
+
+    it('should remove a tank after the grace period and re-create it when data resumes', async () => {
+      await client.handleSignalKUpdate('tanks.fuel.main.currentLevel', 0.75);
+      const deviceService = client.deviceServices.get('tanks.fuel.main');
+
+      await client._checkStaleDevices(client.lastSeen.get('tanks.fuel.main') + 600000);
+      expect(client.deviceServices.size).toBe(0);
+
+      await client.handleSignalKUpdate('tanks.fuel.main.currentLevel', 0.7);
+      expect(client.deviceServices.get('tanks.fuel.main')).not.toBe(deviceService);
+      expect(client.deviceServices.get('tanks.fuel.main').deviceData['/Connected']).toBe(1);
+    });
+
+    it('should never consider devices stale without timeouts', async () => {
+      client.settings.staleData = {};
+      await client.handleSignalKUpdate('tanks.fuel.main.currentLevel', 0.75);
+
+      await client._checkStaleDevices(Date.now() + 86400000);
+      expect(client.deviceServices.get('tanks.fuel.main').deviceData['/Connected']).toBe(1);
+      expect(client.staleCheckTimer).toBeNull();
+    });
+  });
+
   describe('Cleanup', () => {
     it('should disconnect cleanly', async () => {
       await client.handleSignalKUpdate('tanks.fuel.main.currentLevel', 0.75);
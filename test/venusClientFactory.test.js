@@ -43,6 +43,47 @@ describe('VenusClientFactory', () => {
     expect(result.deviceType).toBe('switches');
   });
 
+  it('should create solar charger client for solar device type', () => {
+    const result = VenusClientFactory(mockSettings, 'solar');
+    
+    expect(result).toBeDefined();
+    expect(result.constructor.name).toBe('VenusClient');
+    expect(result.deviceType).toBe('solar');
+    expect(result.deviceConfig.serviceType).toBe('solarcharger');
+  });
+
+  it('should create alternator client for alternators device type', () => {
+    const result = VenusClientFactory(mockSettings, 'alternators');
+    
+    expect(result).toBeDefined();
+    expect(result.deviceType).toBe('alternators');
+    expect(result.deviceConfig.serviceType).toBe('alternator');
+  });
+
+  it('should create GPS client for gps device type', () => {
+    const result = VenusClientFactory(mockSettings, 'gps');
+    
+    expect(result).toBeDefined();
+    expect(result.deviceType).toBe('gps');
+    expect(result.deviceConfig.serviceType).toBe('gps');
+  });
+
+  it('should create meteo client for meteo device type', () => {
+    const result = VenusClientFactory(mockSettings, 'meteo');
+    
+    expect(result).toBeDefined();
+    expect(result.deviceType).toBe('meteo');
+    expect(result.deviceConfig.serviceType).toBe('meteo');
+  });
+
+  it('should create digital input client for notifications device type', () => {
+    const result = VenusClientFactory(mockSettings, 'notifications');
+    
+    expect(result).toBeDefined();
+    expect(result.deviceType).toBe('notifications');
+    expect(result.deviceConfig.serviceType).toBe('digitalinput');
+  });
+
   it('should throw error for unsupported device type', () => {
     expect(() => {
       VenusClientFactory(mockSettings, 'unsupported');
@@ -50,7 +91,7 @@ describe('VenusClientFactory', () => {
   });
 
   it('should pass settings correctly to all client types', () => {
-    const deviceTypes = ['batteries', 'tanks', 'environment', 'switches'];
+    const deviceTypes = ['batteries', 'tanks', 'environment', 'switches', 'solar', 'alternators', 'gps', 'meteo', 'notifications'];
     
     deviceTypes.forEach((deviceType) => {
       const result = VenusClientFactory(mockSettings, deviceType);
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getVenusTargets, getDeviceTarget, getTargetSettings } from '../venusTargets.js';
+
+describe('venusTargets', () => {
+  const config = {
+    venusHost: 'venus.local',
+    connectionMode: 'tcp',
+    dbusSocketPath: '/var/run/dbus/system_bus_socket',
+    venusTargets: [
+      { name: 'cerbo', connectionMode: 'system' },
+      { venusHost: 'ekrano.local', port: 7878 }
+    ],
+    deviceOverrides: {
+      'tanks.fuel.main': { target: 'ekrano.local' },
+      'tanks.fuel.spare': { target: 'gone' }
+    }
+  };
+
+  it('should use the top-level connection without configured targets', () => {
+    expect(getVenusTargets({ venusHost: 'venus.local' })).toEqual([
+      { name: 'venus.local', venusHost: 'venus.local', port: undefined, connectionMode: 'tcp', dbusSocketPath: undefined, historyFileSuffix: '' }
+    ]);
+    expect(getVenusTargets({ connectionMode: 'system', venusTargets: [] })[0].name).toBe('local');
+  });
+
+  it('should name targets by host and give all but the first their own history files', () => {
+    const targets = getVenusTargets(config);
+
+    expect(targets.map(target => target.name)).toEqual(['cerbo', 'ekrano.local']);
+    expect(targets[0]).toMatchObject({ connectionMode: 'system', historyFileSuffix: '' });
+    expect(targets[1]).toMatchObject({ connectionMode: 'tcp', venusHost: 'ekrano.local', port: 7878, historyFileSuffix: '-ekrano_local' });
+  });
+
+  it('should skip targets without a host and duplicate names', () => {
+    const logger = { error: vi.fn() };
+    const targets = getVenusTargets({
+      venusTargets: [{ name: 'cerbo' }, { name: 'helm', venusHost: 'a.local' }, { name: 'helm', venusHost: 'b.local' }]
+    }, logger);
+
+    expect(targets.map(target => target.venusHost)).toEqual(['a.local']);
+    expect(logger.error).toHaveBeenCalledTimes(2);
+  });
+
+  it('should publish unassigned devices and unknown target names on the first target', () => {
+    const targets = getVenusTargets(config);
+
+    expect(getDeviceTarget(config, 'tanks.fuel.main', targets).name).toBe('ekrano.local');
+    expect(getDeviceTarget(config, 'tanks.fuel.spare', targets).name).toBe('cerbo');
+    expect(getDeviceTarget(config, 'electrical.batteries.house', targets).name).toBe('cerbo');
+  });
+
+  it('should build client settings with the connection of the target', () => {
+    const [, ekrano] = getVenusTargets(config);
+    const targetSettings = getTargetSettings(config, ekrano);
+
+    expect(targetSettings).toMatchObject({ venusHost: 'ekrano.local', port: 7878, connectionMode: 'tcp', venusTarget: 'ekrano.local' });
+    expect(targetSettings.deviceOverrides).toBe(config.deviceOverrides);
+  });
+});
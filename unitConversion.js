@@ -0,0 +1,120 @@
+/**
+ * Conversion of Signal K values to Venus OS units based on the path metadata
+ * The source unit comes from meta.units of the Signal K path. Paths without metadata are assumed to use
+ * the unit the Signal K specification defines for them. A unit that can't be converted to the Venus OS
+ * unit is reported once per path and the value is dropped instead of guessed.
+ */
+
+// Conversions from a Signal K unit to a Venus OS unit
+const CONVERSIONS = {
+  K: {
+    C: value => value - 273.15
+  },
+  ratio: {
+    '%': value => value * 100
+  },
+  J: {
+    kWh: value => value / 3600000,
+    // Energy capacity to charge capacity needs the battery voltage
+    Ah: (value, { voltage } = {}) => (typeof voltage === 'number' && voltage > 0 ? value / (voltage * 3600) : null)
+  },
+  C: {
+    Ah: value => value / 3600 // Coulomb
+  },
+  Hz: {
+    RPM: value => value * 60
+  },
+  rad: {
+    deg: value => value * 180 / Math.PI
+  },
+  Pa: {
+    hPa: value => value / 100
+  }
+};
+
+export class UnitConverter {
+  /**
+   * @param {Function} unitsGetter - Returns meta.units of a Signal K path, or null without metadata
+   * @param {Object} logger
+   */
+  constructor(unitsGetter, logger = null) {
+    this.unitsGetter = unitsGetter;
+    this.logger = logger || { debug: () => {}, warn: () => {} };
+    this.units = new Map(); // Map of path -> units from the metadata, null without metadata
+    this.issues = new Map(); // Map of path -> reported unit problem
+  }
+
+  /**
+   * Convert a Signal K value to a Venus OS unit
+   * @param {string} path - Signal K path of the value
+   * @param {number} value - Signal K value
+   * @param {string} expected - Unit the Signal K specification defines for the path
+   * @param {string} target - Venus OS unit
+   * @param {Object} options - Extra inputs of a conversion, e.g. { voltage } for J to Ah
+   * @returns {number|null} Converted value, null if it can't be converted
+   */
+  convert(path, value, expected, target, options = {}) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+      return null;
+    }
+
+    let units = this.getUnits(path);
+    if (!units) {
+      this._report(path, 'missing', `No unit metadata for ${path} - assuming ${expected}`);
+      units = expected;
+    }
+
+    if (units === target) {
+      return value;
+    }
+    const conversion = CONVERSIONS[units]?.[target];
+    if (!conversion) {
+      this._report(path, 'mismatch', `Unit ${units} of ${path} can't be converted to ${target} (expected ${expected}) - value ignored`);
+      return null;
+    }
+
+    const converted = conversion(value, options);
+    if (converted === null) {
+      this._report(path, 'input', `Cannot convert ${path} from ${units} to ${target} without ${Object.keys(options).join(', ') || 'more data'}`);
+    }
+    return converted;
+  }
+
+  /**
+   * Units of a Signal K path from its metadata - cached once found
+   * @param {string} path - Signal K path
+   * @returns {string|null}
+   */
+  getUnits(path) {
+    if (this.units.has(path)) {
+      return this.units.get(path);
+    }
+    let units = null;
+    try {
+      units = this.unitsGetter?.(path) || null;
+    } catch (err) {
+      this.logger.debug(`Cannot read metadata of ${path}: ${err.message}`);
+    }
+    if (units) {
+      this.units.set(path, units);
+    }
+    return units;
+  }
+
+  /**
+   * Reported unit problems, for diagnostics
+   * @returns {Object[]} Path, problem kind and message
+   */
+  getIssues() {
+    return [...this.issues.entries()].map(([path, issue]) => ({ path, ...issue }));
+  }
+
+  // Report each problem of a path once
+  _report(path, kind, message) {
+    if (this.issues.get(path)?.kind === kind) {
+      return;
+    }
+    this.issues.set(path, { kind, message });
+    this.logger.warn(message);
+  }
+}
@@ -1,4 +1,5 @@
 import dbusNative from 'dbus-native';
+import { createDbusClient, describeDbusTarget } from './dbusConnection.js';
 import EventEmitter from 'events';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
@@ -20,16 +21,16 @@ const Variant = dbusNative.Variant || dbusNative.variant || function(type, value
  * This class provides a common D-Bus service implementation for all Venus OS devices
  */
 export class VEDBusService extends EventEmitter {
-  constructor(serviceName, deviceInstance, settings, deviceConfig, logger = null, signalKValueGetter = null) {
+  constructor(serviceName, deviceInstance, settings, deviceConfig, logger = null) {
     super();
     this.serviceName = serviceName;
     this.deviceInstance = deviceInstance;
     this.settings = settings;
     this.deviceConfig = deviceConfig;
     this.logger = logger || { debug: () => {}, error: () => {} }; // Fallback logger
-    this.signalKValueGetter = signalKValueGetter; // Function to get current Signal K values
     this.dbusServiceName = `com.victronenergy.${deviceConfig.serviceType}.${serviceName}`;
     this.deviceData = {};
+    this.customPaths = {}; // D-Bus path -> { type, text } for paths published by custom mapping rules and BMS cells
     this.exportedInterfaces = {};
     this.bus = null;
     this.vrmInstanceId = deviceInstance.index;
@@ -38,6 +39,7 @@ export class VEDBusService extends EventEmitter {
     this.connectionHealthTimer = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
+    this.lastUpdate = null; // Timestamp (ms) of the last updateProperty, for diagnostics
     this.maxReconnectAttempts = settings.maxReconnectAttempts || 15; // Configurable max reconnect attempts
     this.connectionTimeout = settings.connectionTimeout || 5000; // Configurable connection timeout
     this.reconnectBaseDelay = settings.reconnectBaseDelay || 1000; // Configurable base delay
@@ -129,6 +131,7 @@ export class VEDBusService extends EventEmitter {
     }
   }
 
+  // initialValues: current battery values already in Venus OS units, e.g. { '/Soc': 80 }
   async init(initialValues = null) {
     // Create own D-Bus connection and register service
     await this._createBusConnection();
@@ -146,58 +149,26 @@ export class VEDBusService extends EventEmitter {
         this._exportProperty(path, config);
       });
       
-      // Try to get current Signal K values if a getter is provided
-      let currentValues = {};
-      if (this.signalKValueGetter && this.deviceInstance.basePath) {
-        try {
-          const basePath = this.deviceInstance.basePath;
-          // Map Signal K paths to Venus paths for batteries
-          const signalKToVenusPaths = {
-            [`${basePath}.capacity.stateOfCharge`]: '/Soc',
-            [`${basePath}.voltage`]: '/Dc/0/Voltage', 
-            [`${basePath}.current`]: '/Dc/0/Current',
-            [`${basePath}.power`]: '/Dc/0/Power'
-          };
-          
-          for (const [signalKPath, venusPath] of Object.entries(signalKToVenusPaths)) {
-            const value = this.signalKValueGetter(signalKPath);
-            if (value !== null && value !== undefined && typeof value === 'number' && isFinite(value)) {
-              // Convert units if necessary
-              if (venusPath === '/Soc' && value >= 0 && value <= 1) {
-                currentValues[venusPath] = value * 100; // Convert 0-1 to 0-100%
-              } else if (venusPath === '/Soc' && value >= 0 && value <= 100) {
-                currentValues[venusPath] = value; // Already in percentage
-              } else {
-                currentValues[venusPath] = value;
-              }
-              this.logger.debug(`Initializing ${venusPath} with real Signal K value: ${currentValues[venusPath]} (from ${signalKPath})`);
-            }
-          }
-        } catch (err) {
-          this.logger.debug(`Could not get initial Signal K values: ${err.message}`);
-        }
-      }
-      
       // Export minimal BMV properties with real Signal K values if available
       // IMPORTANT: Only export properties if we have real values - no fake defaults!
       const minimalBMVProperties = {
         '/Soc': { 
-          value: currentValues['/Soc'] ?? initialValues?.['/Soc'] ?? null, 
+          value: initialValues?.['/Soc'] ?? null, 
           type: 'd', 
           text: 'State of charge (%)' 
         },
         '/Dc/0/Voltage': { 
-          value: currentValues['/Dc/0/Voltage'] ?? initialValues?.['/Dc/0/Voltage'] ?? null, 
+          value: initialValues?.['/Dc/0/Voltage'] ?? null, 
           type: 'd', 
           text: 'DC voltage' 
         },
         '/Dc/0/Current': { 
-          value: currentValues['/Dc/0/Current'] ?? initialValues?.['/Dc/0/Current'] ?? null, 
+          value: initialValues?.['/Dc/0/Current'] ?? null, 
           type: 'd', 
           text: 'DC current' 
         },
         '/Dc/0/Power': { 
-          value: currentValues['/Dc/0/Power'] ?? initialValues?.['/Dc/0/Power'] ?? null, 
+          value: initialValues?.['/Dc/0/Power'] ?? null, 
           type: 'd', 
           text: 'DC power' 
         }
@@ -244,10 +215,8 @@ export class VEDBusService extends EventEmitter {
         this.isConnected = true; // CRITICAL: Set connected state for test mode
       } else {
         // Create individual D-Bus connection for this service with shorter timeout
-        this.bus = dbusNative.createClient({
-          host: this.settings.venusHost,
-          port: this.settings.port || 78,
-          authMethods: ['ANONYMOUS'],
+        // (TCP to the GX, or the local system bus when running on Venus OS)
+        this.bus = createDbusClient(this.settings, {
           timeout: 3000 // Shorter timeout to fail fast on problematic connections
         });
 
@@ -278,12 +247,15 @@ export class VEDBusService extends EventEmitter {
               this._forceCloseConnection();
               
               // Enhanced error handling for different types of connection failures
+              const target = describeDbusTarget(this.settings);
               if (err.code === 'ENOTFOUND') {
                 console.warn(`DNS resolution failed for ${this.settings.venusHost} - will retry with exponential backoff`);
               } else if (err.code === 'ECONNREFUSED') {
-                console.warn(`D-Bus connection refused by ${this.settings.venusHost} - Venus OS may not be ready`);
+                console.warn(`D-Bus connection refused by ${target} - Venus OS may not be ready`);
               } else if (err.code === 'ETIMEDOUT') {
-                console.warn(`D-Bus connection timed out to ${this.settings.venusHost}`);
+                console.warn(`D-Bus connection timed out to ${target}`);
+              } else if (err.code === 'ENOENT' || err.code === 'EACCES') {
+                console.warn(`Cannot open ${target} (${err.code})`);
               }
               
               reject(err);
@@ -474,6 +446,81 @@ export class VEDBusService extends EventEmitter {
     }
   }
 
+  /**
+   * Reconnect to D-Bus now, e.g. requested through the plugin REST API
+   * Resets the attempt counter so a service that gave up is retried
+   */
+  async reconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.reconnectAttempts = 0;
+    await this._attemptReconnect();
+  }
+
+  /**
+   * Reconnect and register again in Venus OS settings, as on first start
+   */
+  async reregister() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.reconnectAttempts = 0;
+    await this._attemptFullReRegistration();
+  }
+
+  /**
+   * Publish whether the device still receives data - Venus OS shows a device with /Connected 0 as unavailable
+   * @param {boolean} connected - Whether the Signal K source of the device is alive
+   */
+  setConnected(connected) {
+    const value = connected ? 1 : 0;
+    for (const path of ['/Connected', '/Mgmt/Connection']) {
+      const config = this.managementProperties[path];
+      config.value = value;
+      if (this.isConnected) {
+        this._exportProperty(path, { value, type: config.type, text: config.text });
+      } else {
+        this.deviceData[path] = value;
+      }
+    }
+  }
+
+  /**
+   * Publish paths as invalid (empty array like vedbus.py) - they are valid again with their next update
+   * @param {string[]} paths - D-Bus paths to invalidate
+   */
+  invalidate(paths) {
+    for (const path of paths) {
+      if (this.deviceData[path] === null || this.deviceData[path] === undefined) {
+        continue;
+      }
+      if (this.isConnected) {
+        this._exportProperty(path, { value: null, type: this._getPathType(path), text: this._getPathText(path) });
+      } else {
+        this.deviceData[path] = null;
+      }
+    }
+  }
+
+  /**
+   * Snapshot of the published state for diagnostics
+   * @returns {Object} Service name, VRM instance, connection state and all published values
+   */
+  getDiagnostics() {
+    return {
+      serviceName: this.dbusServiceName,
+      vrmInstance: this.vrmInstanceId,
+      isConnected: this.isConnected,
+      reconnectAttempts: this.reconnectAttempts,
+      maxReconnectAttempts: this.maxReconnectAttempts,
+      lastUpdate: this.lastUpdate ? new Date(this.lastUpdate).toISOString() : null,
+      deviceData: { ...this.deviceData }
+    };
+  }
+
   async _attemptFullReRegistration() {
     try {
       // Close existing connection
@@ -603,8 +650,8 @@ export class VEDBusService extends EventEmitter {
         console.error(`❌ CRITICAL: No serial number set for ${this.dbusServiceName}! This will cause Venus OS validation failures.`);
       }
       
-      // Initialize connection status in device data for heartbeat
-      this.deviceData["/Mgmt/Connection"] = 1;
+      // Initialize connection status in device data for heartbeat - 0 while the device has stale data
+      this.deviceData["/Mgmt/Connection"] = this.managementProperties["/Mgmt/Connection"].value;
       
       // CRITICAL: Set connected state immediately after successful service registration
       // This ensures data updates will work even if the D-Bus 'connect' event doesn't fire
@@ -804,8 +851,8 @@ export class VEDBusService extends EventEmitter {
         Object.entries(this.deviceData).forEach(([path, value]) => {
           if (this.managementProperties[path]) return; // Skip duplicates
 
-          const text = this.deviceConfig.pathMappings?.[path] || `${this.deviceConfig.serviceType} property`;
-          const type = this.deviceConfig.pathTypes?.[path] || 'd';
+          const text = this._getPathText(path);
+          const type = this._getPathType(path);
           items.push([path, [
             ["Value", this._wrapValue(type, value)],
             ["Text", this._wrapValue('s', text)],
@@ -860,7 +907,7 @@ export class VEDBusService extends EventEmitter {
         // Add device data properties
         Object.entries(this.deviceData).forEach(([path, value]) => {
           if (this.managementProperties[path]) return; 
-          const type = this.deviceConfig.pathTypes?.[path] || 'd';
+          const type = this._getPathType(path);
           items.push([path.slice(1), this._wrapValue(type, value)]);
         });
 
@@ -943,12 +990,12 @@ export class VEDBusService extends EventEmitter {
         
         // Check device data
         if (this.deviceData[pathWithSlash] !== undefined) {
-          const type = this.deviceConfig.pathTypes?.[pathWithSlash] || 'd';
+          const type = this._getPathType(pathWithSlash);
           return this._wrapValue(type, this.deviceData[pathWithSlash]);
         }
         
         if (this.deviceData[pathWithoutSlash] !== undefined) {
-          const type = this.deviceConfig.pathTypes?.[pathWithoutSlash] || 'd';
+          const type = this._getPathType(pathWithoutSlash);
           return this._wrapValue(type, this.deviceData[pathWithoutSlash]);
         }
         
@@ -980,7 +1027,7 @@ export class VEDBusService extends EventEmitter {
         // Add device data properties
         Object.entries(this.deviceData).forEach(([path, value]) => {
           if (this.managementProperties[path]) return; // Skip management properties
-          const type = this.deviceConfig.pathTypes?.[path] || 'd';
+          const type = this._getPathType(path);
           const propName = path.startsWith('/') ? path.substring(1) : path;
           if (propName && propName !== 'Serial' && propName !== 'DeviceInstance') { // Avoid duplicates
             properties[propName] = this._wrapValue(type, value);
@@ -1061,14 +1108,26 @@ export class VEDBusService extends EventEmitter {
         if (this.managementProperties[path]?.immutable) {
           return 1; // NOT OK - management properties are read-only (vedbus.py pattern)
         }
-        const actualValue = Array.isArray(val) ? val[1] : val;
-        
+        const actualValue = this._unwrapVariant(val);
+
         // Check if value actually changed (vedbus.py pattern)
         if (this.deviceData[path] === actualValue) {
           return 0; // OK - no change needed
         }
-        
+
+        const previousValue = this.deviceData[path];
         this._exportProperty(path, {value: actualValue, type: config.type, text: config.text});
+
+        // Writes from Venus OS (GX Touch, VRM) on writable paths are forwarded to the owner
+        if (this._isWritablePath(path)) {
+          this.emit('valueChanged', {
+            service: this.dbusServiceName,
+            path: path,
+            value: actualValue,
+            previousValue: previousValue,
+            type: config.type
+          });
+        }
         return 0; // OK - value set successfully
       },
       GetText: () => {
@@ -1180,6 +1239,7 @@ export class VEDBusService extends EventEmitter {
 
     // Update device data first
     this.deviceData[path] = value;
+    this.lastUpdate = Date.now();
     
     // Ensure the interface is exported
     if (!this.exportedInterfaces[path]) {
@@ -1263,6 +1323,28 @@ export class VEDBusService extends EventEmitter {
     }
   }
 
+  // Remove the paths below a prefix while the service stays registered, e.g. one channel of a switch bank.
+  // Venus OS is told with invalid values, like vedbus.py announces a path that is gone.
+  removeProperties(prefix) {
+    const paths = Object.keys(this.deviceData).filter(path => path === prefix || path.startsWith(`${prefix}/`));
+    for (const path of paths) {
+      delete this.deviceData[path];
+      delete this.customPaths[path];
+    }
+    
+    if (paths.length > 0 && this.bus && this.isConnected && typeof this.exportedInterfaces['/']?.emit === 'function') {
+      try {
+        this.exportedInterfaces['/'].emit('ItemsChanged', paths.map(path => [path, [
+          ["Value", this._wrapValue('d', null)],
+          ["Text", this._wrapValue('s', '')]
+        ]]));
+      } catch (err) {
+        console.error(`❌ Error emitting removal of ${prefix} on ${this.dbusServiceName}:`, err.message || err);
+      }
+    }
+    return paths;
+  }
+
   emitPropertiesChanged(path, props) {
     if (!this.bus || !this.isConnected) {
       // Connection not ready - this is normal during initialization
@@ -1350,6 +1432,59 @@ export class VEDBusService extends EventEmitter {
     return [type, value];
   }
 
+  // D-Bus type for a path, including per-channel paths like /SwitchableOutput/<n>/State
+  _getPathType(path) {
+    if (this.customPaths[path]) {
+      return this.customPaths[path].type;
+    }
+    if (this.deviceConfig.pathTypes?.[path]) {
+      return this.deviceConfig.pathTypes[path];
+    }
+    if (this.deviceConfig.channelPrefix) {
+      const channelPath = path.replace(this.deviceConfig.channelPrefix, '');
+      if (this.deviceConfig.channelPathTypes?.[channelPath]) {
+        return this.deviceConfig.channelPathTypes[channelPath];
+      }
+    }
+    return 'd';
+  }
+
+  // Description text for a path, including per-channel paths
+  _getPathText(path) {
+    if (this.customPaths[path]) {
+      return this.customPaths[path].text;
+    }
+    if (this.deviceConfig.pathMappings?.[path]) {
+      return this.deviceConfig.pathMappings[path];
+    }
+    if (this.deviceConfig.channelPrefix) {
+      const channelPath = path.replace(this.deviceConfig.channelPrefix, '');
+      if (this.deviceConfig.channelPathMappings?.[channelPath]) {
+        return this.deviceConfig.channelPathMappings[channelPath];
+      }
+    }
+    return `${this.deviceConfig.serviceType} property`;
+  }
+
+  // Whether Venus OS writes to this path should be forwarded (strings match exactly, RegExps by pattern)
+  _isWritablePath(path) {
+    return (this.deviceConfig.writablePaths || []).some(writable =>
+      writable instanceof RegExp ? writable.test(path) : writable === path
+    );
+  }
+
+  _unwrapVariant(val) {
+    // dbus-native delivers variants as [signature, [value]], our own wrapper uses [type, value]
+    if (!Array.isArray(val) || val.length !== 2) {
+      return val;
+    }
+    const inner = val[1];
+    if (Array.isArray(inner) && inner.length === 1) {
+      return inner[0];
+    }
+    return inner;
+  }
+
   /**
    * Force close connection to prevent leaks
    */
@@ -1427,7 +1562,7 @@ export class VEDBusService extends EventEmitter {
       
       try {
         // Try to update the connection property
-        this.updateValue("/Mgmt/Connection", 1);
+        this.updateValue("/Mgmt/Connection", this.managementProperties["/Mgmt/Connection"].value);
         
         // Also try a simple D-Bus operation to verify connection
         await new Promise((resolve, reject) => {
@@ -1487,15 +1622,15 @@ export class VEDBusService extends EventEmitter {
     // Ensure the interface is exported before emitting
     if (!this.exportedInterfaces[path]) {
       // Create a config for the property if it doesn't exist
-      const type = this.deviceConfig.pathTypes?.[path] || 'd';
-      const text = this.deviceConfig.pathMappings?.[path] || `${this.deviceConfig.serviceType} property`;
+      const type = this._getPathType(path);
+      const text = this._getPathText(path);
       this._exportProperty(path, { value, type, text });
     }
 
     // Emit PropertiesChanged signal if we have the interface
     if (this.exportedInterfaces[path] && this.exportedInterfaces[path].PropertiesChanged) {
       try {
-        const wrapped = this._wrapValue(this.deviceConfig.pathTypes?.[path] || 'd', value);
+        const wrapped = this._wrapValue(this._getPathType(path), value);
         if (wrapped !== undefined) {
           this.exportedInterfaces[path].PropertiesChanged([[path, wrapped]]);
         }
@@ -1,7 +1,22 @@
 import { VEDBusService } from './vedbus.js';
 import { DEVICE_CONFIGS } from './deviceConfigs.js';
 import { HistoryPersistence } from './historyPersistence.js';
+import { InstanceRegistry, getPinnedInstance } from './instanceRegistry.js';
+import { SocEstimator } from './socEstimator.js';
+import { BatteryAlarms, BATTERY_ALARMS } from './batteryAlarms.js';
+import { BatteryHistory } from './batteryHistory.js';
+import { UnitConverter } from './unitConversion.js';
+import { BatteryBank } from './batteryBank.js';
+import { BatteryBms, matchBmsPath } from './batteryBms.js';
+import { DvccGuard, DVCC_PATHS } from './dvccGuard.js';
+import { getVenusTargets, getDeviceTarget } from './venusTargets.js';
+import { findDirectAlternator } from './directDcDevices.js';
+import { getSolarName } from './deviceNames.js';
 import EventEmitter from 'events';
+import { join } from 'path';
+
+// Paths that describe a device rather than measure something - they stay valid while the device has stale data
+const STATIC_PATH_PATTERN = /^\/(Mgmt\/|Connected$|DeviceInstance$|DeviceType$|ProductId$|ProductName$|FirmwareVersion$|HardwareVersion$|Serial$|CustomName$|Capacity$|FluidType$|System\/|History\/|Alarms\/)|\/Settings\/|\/Name$/;
 
 /**
  * Unified VenusClient that uses the central VEDBus service for all device types
@@ -11,6 +26,7 @@ export class VenusClient extends EventEmitter {
   constructor(settings, deviceType, logger = null) {
     super();
     this.settings = settings;
+    this._venusTargets = getVenusTargets(settings); // Resolved once - _isOnTarget runs for every bank value
     this.deviceType = deviceType;
     
     // Create a proper logger wrapper for SignalK app or fallback
@@ -36,7 +52,12 @@ export class VenusClient extends EventEmitter {
       'batteries': 'battery',
       'tanks': 'tank', 
       'switches': 'switch',
-      'environment': 'environment'
+      'environment': 'environment',
+      'solar': 'solarcharger',
+      'alternators': 'alternator',
+      'gps': 'gps',
+      'meteo': 'meteo',
+      'notifications': 'digitalinput'
     };
     
     const configDeviceType = deviceTypeMap[deviceType] || deviceType;
@@ -59,6 +80,8 @@ export class VenusClient extends EventEmitter {
     this.deviceInstances = new Map(); // Track device instances by Signal K path
     this.deviceServices = new Map(); // Track individual device services
     this.exportedInterfaces = new Set(); // Track which D-Bus interfaces have been exported
+    this.switchBanks = new Map(); // Map of bank name -> { service, channels } for SwitchableOutput banks
+    this.solarDailyStats = new Map(); // Map of solar basePath -> today's and yesterday's yield statistics
     
     // Throttle mechanism for reducing noisy "Processing data update" logs
     this._lastDataUpdateLog = new Map(); // Map of deviceInstance.basePath -> last log timestamp
@@ -72,9 +95,98 @@ export class VenusClient extends EventEmitter {
     this.lastUpdateTime = new Map(); // Map of devicePath -> last update timestamp
     this.energyAccumulators = new Map(); // Map of devicePath -> energy accumulation data
     
-    // History persistence
-    this.historyPersistence = new HistoryPersistence('./signalk-battery-history.json', this.logger);
+    // Service name and VRM instance allocation - in memory until the plugin data directory is known
+    this.instanceRegistry = new InstanceRegistry(null, this.logger);
+    
+    // History persistence - in memory until the plugin data directory is known
+    this.historyPersistence = new HistoryPersistence(null, this.logger);
     this._historyLoaded = false;
+    
+    // Optional coulomb-counting SOC for batteries without a native state of charge
+    const socEstimatorSettings = settings.batteryMonitor?.socEstimator;
+    this.socEstimator = socEstimatorSettings?.enabled ? new SocEstimator(socEstimatorSettings, this.logger) : null;
+    this._nativeSocBatteries = new Set(); // Batteries that report their own stateOfCharge
+    this._socCandidates = new Map(); // Battery -> time (ms) of its first current, for the native SOC grace period
+    
+    // Battery alarm engine for /Alarms/* - levels are kept per battery and not persisted
+    const alarmSettings = settings.batteryMonitor?.alarms;
+    this.batteryAlarms = alarmSettings?.enabled ? new BatteryAlarms(alarmSettings, this.logger) : null;
+    this.batteryAlarmStates = new Map();
+    
+    // BMV-style /History/* counters - kept in the history entries so they are persisted with them
+    this.batteryHistory = new BatteryHistory(settings.batteryMonitor?.historyCounters, this.logger);
+    
+    // Lithium BMS detail (cells, balancing, charge limits) - cell voltages are kept per battery
+    this.batteryBms = new BatteryBms();
+    this.bmsStates = new Map();
+    
+    // Capacities in Joules that arrived before the battery voltage needed to convert them - Signal K servers
+    // often send the static capacity only once
+    this.pendingCapacities = new Map(); // Battery path -> { path, value }
+    
+    // DVCC control mode - charge limits and permissions are only published for opted-in batteries
+    this.dvccGuard = new DvccGuard(settings.batteryMonitor?.dvcc, this.logger);
+    this.dvccStates = new Map(); // Map of battery path -> control state
+    this.dvccTimer = null;
+    
+    // Stale data detection - devices without Signal K updates are marked disconnected, later removed
+    this.lastSeen = new Map(); // Map of basePath -> timestamp of the last Signal K update
+    this.staleServices = new Set(); // Services currently published as disconnected
+    this.staleCheckTimer = null;
+    
+    this.mappedDevices = new Set(); // basePaths published by custom mapping rules and battery banks
+    
+    // Signal K -> Venus OS unit conversion from the path metadata (meta.units)
+    this.unitConverter = new UnitConverter(path => this._getSignalKUnits(path), this.logger);
+    
+    // Virtual battery banks combining several Signal K batteries - member values older than the battery
+    // stale timeout are left out of the bank
+    this.batteryBanks = [];
+    if (this._internalDeviceType === 'battery') {
+      const banks = settings.batteryMonitor?.batteryBanks;
+      (Array.isArray(banks) ? banks : []).forEach((bank, index) => {
+        try {
+          this.batteryBanks.push(new BatteryBank(bank, { maxAge: this._getStaleTimeouts().timeout }));
+        } catch (err) {
+          this.logger.error(`Battery bank ${index + 1} ignored: ${err.message}`);
+        }
+      });
+    }
+  }
+
+  // Replace the settings of a running client when device selection or overrides are hot-applied
+  updateSettings(settings) {
+    this.settings = settings;
+    this._venusTargets = getVenusTargets(settings);
+  }
+
+  // Whether a device is published by this client - with several Venus OS targets each device belongs to
+  // the client of its target. Settings without a target (single target setups, tests) publish everything.
+  _isOnTarget(devicePath) {
+    if (!this.settings.venusTarget) {
+      return true;
+    }
+    return getDeviceTarget(this.settings, devicePath, this._venusTargets).name === this.settings.venusTarget;
+  }
+
+  // Persist instance allocations in the plugin data directory, shared with all other clients,
+  // and history in a file per client
+  setDataDirPath(dataDirPath) {
+    if (dataDirPath) {
+      this.instanceRegistry = InstanceRegistry.forFile(join(dataDirPath, 'instance-registry.json'), this.logger);
+      
+      if (!this._historyLoaded) {
+        // Older versions kept battery history in the server working directory - migrate it once.
+        // Clients of additional Venus OS targets keep their history in their own file.
+        const retention = this.settings.historyRetention || {};
+        const suffix = this.settings.historyFileSuffix || '';
+        this.historyPersistence = new HistoryPersistence(join(dataDirPath, `history-${this.deviceType}${suffix}.json`), this.logger, {
+          legacyFilePath: this.deviceType === 'batteries' && suffix === '' ? './signalk-battery-history.json' : null,
+          maxCorruptedBackups: retention.maxCorruptedBackups,
+          corruptedBackupMaxAgeDays: retention.corruptedBackupMaxAgeDays
+        });
+      }
+    }
   }
 
   // Set Signal K app reference for getting current values
@@ -194,7 +306,8 @@ export class VenusClient extends EventEmitter {
                          (value.chargedEnergy > 0) || 
                          (value.totalAhDrawn > 0.001) ||
                          (value.minimumVoltage !== null && value.minimumVoltage > 5.0 && value.minimumVoltage < 50.0) ||
-                         (value.maximumVoltage !== null && value.maximumVoltage > 5.0 && value.maximumVoltage < 50.0);
+                         (value.maximumVoltage !== null && value.maximumVoltage > 5.0 && value.maximumVoltage < 50.0) ||
+                         Boolean(value.lastCleared); // Keep a reset entry so the reset survives a restart
       
       this.logger.debug(`Cleanup: Device ${key} hasRealData=${hasRealData}, discharged=${value.dischargedEnergy}, charged=${value.chargedEnergy}, totalAh=${value.totalAhDrawn}, minV=${value.minimumVoltage}, maxV=${value.maximumVoltage}`);
       
@@ -300,6 +413,55 @@ export class VenusClient extends EventEmitter {
     }
   }
 
+  /**
+   * Reset the history of a battery, e.g. after replacing the bank, and persist it immediately
+   * @param {string} devicePath - Signal K battery path, e.g. 'electrical.batteries.house'
+   * @param {Object} options
+   * @param {string[]|null} options.counters - Counters to clear (see CLEARABLE_COUNTERS), null clears all
+   * @param {string} options.source - Who triggered the reset, recorded with it
+   * @returns {Object} The reset record { time, source, counters }
+   */
+  async clearHistory(devicePath, { counters = null, source = 'unknown' } = {}) {
+    if (this._internalDeviceType !== 'battery') {
+      throw new Error('History can only be cleared for batteries');
+    }
+    
+    await this.loadHistoryData();
+    const history = this.historyData.get(devicePath);
+    if (!history) {
+      throw new Error(`No history for ${devicePath}`);
+    }
+    
+    const cleared = this.batteryHistory.clear(history, counters);
+    const now = Date.now();
+    if (!counters) {
+      // Restart energy integration from now, the next sample does not add the time before the reset
+      const accumulator = this.energyAccumulators.get(devicePath);
+      if (accumulator) {
+        accumulator.lastCurrent = 0;
+        accumulator.lastTimestamp = now;
+      }
+      this.lastUpdateTime.set(devicePath, now);
+    }
+    
+    history.lastCleared = {
+      time: new Date(now).toISOString(),
+      source,
+      counters: counters ? cleared : 'all'
+    };
+    this.logger.warn(`History of ${devicePath} cleared (${counters ? cleared.join(', ') : 'all counters'}) by ${source}`);
+    
+    await this.historyPersistence.saveHistoryDataNow(this.historyData, this.energyAccumulators, this.lastUpdateTime);
+    
+    const deviceService = this.deviceServices.get(devicePath);
+    if (deviceService) {
+      await this._updateHistoryProperties(deviceService, history);
+      await deviceService.updateProperty('/History/Clear', 0, 'i', 'Clear history');
+    }
+    this.emit('dataUpdated', 'Battery History Cleared', `${devicePath}: ${counters ? cleared.join(', ') : 'all counters'}`);
+    return history.lastCleared;
+  }
+
   // Update history data based on current battery values
   async updateHistoryData(devicePath, voltage, current, power) {
     // Validate devicePath to prevent undefined keys
@@ -742,6 +904,60 @@ export class VenusClient extends EventEmitter {
   }
 
   // Helper function to get current Signal K value
+  // meta.units of a Signal K path - from the full model, or the schema metadata of the server
+  _getSignalKUnits(path) {
+    const app = this.signalKApp;
+    if (!app) {
+      return null;
+    }
+    const node = typeof app.getSelfPath === 'function' ? app.getSelfPath(path) : null;
+    if (node && typeof node === 'object' && node.meta?.units) {
+      return node.meta.units;
+    }
+    const metadata = typeof app.getMetadata === 'function' ? app.getMetadata(`vessels.self.${path}`) : null;
+    return metadata?.units || null;
+  }
+
+  // Battery capacity in Ah - Signal K reports Joules, which need the nominal or measured battery voltage
+  _convertBatteryCapacity(path, value, voltage) {
+    const nominalVoltage = this.settings.batteryMonitor?.nominalVoltage;
+    return this.unitConverter.convert(path, value, 'J', 'Ah', { voltage: nominalVoltage || voltage });
+  }
+
+  // Publish a Signal K capacity in Joules as Ah - kept until the voltage is known if it can't be converted yet
+  async _publishBatteryCapacity(devicePath, path, value, deviceService, deviceName) {
+    const capacityAh = this._convertBatteryCapacity(path, value, deviceService.deviceData['/Dc/0/Voltage']);
+    if (capacityAh === null) {
+      this.pendingCapacities.set(devicePath, { path, value });
+      return;
+    }
+    this.pendingCapacities.delete(devicePath);
+    
+    await deviceService.updateProperty('/Capacity', capacityAh, 'd', `${deviceName} capacity`);
+    this.emit('dataUpdated', 'Battery Capacity', `${deviceName}: ${capacityAh.toFixed(1)}Ah`);
+    
+    // Update battery dummy data with new capacity
+    await this._updateBatteryDummyData(deviceService, deviceName);
+  }
+
+  // Current Signal K values of a battery in Venus OS units, converted from the path metadata like updates
+  _getInitialBatteryValues(basePath) {
+    const paths = [
+      [`${basePath}.capacity.stateOfCharge`, '/Soc', 'ratio', '%'],
+      [`${basePath}.voltage`, '/Dc/0/Voltage', 'V', 'V'],
+      [`${basePath}.current`, '/Dc/0/Current', 'A', 'A'],
+      [`${basePath}.power`, '/Dc/0/Power', 'W', 'W']
+    ];
+    const values = {};
+    for (const [path, venusPath, expected, target] of paths) {
+      const value = this.unitConverter.convert(path, this._getCurrentSignalKValue(path), expected, target);
+      if (value !== null) {
+        values[venusPath] = value;
+      }
+    }
+    return values;
+  }
+
   _getCurrentSignalKValue(path) {
     if (this.signalKApp && this.signalKApp.getSelfPath) {
       try {
@@ -782,26 +998,30 @@ export class VenusClient extends EventEmitter {
     return 'v'; // variant for unknown types
   }
 
-  async _getOrCreateDeviceInstance(path) {
-    // Extract the base device path using device-specific logic
-    const basePath = this._extractBasePath(path);
+  async _getOrCreateDeviceInstance(path, { basePath = this._extractBasePath(path), name = null } = {}) {
+    // The base device path comes from device-specific logic unless a custom mapping rule provides it
     
     // Validate basePath
     if (!basePath) {
       this.logger.error(`Failed to extract valid basePath from: ${path}`);
       return null;
     }
+
+    // Switches share one D-Bus service per bank, each switch is a channel of that bank
+    if (this._internalDeviceType === 'switch') {
+      return this._getOrCreateSwitchChannel(path, basePath);
+    }
     
     if (!this.deviceInstances.has(basePath)) {
       // Mark that we're creating this device to prevent duplicate creation
       this.deviceInstances.set(basePath, 'creating');
 
       try {
-        // Create a deterministic index based on the path hash to ensure consistency
-        const index = this._generateStableIndex(basePath);
+        // Look up the persistent instance, new devices start from the path hash
+        const index = await this._allocateInstance(basePath);
         const deviceInstance = {
           index: index,
-          name: this._getDeviceName(path),
+          name: name && !this._getDeviceOverride(basePath)?.name ? name : this._getDeviceName(path),
           basePath: basePath
         };
         
@@ -811,11 +1031,14 @@ export class VenusClient extends EventEmitter {
           deviceInstance,
           this.settings,
           this.deviceConfig,
-          this.logger,
-          (path) => this._getCurrentSignalKValue(path) // Signal K value getter
+          this.logger
         );
 
-        await deviceService.init(); // Initialize the device service
+        // Batteries start with the current Signal K values so Venus OS doesn't see an empty battery monitor
+        await deviceService.init(this._internalDeviceType === 'battery' ? this._getInitialBatteryValues(basePath) : null);
+        
+        // Remember the VRM instance Venus OS assigned in case it differs from the proposed one
+        this.instanceRegistry.recordVrmInstance(this.deviceConfig.serviceType, basePath, deviceService.vrmInstanceId);
         
         // Store the basePath on the deviceService for easy access
         deviceService.basePath = basePath;
@@ -827,6 +1050,11 @@ export class VenusClient extends EventEmitter {
           this.logger.debug(`Successfully set basePath on deviceService: ${deviceService.basePath}`);
         }
 
+        // Forward writes made on the Venus OS side (GX Touch, VRM) back towards Signal K
+        if (typeof deviceService.on === 'function') {
+          deviceService.on('valueChanged', (event) => this._handleVenusValueChange(basePath, event));
+        }
+
         // we should really have a vedbus-tank, vedbus-battery, etc to get rid of this.
         switch (this._internalDeviceType) {
           case 'tank':
@@ -858,8 +1086,8 @@ export class VenusClient extends EventEmitter {
                 const currentTemp = this._getCurrentSignalKValue(`${basePath}.temperature`);
                 
                 // Only initialize properties if we have real values
-                if (currentSoc !== null && currentSoc !== undefined && typeof currentSoc === 'number') {
-                  const socPercent = currentSoc > 1 ? currentSoc : currentSoc * 100;
+                const socPercent = this.unitConverter.convert(`${basePath}.capacity.stateOfCharge`, currentSoc, 'ratio', '%');
+                if (socPercent !== null) {
                   await deviceService.updateProperty('/Soc', socPercent, 'd', 'State of charge');
                   this.logger.debug(`Initialized SOC with real Signal K value: ${socPercent}%`);
                 }
@@ -879,32 +1107,24 @@ export class VenusClient extends EventEmitter {
                   this.logger.debug(`Initialized power with real Signal K value: ${currentPower}W`);
                 }
                 
-                if (currentTemp !== null && currentTemp !== undefined && typeof currentTemp === 'number') {
-                  // Convert temperature if needed (from Kelvin)
-                  const tempCelsius = currentTemp > 100 ? currentTemp - 273.15 : currentTemp;
+                const tempCelsius = this.unitConverter.convert(`${basePath}.temperature`, currentTemp, 'K', 'C');
+                if (tempCelsius !== null) {
                   await deviceService.updateProperty('/Dc/0/Temperature', tempCelsius, 'd', 'Battery temperature');
                   this.logger.debug(`Initialized temperature with real Signal K value: ${tempCelsius}°C`);
                 }
                 
                 // Calculate initial consumed Ah and time to go if we have SOC and capacity
-                if (currentSoc !== null && typeof currentSoc === 'number') {
-                  const socPercent = currentSoc > 1 ? currentSoc : currentSoc * 100;
-                  
+                if (socPercent !== null) {
                   // Try to get real capacity data from Signal K, fall back to settings
                   const capacityPath = `${basePath}.capacity.nominal`;
-                  const signalKCapacity = this.signalKApp.getSelfPath(capacityPath);
+                  const signalKCapacity = this._getCurrentSignalKValue(capacityPath);
                   
                   // Use Signal K capacity if available, otherwise use settings capacity
                   let workingCapacity = null;
-                  if (signalKCapacity && typeof signalKCapacity === 'number' && signalKCapacity > 0) {
-                    // Signal K capacity is in Joules, convert to Ah: Joules / (Voltage * 3600)
-                    if (currentVoltage && typeof currentVoltage === 'number' && currentVoltage > 0) {
-                      workingCapacity = signalKCapacity / (currentVoltage * 3600);
-                    } else {
-                      // Fallback: use typical 12V if voltage not available
-                      workingCapacity = signalKCapacity / (12 * 3600);
-                    }
-                  } else if (this.settings.batteryMonitor?.batteryCapacity) {
+                  if (typeof signalKCapacity === 'number' && signalKCapacity > 0) {
+                    workingCapacity = this._convertBatteryCapacity(capacityPath, signalKCapacity, currentVoltage);
+                  }
+                  if (!workingCapacity && this.settings.batteryMonitor?.batteryCapacity) {
                     workingCapacity = this.settings.batteryMonitor.batteryCapacity;
                   }
                   
@@ -990,7 +1210,6 @@ export class VenusClient extends EventEmitter {
             
             break;
 
-          case 'switch':
           case 'environment':
           default:
             break;
@@ -1037,6 +1256,106 @@ export class VenusClient extends EventEmitter {
     }
   }
 
+  // Find the bank a switch belongs to - configured in settings.switchBanks, otherwise the default bank
+  _getSwitchBankName(basePath) {
+    const banks = Array.isArray(this.settings.switchBanks) ? this.settings.switchBanks : [];
+    const bank = banks.find(b => b && b.name && Array.isArray(b.switches) && b.switches.includes(basePath));
+    return bank ? bank.name : 'Switches';
+  }
+
+  // Channel id used in /SwitchableOutput/<channel>/... - the Signal K switch id, restricted to D-Bus safe characters
+  _getSwitchChannelId(basePath) {
+    const switchId = basePath.split('.').slice(2).join('_') || '0';
+    return switchId.replace(/[^A-Za-z0-9_]/g, '_');
+  }
+
+  async _getOrCreateSwitchChannel(path, basePath) {
+    const existing = this.deviceInstances.get(basePath);
+    if (existing) {
+      return existing;
+    }
+
+    const bankName = this._getSwitchBankName(basePath);
+    let bank = this.switchBanks.get(bankName);
+    if (!bank) {
+      // Store the creation promise so concurrent updates wait for the same bank service
+      bank = { name: bankName, channels: new Map(), ready: this._createSwitchBankService(bankName) };
+      this.switchBanks.set(bankName, bank);
+    }
+
+    let deviceService;
+    try {
+      deviceService = await bank.ready;
+    } catch (error) {
+      this.logger.error(`❌ Error creating switch bank ${bankName}: ${error.message}`);
+      // Remove the bank to allow retry on next call
+      this.switchBanks.delete(bankName);
+      return null;
+    }
+
+    // Another update may have created this channel while we were waiting for the bank
+    if (this.deviceInstances.has(basePath)) {
+      return this.deviceInstances.get(basePath);
+    }
+
+    const channel = this._getSwitchChannelId(basePath);
+    const deviceInstance = {
+      index: deviceService.deviceInstance.index,
+      name: this._getDeviceName(path),
+      basePath: basePath,
+      bank: bankName,
+      channel: channel,
+      dimmable: false
+    };
+    bank.channels.set(channel, basePath);
+    this.deviceServices.set(basePath, deviceService);
+    this.deviceInstances.set(basePath, deviceInstance);
+
+    const prefix = `/SwitchableOutput/${channel}`;
+    await deviceService.updateProperty(`${prefix}/Name`, deviceInstance.name, 's', 'Switch name');
+    await deviceService.updateProperty(`${prefix}/Settings/Group`, bankName, 's', 'Switch group');
+    // Type: 0 = momentary, 1 = toggle, 2 = dimmable - upgraded to dimmable when a dimming level arrives
+    await deviceService.updateProperty(`${prefix}/Settings/Type`, 1, 'i', 'Switch type');
+    await deviceService.updateProperty(`${prefix}/Settings/ValidTypes`, 0x6, 'i', 'Valid switch types');
+    await deviceService.updateProperty(`${prefix}/Settings/ShowUIControl`, 1, 'i', 'Show UI control');
+
+    this.logger.debug(`Added switch ${basePath} as channel ${channel} of bank ${bankName} (VRM instance ${deviceInstance.index})`);
+    return deviceInstance;
+  }
+
+  async _createSwitchBankService(bankName) {
+    const bankInstance = {
+      index: await this._allocateInstance(`electrical.switches#${bankName}`),
+      name: bankName,
+      basePath: `electrical.switches#${bankName}`
+    };
+
+    const deviceService = new VEDBusService(
+      `SignalK${bankInstance.index}`,
+      bankInstance,
+      this.settings,
+      this.deviceConfig,
+      this.logger
+    );
+
+    await deviceService.init();
+    this.instanceRegistry.recordVrmInstance(this.deviceConfig.serviceType, bankInstance.basePath, deviceService.vrmInstanceId);
+    deviceService.basePath = bankInstance.basePath;
+
+    // Forward writes made on the Venus OS side to the Signal K switch behind the channel
+    if (typeof deviceService.on === 'function') {
+      deviceService.on('valueChanged', (event) => {
+        const channel = event.path.split('/')[2];
+        const basePath = this.switchBanks.get(bankName)?.channels.get(channel);
+        if (basePath) {
+          this._handleVenusValueChange(basePath, event);
+        }
+      });
+    }
+
+    return deviceService;
+  }
+
   _extractBasePath(path) {
     if (!path || typeof path !== 'string') {
       this.logger.error(`Invalid path provided to _extractBasePath: ${path}`);
@@ -1051,7 +1370,9 @@ export class VenusClient extends EventEmitter {
         basePath = path.replace(/\.(currentLevel|capacity|name|currentVolume|voltage)$/, '');
         break;
       case 'battery':
-        basePath = path.replace(/\.(voltage|current|stateOfCharge|consumed|timeRemaining|relay|temperature|name|capacity\..*|power)$/, '');
+        // BMS paths like cells.3.voltage go first, they would otherwise lose only their last segment
+        basePath = matchBmsPath(path)?.basePath ??
+          path.replace(/\.(voltage|current|stateOfCharge|consumed|timeRemaining|relay|temperature|name|capacity\..*|power)$/, '');
         break;
       case 'switch':
         basePath = path.replace(/\.(state|dimmingLevel|position|name)$/, '');
@@ -1059,6 +1380,25 @@ export class VenusClient extends EventEmitter {
       case 'environment':
         basePath = path.replace(/\.(temperature|humidity|relativeHumidity)$/, '');
         break;
+      case 'solarcharger':
+        basePath = path.replace(/\.(voltage|current|panelVoltage|panelCurrent|panelPower|chargingMode|yieldToday|name)$/, '');
+        break;
+      case 'alternator': {
+        // Alternators configured in directDcDevices may use any base path
+        const directDevice = this._getDirectAlternatorDevice(path);
+        basePath = directDevice
+          ? directDevice.basePath
+          : path.replace(/\.(voltage|current|power|fieldDrive|temperature|revolutions|pulleyRatio|name)$/, '');
+        break;
+      }
+      case 'gps':
+        // All navigation data belongs to the single vessel GPS
+        basePath = 'navigation';
+        break;
+      case 'meteo':
+        // Wind and outside weather belong to the single vessel weather station
+        basePath = 'environment';
+        break;
       default:
         basePath = path;
         break;
@@ -1073,6 +1413,23 @@ export class VenusClient extends EventEmitter {
     return basePath;
   }
 
+  async _allocateInstance(basePath) {
+    const entry = await this.instanceRegistry.allocate(this.deviceConfig.serviceType, basePath, {
+      preferredInstance: this._generateStableIndex(basePath),
+      pinnedInstance: getPinnedInstance(this.settings, basePath)
+    });
+    return entry.instance;
+  }
+
+  // Overrides from the web app for the device a Signal K path belongs to
+  _getDeviceOverride(path) {
+    const overrides = this.settings.deviceOverrides;
+    if (!overrides || !path) {
+      return null;
+    }
+    return overrides[path] || overrides[this._extractBasePath(path)] || null;
+  }
+
   _generateStableIndex(basePath) {
     // Generate a stable index based on the base path to ensure the same device
     // always gets the same index, even across restarts
@@ -1087,6 +1444,11 @@ export class VenusClient extends EventEmitter {
   }
 
   _getDeviceName(path) {
+    const override = this._getDeviceOverride(path);
+    if (typeof override?.name === 'string' && override.name.trim() !== '') {
+      return override.name.trim();
+    }
+    
     switch (this._internalDeviceType) {
       case 'tank':
         return this._getTankName(path);
@@ -1096,6 +1458,16 @@ export class VenusClient extends EventEmitter {
         return this._getSwitchName(path);
       case 'environment':
         return this._getEnvironmentName(path);
+      case 'solarcharger':
+        return this._getSolarName(path);
+      case 'alternator':
+        return this._getAlternatorName(path);
+      case 'gps':
+        return 'GPS';
+      case 'meteo':
+        return 'Weather station';
+      case 'digitalinput':
+        return this._getNotificationName(path);
       default:
         return 'Unknown Device';
     }
@@ -1161,6 +1533,11 @@ export class VenusClient extends EventEmitter {
   }
 
   _getFluidType(path) {
+    const override = this._getDeviceOverride(path);
+    if (typeof override?.fluidType === 'number') {
+      return override.fluidType;
+    }
+    
     const parts = path.split('.');
     let fluidType = 0;
     if (parts.length >= 3) {
@@ -1229,6 +1606,83 @@ export class VenusClient extends EventEmitter {
     return 'Switch';
   }
 
+  _getSolarName(path) {
+    const solarId = path.split('.')[2]; // e.g., '278', 'port', 'arch'
+    const totalChargers = Array.from(this.deviceInstances.keys())
+      .filter(devicePath => devicePath.includes('electrical.solar.')).length;
+    return getSolarName(solarId, totalChargers);
+  }
+
+  _getAlternatorName(path) {
+    const basePath = this._extractBasePath(path);
+    const alternatorId = basePath ? basePath.split('.').pop() : null;
+    if (!alternatorId || alternatorId === 'alternators') {
+      return 'Alternator';
+    }
+
+    const totalAlternators = Array.from(this.deviceInstances.keys()).length;
+
+    if (!/^\d+$/.test(alternatorId)) {
+      // Functional name like 'port' or 'mainEngine'
+      const name = alternatorId.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+      return `Alternator ${name}`;
+    }
+
+    return totalAlternators <= 1 ? 'Alternator' : `Alternator ${alternatorId}`;
+  }
+
+  _getNotificationName(path) {
+    // notifications.navigation.anchor -> Anchor, notifications.bilge -> Bilge
+    const notificationId = path.split('.').pop();
+    if (!notificationId || notificationId === 'notifications') {
+      return 'Notification';
+    }
+    const name = notificationId.replace(/([A-Z])/g, ' $1').trim();
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  // Venus OS input type for a notification - configured in notificationTypes, otherwise guessed from the path
+  _getNotificationInputType(path) {
+    const configured = this.settings.notificationTypes?.find(entry => entry.path === path);
+    let typeName = configured?.type;
+    
+    if (!typeName) {
+      if (/bilge/i.test(path)) {
+        typeName = 'bilge';
+      } else if (/smoke/i.test(path)) {
+        typeName = 'smoke';
+      } else if (/fire/i.test(path)) {
+        typeName = 'fire';
+      } else if (/co2|carbon/i.test(path)) {
+        typeName = 'co2';
+      } else {
+        typeName = 'generic';
+      }
+    }
+    
+    if (this.deviceConfig.inputTypes[typeName] === undefined) {
+      this.logger.warn(`Unknown notification input type '${typeName}' for ${path}, using generic`);
+      typeName = 'generic';
+    }
+    return typeName;
+  }
+
+  // Alternator entry from batteryMonitor.directDcDevices that owns this Signal K path, if any
+  _getDirectAlternatorDevice(path) {
+    return findDirectAlternator(this.settings, path);
+  }
+
+  // Resolve which alternator property a Signal K path carries (directDcDevices may use custom current/power paths)
+  _getAlternatorProperty(path) {
+    const directDevice = this._getDirectAlternatorDevice(path);
+    if (directDevice) {
+      if (path === directDevice.currentPath) return 'current';
+      if (path === directDevice.powerPath) return 'power';
+      if (path === directDevice.voltagePath) return 'voltage';
+    }
+    return path.split('.').pop();
+  }
+
   _getEnvironmentName(path) {
     const parts = path.split('.');
     if (parts.length >= 3) {
@@ -1263,6 +1717,8 @@ export class VenusClient extends EventEmitter {
         return;
       }
 
+      this._recordFreshData(basePath);
+      
       // Check if we already have a device service for this path
       const existingDeviceService = this.deviceServices.get(basePath);
       
@@ -1355,6 +1811,16 @@ export class VenusClient extends EventEmitter {
         return path.startsWith('electrical.switches.');
       case 'environment':
         return path.startsWith('environment.');
+      case 'solarcharger':
+        return path.startsWith('electrical.solar.');
+      case 'alternator':
+        return path.startsWith('electrical.alternators.') || this._getDirectAlternatorDevice(path) !== null;
+      case 'meteo':
+        return this.settings.meteoRegex.test(path);
+      case 'gps':
+        return this.settings.gpsRegex.test(path);
+      case 'digitalinput':
+        return path.startsWith('notifications.');
       default:
         return false;
     }
@@ -1412,6 +1878,43 @@ export class VenusClient extends EventEmitter {
           return true; // Humidity reading indicates a real sensor
         }
         return false;
+
+      case 'solarcharger':
+        // For solar chargers, create device when we have PV or charger output readings
+        if ((path.endsWith('.panelPower') || path.endsWith('.panelVoltage') || path.endsWith('.current') || path.endsWith('.voltage'))
+            && typeof value === 'number' && !isNaN(value)) {
+          return true;
+        }
+        return false; // Don't create for charging mode or yield alone
+
+      case 'alternator': {
+        // For alternators, create device when we have electrical output data
+        const property = this._getAlternatorProperty(path);
+        if (['voltage', 'current', 'power'].includes(property) && typeof value === 'number' && !isNaN(value)) {
+          return true;
+        }
+        return false; // Don't create for temperature or speed alone
+      }
+
+      case 'gps':
+        // For GPS, create device only when we have a real position
+        if (path === 'navigation.position' && value && typeof value === 'object'
+            && typeof value.latitude === 'number' && typeof value.longitude === 'number') {
+          return true;
+        }
+        return false; // Don't create for speed, course or satellites without a position
+
+      case 'meteo':
+        // For meteo, create device only for wind or irradiance - outside temperature alone is an environment sensor
+        if ((path.startsWith('environment.wind.') || path === 'environment.outside.solarRadiation')
+            && typeof value === 'number' && !isNaN(value)) {
+          return true;
+        }
+        return false;
+
+      case 'digitalinput':
+        // For notifications, create device only for a real notification object with a state
+        return value !== null && typeof value === 'object' && typeof value.state === 'string';
         
       default:
         return true; // For unknown device types, use the old behavior
@@ -1429,22 +1932,37 @@ export class VenusClient extends EventEmitter {
         await this._handleBatteryUpdate(path, value, deviceService, deviceName);
         break;
       case 'switch':
-        await this._handleSwitchUpdate(path, value, deviceService, deviceName);
+        await this._handleSwitchUpdate(path, value, deviceService, deviceInstance);
         break;
       case 'environment':
         await this._handleEnvironmentUpdate(path, value, deviceService, deviceName);
         break;
+      case 'solarcharger':
+        await this._handleSolarUpdate(path, value, deviceService, deviceInstance);
+        break;
+      case 'alternator':
+        await this._handleAlternatorUpdate(path, value, deviceService, deviceInstance);
+        break;
+      case 'gps':
+        await this._handleGpsUpdate(path, value, deviceService, deviceInstance);
+        break;
+      case 'meteo':
+        await this._handleMeteoUpdate(path, value, deviceService, deviceName);
+        break;
+      case 'digitalinput':
+        await this._handleNotificationUpdate(path, value, deviceService, deviceName);
+        break;
     }
   }
 
   async _handleTankUpdate(path, value, deviceService, deviceName) {
     if (path.includes('currentLevel')) {
-      if (typeof value === 'number' && !isNaN(value)) {
-        const levelPercent = value * 100;
+      const levelPercent = this.unitConverter.convert(path, value, 'ratio', '%');
+      if (levelPercent !== null) {
         await deviceService.updateProperty('/Level', levelPercent, 'd', `${deviceName} level`);
         if ("/Capacity" in deviceService.deviceData)
         {
-          await deviceService.updateProperty('/Remaining', value * deviceService.deviceData["/Capacity"], 'd', `${deviceName} level`);
+          await deviceService.updateProperty('/Remaining', levelPercent / 100 * deviceService.deviceData["/Capacity"], 'd', `${deviceName} level`);
         }
         this.emit('dataUpdated', 'Tank Level', `${deviceName}: ${levelPercent.toFixed(1)}%`);
       }
@@ -1487,11 +2005,24 @@ export class VenusClient extends EventEmitter {
       return;
     }
     
+    // BMS detail - handled before the generic checks below, which would take a cell voltage for the battery voltage
+    const bmsValue = matchBmsPath(path);
+    if (bmsValue) {
+      await this._handleBmsUpdate(devicePath, bmsValue, value, deviceService, deviceName);
+      return;
+    }
+    
     if (path.includes('voltage')) {
       if (typeof value === 'number' && !isNaN(value)) {
         await deviceService.updateProperty('/Dc/0/Voltage', value, 'd', `${deviceName} voltage`);
         this.emit('dataUpdated', 'Battery Voltage', `${deviceName}: ${value.toFixed(2)}V`);
         
+        // A capacity that arrived before the first voltage can be converted now
+        const pendingCapacity = this.pendingCapacities.get(devicePath);
+        if (pendingCapacity) {
+          await this._publishBatteryCapacity(devicePath, pendingCapacity.path, pendingCapacity.value, deviceService, deviceName);
+        }
+        
         // Update history with current values
         const current = this._getCurrentSignalKValue(`${devicePath}.current`);
         const power = this._getCurrentSignalKValue(`${devicePath}.power`);
@@ -1525,6 +2056,14 @@ export class VenusClient extends EventEmitter {
           await this._updateHistoryProperties(deviceService, history);
         }
         
+        // Estimate SOC from the shunt current for batteries without a native SOC
+        if (this.socEstimator && !this._socCandidates.has(devicePath)) {
+          this._socCandidates.set(devicePath, Date.now());
+        }
+        if (this._usesSocEstimator(devicePath)) {
+          await this._updateSocEstimate(devicePath, deviceService, deviceName, value);
+        }
+        
         // Calculate power if we have both voltage and current
         await this._calculateAndUpdatePower(deviceService, deviceName);
         
@@ -1536,7 +2075,16 @@ export class VenusClient extends EventEmitter {
       }
     } else if (path.includes('stateOfCharge') || (path.includes('capacity') && path.includes('state'))) {
       if (typeof value === 'number' && !isNaN(value)) {
-        const socPercent = value > 1 ? value : value * 100;
+        this._nativeSocBatteries.add(devicePath);
+        if (this._usesSocEstimator(devicePath)) {
+          // Battery is explicitly configured for the SOC estimator - ignore the native SOC
+          return;
+        }
+        
+        const socPercent = this.unitConverter.convert(path, value, 'ratio', '%');
+        if (socPercent === null) {
+          return;
+        }
         
         // Protect against spurious 0% SOC values that can occur during Venus OS reconnection
         // Only allow 0% SOC if we have a valid current reading indicating actual discharge
@@ -1586,24 +2134,7 @@ export class VenusClient extends EventEmitter {
       }
     } else if (path.includes('capacity') && !path.includes('state')) {
       if (typeof value === 'number' && !isNaN(value)) {
-        // Signal K capacity is in Joules, convert to Ah: Joules / (Voltage * 3600)
-        const currentVoltage = deviceService.deviceData['/Dc/0/Voltage'];
-        let capacityAh;
-        
-        if (currentVoltage && typeof currentVoltage === 'number' && currentVoltage > 0) {
-          capacityAh = value / (currentVoltage * 3600);
-          this.logger.debug(`🔋 Capacity conversion: ${value}J ÷ (${currentVoltage}V × 3600) = ${capacityAh.toFixed(1)}Ah`);
-        } else {
-          // Fallback: use typical 12V if voltage not available
-          capacityAh = value / (12 * 3600);
-          this.logger.debug(`🔋 Capacity conversion (12V fallback): ${value}J ÷ (12V × 3600) = ${capacityAh.toFixed(1)}Ah`);
-        }
-        
-        await deviceService.updateProperty('/Capacity', capacityAh, 'd', `${deviceName} capacity`);
-        this.emit('dataUpdated', 'Battery Capacity', `${deviceName}: ${capacityAh.toFixed(1)}Ah`);
-        
-        // Update battery dummy data with new capacity
-        await this._updateBatteryDummyData(deviceService, deviceName);
+        await this._publishBatteryCapacity(devicePath, path, value, deviceService, deviceName);
       }
     } else if (path.includes('consumed')) {
       if (typeof value === 'number' && !isNaN(value)) {
@@ -1617,21 +2148,8 @@ export class VenusClient extends EventEmitter {
         this.emit('dataUpdated', 'Battery Power', `${deviceName}: ${value.toFixed(1)}W`);
       }
     } else if (path.includes('temperature')) {
-      if (typeof value === 'number' && !isNaN(value)) {
-        let tempCelsius;
-        
-        // Convert temperature from Kelvin to Celsius if needed
-        // SignalK typically uses Kelvin for temperatures
-        // Normal battery temperatures are -40°C to +80°C (-40°F to +176°F)
-        // In Kelvin: 233K to 353K
-        if (value > 100) {
-          // Likely Kelvin (anything above 100 is probably Kelvin)
-          tempCelsius = value - 273.15;
-        } else {
-          // Likely already in Celsius
-          tempCelsius = value;
-        }
-        
+      const tempCelsius = this.unitConverter.convert(path, value, 'K', 'C');
+      if (tempCelsius !== null) {
         // Sanity check for reasonable battery temperatures
         if (tempCelsius < -50 || tempCelsius > 100) {
           this.logger.warn(`⚠️ Battery temperature seems unreasonable: ${tempCelsius.toFixed(1)}°C (from ${value})`);
@@ -1643,39 +2161,279 @@ export class VenusClient extends EventEmitter {
     } else {
       // Unhandled battery path - could log for debugging if needed
     }
+    
+    // Re-evaluate alarms from the latest published measurements
+    await this._updateBatteryAlarms(devicePath, deviceService, deviceName);
+    
+    // Track discharges, cycles and full charges from the latest SOC
+    await this._updateHistoryCounters(devicePath, deviceService);
   }
 
-  async _handleSwitchUpdate(path, value, deviceService, deviceName) {
+  // Publish cell voltages, balancing and the DVCC charge limits of a lithium BMS
+  async _handleBmsUpdate(devicePath, { key, cell }, value, deviceService, deviceName) {
+    if (!this.bmsStates.has(devicePath)) {
+      this.bmsStates.set(devicePath, this.batteryBms.createState());
+    }
+    const updates = this.batteryBms.update(this.bmsStates.get(devicePath), key, value, cell)
+      .flatMap(update => this._guardDvccUpdate(devicePath, update));
+    await this._publishBmsUpdates(devicePath, deviceService, deviceName, updates);
+  }
+
+  // Limits and permissions DVCC acts on pass the DVCC guard - without the opt-in they aren't published
+  _guardDvccUpdate(devicePath, update) {
+    const dvccKey = Object.keys(DVCC_PATHS).find(key => DVCC_PATHS[key].path === update.path);
+    if (!dvccKey) {
+      return [update];
+    }
+    if (!this.dvccGuard.controls(devicePath)) {
+      return [];
+    }
+    if (!this.dvccStates.has(devicePath)) {
+      this.dvccStates.set(devicePath, this.dvccGuard.createState());
+      this._startDvccWatchdog();
+    }
+    return this.dvccGuard.request(this.dvccStates.get(devicePath), devicePath, dvccKey, update.value);
+  }
+
+  async _publishBmsUpdates(devicePath, deviceService, deviceName, updates) {
+    const dvccState = this.dvccStates.get(devicePath);
+    for (const update of updates) {
+      // Cell paths depend on the number of cells and aren't part of the device config
+      if (!this.deviceConfig.additionalProperties[update.path]) {
+        deviceService.customPaths[update.path] = { type: update.type, text: update.text };
+      }
+      await deviceService.updateProperty(update.path, update.value, update.type, `${deviceName} ${update.text.toLowerCase()}`);
+      // DVCC limits only count as published once sent
+      if (dvccState) {
+        this.dvccGuard.commit(dvccState, devicePath, [update]);
+      }
+    }
+  }
+
+  async _updateHistoryCounters(devicePath, deviceService) {
+    if (this._internalDeviceType !== 'battery') {
+      return;
+    }
+    
+    const history = this.historyData.get(devicePath);
+    if (!history) {
+      return; // Created with the first voltage or current update
+    }
+    
+    const changed = this.batteryHistory.update(history, {
+      soc: deviceService.deviceData['/Soc'],
+      consumedAh: deviceService.deviceData['/ConsumedAmphours']
+    });
+    if (changed) {
+      await this._updateHistoryCounterProperties(deviceService, history);
+    }
+  }
+
+  async _updateHistoryCounterProperties(deviceService, history) {
+    for (const [path, value] of Object.entries(this.batteryHistory.toDbus(history))) {
+      // Discharges are in Ah, everything else is a count or seconds
+      const type = path.endsWith('Discharge') ? 'd' : 'i';
+      await deviceService.updateProperty(path, value, type, path.slice('/History/'.length));
+    }
+  }
+
+  async _updateBatteryAlarms(devicePath, deviceService, deviceName) {
+    if (!this.batteryAlarms || this._internalDeviceType !== 'battery') {
+      return;
+    }
+    
+    if (!this.batteryAlarmStates.has(devicePath)) {
+      this.batteryAlarmStates.set(devicePath, this.batteryAlarms.createState());
+    }
+    const state = this.batteryAlarmStates.get(devicePath);
+    
+    const levels = this.batteryAlarms.evaluate(state, deviceService.deviceData);
+    for (const [name, level] of Object.entries(levels)) {
+      const definition = BATTERY_ALARMS[name];
+      const previousLevel = deviceService.deviceData[definition.path] || 0;
+      if (deviceService.deviceData[definition.path] === level) {
+        continue;
+      }
+      
+      // Voltage alarms raised from ok are counted in /History/LowVoltageAlarms and /History/HighVoltageAlarms
+      const history = this.historyData.get(devicePath);
+      if (history && previousLevel === 0 && level > 0) {
+        this.batteryHistory.recordVoltageAlarm(history, name);
+      }
+      await deviceService.updateProperty(definition.path, level, 'i', definition.text);
+      
+      const status = ['ok', 'warning', 'alarm'][level];
+      if (level > 0) {
+        this.logger.warn(`Battery alarm ${definition.text} for ${deviceName}: ${status}`);
+      }
+      this.emit('dataUpdated', 'Battery Alarm', `${deviceName}: ${definition.text} ${status}`);
+    }
+  }
+
+  // Whether the SOC estimator drives /Soc for this battery - listed batteries always, otherwise every
+  // battery that has sent current for nativeSocTimeout seconds without reporting a native stateOfCharge.
+  // Which batteries report a native SOC is only known in memory, so the grace period keeps a restart from
+  // estimating them until their first SOC delta arrives.
+  _usesSocEstimator(devicePath) {
+    if (!this.socEstimator || !devicePath) {
+      return false;
+    }
+    const settings = this.settings.batteryMonitor?.socEstimator;
+    if (Array.isArray(settings?.batteries) && settings.batteries.length > 0) {
+      return settings.batteries.includes(devicePath);
+    }
+    if (this._nativeSocBatteries.has(devicePath) || !this._socCandidates.has(devicePath)) {
+      return false;
+    }
+    const timeout = (settings?.nativeSocTimeout ?? 60) * 1000;
+    return Date.now() - this._socCandidates.get(devicePath) >= timeout;
+  }
+
+  async _updateSocEstimate(devicePath, deviceService, deviceName, current) {
+    const capacity = this.settings.batteryMonitor?.socEstimator?.capacity ||
+                     deviceService.deviceData['/Capacity'] ||
+                     this.settings.batteryMonitor?.batteryCapacity;
+    if (typeof capacity !== 'number' || isNaN(capacity) || capacity <= 0) {
+      this.logger.debug(`SOC estimator: no capacity known for ${devicePath}`);
+      return;
+    }
+
+    // Estimator state lives in the history entry so it is persisted with the battery history
+    const history = this.historyData.get(devicePath);
+    if (!history) {
+      this.logger.debug(`SOC estimator: no history entry yet for ${devicePath}`);
+      return;
+    }
+    if (!history.socEstimator) {
+      history.socEstimator = this.socEstimator.createState(
+        this.settings.batteryMonitor?.socEstimator?.initialSoc ?? null,
+        capacity
+      );
+      this.logger.debug(`SOC estimator: started for ${devicePath}`);
+    }
+
+    const voltage = deviceService.deviceData['/Dc/0/Voltage'];
+    const result = this.socEstimator.update(history.socEstimator, current, voltage, capacity);
+
+    await deviceService.updateProperty('/Soc', result.soc, 'd', `${deviceName} state of charge`);
+    await deviceService.updateProperty('/ConsumedAmphours', result.consumedAh, 'd', `${deviceName} consumed Ah`);
+    await deviceService.updateProperty('/TimeToGo', result.timeToGo, 'i', `${deviceName} time to go`);
+    this.emit('dataUpdated', 'Battery SoC', `${deviceName}: ${result.soc.toFixed(1)}% (estimated)`);
+  }
+
+  async _handleSwitchUpdate(path, value, deviceService, deviceInstance) {
+    const deviceName = deviceInstance.name;
+    const prefix = `/SwitchableOutput/${deviceInstance.channel}`;
+
     if (path.includes('state')) {
       if (typeof value === 'boolean') {
         const stateValue = value ? 1 : 0;
-        await deviceService.updateProperty('/State', stateValue, 'i', `${deviceName} state`);
+        await deviceService.updateProperty(`${prefix}/State`, stateValue, 'i', `${deviceName} state`);
+        // Status: 0x00 = off, 0x09 = on (output active)
+        await deviceService.updateProperty(`${prefix}/Status`, value ? 0x09 : 0x00, 'i', `${deviceName} status`);
         this.emit('dataUpdated', 'Switch State', `${deviceName}: ${value ? 'ON' : 'OFF'}`);
       }
     } else if (path.includes('dimmingLevel')) {
-      if (typeof value === 'number' && !isNaN(value)) {
-        const levelPercent = value > 1 ? value : value * 100;
-        await deviceService.updateProperty('/DimmingLevel', levelPercent, 'i', `${deviceName} dimming level`);
+      const levelPercent = this.unitConverter.convert(path, value, 'ratio', '%');
+      if (levelPercent !== null) {
+        if (!deviceInstance.dimmable) {
+          deviceInstance.dimmable = true;
+          await deviceService.updateProperty(`${prefix}/Settings/Type`, 2, 'i', `${deviceName} type`);
+        }
+        await deviceService.updateProperty(`${prefix}/Dimming`, levelPercent, 'd', `${deviceName} dimming level`);
         this.emit('dataUpdated', 'Switch Dimming', `${deviceName}: ${levelPercent.toFixed(0)}%`);
       }
     } else if (path.includes('position')) {
       if (typeof value === 'number' && !isNaN(value)) {
-        await deviceService.updateProperty('/Position', value, 'i', `${deviceName} position`);
+        await deviceService.updateProperty(`${prefix}/Position`, value, 'i', `${deviceName} position`);
         this.emit('dataUpdated', 'Switch Position', `${deviceName}: ${value}`);
       }
     }
   }
 
+  // Handle a value written by Venus OS on one of our services and re-emit it as a Signal K write request
+  _handleVenusValueChange(basePath, event) {
+    // History reset is handled here - there is no Signal K path behind it
+    if (this._internalDeviceType === 'battery' && event.path === '/History/Clear') {
+      if (event.value) {
+        this.clearHistory(basePath, { source: `Venus OS (${event.service})` }).catch(err => {
+          this.logger.error(`Failed to clear history for ${basePath}: ${err.message}`);
+        });
+      }
+      return;
+    }
+    
+    const target = this._mapVenusToSignalK(basePath, event.path, event.value);
+    if (!target) {
+      this.logger.debug(`No Signal K mapping for Venus write ${event.service}${event.path} = ${event.value}`);
+      return;
+    }
+
+    this.logger.debug(`Venus OS changed ${event.service}${event.path} to ${event.value} -> ${target.path} = ${target.value}`);
+    this.emit('valueChanged', {
+      path: target.path,
+      value: target.value,
+      basePath: basePath,
+      venusPath: event.path,
+      venusValue: event.value,
+      previousValue: event.previousValue,
+      type: event.type
+    });
+  }
+
+  // Map a Venus OS D-Bus path/value back to the originating Signal K path/value
+  _mapVenusToSignalK(basePath, venusPath, value) {
+    if (typeof value !== 'number' || isNaN(value)) {
+      return null;
+    }
+
+    switch (this._internalDeviceType) {
+      case 'switch': {
+        // /SwitchableOutput/<channel>/State -> /State
+        const channelPath = venusPath.replace(this.deviceConfig.channelPrefix, '');
+        if (channelPath === '/State') {
+          return { path: `${basePath}.state`, value: value !== 0 };
+        }
+        if (channelPath === '/Dimming') {
+          // Venus uses 0-100%, Signal K uses a 0-1 ratio
+          return { path: `${basePath}.dimmingLevel`, value: Math.min(Math.max(value, 0), 100) / 100 };
+        }
+        if (channelPath === '/Position') {
+          return { path: `${basePath}.position`, value: value };
+        }
+        return null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // Restore the previous D-Bus value after Signal K rejected a write coming from Venus OS
+  async revertVenusValue(event) {
+    const deviceService = this.deviceServices.get(event.basePath);
+    if (!deviceService || event.previousValue === undefined || event.previousValue === null) {
+      return;
+    }
+
+    try {
+      await deviceService.updateProperty(event.venusPath, event.previousValue, event.type || 'i');
+      this.logger.debug(`Reverted ${event.basePath} ${event.venusPath} to ${event.previousValue}`);
+    } catch (err) {
+      this.logger.error(`Failed to revert ${event.venusPath} for ${event.basePath}: ${err.message}`);
+    }
+  }
+
   async _handleEnvironmentUpdate(path, value, deviceService, deviceName) {
     if (path.includes('temperature')) {
-      if (typeof value === 'number' && !isNaN(value)) {
-        const tempCelsius = value > 200 ? value - 273.15 : value; // Convert from Kelvin if needed
+      const tempCelsius = this.unitConverter.convert(path, value, 'K', 'C');
+      if (tempCelsius !== null) {
         await deviceService.updateProperty('/Temperature', tempCelsius, 'd', `${deviceName} temperature`);
         this.emit('dataUpdated', 'Environment Temperature', `${deviceName}: ${tempCelsius.toFixed(1)}°C`);
       }
     } else if (path.includes('humidity') || path.includes('relativeHumidity')) {
-      if (typeof value === 'number' && !isNaN(value)) {
-        const humidityPercent = value > 1 ? value : value * 100;
+      const humidityPercent = this.unitConverter.convert(path, value, 'ratio', '%');
+      if (humidityPercent !== null) {
         this.logger.debug(`Environment ${deviceName}: Updating /Humidity = ${humidityPercent.toFixed(1)}%`);
         await deviceService.updateProperty('/Humidity', humidityPercent, 'd', `${deviceName} humidity`);
         this.emit('dataUpdated', 'Environment Humidity', `${deviceName}: ${humidityPercent.toFixed(1)}%`);
@@ -1683,6 +2441,305 @@ export class VenusClient extends EventEmitter {
     }
   }
 
+  async _handleSolarUpdate(path, value, deviceService, deviceInstance) {
+    const deviceName = deviceInstance.name;
+    const stats = await this._getSolarDailyStats(deviceInstance.basePath, deviceService);
+
+    if (path.endsWith('.panelPower')) {
+      if (typeof value === 'number' && !isNaN(value)) {
+        await deviceService.updateProperty('/Yield/Power', value, 'd', `${deviceName} PV power`);
+
+        // Integrate PV power into today's yield unless the charger reports its own yield
+        const now = Date.now();
+        if (!stats.yieldReported && stats.lastPowerTime !== null) {
+          // Cap the interval so a data gap does not add a large jump in yield
+          const hours = Math.min(now - stats.lastPowerTime, 60000) / 3600000;
+          stats.yield += Math.max(value, 0) * hours / 1000; // kWh
+          await deviceService.updateProperty('/History/Daily/0/Yield', stats.yield, 'd', `${deviceName} yield today`);
+        }
+        stats.lastPowerTime = now;
+
+        if (stats.maxPower === null || value > stats.maxPower) {
+          stats.maxPower = value;
+          await deviceService.updateProperty('/History/Daily/0/MaxPower', value, 'd', `${deviceName} max power today`);
+        }
+        this.emit('dataUpdated', 'Solar Power', `${deviceName}: ${value.toFixed(0)}W`);
+      }
+    } else if (path.endsWith('.panelVoltage')) {
+      if (typeof value === 'number' && !isNaN(value)) {
+        await deviceService.updateProperty('/Pv/V', value, 'd', `${deviceName} PV voltage`);
+        if (stats.maxPvVoltage === null || value > stats.maxPvVoltage) {
+          stats.maxPvVoltage = value;
+          await deviceService.updateProperty('/History/Daily/0/MaxPvVoltage', value, 'd', `${deviceName} max PV voltage today`);
+        }
+        this.emit('dataUpdated', 'Solar PV Voltage', `${deviceName}: ${value.toFixed(1)}V`);
+      }
+    } else if (path.endsWith('.panelCurrent')) {
+      if (typeof value === 'number' && !isNaN(value)) {
+        await deviceService.updateProperty('/Pv/I', value, 'd', `${deviceName} PV current`);
+      }
+    } else if (path.endsWith('.voltage')) {
+      if (typeof value === 'number' && !isNaN(value)) {
+        await deviceService.updateProperty('/Dc/0/Voltage', value, 'd', `${deviceName} battery voltage`);
+        if (stats.maxBatteryVoltage === null || value > stats.maxBatteryVoltage) {
+          stats.maxBatteryVoltage = value;
+          await deviceService.updateProperty('/History/Daily/0/MaxBatteryVoltage', value, 'd', `${deviceName} max battery voltage today`);
+        }
+        if (stats.minBatteryVoltage === null || value < stats.minBatteryVoltage) {
+          stats.minBatteryVoltage = value;
+          await deviceService.updateProperty('/History/Daily/0/MinBatteryVoltage', value, 'd', `${deviceName} min battery voltage today`);
+        }
+        this.emit('dataUpdated', 'Solar Voltage', `${deviceName}: ${value.toFixed(2)}V`);
+      }
+    } else if (path.endsWith('.current')) {
+      if (typeof value === 'number' && !isNaN(value)) {
+        await deviceService.updateProperty('/Dc/0/Current', value, 'd', `${deviceName} battery current`);
+        this.emit('dataUpdated', 'Solar Current', `${deviceName}: ${value.toFixed(1)}A`);
+      }
+    } else if (path.endsWith('.yieldToday')) {
+      if (typeof value === 'number' && !isNaN(value)) {
+        // Signal K reports yield in Joules, Venus OS expects kWh
+        const yieldKwh = this.unitConverter.convert(path, value, 'J', 'kWh');
+        if (yieldKwh === null) {
+          return;
+        }
+        stats.yieldReported = true;
+        stats.yield = yieldKwh;
+        await deviceService.updateProperty('/History/Daily/0/Yield', stats.yield, 'd', `${deviceName} yield today`);
+      }
+    } else if (path.endsWith('.chargingMode')) {
+      if (typeof value === 'string') {
+        const state = this.deviceConfig.chargeStates[value.toLowerCase()];
+        if (state !== undefined) {
+          await deviceService.updateProperty('/State', state, 'i', `${deviceName} charge state`);
+          this.emit('dataUpdated', 'Solar State', `${deviceName}: ${value}`);
+        } else {
+          this.logger.debug(`Unknown solar charging mode '${value}' for ${deviceInstance.basePath}`);
+        }
+      }
+    }
+  }
+
+  async _handleAlternatorUpdate(path, value, deviceService, deviceInstance) {
+    const deviceName = deviceInstance.name;
+    if (typeof value !== 'number' || isNaN(value)) {
+      return;
+    }
+
+    switch (this._getAlternatorProperty(path)) {
+      case 'voltage':
+        await deviceService.updateProperty('/Dc/0/Voltage', value, 'd', `${deviceName} voltage`);
+        this.emit('dataUpdated', 'Alternator Voltage', `${deviceName}: ${value.toFixed(2)}V`);
+        break;
+      case 'current':
+        await deviceService.updateProperty('/Dc/0/Current', value, 'd', `${deviceName} current`);
+        this.emit('dataUpdated', 'Alternator Current', `${deviceName}: ${value.toFixed(1)}A`);
+        break;
+      case 'power':
+        await deviceService.updateProperty('/Dc/0/Power', value, 'd', `${deviceName} power`);
+        this.emit('dataUpdated', 'Alternator Power', `${deviceName}: ${value.toFixed(0)}W`);
+        break;
+      case 'fieldDrive': {
+        const fieldDrivePercent = this.unitConverter.convert(path, value, 'ratio', '%');
+        if (fieldDrivePercent === null) {
+          break;
+        }
+        await deviceService.updateProperty('/FieldDrive', fieldDrivePercent, 'd', `${deviceName} field drive`);
+        this.emit('dataUpdated', 'Alternator Field Drive', `${deviceName}: ${fieldDrivePercent.toFixed(0)}%`);
+        break;
+      }
+      case 'temperature': {
+        const tempCelsius = this.unitConverter.convert(path, value, 'K', 'C');
+        if (tempCelsius === null) {
+          break;
+        }
+        await deviceService.updateProperty('/Dc/0/Temperature', tempCelsius, 'd', `${deviceName} temperature`);
+        this.emit('dataUpdated', 'Alternator Temperature', `${deviceName}: ${tempCelsius.toFixed(1)}°C`);
+        break;
+      }
+      case 'revolutions': {
+        // Signal K reports alternator revolutions in Hz, Venus OS expects RPM
+        const alternatorRpm = value * 60;
+        await deviceService.updateProperty('/Speed', alternatorRpm, 'd', `${deviceName} speed`);
+
+        // Engine speed needs the pulley ratio - from Signal K, or from the directDcDevices entry
+        const pulleyRatio = deviceInstance.pulleyRatio || this._getDirectAlternatorDevice(path)?.pulleyRatio;
+        if (typeof pulleyRatio === 'number' && pulleyRatio > 0) {
+          const engineRpm = alternatorRpm / pulleyRatio;
+          await deviceService.updateProperty('/Engine/Speed', engineRpm, 'd', `${deviceName} engine speed`);
+          this.emit('dataUpdated', 'Alternator Engine Speed', `${deviceName}: ${engineRpm.toFixed(0)} RPM`);
+        }
+        break;
+      }
+      case 'pulleyRatio':
+        if (value > 0) {
+          deviceInstance.pulleyRatio = value;
+        }
+        break;
+    }
+  }
+
+  async _handleGpsUpdate(path, value, deviceService, deviceInstance) {
+    const deviceName = deviceInstance.name;
+
+    switch (path) {
+      case 'navigation.position':
+        if (value && typeof value.latitude === 'number' && typeof value.longitude === 'number') {
+          await deviceService.updateProperty('/Position/Latitude', value.latitude, 'd', `${deviceName} latitude`);
+          await deviceService.updateProperty('/Position/Longitude', value.longitude, 'd', `${deviceName} longitude`);
+          if (typeof value.altitude === 'number' && !isNaN(value.altitude)) {
+            await deviceService.updateProperty('/Altitude', value.altitude, 'd', `${deviceName} altitude`);
+          }
+          // Without a reported fix quality a valid position means we have a fix
+          if (!deviceInstance.fixQualityReported) {
+            await deviceService.updateProperty('/Fix', 1, 'i', `${deviceName} fix`);
+          }
+          this.emit('dataUpdated', 'GPS Position', `${deviceName}: ${value.latitude.toFixed(5)}, ${value.longitude.toFixed(5)}`);
+        }
+        break;
+
+      case 'navigation.speedOverGround':
+        // Signal K and Venus OS both use m/s
+        if (typeof value === 'number' && !isNaN(value)) {
+          await deviceService.updateProperty('/Speed', value, 'd', `${deviceName} speed`);
+          this.emit('dataUpdated', 'GPS Speed', `${deviceName}: ${value.toFixed(1)}m/s`);
+        }
+        break;
+
+      case 'navigation.courseOverGroundTrue':
+        // Signal K uses radians, Venus OS degrees
+        if (typeof value === 'number' && !isNaN(value)) {
+          const courseDegrees = ((value * 180 / Math.PI) % 360 + 360) % 360;
+          await deviceService.updateProperty('/Course', courseDegrees, 'd', `${deviceName} course`);
+          this.emit('dataUpdated', 'GPS Course', `${deviceName}: ${courseDegrees.toFixed(0)}°`);
+        }
+        break;
+
+      case 'navigation.gnss.satellites':
+        if (typeof value === 'number' && !isNaN(value)) {
+          await deviceService.updateProperty('/NrOfSatellites', Math.round(value), 'i', `${deviceName} satellites`);
+        }
+        break;
+
+      case 'navigation.gnss.methodQuality':
+        if (typeof value === 'string') {
+          deviceInstance.fixQualityReported = true;
+          const fix = this.deviceConfig.noFixQualities.includes(value.toLowerCase()) ? 0 : 1;
+          await deviceService.updateProperty('/Fix', fix, 'i', `${deviceName} fix`);
+          this.emit('dataUpdated', 'GPS Fix', `${deviceName}: ${value}`);
+        }
+        break;
+
+      case 'navigation.gnss.antennaAltitude':
+        if (typeof value === 'number' && !isNaN(value)) {
+          await deviceService.updateProperty('/Altitude', value, 'd', `${deviceName} altitude`);
+        }
+        break;
+    }
+  }
+
+  async _handleMeteoUpdate(path, value, deviceService, deviceName) {
+    if (typeof value !== 'number' || isNaN(value)) {
+      return;
+    }
+
+    switch (path) {
+      case 'environment.wind.speedTrue':
+        // Signal K and Venus OS both use m/s
+        await deviceService.updateProperty('/WindSpeed', value, 'd', `${deviceName} wind speed`);
+        this.emit('dataUpdated', 'Meteo Wind Speed', `${deviceName}: ${value.toFixed(1)}m/s`);
+        break;
+      case 'environment.wind.directionTrue': {
+        // Signal K uses radians, Venus OS degrees
+        const directionDegrees = ((value * 180 / Math.PI) % 360 + 360) % 360;
+        await deviceService.updateProperty('/WindDirection', directionDegrees, 'd', `${deviceName} wind direction`);
+        this.emit('dataUpdated', 'Meteo Wind Direction', `${deviceName}: ${directionDegrees.toFixed(0)}°`);
+        break;
+      }
+      case 'environment.outside.solarRadiation':
+        // W/m² in both Signal K and Venus OS
+        await deviceService.updateProperty('/Irradiance', value, 'd', `${deviceName} irradiance`);
+        this.emit('dataUpdated', 'Meteo Irradiance', `${deviceName}: ${value.toFixed(0)}W/m²`);
+        break;
+      case 'environment.outside.temperature': {
+        const tempCelsius = this.unitConverter.convert(path, value, 'K', 'C');
+        if (tempCelsius === null) {
+          break;
+        }
+        await deviceService.updateProperty('/ExternalTemperature', tempCelsius, 'd', `${deviceName} external temperature`);
+        this.emit('dataUpdated', 'Meteo Temperature', `${deviceName}: ${tempCelsius.toFixed(1)}°C`);
+        break;
+      }
+      case 'environment.outside.pressure': {
+        // Signal K uses Pa, Venus OS hPa
+        const pressureHpa = value / 100;
+        await deviceService.updateProperty('/Pressure', pressureHpa, 'd', `${deviceName} pressure`);
+        this.emit('dataUpdated', 'Meteo Pressure', `${deviceName}: ${pressureHpa.toFixed(1)}hPa`);
+        break;
+      }
+    }
+  }
+
+  async _handleNotificationUpdate(path, value, deviceService, deviceName) {
+    if (value === null || typeof value !== 'object' || typeof value.state !== 'string') {
+      return;
+    }
+
+    const typeName = this._getNotificationInputType(path);
+    const inputType = this.deviceConfig.inputTypes[typeName];
+    if (deviceService.deviceData['/Type'] !== inputType) {
+      await deviceService.updateProperty('/Type', inputType, 'i', `${deviceName} input type`);
+    }
+
+    // Unknown notification states are treated as an alarm rather than silently ignored
+    const alarmLevel = this.deviceConfig.notificationAlarmLevels[value.state.toLowerCase()] ?? 2;
+    const [inactiveState, activeState] = this.deviceConfig.inputStates[typeName] || this.deviceConfig.inputStates.default;
+
+    await deviceService.updateProperty('/State', alarmLevel > 0 ? activeState : inactiveState, 'i', `${deviceName} input state`);
+    await deviceService.updateProperty('/Alarm', alarmLevel, 'i', `${deviceName} alarm`);
+    this.emit('dataUpdated', 'Notification', `${deviceName}: ${value.state}${value.message ? ` - ${value.message}` : ''}`);
+  }
+
+  // Daily solar statistics for /History/Daily/0 (today) and /History/Daily/1 (yesterday)
+  async _getSolarDailyStats(basePath, deviceService) {
+    const today = new Date().toDateString();
+    let stats = this.solarDailyStats.get(basePath);
+
+    if (stats && stats.day !== today) {
+      // New day - today's values become yesterday's
+      const history = [
+        ['Yield', stats.yield],
+        ['MaxPower', stats.maxPower],
+        ['MaxPvVoltage', stats.maxPvVoltage],
+        ['MaxBatteryVoltage', stats.maxBatteryVoltage],
+        ['MinBatteryVoltage', stats.minBatteryVoltage]
+      ];
+      for (const [name, value] of history) {
+        if (value !== null) {
+          await deviceService.updateProperty(`/History/Daily/1/${name}`, value, 'd', `${name} yesterday`);
+        }
+      }
+      await deviceService.updateProperty('/History/Daily/0/Yield', 0, 'd', 'Yield today');
+      stats = null;
+    }
+
+    if (!stats) {
+      stats = {
+        day: today,
+        yield: 0, // kWh
+        yieldReported: false,
+        lastPowerTime: null,
+        maxPower: null,
+        maxPvVoltage: null,
+        maxBatteryVoltage: null,
+        minBatteryVoltage: null
+      };
+      this.solarDailyStats.set(basePath, stats);
+    }
+
+    return stats;
+  }
+
   // Start periodic history updates to ensure consumption tracking continues
   // even when no Signal K updates are coming in (e.g., solar disconnected)
   startPeriodicHistoryUpdates() {
@@ -1731,12 +2788,340 @@ export class VenusClient extends EventEmitter {
     }
   }
 
+  /**
+   * Publish a value matched by a custom mapping rule - the device is created with its first mapped value
+   * @param {string} basePath - Base path of the virtual device, may be the path of a regular device
+   * @param {string} dbusPath - D-Bus path to publish
+   * @param {number|string} value - Value converted by the rule
+   * @param {Object} options
+   * @param {string} options.type - D-Bus type ('d', 'i' or 's')
+   * @param {string} options.text - D-Bus description text
+   * @param {string|null} options.name - Device name unless a device override names it
+   */
+  async handleMappedUpdate(basePath, dbusPath, value, { type = 'd', text = dbusPath, name = null } = {}) {
+    this._recordFreshData(basePath);
+    this.mappedDevices.add(basePath);
+    
+    if (!this.deviceServices.has(basePath)) {
+      const deviceInstance = await this._getOrCreateDeviceInstance(basePath, { basePath, name });
+      if (!deviceInstance) {
+        this.logger.error(`Failed to create device for custom mapping ${basePath}`);
+        return;
+      }
+    }
+    
+    const deviceService = this.deviceServices.get(basePath);
+    if (!deviceService?.isConnected) {
+      this.logger.warn(`⚠️ Device service ${basePath} not connected yet - mapped value ${dbusPath} = ${value} will be dropped`);
+      return;
+    }
+    
+    // Paths unknown to the device config keep the rule's type and text in GetItems
+    deviceService.customPaths[dbusPath] = { type, text };
+    await deviceService.updateProperty(dbusPath, value, type, text);
+  }
+
+  /**
+   * Feed a member battery value to the battery banks it belongs to and publish the combined bank
+   * @param {string} path - Signal K path of the member value
+   * @param {number} value - Signal K value
+   */
+  async handleBatteryBankUpdate(path, value) {
+    for (const bank of this.batteryBanks) {
+      const member = bank.match(path);
+      if (!member || !this._isOnTarget(bank.path)) {
+        continue;
+      }
+      
+      // Capacities stay in Joules until the bank is aggregated, so they don't depend on the voltage arriving first
+      const converted = member.units ? this.unitConverter.convert(path, value, member.units, member.target) : value;
+      if (typeof converted !== 'number' || !isFinite(converted)) {
+        continue;
+      }
+      
+      bank.update(member.battery, member.cell !== null ? `cell.${member.cell}` : member.key, converted);
+      await this._publishBatteryBank(bank, member.key);
+    }
+  }
+
+  // Publish the combined values of a battery bank on its own battery service
+  async _publishBatteryBank(bank, changedKey) {
+    this._recordFreshData(bank.path);
+    this.mappedDevices.add(bank.path);
+    
+    if (!this.deviceServices.has(bank.path)) {
+      const deviceInstance = await this._getOrCreateDeviceInstance(bank.path, { basePath: bank.path, name: bank.name });
+      if (!deviceInstance) {
+        this.logger.error(`Failed to create battery bank ${bank.path}`);
+        return;
+      }
+    }
+    
+    const deviceService = this.deviceServices.get(bank.path);
+    if (!deviceService?.isConnected) {
+      this.logger.warn(`⚠️ Battery bank ${bank.path} not connected yet - update will be dropped`);
+      return;
+    }
+    const deviceName = this.deviceInstances.get(bank.path)?.name || bank.path;
+    
+    // The warmest member is the bank temperature, so temperature alarms see a single hot battery.
+    // Members report one temperature per battery, so the cell temperature paths carry the coldest and
+    // warmest member - Venus OS has no other paths for the temperature spread of a battery.
+    const aggregate = bank.getAggregate(Date.now(), { nominalVoltage: this.settings.batteryMonitor?.nominalVoltage });
+    const properties = [
+      ['/Dc/0/Voltage', aggregate.voltage, 'voltage'],
+      ['/Dc/0/Current', aggregate.current, 'current'],
+      ['/Dc/0/Power', aggregate.power, 'power'],
+      ['/Capacity', aggregate.capacity, 'capacity'],
+      ['/Soc', aggregate.soc, 'state of charge'],
+      ['/Dc/0/Temperature', aggregate.maxTemperature, 'temperature'],
+      ['/System/MinCellTemperature', aggregate.minTemperature, 'lowest member battery temperature'],
+      ['/System/MaxCellTemperature', aggregate.maxTemperature, 'highest member battery temperature'],
+      ['/System/MinCellVoltage', aggregate.minCellVoltage, 'minimum cell voltage'],
+      ['/System/MaxCellVoltage', aggregate.maxCellVoltage, 'maximum cell voltage']
+    ];
+    for (const [dbusPath, value, text] of properties) {
+      if (value !== null) {
+        await deviceService.updateProperty(dbusPath, value, 'd', `${deviceName} ${text}`);
+      }
+    }
+    await deviceService.updateProperty('/System/NrOfBatteries', bank.batteries.length, 'i', 'Number of batteries');
+    
+    // Consumed Ah and time to go follow from the combined SOC, capacity and current
+    await this._updateBatteryDummyData(deviceService, deviceName);
+    
+    // The bank keeps its own history, persisted with the other batteries
+    if ((changedKey === 'voltage' || changedKey === 'current') && aggregate.voltage !== null) {
+      const history = await this.updateHistoryData(bank.path, aggregate.voltage, aggregate.current, aggregate.power);
+      if (history) {
+        await this._updateHistoryProperties(deviceService, history);
+      }
+    }
+    
+    await this._updateBatteryAlarms(bank.path, deviceService, deviceName);
+    await this._updateHistoryCounters(bank.path, deviceService);
+    await this._notifySystemService(deviceService, deviceName);
+  }
+
+  // Note a Signal K update for a device - a device with stale data is published as connected again,
+  // its invalidated values come back with their own updates
+  _recordFreshData(basePath) {
+    this.lastSeen.set(basePath, Date.now());
+    if (!this.staleCheckTimer) {
+      this._startStaleChecks();
+    }
+    
+    const deviceService = this.deviceServices.get(basePath);
+    if (deviceService && this.staleServices.delete(deviceService)) {
+      deviceService.setConnected(true);
+      this.logger.debug(`Signal K data for ${basePath} resumed - ${deviceService.dbusServiceName} connected again`);
+    }
+  }
+
+  // Stale timeouts of this device type in ms - 0 disables a stage
+  _getStaleTimeouts() {
+    const staleData = this.settings.staleData || {};
+    const timeouts = staleData[this.deviceType] || {};
+    return {
+      timeout: timeouts.timeout || 0,
+      removeAfter: timeouts.removeAfter || 0
+    };
+  }
+
+  _startStaleChecks() {
+    const { timeout, removeAfter } = this._getStaleTimeouts();
+    if (!timeout && !removeAfter) {
+      return;
+    }
+    this.staleCheckTimer = setInterval(() => {
+      this._checkStaleDevices().catch(err => this.logger.error(`Stale data check failed: ${err.message}`));
+    }, this.settings.staleData?.checkInterval || 10000);
+    this.staleCheckTimer.unref?.(); // Don't keep the server process alive for the checks
+  }
+
+  _startDvccWatchdog() {
+    if (this.dvccTimer) {
+      return;
+    }
+    this.dvccTimer = setInterval(() => {
+      this._checkDvcc().catch(err => this.logger.error(`DVCC watchdog failed: ${err.message}`));
+    }, 1000);
+    this.dvccTimer.unref?.(); // Don't keep the server process alive for the watchdog
+  }
+
+  _stopDvccWatchdog() {
+    if (this.dvccTimer) {
+      clearInterval(this.dvccTimer);
+      this.dvccTimer = null;
+    }
+  }
+
+  // Fall back when the BMS data of a controlled battery stops, and continue ramped limit increases.
+  // Updates that can't be sent yet are not committed, so the guard returns them again on a later check.
+  async _checkDvcc(now = Date.now()) {
+    for (const [devicePath, state] of this.dvccStates) {
+      const updates = this.dvccGuard.check(state, devicePath, now);
+      const deviceService = this.deviceServices.get(devicePath);
+      if (updates.length > 0 && deviceService?.isConnected) {
+        await this._publishBmsUpdates(devicePath, deviceService, this.deviceInstances.get(devicePath)?.name || devicePath, updates);
+      }
+    }
+  }
+
+  _stopStaleChecks() {
+    if (this.staleCheckTimer) {
+      clearInterval(this.staleCheckTimer);
+      this.staleCheckTimer = null;
+    }
+  }
+
+  // Mark services without recent Signal K data as disconnected with invalid values, and remove them
+  // after the longer grace period. Switch channels share a service - it is stale when all of them are.
+  async _checkStaleDevices(now = Date.now()) {
+    const { timeout, removeAfter } = this._getStaleTimeouts();
+    const services = new Map();
+    for (const [basePath, deviceService] of this.deviceServices) {
+      if (!deviceService) {
+        continue;
+      }
+      if (!services.has(deviceService)) {
+        services.set(deviceService, []);
+      }
+      services.get(deviceService).push(basePath);
+    }
+    
+    for (const [deviceService, basePaths] of services) {
+      const lastSeen = Math.max(...basePaths.map(basePath => this.lastSeen.get(basePath) ?? now));
+      const age = now - lastSeen;
+      
+      if (removeAfter && age >= removeAfter) {
+        this.logger.warn(`No Signal K data for ${basePaths.join(', ')} in ${Math.round(age / 1000)}s - removing ${deviceService.dbusServiceName}`);
+        await this.removeDevice(basePaths[0]);
+      } else if (timeout && age >= timeout && !this.staleServices.has(deviceService)) {
+        this.staleServices.add(deviceService);
+        deviceService.setConnected(false);
+        deviceService.invalidate(Object.keys(deviceService.deviceData).filter(path => !STATIC_PATH_PATTERN.test(path)));
+        this.logger.warn(`No Signal K data for ${basePaths.join(', ')} in ${Math.round(age / 1000)}s - ${deviceService.dbusServiceName} marked disconnected`);
+      }
+    }
+  }
+
+  // Remove a device from Venus OS without touching the other services of this client - used when a
+  // device is disabled or its overrides change. History is kept so it continues if the device returns.
+  async removeDevice(basePath) {
+    const deviceService = this.deviceServices.get(basePath);
+    if (!deviceService) {
+      return false;
+    }
+    
+    // Switch channels share their bank service - a channel with siblings only takes its own paths along
+    const deviceInstance = this.deviceInstances.get(basePath);
+    const bank = deviceInstance?.channel !== undefined ? this.switchBanks.get(deviceInstance.bank) : null;
+    if (bank && [...bank.channels.values()].some(path => path !== basePath)) {
+      bank.channels.delete(deviceInstance.channel);
+      this._forgetDevice(basePath);
+      deviceService.removeProperties(`/SwitchableOutput/${deviceInstance.channel}`);
+      this.logger.debug(`Removed switch ${basePath} (channel ${deviceInstance.channel}) from ${deviceService.dbusServiceName}`);
+      return true;
+    }
+    
+    const basePaths = [...this.deviceServices.entries()]
+      .filter(([, service]) => service === deviceService)
+      .map(([path]) => path);
+    for (const path of basePaths) {
+      this._forgetDevice(path);
+    }
+    this.staleServices.delete(deviceService);
+    for (const [bankName, switchBank] of this.switchBanks) {
+      if ([...switchBank.channels.values()].some(path => basePaths.includes(path))) {
+        this.switchBanks.delete(bankName);
+      }
+    }
+    
+    await this.saveHistoryData();
+    // The registry key is the device path, or the bank key for switch banks
+    const registryKey = deviceService.deviceInstance?.basePath;
+    if (registryKey) {
+      this.instanceRegistry.release(this.deviceConfig.serviceType, registryKey);
+    }
+    try {
+      deviceService.disconnect();
+    } catch (err) {
+      // Ignore disconnect errors
+    }
+    
+    this.logger.debug(`Removed ${deviceService.dbusServiceName} for ${basePaths.join(', ')}`);
+    return true;
+  }
+
+  // Drop the per-device state of a removed device
+  _forgetDevice(basePath) {
+    this.deviceServices.delete(basePath);
+    this.deviceInstances.delete(basePath);
+    this.batteryAlarmStates.delete(basePath);
+    this.bmsStates.delete(basePath);
+    this.dvccStates.delete(basePath);
+    this.pendingCapacities.delete(basePath);
+    this._socCandidates.delete(basePath);
+    this.lastSeen.delete(basePath);
+    this.mappedDevices.delete(basePath);
+  }
+
+  // Published state of every service of this client, for the plugin REST API
+  getDiagnostics() {
+    // Switch channels of one bank share a service - list the service once with all its paths
+    const services = new Map();
+    for (const [basePath, deviceService] of this.deviceServices) {
+      if (!deviceService) {
+        continue;
+      }
+      if (!services.has(deviceService)) {
+        const diagnostics = typeof deviceService.getDiagnostics === 'function'
+          ? deviceService.getDiagnostics()
+          : { serviceName: deviceService.dbusServiceName, isConnected: deviceService.isConnected, deviceData: { ...deviceService.deviceData } };
+        services.set(deviceService, { ...diagnostics, stale: this.staleServices.has(deviceService), lastSeen: null, basePaths: [] });
+      }
+      const service = services.get(deviceService);
+      service.basePaths.push(basePath);
+      const lastSeen = this.lastSeen.get(basePath);
+      if (lastSeen && (!service.lastSeen || lastSeen > Date.parse(service.lastSeen))) {
+        service.lastSeen = new Date(lastSeen).toISOString();
+      }
+    }
+    
+    return {
+      deviceType: this.deviceType,
+      serviceType: this.deviceConfig.serviceType,
+      services: [...services.values()],
+      unitIssues: this.unitConverter.getIssues(),
+      dvccAudit: this.dvccGuard.getAuditLog()
+    };
+  }
+
+  // Reconnect (or fully re-register) the service publishing a Signal K device
+  async reconnectService(basePath, { reregister = false } = {}) {
+    const deviceService = this.deviceServices.get(basePath);
+    if (!deviceService) {
+      throw new Error(`No service for ${basePath}`);
+    }
+    
+    this.logger.warn(`${reregister ? 'Re-registering' : 'Reconnecting'} ${deviceService.dbusServiceName} for ${basePath} on request`);
+    if (reregister) {
+      await deviceService.reregister();
+    } else {
+      await deviceService.reconnect();
+    }
+    return deviceService.getDiagnostics();
+  }
+
   async disconnect() {
     // Save history data before disconnecting
     await this.saveHistoryData();
     
     // Stop periodic updates
     this.stopPeriodicHistoryUpdates();
+    this._stopStaleChecks();
+    this._stopDvccWatchdog();
     
     // Stop periodic saving
     if (this.historyPersistence) {
@@ -1747,8 +3132,11 @@ export class VenusClient extends EventEmitter {
       );
     }
     
-    // Disconnect individual device services
-    for (const deviceService of this.deviceServices.values()) {
+    // Disconnect individual device services (switch channels of one bank share a service)
+    for (const deviceService of new Set(this.deviceServices.values())) {
+      if (deviceService?.basePath) {
+        this.instanceRegistry.release(this.deviceConfig.serviceType, deviceService.basePath);
+      }
       if (deviceService && typeof deviceService.disconnect === 'function') {
         try {
           deviceService.disconnect();
@@ -1770,7 +3158,13 @@ export class VenusClient extends EventEmitter {
     this.bus = null;
     this.deviceInstances.clear();
     this.deviceServices.clear();
+    this.switchBanks.clear();
+    this.solarDailyStats.clear();
+    this.batteryAlarmStates.clear();
     this.exportedInterfaces.clear();
+    this.lastSeen.clear();
+    this.staleServices.clear();
+    this.mappedDevices.clear();
   }
 
   /**
@@ -1822,6 +3216,11 @@ export class VenusClient extends EventEmitter {
             maximumVoltage, 'd', 'Maximum voltage');
         }
       }
+      
+      // Discharge, cycle and alarm counters (periodic updates keep TimeSinceLastFullCharge running)
+      if (this._internalDeviceType === 'battery') {
+        await this._updateHistoryCounterProperties(deviceService, history);
+      }
         
     } catch (error) {
       this.emit('error', `Failed to update history properties: ${error.message}`);
@@ -1854,6 +3253,9 @@ export class VenusClient extends EventEmitter {
       return;
     }
     
+    // The SOC estimator publishes its own consumed Ah and time to go
+    const socEstimated = this._usesSocEstimator(deviceService.basePath);
+    
     // Get current values from the device service
     const currentSoc = deviceService.deviceData['/Soc'];
     const capacity = deviceService.deviceData['/Capacity'];
@@ -1861,7 +3263,7 @@ export class VenusClient extends EventEmitter {
     const voltage = deviceService.deviceData['/Dc/0/Voltage'];
     
     // Only update consumed amp hours if we have SOC and capacity (from device or settings)
-    if (typeof currentSoc === 'number' && !isNaN(currentSoc)) {
+    if (!socEstimated && typeof currentSoc === 'number' && !isNaN(currentSoc)) {
       // Use device capacity if available, otherwise fall back to settings
       let workingCapacity = capacity;
       if (!workingCapacity && this.settings.batteryMonitor?.batteryCapacity) {
@@ -1912,7 +3314,7 @@ export class VenusClient extends EventEmitter {
     
     // Update time to go based on current consumption or charge time
     // Only calculate if Signal K hasn't provided timeRemaining data
-    if (typeof current === 'number' && !isNaN(current) && current !== 0 && 
+    if (!socEstimated && typeof current === 'number' && !isNaN(current) && current !== 0 && 
         typeof currentSoc === 'number') {
       
       // Use configured battery capacity if device capacity is not available
@@ -2,7 +2,7 @@ import { VenusClient } from './venusClient.js';
 
 export function VenusClientFactory(settings, deviceType, logger = null) {
   // All clients now use the unified VenusClient with device-specific configurations
-  const supportedTypes = ['batteries', 'tanks', 'environment', 'switches'];
+  const supportedTypes = ['batteries', 'tanks', 'environment', 'switches', 'solar', 'alternators', 'gps', 'meteo', 'notifications'];
   
   if (!supportedTypes.includes(deviceType)) {
     throw new Error(`Unsupported device type: ${deviceType}. Supported types: ${supportedTypes.join(', ')}`);
@@ -16,5 +16,10 @@ export function VenusClientFactory(settings, deviceType, logger = null) {
     client.setSignalKApp(logger);
   }
   
+  // Persist VRM instance allocations in the plugin data directory when running inside Signal K
+  if (logger && typeof logger.getDataDirPath === 'function') {
+    client.setDataDirPath(logger.getDataDirPath());
+  }
+  
   return client;
 }
@@ -0,0 +1,82 @@
+import { getConnectionMode } from './dbusConnection.js';
+
+/**
+ * Venus OS targets of the bridge
+ * A boat can have several GX devices, e.g. a Cerbo GX for the house system and an Ekrano at the helm.
+ * Every target has its own D-Bus connection and connectivity test. Devices are assigned to a target by
+ * name in their device override and are published on the first target otherwise.
+ */
+
+// Name of a target without a configured name - its host, or 'local' for the local bus
+function defaultTargetName(target) {
+  return getConnectionMode(target) === 'tcp' ? target.venusHost : 'local';
+}
+
+/**
+ * Configured Venus OS targets, or the single target of the top-level connection settings
+ * @param {Object} config - Plugin configuration
+ * @param {Object} logger - Logger with error(), invalid and duplicate targets are logged and skipped
+ * @returns {Object[]} Targets { name, venusHost, port, connectionMode, dbusSocketPath, historyFileSuffix },
+ *   the first one is the default target
+ */
+export function getVenusTargets(config, logger = null) {
+  const targets = [];
+  for (const entry of Array.isArray(config.venusTargets) ? config.venusTargets : []) {
+    const connectionMode = getConnectionMode(entry || {});
+    const venusHost = typeof entry?.venusHost === 'string' ? entry.venusHost.trim() : '';
+    if (connectionMode === 'tcp' && venusHost === '') {
+      logger?.error(`Venus OS target ${JSON.stringify(entry)} skipped: venusHost is required for TCP connections`);
+      continue;
+    }
+    const target = {
+      venusHost,
+      port: entry.port,
+      connectionMode,
+      dbusSocketPath: entry.dbusSocketPath || config.dbusSocketPath
+    };
+    target.name = typeof entry.name === 'string' && entry.name.trim() !== '' ? entry.name.trim() : defaultTargetName(target);
+    if (targets.some(existing => existing.name === target.name)) {
+      logger?.error(`Venus OS target ${target.name} skipped: the name is used twice`);
+      continue;
+    }
+    targets.push(target);
+  }
+
+  if (targets.length === 0) {
+    const target = {
+      venusHost: config.venusHost,
+      port: config.port,
+      connectionMode: getConnectionMode(config),
+      dbusSocketPath: config.dbusSocketPath
+    };
+    targets.push({ ...target, name: defaultTargetName(target) });
+  }
+
+  // The first target keeps the history files of single-target setups, the others get their own
+  return targets.map((target, index) => ({
+    ...target,
+    historyFileSuffix: index === 0 ? '' : `-${target.name.replace(/[^a-zA-Z0-9]/g, '_')}`
+  }));
+}
+
+/**
+ * Target a device is published on
+ * @param {Object} config - Plugin configuration
+ * @param {string} devicePath - Signal K device path, e.g. electrical.batteries.house
+ * @param {Object[]} targets - Targets from getVenusTargets
+ * @returns {Object} The target named in the device override, the first target for unassigned devices
+ */
+export function getDeviceTarget(config, devicePath, targets) {
+  const name = config.deviceOverrides?.[devicePath]?.target;
+  return (name && targets.find(target => target.name === name)) || targets[0];
+}
+
+/**
+ * Client settings for one target - the plugin configuration with the connection of the target
+ * @param {Object} config - Plugin configuration
+ * @param {Object} target - Target from getVenusTargets
+ * @returns {Object}
+ */
+export function getTargetSettings(config, { name, ...connection }) {
+  return { ...config, ...connection, venusTarget: name };
+}